@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * app.js - 应用启动生命周期
+ * 启动时检查数据库结构：app/router.js 的 sync 只创建不存在的表，不会给已有的表添加字段，
+ * 从旧版本升级时需先执行 sql/upgrade.sql，否则启动失败并列出缺少的字段，避免运行中才出现 Unknown column 错误
+ */
+
+// sql/upgrade.sql 中新增或修改了字段的模型，升级脚本涉及新的表时同时添加
+const upgradeModels = [ 'SystemAuthAdmin', 'SystemAuthRole', 'SystemLogOperate', 'Album' ];
+
+class AppBootHook {
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * 插件加载和 beforeStart（数据库同步）完成后执行
+   */
+  async willReady() {
+    await this.checkColumns();
+  }
+
+  /**
+   * 检查升级脚本涉及的表是否缺少模型中的字段
+   *
+   * @throws {Error} 缺少字段时抛出错误，应用启动失败
+   */
+  async checkColumns() {
+    const { app } = this;
+    const queryInterface = app.model.getQueryInterface();
+    const missing = [];
+    for (const name of upgradeModels) {
+      const model = app.model.models[name];
+      const table = model.getTableName();
+      const columns = await queryInterface.describeTable(table);
+      for (const attribute of Object.values(model.rawAttributes)) {
+        if (!columns[attribute.field]) {
+          missing.push(`${table}.${attribute.field}`);
+        }
+      }
+    }
+    if (missing.length) {
+      throw new Error(`数据库缺少字段 ${missing.join(', ')}，请先执行 sql/upgrade.sql 升级数据库`);
+    }
+  }
+}
+
+module.exports = AppBootHook;
@@ -322,7 +322,7 @@ class CommonAblumController extends baseController {
    *   - file: 图片文件（必填）
    *   - cid: 分类ID（可选，默认为0-未分类）
    * 返回数据: 包含文件URL和文件信息的对象
-   * 技术特点: 使用流式处理，避免内存溢出
+   * 文件内容不是图片（或为 HTML、SVG 等）时返回 code=400
    */
   async uploadImage() {
     const { ctx } = this;
@@ -341,8 +341,7 @@ class CommonAblumController extends baseController {
       });
     } catch (err) {
       ctx.logger.error(`CommonAblumController.uploadImage error: ${err}`);
-      ctx.body = 'Internal Server Error';
-      ctx.status = 500;
+      this.result({ data: '', message: err.message, code: 400 });
     }
   }
 
@@ -356,7 +355,7 @@ class CommonAblumController extends baseController {
    *   - file: 视频文件（必填）
    *   - cid: 分类ID（可选，默认为0-未分类）
    * 返回数据: 包含文件URL和文件信息的对象
-   * 技术特点: 使用流式处理，支持大视频文件上传
+   * 文件内容不是视频时返回 code=400
    */
   async uploadVideo() {
     const { ctx } = this;
@@ -375,8 +374,7 @@ class CommonAblumController extends baseController {
       });
     } catch (err) {
       ctx.logger.error(`CommonAblumController.uploadVideo error: ${err}`);
-      ctx.body = 'Internal Server Error';
-      ctx.status = 500;
+      this.result({ data: '', message: err.message, code: 400 });
     }
   }
 }
@@ -2,7 +2,7 @@
 
 /**
  * 系统监控控制器
- * 功能: 处理系统服务器状态监控和Redis缓存监控相关业务
+ * 功能: 处理系统服务器状态监控、Redis缓存监控和接口限流统计相关业务
  * 位置: app/controller/monitor/monitor.js
  * 继承: baseController - 拥有统一的响应格式方法
  * 业务模块: 系统监控模块
@@ -89,6 +89,27 @@ class MonitorController extends baseController {
       },
     });
   }
+
+  /**
+   * 获取接口限流统计
+   * 接口地址: GET /api/monitor/rateLimit
+   * 功能: 获取当前限流规则、最近7天被拒绝的请求次数和最近被拒绝的请求
+   * 权限: 需要管理员权限
+   * 返回数据: {enable, rules, days, top, recent}
+   */
+  async rateLimit() {
+    const { ctx } = this;
+    try {
+      const data = await ctx.service.rateLimit.stats();
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`MonitorController.rateLimit error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
 }
 
 // 导出监控控制器类
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * 安全设置控制器
+ * 功能: 处理后台登录安全设置及密码策略的查看和保存
+ * 位置: app/controller/setting/security.js
+ * 继承: baseController - 拥有统一的响应格式方法
+ * 业务模块: 系统设置 - 安全设置
+ */
+const baseController = require('../baseController');
+
+class SettingSecurityController extends baseController {
+
+  /**
+   * 获取安全设置详情
+   * 接口地址: GET /api/setting/security/detail
+   * 权限: 需要管理员权限
+   * 返回数据:
+   *   - captchaMode: 登录图形验证码 0=关闭, 1=失败N次后需要, 2=始终需要
+   *   - captchaFails: 失败多少次后需要验证码
+   *   - pwdMinLength: 密码最小长度
+   *   - pwdClasses: 密码必须包含的字符类型 ['lower', 'upper', 'digit', 'symbol']
+   *   - pwdHistory: 不能与最近N次使用过的密码相同，0=不限制
+   *   - pwdMaxAge: 密码最长使用天数，0=永不过期
+   */
+  async details() {
+    const { ctx } = this;
+    try {
+      const data = await ctx.service.security.details();
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SettingSecurityController.details error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 保存安全设置
+   * 接口地址: POST /api/setting/security/save
+   * 权限: 需要管理员权限
+   * 请求参数: 同详情返回数据
+   * 返回数据: 空对象，表示保存成功
+   */
+  async save() {
+    const { ctx } = this;
+    try {
+      await ctx.service.security.save(ctx.request.body);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SettingSecurityController.save error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+}
+
+module.exports = SettingSecurityController;
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * 邮件设置控制器
+ * 功能: 处理发送系统邮件（如密码重置邮件）所用 SMTP 配置的查看、保存和测试
+ * 位置: app/controller/setting/smtp.js
+ * 继承: baseController - 拥有统一的响应格式方法
+ * 业务模块: 系统设置 - 邮件设置
+ */
+const baseController = require('../baseController');
+
+class SettingSmtpController extends baseController {
+
+  /**
+   * 获取邮件设置详情
+   * 接口地址: GET /api/setting/smtp/detail
+   * 权限: 需要管理员权限
+   * 返回数据:
+   *   - host, port, secure, user, from: SMTP 配置
+   *   - hasPass: 是否已设置授权码（授权码不返回）
+   */
+  async details() {
+    const { ctx } = this;
+    try {
+      const data = await ctx.service.smtp.details();
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SettingSmtpController.details error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 保存邮件设置
+   * 接口地址: POST /api/setting/smtp/save
+   * 权限: 需要管理员权限
+   * 请求参数: host, port, secure, user, pass（为空表示不修改）, from
+   * 返回数据: 空对象，表示保存成功
+   */
+  async save() {
+    const { ctx } = this;
+    try {
+      await ctx.service.smtp.save(ctx.request.body);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SettingSmtpController.save error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 发送测试邮件
+   * 接口地址: POST /api/setting/smtp/test
+   * 权限: 需要管理员权限
+   * 请求参数:
+   *   - email: 收件人邮箱（必填）
+   * 返回数据: 空对象，表示发送成功；失败时返回 SMTP 服务器的错误信息
+   */
+  async test() {
+    const { ctx } = this;
+    try {
+      const { email } = ctx.request.body;
+      if (!email) {
+        this.result({ data: '', message: '收件人邮箱不能为空', code: 400 });
+        return;
+      }
+      await ctx.service.smtp.send({
+        to: email,
+        title: '测试邮件',
+        content: '这是一封测试邮件，收到说明邮件设置正确。',
+      });
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SettingSmtpController.test error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+}
+
+module.exports = SettingSmtpController;
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * 单点登录设置控制器
+ * 功能: 处理 OpenID Connect 单点登录身份提供方配置的查看和保存
+ * 位置: app/controller/setting/sso.js
+ * 继承: baseController - 拥有统一的响应格式方法
+ * 业务模块: 系统设置 - 单点登录
+ */
+const baseController = require('../baseController');
+
+class SettingSsoController extends baseController {
+
+  /**
+   * 获取单点登录设置详情
+   * 接口地址: GET /api/setting/sso/detail
+   * 权限: 需要管理员权限
+   * 返回数据:
+   *   - enable, name, issuer, clientId, scopes, redirectUri: 身份提供方配置
+   *   - matchEmail, autoCreate, defaultRole, defaultDept: 管理员匹配和自动创建规则
+   *   - trustMfa: 是否信任身份提供方的多因素认证（跳过本地两步验证）
+   *   - hasSecret: 是否已设置客户端密钥（密钥不返回）
+   */
+  async details() {
+    const { ctx } = this;
+    try {
+      const data = await ctx.service.sso.details();
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SettingSsoController.details error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 保存单点登录设置
+   * 接口地址: POST /api/setting/sso/save
+   * 权限: 需要管理员权限
+   * 请求参数: enable, name, issuer, clientId, clientSecret（为空表示不修改）, scopes, redirectUri,
+   *   matchEmail, autoCreate, defaultRole, defaultDept, trustMfa
+   * 返回数据: 空对象，表示保存成功
+   */
+  async save() {
+    const { ctx } = this;
+    try {
+      await ctx.service.sso.save(ctx.request.body);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SettingSsoController.save error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+}
+
+module.exports = SettingSsoController;
@@ -2,7 +2,7 @@
 
 /**
  * 存储配置控制器
- * 功能: 处理文件存储引擎的配置管理，支持多种存储方式（本地、阿里云OSS、腾讯云COS等）
+ * 功能: 处理文件存储引擎的配置管理，支持本地存储和 S3 兼容的对象存储（AWS S3、MinIO、阿里云OSS、腾讯云COS等）
  * 位置: app/controller/setting/storage.js
  * 继承: baseController - 拥有统一的响应格式方法
  * 业务模块: 系统设置 - 存储引擎管理
@@ -56,7 +56,7 @@ class SettingStorageController extends baseController {
    *   - alias: 存储引擎别名（必填）
    * 返回数据: 存储引擎的完整配置详情
    * 数据内容可能包括:
-   *   - 完整的配置参数（包含敏感信息如AccessKey等）
+   *   - 完整的配置参数（secretKey 以 ****** 代替，不返回明文）
    *   - 存储引擎的详细描述
    *   - 支持的配置选项
    *   - 状态信息和启用时间
@@ -84,19 +84,19 @@ class SettingStorageController extends baseController {
    * 功能: 更新指定存储引擎的配置信息
    * 权限: 需要管理员权限
    * 请求参数:
-   *   - alias: 存储引擎别名（必填）
-   *   - name: 存储引擎显示名称（可选）
-   *   - config: 配置信息对象（必填）
-   * 配置信息示例（阿里云OSS）:
+   *   - alias: 存储引擎别名（必填，local 或 s3）
+   *   - status: 是否设为当前存储引擎（1-启用，0-禁用）
+   *   - 其余为引擎配置项，S3兼容存储示例:
    *   {
-   *     "accessKeyId": "your_access_key",
-   *     "accessKeySecret": "your_secret_key",
-   *     "bucket": "your_bucket_name",
+   *     "endpoint": "https://oss-cn-hangzhou.aliyuncs.com",
    *     "region": "oss-cn-hangzhou",
-   *     "endpoint": "https://oss-cn-hangzhou.aliyuncs.com"
+   *     "bucket": "your_bucket_name",
+   *     "accessKey": "your_access_key",
+   *     "secretKey": "your_secret_key", // 为空或为 ****** 时保留原密钥
+   *     "domain": "https://cdn.example.com", // 访问域名（可选），为空时使用 endpoint
+   *     "pathStyle": true // 路径风格访问（可选，默认 true，MinIO 等自建服务使用）
    *   }
-   * 返回数据: 操作结果
-   * 注意: 修改配置后可能需要重新初始化存储客户端
+   * 返回数据: 操作结果，配置不完整时返回 code=400
    */
   async edit() {
     const { ctx } = this;
@@ -110,8 +110,7 @@ class SettingStorageController extends baseController {
       });
     } catch (err) {
       ctx.logger.error(`SettingStorageController.edit error: ${err}`);
-      ctx.body = 'Internal Server Error';
-      ctx.status = 500;
+      this.result({ data: '', message: err.message, code: 400 });
     }
   }
 
@@ -142,8 +141,7 @@ class SettingStorageController extends baseController {
       });
     } catch (err) {
       ctx.logger.error(`SettingStorageController.change error: ${err}`);
-      ctx.body = 'Internal Server Error';
-      ctx.status = 500;
+      this.result({ data: '', message: err.message, code: 400 });
     }
   }
 }
@@ -7,12 +7,10 @@
 
 // 引入基础控制器，继承统一的响应方法
 const baseController = require('./baseController');
-// 引入 MD5 加密模块，用于密码加密验证
-const md5 = require('md5');
+// 引入密码哈希工具，用于密码校验和旧哈希迁移
+const passwordUtil = require('../util/passwordUtil');
 // 引入系统配置常量
 const {
-  backstageTokenSet,
-  backstageTokenKey,
   reqRoleIdKey,
 } = require('../extend/config');
 
@@ -29,25 +27,51 @@ class SystemController extends baseController {
    * 路由: POST /api/system/login
    *
    * @流程说明
-   * 1. 参数验证 → 2. 用户查询 → 3. 状态检查 → 4. 密码验证 → 5. Token生成
-   * 6. 登录控制 → 7. 缓存设置 → 8. 信息更新 → 9. 日志记录 → 10. 返回Token
+   * 1. 参数验证 → 2. 用户查询 → 3. 锁定检查、验证码检查 → 4. 状态检查 → 5. 密码验证
+   * 6. 两步验证检查（需要时返回第二步凭证） → 7. 完成登录（会话、缓存、日志） → 8. 返回Token
+   *
+   * @返回数据 {token, mustChangePwd}：mustChangePwd=initial 首次登录或密码被重置，expired 密码已过期，
+   * 此时只能访问修改密码相关接口（见 config.pwdChangeUri），修改后需重新登录
+   *
+   * @防暴力破解 账号或IP在统计窗口内失败次数过多时锁定（见 config.loginLock），
+   * 所有失败尝试都会记录到登录日志
+   *
+   * @加密传输 encrypted=1 时 password 为 RSA-OAEP(SHA-256) 密文，明文格式为 {时间戳}:{nonce}:{密码}，
+   * keyId 和 nonce 来自 /api/system/login/publicKey（见 config.loginRsa）
    */
   async login() {
     const { ctx } = this;
     const body = ctx.request.body;
     try {
+      // 加密传输：password 为 RSA 密文时先解密（见 /api/system/login/publicKey），强制加密时拒绝明文
+      if (body.encrypted) {
+        try {
+          body.password = await ctx.service.loginRsa.decrypt(body.password, body.keyId);
+        } catch (err) {
+          this.result({ data: '', message: err.message, code: 1009 });
+          return;
+        }
+      } else if (this.config.loginRsa.required && ctx.service.loginRsa.isEnabled()) {
+        this.result({ data: '', message: '请使用加密方式提交密码', code: 1009 });
+        return;
+      }
+
       // 1. 参数验证：验证用户名和密码的格式和必填性
       this.ctx.validate({
         username: { type: 'string', min: 2, max: 20, require: true },
-        password: { type: 'string', min: 6, max: 20, require: true },
+        password: { type: 'string', min: 6, max: 64, require: true },
       });
 
+      const ip = ctx.request.ip;
+      const { authAdmin, authTotp, loginLock } = ctx.service;
+
       // 2. 根据用户名查询管理员信息
       const sysAdmin = await ctx.model.SystemAuthAdmin.findOne({
         where: {
           username: body.username,
         },
       });
+      const adminId = sysAdmin ? sysAdmin.id : 0;
 
       /**
        * 用户状态代码
@@ -55,91 +79,354 @@ class SystemController extends baseController {
        * @param 1002 密码错误或请求错误
        * @param 1003 用户被禁用
        * @param 1004 该账户已被删除
+       * @param 1005 登录失败次数过多，账号或IP已被锁定
+       * @param 1006 两步登录凭证无效或已过期
+       * @param 1007 动态口令错误
+       * @param 1008 需要图形验证码或验证码错误
+       * @param 1009 密码密文无效、已过期或未使用加密方式提交
+       * @param 1010 单点登录失败（见 ssoCallback）
        */
 
-      // 3. 用户存在性检查
+      // 3. 锁定检查：账号或IP在锁定期内直接拒绝
+      const lockTtl = await loginLock.check(body.username, ip);
+      if (lockTtl > 0) {
+        await authAdmin.recordLoginLog(adminId, body.username, '账号已锁定');
+        this.result({ data: '', message: `登录失败次数过多，请${Math.ceil(lockTtl / 60)}分钟后再试`, code: 1005 });
+        return;
+      }
+
+      // 图形验证码检查：始终需要或失败次数达到阈值时需要（见 系统设置-安全设置）
+      if (await ctx.service.captcha.isRequired(body.username, ip)) {
+        const captchaValid = await ctx.service.captcha.verify(body.captchaId, body.captcha);
+        if (!captchaValid) {
+          this.result({ data: { captcha: true }, message: body.captcha ? '验证码错误' : '请输入验证码', code: 1008 });
+          return;
+        }
+      }
+
+      // 4. 用户存在性检查（计入失败次数）
       if (!sysAdmin) {
+        await loginLock.fail(body.username, ip);
+        await authAdmin.recordLoginLog(0, body.username, '没有找到该用户');
         this.result({ data: '', message: '没有找到该用户', code: 1001 });
         return;
       }
 
-      // 4. 用户状态检查：是否被删除
-      if (sysAdmin.is_delete === 1) {
+      // 5. 用户状态检查：是否被删除
+      if (sysAdmin.isDelete === 1) {
+        await authAdmin.recordLoginLog(adminId, body.username, '该账户已被删除');
         this.result({ data: '', message: '该账户已被删除', code: 1004 });
         return;
       }
 
-      // 5. 用户状态检查：是否被禁用
-      if (sysAdmin.is_disable === 1) {
+      // 6. 用户状态检查：是否被禁用
+      if (sysAdmin.isDisable === 1) {
+        await authAdmin.recordLoginLog(adminId, body.username, '该账户已被禁用');
         this.result({ data: '', message: '该账户已被禁用', code: 1003 });
         return;
       }
 
-      // 6. 密码验证：使用 MD5(密码 + 盐值) 进行加密验证
-      const md5Pwd = md5(body.password + sysAdmin.salt);
-      if (sysAdmin.password !== md5Pwd) {
-        this.result({ data: '', message: '密码错误', code: 1002 });
+      // 7. 密码验证：scrypt 哈希校验，兼容旧版 MD5(密码 + 盐值)（计入失败次数）
+      const pwdValid = await passwordUtil.verify(body.password, sysAdmin.password, sysAdmin.salt);
+      if (!pwdValid) {
+        const remain = await loginLock.fail(body.username, ip);
+        await authAdmin.recordLoginLog(adminId, body.username, '密码错误');
+        const message = remain > 0 ? `密码错误，还可尝试${remain}次` : '密码错误次数过多，账号已被锁定';
+        this.result({ data: '', message, code: remain > 0 ? 1002 : 1005 });
         return;
       }
 
-      // 7. 生成登录 Token（基于用户名和密码）
-      const token = ctx.setToken({ password: body.password, username: body.username });
-      const adminIdStr = String(sysAdmin.id);
+      // 旧版 MD5 哈希在登录成功时透明升级为 scrypt
+      if (passwordUtil.needsRehash(sysAdmin.password)) {
+        await sysAdmin.update({
+          password: await passwordUtil.hash(body.password),
+          salt: '',
+        });
+      }
 
-      // 8. 单点登录控制：如果用户设置为非多点登录，则清除之前的登录状态
-      if (sysAdmin.is_multipoint === 0) {
-        const sysAdminSetKey = backstageTokenSet + adminIdStr;
-        // 获取该用户的所有历史 Token
-        const ts = ctx.service.redis.sGet(sysAdminSetKey);
-        if (ts.length > 0) {
-          const keys = [];
-          // 构建要删除的 Token 键列表
-          for (const t of ts) {
-            keys.push(t);
-          }
-          // 删除所有历史 Token 缓存
-          ctx.service.redis.del(keys);
-        }
-        // 删除用户的 Token 集合
-        ctx.service.redis.del(sysAdminSetKey);
-        // 设置新的 Token 到集合中
-        ctx.service.redis.sSet(sysAdminSetKey, token);
-      }
-
-      // 9. 缓存登录信息：Token 与用户ID的映射关系，有效期2小时
-      ctx.service.redis.set(backstageTokenKey + token, adminIdStr, 7200);
-      // 缓存用户信息到 Redis
-      ctx.service.authAdmin.cacheAdminUserByUid(sysAdmin.id);
-
-      // 10. 更新用户登录信息：最后登录IP、最后登录时间等
-      const dateTime = Math.floor(Date.now() / 1000);
-      await ctx.model.SystemAuthAdmin.update({
-        last_login_ip: ctx.request.ip,
-        last_login_time: dateTime,
-        update_time: dateTime,
-      }, {
-        where: {
-          id: sysAdmin.id,
+      // 8. 两步验证：已开启或角色强制要求时，颁发第二步凭证，由 /api/system/login/totp 完成登录
+      // 失败计数在第二步通过后才清空，避免通过反复登录绕过动态口令的失败次数限制
+      if (await authTotp.isRequired(sysAdmin)) {
+        const ticket = await authTotp.createTicket(sysAdmin);
+        this.result({
+          data: {
+            twoFactor: true,
+            // 角色强制要求但尚未绑定时，需要先调用 /api/system/login/totpSetup 绑定
+            setup: sysAdmin.totpEnable !== 1,
+            ticket,
+          },
+        });
+        return;
+      }
+
+      // 9. 完成登录：清空账号失败计数，创建会话、缓存用户信息、更新登录信息、记录登录日志
+      // 首次登录或密码过期时，会话只能访问修改密码相关接口，直到通过 upInfo 修改密码
+      await loginLock.reset(body.username);
+      const mustChangePwd = await ctx.service.passwordPolicy.mustChange(sysAdmin);
+      const token = await authAdmin.loginSuccess(sysAdmin, { mustChangePwd });
+      if (!token) {
+        this.result({ data: '', message: '请求错误', code: 1002 });
+        return;
+      }
+
+      // 10. 返回登录成功的 Token，mustChangePwd 不为空时前端应跳转到修改密码页面
+      this.result({
+        data: {
+          token,
+          mustChangePwd,
         },
       });
+    } catch (err) {
+      // 11. 错误处理：参数验证失败或其他异常
+      const { errors = [] } = err;
+      const message = errors.length > 0 ? errors[0].message : err.message;
+      this.result({ data: '', message, code: 1001 });
+    }
+  }
+
+  /**
+   * 获取登录密码加密公钥
+   * 路由: GET /api/system/login/publicKey
+   *
+   * @返回数据 {enable, required, keyId, publicKey, nonce, timestamp, expire}：
+   * enable=false 时未配置密钥，直接提交明文密码；nonce 只能使用一次，expire 秒内有效
+   */
+  async publicKey() {
+    const { ctx } = this;
+    try {
+      const data = await ctx.service.loginRsa.publicKey();
+      this.result({ data });
+    } catch (err) {
+      ctx.logger.error(`systemController.publicKey error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 获取登录图形验证码
+   * 路由: GET /api/system/captcha?username=admin
+   *
+   * @请求参数 username - 可选，传入时根据该账号的失败次数判断是否需要验证码
+   * @返回数据 {required, id, svg}：required 表示本次登录是否需要验证码，
+   * 登录时回传 captchaId=id 和用户输入的 captcha
+   */
+  async captcha() {
+    const { ctx } = this;
+    try {
+      const username = ctx.request.query.username || '';
+      const required = await ctx.service.captcha.isRequired(username, ctx.request.ip);
+      const data = await ctx.service.captcha.create();
+      this.result({
+        data: {
+          required,
+          ...data,
+        },
+      });
+    } catch (err) {
+      ctx.logger.error(`systemController.captcha error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 两步登录第二步：获取绑定信息
+   * 所属角色强制两步验证但尚未绑定的管理员，在登录过程中完成绑定
+   * 路由: POST /api/system/login/totpSetup
+   *
+   * @请求参数 ticket - 第一步返回的凭证
+   * @返回数据 {secret, uri}，uri 可生成二维码供验证器应用扫码
+   */
+  async totpSetup() {
+    const { ctx } = this;
+    try {
+      const { adminId } = await ctx.service.authTotp.useTicket(ctx.request.body.ticket);
+      const sysAdmin = adminId ? await ctx.model.SystemAuthAdmin.findByPk(adminId) : null;
+      if (!sysAdmin) {
+        this.result({ data: '', message: '登录凭证无效或已过期，请重新登录', code: 1006 });
+        return;
+      }
+      const data = await ctx.service.authTotp.enroll(sysAdmin);
+      this.result({ data });
+    } catch (err) {
+      this.result({ data: '', message: err.message, code: 1001 });
+    }
+  }
 
-      // 11. 记录登录日志，包含用户代理信息等
-      const resultLog = await ctx.service.authAdmin.recordLoginLog(sysAdmin.id, body.username, '');
-      if (!resultLog) {
+  /**
+   * 两步登录第二步：校验动态口令并完成登录
+   * 路由: POST /api/system/login/totp
+   *
+   * @请求参数 ticket - 第一步返回的凭证；code - 动态口令或恢复码
+   * @返回数据 {token, mustChangePwd}；登录过程中完成绑定时额外返回一次性恢复码 recoveryCodes
+   *
+   * @流程说明
+   * 1. 凭证校验 → 2. 锁定检查 → 3. 口令校验（未绑定时完成绑定） → 4. 完成登录
+   */
+  async totpLogin() {
+    const { ctx } = this;
+    const { ticket, code } = ctx.request.body;
+    const { authAdmin, authTotp, loginLock } = ctx.service;
+    const ip = ctx.request.ip;
+    try {
+      // 1. 凭证校验：凭证有效期和尝试次数有限
+      const { adminId, extra } = await authTotp.useTicket(ticket);
+      const sysAdmin = adminId ? await ctx.model.SystemAuthAdmin.findByPk(adminId) : null;
+      if (!sysAdmin || sysAdmin.isDelete === 1 || sysAdmin.isDisable === 1) {
+        this.result({ data: '', message: '登录凭证无效或已过期，请重新登录', code: 1006 });
+        return;
+      }
+
+      // 2. 锁定检查
+      const lockTtl = await loginLock.check(sysAdmin.username, ip);
+      if (lockTtl > 0) {
+        await authTotp.destroyTicket(ticket);
+        await authAdmin.recordLoginLog(adminId, sysAdmin.username, '账号已锁定');
+        this.result({ data: '', message: `登录失败次数过多，请${Math.ceil(lockTtl / 60)}分钟后再试`, code: 1005 });
+        return;
+      }
+
+      // 3. 口令校验：已开启时校验动态口令或恢复码，未绑定时校验并完成绑定
+      let recoveryCodes;
+      let valid;
+      if (sysAdmin.totpEnable === 1) {
+        valid = await authTotp.verify(sysAdmin, code);
+      } else {
+        try {
+          recoveryCodes = await authTotp.enable(sysAdmin, code);
+          valid = true;
+        } catch (err) {
+          valid = false;
+        }
+      }
+      if (!valid) {
+        await loginLock.fail(sysAdmin.username, ip);
+        await authAdmin.recordLoginLog(adminId, sysAdmin.username, '动态口令错误');
+        this.result({ data: '', message: '动态口令错误', code: 1007 });
+        return;
+      }
+      await authTotp.destroyTicket(ticket);
+      await loginLock.reset(sysAdmin.username);
+
+      // 4. 完成登录：单点登录不校验本地密码，不要求修改密码
+      const mustChangePwd = extra.sso ? '' : await ctx.service.passwordPolicy.mustChange(sysAdmin);
+      const token = await authAdmin.loginSuccess(sysAdmin, extra.sso ? extra : { mustChangePwd });
+      if (!token) {
         this.result({ data: '', message: '请求错误', code: 1002 });
         return;
       }
+      this.result({
+        data: {
+          token,
+          mustChangePwd,
+          recoveryCodes,
+        },
+      });
+    } catch (err) {
+      this.result({ data: '', message: err.message, code: 1001 });
+    }
+  }
 
-      // 12. 返回登录成功的 Token
+  /**
+   * 获取单点登录信息
+   * 路由: GET /api/system/login/sso
+   *
+   * @返回数据 {enable, name}：enable=1 时登录页显示单点登录按钮，name 为按钮名称
+   */
+  async sso() {
+    const { ctx } = this;
+    try {
+      const data = await ctx.service.sso.info();
+      this.result({ data });
+    } catch (err) {
+      ctx.logger.error(`systemController.sso error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 单点登录第一步：获取身份提供方授权地址
+   * 路由: GET /api/system/login/ssoAuthorize
+   *
+   * @返回数据 {url}：前端跳转到该地址，登录完成后身份提供方带 code 和 state 跳转回设置的回调地址
+   */
+  async ssoAuthorize() {
+    const { ctx } = this;
+    try {
+      const data = await ctx.service.sso.authorize();
+      this.result({ data });
+    } catch (err) {
+      ctx.logger.error(`systemController.ssoAuthorize error: ${err}`);
+      this.result({ data: '', message: err.message, code: 1010 });
+    }
+  }
+
+  /**
+   * 单点登录第二步：回调页面提交授权码完成登录
+   * 路由: POST /api/system/login/ssoCallback
+   *
+   * @请求参数 code - 授权码；state - 身份提供方原样返回的 state
+   * @返回数据 {token, mustChangePwd}，与账号密码登录一致；单点登录不校验本地密码，mustChangePwd 始终为空；
+   * 需要两步验证时与账号密码登录一样返回 {twoFactor, setup, ticket}，由 /api/system/login/totp 完成登录
+   *
+   * @流程说明
+   * 1. 授权码换取并校验 id_token，匹配（或自动创建）管理员 → 2. 状态检查 → 3. 两步验证 → 4. 完成登录
+   */
+  async ssoCallback() {
+    const { ctx } = this;
+    const { code, state } = ctx.request.body;
+    const { authAdmin, authTotp } = ctx.service;
+    try {
+      // 1. 授权码换取令牌并匹配管理员，失败时返回 1010（未启用、请求过期、令牌校验失败、找不到管理员等）
+      let sysAdmin;
+      try {
+        sysAdmin = await ctx.service.sso.callback(code, state);
+      } catch (err) {
+        ctx.logger.warn(`systemController.ssoCallback: ${err.message}`);
+        this.result({ data: '', message: err.message, code: 1010 });
+        return;
+      }
+
+      // 2. 用户状态检查
+      if (sysAdmin.isDisable === 1) {
+        await authAdmin.recordLoginLog(sysAdmin.id, sysAdmin.username, '该账户已被禁用');
+        this.result({ data: '', message: '该账户已被禁用', code: 1003 });
+        return;
+      }
+
+      // 3. 两步验证：已开启或角色强制要求时，与账号密码登录一样颁发第二步凭证；
+      // 只有设置为信任身份提供方的多因素认证（trustMfa）时才跳过本地两步验证
+      const { trustMfa } = await ctx.service.sso.load();
+      if (!trustMfa && await authTotp.isRequired(sysAdmin)) {
+        const ticket = await authTotp.createTicket(sysAdmin, { sso: 1 });
+        this.result({
+          data: {
+            twoFactor: true,
+            setup: sysAdmin.totpEnable !== 1,
+            ticket,
+          },
+        });
+        return;
+      }
+
+      // 4. 完成登录
+      const token = await authAdmin.loginSuccess(sysAdmin, { sso: 1 });
+      if (!token) {
+        this.result({ data: '', message: '请求错误', code: 1002 });
+        return;
+      }
       this.result({
         data: {
           token,
+          mustChangePwd: '',
         },
       });
     } catch (err) {
-      // 13. 错误处理：参数验证失败或其他异常
-      const { errors = [] } = err;
-      this.result({ data: '', message: errors[0].message, code: 1001 });
+      ctx.logger.error(`systemController.ssoCallback error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
     }
   }
 
@@ -212,10 +499,9 @@ class SystemController extends baseController {
    */
   async logout() {
     const { ctx } = this;
-    const { req } = ctx;
     try {
-      // 从Redis中删除对应的Token缓存，立即失效
-      ctx.service.redis.del(backstageTokenKey + req.token);
+      // 注销当前会话：删除Token对应的会话元数据，立即失效
+      await ctx.service.authSession.destroy(ctx.request.header.token);
       this.result({ data: '' });
     } catch (err) {
       // 退出登录错误记录
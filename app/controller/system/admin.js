@@ -14,10 +14,8 @@ const baseController = require('../baseController');
 // 引入配置常量
 const {
   reqAdminIdKey, // 会话中存储管理员ID的键名
+  superAdminId, // 超级管理员ID
 } = require('../../extend/config');
-// 引入Sequelize操作符
-const Sequelize = require('sequelize');
-const Op = Sequelize.Op;
 // 引入URL工具类，用于处理头像地址的绝对路径转换
 const urlUtil = require('../../util/urlUtil');
 
@@ -65,7 +63,8 @@ class SystemAdminController extends baseController {
    * 数据结构:
    *   {
    *     user: {管理员基本信息},
-   *     permissions: [权限标识数组]
+   *     permissions: [权限标识数组],
+   *     impersonator: 模拟登录时为实际操作人 {id, username, expireTime}，否则为 null，前端据此显示模拟登录提示条
    *   }
    * 特殊处理:
    *   - 超级管理员(id=1)返回所有权限['*']
@@ -75,7 +74,6 @@ class SystemAdminController extends baseController {
     const { ctx } = this;
     // 获取数据模型和服务引用
     const SystemAuthAdmin = ctx.model.SystemAuthAdmin;
-    const SystemAuthMenu = ctx.model.SystemAuthMenu;
     const authAdminService = ctx.service.authAdmin;
     // 从会话中获取当前管理员ID
     const adminId = ctx.session[reqAdminIdKey];
@@ -88,7 +86,7 @@ class SystemAdminController extends baseController {
           isDelete: 0, // 只查询未删除的管理员
         },
         // 选择需要的字段，排除密码等敏感信息
-        attributes: [ 'id', 'nickname', 'nickname', 'avatar', 'role', 'deptId', 'isMultipoint', 'isDisable', 'lastLoginIp', 'lastLoginTime', 'createTime', 'updateTime' ],
+        attributes: [ 'id', 'nickname', 'nickname', 'email', 'avatar', 'role', 'deptId', 'isMultipoint', 'isDisable', 'totpEnable', 'lastLoginIp', 'lastLoginTime', 'createTime', 'updateTime' ],
       });
 
       // 如果管理员不存在，返回空
@@ -96,36 +94,8 @@ class SystemAdminController extends baseController {
         return null;
       }
 
-      let auths = []; // 权限标识数组
-
-      // 如果不是超级管理员(id>1)，查询其角色对应的权限
-      if (adminId > 1) {
-        const roleId = parseInt(sysAdmin.role, 10);
-        // 获取角色对应的菜单ID列表
-        const menuIds = await authAdminService.selectMenuIdsByRoleId(roleId);
-
-        if (menuIds.length > 0) {
-          // 查询有效的菜单权限
-          const menus = await SystemAuthMenu.findAll({
-            where: {
-              id: {
-                [Op.in]: menuIds, // 在菜单ID列表中
-              },
-              isDisable: 0, // 未禁用的菜单
-              menuType: [ 'C', 'A' ], // 菜单类型：C-菜单，A-按钮
-            },
-            order: [[ 'menuSort', 'ASC' ], [ 'id', 'ASC' ]], // 按排序号和ID排序
-          });
-
-          if (menus.length > 0) {
-            // 提取权限标识并去除空格
-            auths = menus.map(menu => menu.perms.trim());
-          }
-        }
-      } else {
-        // 超级管理员拥有所有权限
-        auths = [ '*' ];
-      }
+      // 权限标识：超级管理员拥有所有权限，其他管理员取所有角色权限的并集（与鉴权中间件一致）
+      const auths = adminId === superAdminId ? [ '*' ] : await authAdminService.selectPermsByRoles(sysAdmin.role);
 
       // 构建返回数据
       const admin = {
@@ -135,6 +105,11 @@ class SystemAdminController extends baseController {
           avatar: urlUtil.toAbsoluteUrl(sysAdmin.avatar), // 头像地址转为绝对URL
         },
         permissions: auths, // 权限列表
+        impersonator: ctx.impersonator ? {
+          id: ctx.impersonator.id,
+          username: ctx.impersonator.username,
+          expireTime: ctx.impersonator.expireTime,
+        } : null,
       };
 
       this.result({
@@ -177,6 +152,33 @@ class SystemAdminController extends baseController {
     }
   }
 
+  /**
+   * 获取当前管理员的权限标识
+   * 接口地址: GET /api/system/admin/perms
+   * 功能: 返回当前管理员可访问的接口权限标识，前端据此隐藏无权限的按钮
+   * 权限: 需要登录认证
+   * 返回数据: 权限标识数组，如 ['system:admin:list', 'system:admin:add']；超级管理员返回 ['*']
+   */
+  async perms() {
+    const { ctx } = this;
+    const adminId = ctx.session[reqAdminIdKey];
+
+    try {
+      let data = [ '*' ];
+      if (adminId !== superAdminId) {
+        const sysAdmin = await ctx.model.SystemAuthAdmin.findByPk(adminId);
+        data = sysAdmin ? await ctx.service.authAdmin.selectPermsByRoles(sysAdmin.role) : [];
+      }
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(err);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
   /**
    * 添加管理员
    * 接口地址: POST /api/system/admin/add
@@ -209,8 +211,7 @@ class SystemAdminController extends baseController {
       });
     } catch (err) {
       ctx.logger.error(err);
-      ctx.body = 'Internal Server Error';
-      ctx.status = 500;
+      this.result({ data: '', message: err.message, code: 400 });
     }
   }
 
@@ -248,8 +249,7 @@ class SystemAdminController extends baseController {
       });
     } catch (err) {
       ctx.logger.error(err);
-      ctx.body = 'Internal Server Error';
-      ctx.status = 500;
+      this.result({ data: '', message: err.message, code: 400 });
     }
   }
 
@@ -266,7 +266,8 @@ class SystemAdminController extends baseController {
    * 返回数据: 空对象，表示操作成功
    * 安全机制:
    *   - 修改密码需要验证当前密码
-   *   - 密码修改后强制注销所有登录设备
+   *   - 新密码需符合密码策略（见 系统设置-安全设置），不能与最近使用过的密码相同
+   *   - 密码修改后强制注销所有登录设备，必须修改密码的会话需重新登录
    */
   async update() {
     const { ctx } = this;
@@ -284,8 +285,7 @@ class SystemAdminController extends baseController {
       });
     } catch (err) {
       ctx.logger.error(err);
-      ctx.body = 'Internal Server Error';
-      ctx.status = 500;
+      this.result({ data: '', message: err.message, code: 400 });
     }
   }
 
@@ -356,6 +356,39 @@ class SystemAdminController extends baseController {
       ctx.status = 500;
     }
   }
+
+  /**
+   * 解除登录锁定
+   * 接口地址: POST /api/system/admin/unlock
+   * 功能: 提前解除因登录失败次数过多而被锁定的账号或IP
+   * 权限: 需要管理员权限
+   * 请求参数:
+   *   - username: 被锁定的登录账号（与ip至少传一个）
+   *   - ip: 被锁定的IP（可选）
+   * 返回数据: 空对象，表示操作成功
+   */
+  async unlock() {
+    const { ctx } = this;
+
+    try {
+      const { username, ip } = ctx.request.body;
+      if (!username && !ip) {
+        this.result({ data: '', message: '账号和IP不能同时为空', code: 400 });
+        return;
+      }
+
+      // 调用服务层清除锁定状态和失败计数
+      await ctx.service.loginLock.unlock(username, ip);
+
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(err);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
 }
 
 // 导出管理员控制器类
@@ -0,0 +1,123 @@
+'use strict';
+
+// 引入基础控制器，用于继承统一的响应方法
+const baseController = require('../baseController');
+
+/**
+ * API 密钥（服务账号）控制器
+ * 管理供部署脚本、内部服务等机器客户端使用的 API 密钥
+ * 请求时在请求头 x-api-key 中携带密钥即可代替登录 Token
+ * @extends baseController
+ */
+class SystemApiKeyController extends baseController {
+  /**
+   * 获取API密钥列表
+   * 接口地址: GET /api/system/apiKey/list
+   * 请求参数:
+   *   - pageNo, pageSize: 分页参数
+   *   - name: 密钥名称（模糊查询）
+   *   - adminId: 绑定的管理员ID
+   * 返回数据: 分页结果，密钥只显示前缀
+   */
+  async list() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.apiKey.list(ctx.query);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemApiKeyController.list error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 创建API密钥
+   * 接口地址: POST /api/system/apiKey/add
+   * 请求参数:
+   *   - name: 密钥名称（必填）
+   *   - adminId: 绑定的管理员ID，默认为当前管理员，只有超级管理员可以指定其他管理员
+   *   - perms: 授权的权限标识数组，如 ["setting:dict:data:list"]（必填）
+   *   - ipWhitelist: IP白名单数组，支持CIDR，为空不限制
+   *   - expireTime: 过期时间（YYYY-MM-DD HH:mm:ss），为空永不过期
+   *   - remarks: 备注
+   * 返回数据: {id, key}，密钥明文只返回这一次，请提示用户妥善保存
+   */
+  async add() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.apiKey.add(ctx.request.body);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemApiKeyController.add error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 编辑API密钥
+   * 接口地址: POST /api/system/apiKey/edit
+   * 请求参数: id（必填），其余同创建接口（adminId 不可修改）
+   */
+  async edit() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.apiKey.edit(ctx.request.body);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemApiKeyController.edit error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 吊销API密钥
+   * 接口地址: POST /api/system/apiKey/revoke
+   * 请求参数:
+   *   - id: 密钥ID（必填）
+   */
+  async revoke() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.apiKey.revoke(ctx.request.body.id);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemApiKeyController.revoke error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 删除API密钥
+   * 接口地址: POST /api/system/apiKey/del
+   * 请求参数:
+   *   - id: 密钥ID（必填）
+   */
+  async del() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.apiKey.del(ctx.request.body.id);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemApiKeyController.del error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+}
+
+module.exports = SystemApiKeyController;
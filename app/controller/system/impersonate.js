@@ -0,0 +1,102 @@
+'use strict';
+
+// 引入基础控制器，用于继承统一的响应方法
+const baseController = require('../baseController');
+
+/**
+ * 模拟登录控制器
+ * 超级管理员以其他管理员身份登录，用于排查对方看到的菜单和数据
+ * 模拟期间的操作日志同时记录被模拟的管理员和实际操作人
+ * @extends baseController
+ */
+class SystemImpersonateController extends baseController {
+  /**
+   * 获取模拟登录记录列表
+   * 接口地址: GET /api/system/impersonate/list
+   * 请求参数:
+   *   - pageNo, pageSize: 分页参数
+   *   - adminId: 实际操作人ID
+   *   - targetId: 被模拟的管理员ID
+   * 返回数据: 分页结果，status: 1=进行中, 2=已结束, 3=已过期
+   */
+  async list() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.impersonate.list(ctx.query);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemImpersonateController.list error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 开始模拟登录
+   * 接口地址: POST /api/system/impersonate/start
+   * 权限: 仅超级管理员
+   * 请求参数:
+   *   - adminId: 被模拟的管理员ID（必填）
+   *   - expire: 有效期（秒），默认见 config.impersonate
+   *   - reason: 模拟原因（必填）
+   * 返回数据: {id, token, expireTime}，Token 到期后不会续签
+   */
+  async start() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.impersonate.start(ctx.request.body);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemImpersonateController.start error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 提前结束模拟登录
+   * 接口地址: POST /api/system/impersonate/revoke
+   * 权限: 仅超级管理员
+   * 请求参数:
+   *   - id: 模拟记录ID（必填）
+   */
+  async revoke() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.impersonate.revoke(ctx.request.body.id);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemImpersonateController.revoke error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 结束当前模拟登录
+   * 接口地址: POST /api/system/impersonate/stop
+   * 权限: 模拟登录会话即可访问，调用后当前 Token 失效
+   */
+  async stop() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.impersonate.stop();
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemImpersonateController.stop error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+}
+
+module.exports = SystemImpersonateController;
@@ -0,0 +1,119 @@
+'use strict';
+
+// 引入基础控制器，用于继承统一的响应方法
+const baseController = require('../baseController');
+
+/**
+ * IP 白名单控制器
+ * 为管理员账号或角色绑定允许访问的 IP 地址或 CIDR 网段
+ * @extends baseController
+ */
+class SystemIpController extends baseController {
+  /**
+   * 获取IP白名单列表
+   * 接口地址: GET /api/system/ip/list
+   * 请求参数:
+   *   - pageNo, pageSize: 分页参数
+   *   - type: 绑定类型 1=管理员, 2=角色
+   *   - targetId: 管理员ID或角色ID
+   *   - ip: IP地址（模糊查询）
+   * 返回数据: 分页结果，targetName 为管理员账号或角色名称
+   */
+  async list() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.authIp.list(ctx.query);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemIpController.list error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 获取IP白名单详情
+   * 接口地址: GET /api/system/ip/detail?id=1
+   */
+  async detail() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.authIp.detail(ctx.query.id);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemIpController.detail error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 添加IP白名单
+   * 接口地址: POST /api/system/ip/add
+   * 请求参数:
+   *   - type: 绑定类型 1=管理员, 2=角色（必填）
+   *   - targetId: 管理员ID或角色ID（必填）
+   *   - ip: IP地址或CIDR网段，如 192.168.1.0/24（必填）
+   *   - remarks: 备注
+   * 说明: 保存后当前管理员自己无法访问时会拒绝保存
+   */
+  async add() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.authIp.add(ctx.request.body);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemIpController.add error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 编辑IP白名单
+   * 接口地址: POST /api/system/ip/edit
+   * 请求参数: id（必填），其余同添加接口
+   */
+  async edit() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.authIp.edit(ctx.request.body);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemIpController.edit error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 删除IP白名单
+   * 接口地址: POST /api/system/ip/del
+   * 请求参数:
+   *   - id: 白名单ID（必填）
+   */
+  async del() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.authIp.del(ctx.request.body.id);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemIpController.del error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+}
+
+module.exports = SystemIpController;
@@ -2,6 +2,8 @@
 
 // 引入基础控制器，用于继承统一的响应方法
 const baseController = require('../baseController');
+// 引入日期处理库，用于生成导出文件名
+const dayjs = require('dayjs');
 
 /**
  * 系统日志控制器类
@@ -55,6 +57,56 @@ class SystemLogController extends baseController {
       ctx.status = 500;
     }
   }
+
+  /**
+   * 获取登录日志列表
+   * 支持按登录账号、IP、状态（1=成功, 2=失败）和时间范围筛选
+   *
+   * 请求示例:
+   * GET /api/system/log/login?pageNo=1&pageSize=20&username=admin&status=2&startTime=2023-01-01&endTime=2023-12-31
+   *
+   * @return {Object} 统一格式的响应数据 { pageNo, pageSize, count, lists }
+   */
+  async login() {
+    const { ctx } = this;
+
+    try {
+      const listReq = ctx.request.query;
+      const data = await ctx.service.log.login(listReq);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemLogController.login error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 导出登录日志
+   * 筛选参数与登录日志列表一致，返回 CSV 文件下载
+   *
+   * 请求示例:
+   * GET /api/system/log/loginExport?status=2&startTime=2023-01-01&endTime=2023-12-31
+   */
+  async loginExport() {
+    const { ctx } = this;
+
+    try {
+      const listReq = ctx.request.query;
+      const csv = await ctx.service.log.loginExport(listReq);
+
+      const filename = `login_log_${dayjs().format('YYYYMMDDHHmmss')}.csv`;
+      ctx.set('Content-Type', 'text/csv; charset=utf-8');
+      ctx.attachment(filename);
+      ctx.body = csv;
+    } catch (err) {
+      ctx.logger.error(`SystemLogController.loginExport error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
 }
 
 // 导出控制器类，供路由系统调用
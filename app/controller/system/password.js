@@ -0,0 +1,62 @@
+'use strict';
+
+// 引入基础控制器，用于继承统一的响应方法
+const baseController = require('../baseController');
+
+/**
+ * 忘记密码控制器
+ * 通过账号绑定的邮箱接收重置链接，自助重置登录密码
+ * @extends baseController
+ */
+class SystemPasswordController extends baseController {
+  /**
+   * 发送密码重置邮件
+   * 接口地址: POST /api/system/password/forgot
+   * 权限: 免登录
+   * 请求参数:
+   *   - username: 登录账号（必填）
+   *   - email: 账号绑定的邮箱（必填）
+   * 返回数据: 空对象；为防止探测账号，账号或邮箱不匹配时同样返回成功
+   */
+  async forgot() {
+    const { ctx } = this;
+
+    try {
+      const { username, email } = ctx.request.body;
+      await ctx.service.passwordReset.forgot(username, email);
+      this.result({
+        data: {},
+        message: '如果账号和邮箱匹配，重置链接已发送到该邮箱',
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemPasswordController.forgot error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 重置密码
+   * 接口地址: POST /api/system/password/reset
+   * 权限: 免登录
+   * 请求参数:
+   *   - token: 重置链接中的凭证（必填）
+   *   - password: 新密码（必填，需符合密码策略）
+   * 返回数据: 空对象，表示重置成功，需使用新密码重新登录
+   */
+  async reset() {
+    const { ctx } = this;
+
+    try {
+      const { token, password } = ctx.request.body;
+      await ctx.service.passwordReset.reset(token, password);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemPasswordController.reset error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+}
+
+module.exports = SystemPasswordController;
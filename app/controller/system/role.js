@@ -7,6 +7,8 @@
 
 // 引入基础控制器，继承通用方法
 const baseController = require('../baseController');
+// 引入配置常量
+const { reqAdminIdKey, superAdminId } = require('../../extend/config');
 
 /**
  * 系统角色控制器
@@ -179,6 +181,35 @@ class SystemRoleController extends baseController {
       ctx.status = 500;
     }
   }
+
+  /**
+   * 设置角色是否强制两步验证
+   * 路由: POST /api/system/role/totpForce
+   * 请求参数: id - 角色ID；totpForce - 0=否, 1=是
+   * 注意：仅超级管理员可操作
+   */
+  async totpForce() {
+    const { ctx } = this;
+    const { authRole } = ctx.service;
+
+    try {
+      if (ctx.session[reqAdminIdKey] !== superAdminId) {
+        this.result({ data: '', message: '仅超级管理员可设置', code: 403 });
+        return;
+      }
+
+      const { id, totpForce } = ctx.request.body;
+      await authRole.setTotpForce(id, parseInt(totpForce, 10));
+
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(err);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
 }
 
 // 导出角色控制器类
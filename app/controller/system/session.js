@@ -0,0 +1,139 @@
+'use strict';
+
+// 引入基础控制器，用于继承统一的响应方法
+const baseController = require('../baseController');
+// 引入配置常量
+const { reqAdminIdKey } = require('../../extend/config');
+
+/**
+ * 登录会话管理控制器
+ * 查看和注销管理员的在线登录会话
+ * @extends baseController
+ */
+class SystemSessionController extends baseController {
+  /**
+   * 获取当前管理员自己的登录会话
+   * 接口地址: GET /api/system/session/self
+   * 权限: 登录即可访问
+   * 返回数据: 会话列表，current=true 表示当前请求所用的会话
+   */
+  async self() {
+    const { ctx } = this;
+
+    try {
+      const adminId = ctx.session[reqAdminIdKey];
+      const data = await ctx.service.authSession.list(adminId, ctx.request.header.token);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemSessionController.self error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 获取指定管理员的所有登录会话
+   * 接口地址: GET /api/system/session/list?adminId=2
+   * 返回数据: 会话列表 [{ id, ip, lastIp, userAgent, device, loginTime, lastSeen, ttl, current }]
+   */
+  async list() {
+    const { ctx } = this;
+
+    try {
+      const adminId = parseInt(ctx.request.query.adminId, 10);
+      if (!adminId) {
+        this.result({ data: '', message: 'adminId参数不能为空', code: 400 });
+        return;
+      }
+      // 数据范围外的管理员视为不存在
+      if (!await ctx.service.dataScope.hasAdmin(adminId)) {
+        this.result({ data: '', message: '管理员不存在', code: 400 });
+        return;
+      }
+      const data = await ctx.service.authSession.list(adminId, ctx.request.header.token);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemSessionController.list error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 注销指定会话
+   * 接口地址: POST /api/system/session/revoke
+   * 请求参数:
+   *   - adminId: 管理员ID（必填）
+   *   - id: 会话ID（必填，来自会话列表）
+   */
+  async revoke() {
+    const { ctx } = this;
+
+    try {
+      const adminId = parseInt(ctx.request.body.adminId, 10);
+      const { id } = ctx.request.body;
+      if (!adminId || !id) {
+        this.result({ data: '', message: 'adminId和id参数不能为空', code: 400 });
+        return;
+      }
+      // 数据范围外的管理员视为不存在
+      if (!await ctx.service.dataScope.hasAdmin(adminId)) {
+        this.result({ data: '', message: '管理员不存在', code: 400 });
+        return;
+      }
+
+      const revoked = await ctx.service.authSession.revoke(adminId, id);
+      if (!revoked) {
+        this.result({ data: '', message: '会话不存在或已失效', code: 400 });
+        return;
+      }
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemSessionController.revoke error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 注销指定管理员的所有会话
+   * 接口地址: POST /api/system/session/revokeAll
+   * 请求参数:
+   *   - adminId: 管理员ID（必填）
+   * 业务规则: 注销自己的会话时保留当前会话
+   */
+  async revokeAll() {
+    const { ctx } = this;
+
+    try {
+      const adminId = parseInt(ctx.request.body.adminId, 10);
+      if (!adminId) {
+        this.result({ data: '', message: 'adminId参数不能为空', code: 400 });
+        return;
+      }
+      // 数据范围外的管理员视为不存在
+      if (!await ctx.service.dataScope.hasAdmin(adminId)) {
+        this.result({ data: '', message: '管理员不存在', code: 400 });
+        return;
+      }
+
+      const exceptToken = adminId === ctx.session[reqAdminIdKey] ? ctx.request.header.token : undefined;
+      await ctx.service.authSession.destroyAll(adminId, exceptToken);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemSessionController.revokeAll error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+}
+
+module.exports = SystemSessionController;
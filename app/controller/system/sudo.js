@@ -0,0 +1,77 @@
+'use strict';
+
+// 引入基础控制器，用于继承统一的响应方法
+const baseController = require('../baseController');
+
+/**
+ * 敏感操作二次验证控制器
+ * 访问敏感接口返回 code=337 时，前端弹出验证框，调用验证接口后重试原请求
+ * @extends baseController
+ */
+class SystemSudoController extends baseController {
+  /**
+   * 获取当前会话的验证状态
+   * 接口地址: GET /api/system/sudo/status
+   * 权限: 登录即可访问
+   * 返回数据: {active, ttl, totp}，totp=true 时可以使用动态口令验证
+   */
+  async status() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.sudo.status(ctx.request.header.token);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemSudoController.status error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 验证密码或动态口令
+   * 接口地址: POST /api/system/sudo/verify
+   * 权限: 登录即可访问（模拟登录时不可用）
+   * 请求参数:
+   *   - password: 登录密码
+   *   - code: 动态口令或恢复码，传入时优先使用
+   * 返回数据: {ttl}，有效期内可以访问敏感接口
+   */
+  async verify() {
+    const { ctx } = this;
+
+    try {
+      const data = await ctx.service.sudo.verify(ctx.request.header.token, ctx.request.body);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemSudoController.verify error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 提前结束验证状态
+   * 接口地址: POST /api/system/sudo/clear
+   * 权限: 登录即可访问
+   */
+  async clear() {
+    const { ctx } = this;
+
+    try {
+      await ctx.service.sudo.clear(ctx.request.header.token);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemSudoController.clear error: ${err}`);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+}
+
+module.exports = SystemSudoController;
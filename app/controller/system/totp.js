@@ -0,0 +1,149 @@
+'use strict';
+
+// 引入基础控制器，用于继承统一的响应方法
+const baseController = require('../baseController');
+// 引入配置常量
+const { reqAdminIdKey } = require('../../extend/config');
+
+/**
+ * 两步验证（TOTP）控制器
+ * 当前管理员绑定/开启/关闭两步验证、管理恢复码，以及为其他管理员重置两步验证
+ * @extends baseController
+ */
+class SystemTotpController extends baseController {
+  /**
+   * 开始绑定两步验证
+   * 接口地址: POST /api/system/totp/enroll
+   * 权限: 登录即可访问
+   * 返回数据: {secret, uri}，uri 可生成二维码供验证器应用扫码，有效期见 config.totp.enrollExpire
+   */
+  async enroll() {
+    const { ctx } = this;
+
+    try {
+      const admin = await this.currentAdmin();
+      const data = await ctx.service.authTotp.enroll(admin);
+      this.result({
+        data,
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemTotpController.enroll error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 校验动态口令并开启两步验证
+   * 接口地址: POST /api/system/totp/enable
+   * 请求参数:
+   *   - code: 验证器应用上的动态口令（必填）
+   * 返回数据: {recoveryCodes}，恢复码只返回这一次，请提示用户妥善保存
+   */
+  async enable() {
+    const { ctx } = this;
+
+    try {
+      const admin = await this.currentAdmin();
+      const recoveryCodes = await ctx.service.authTotp.enable(admin, ctx.request.body.code);
+      this.result({
+        data: {
+          recoveryCodes,
+        },
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemTotpController.enable error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 关闭两步验证
+   * 接口地址: POST /api/system/totp/disable
+   * 请求参数:
+   *   - code: 动态口令或恢复码（必填）
+   * 业务规则: 所属角色强制要求两步验证时不允许关闭
+   */
+  async disable() {
+    const { ctx } = this;
+
+    try {
+      const admin = await this.currentAdmin();
+      await ctx.service.authTotp.disable(admin, ctx.request.body.code);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemTotpController.disable error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 重新生成恢复码
+   * 接口地址: POST /api/system/totp/recovery
+   * 请求参数:
+   *   - code: 动态口令（必填）
+   * 返回数据: {recoveryCodes}，旧恢复码全部失效
+   */
+  async recovery() {
+    const { ctx } = this;
+
+    try {
+      const admin = await this.currentAdmin();
+      const recoveryCodes = await ctx.service.authTotp.regenerateRecovery(admin, ctx.request.body.code);
+      this.result({
+        data: {
+          recoveryCodes,
+        },
+      });
+    } catch (err) {
+      ctx.logger.error(`SystemTotpController.recovery error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
+  }
+
+  /**
+   * 重置指定管理员的两步验证
+   * 接口地址: POST /api/system/totp/reset
+   * 功能: 管理员丢失验证设备时清除其两步验证设置，所属角色强制要求时下次登录需重新绑定
+   * 权限: 需要管理员权限
+   * 请求参数:
+   *   - id: 管理员ID（必填）
+   */
+  async reset() {
+    const { ctx } = this;
+
+    try {
+      const id = parseInt(ctx.request.body.id, 10);
+      if (!id) {
+        this.result({ data: '', message: 'id参数不能为空', code: 400 });
+        return;
+      }
+      await ctx.service.authTotp.reset(id);
+      await ctx.service.authAdmin.cacheAdminUserByUid(id);
+      this.result({
+        data: {},
+      });
+    } catch (err) {
+      ctx.logger.error(err);
+      ctx.body = 'Internal Server Error';
+      ctx.status = 500;
+    }
+  }
+
+  /**
+   * 获取当前登录的管理员记录
+   *
+   * @return {Promise<Object>} SystemAuthAdmin 记录
+   */
+  async currentAdmin() {
+    const { ctx } = this;
+    const admin = await ctx.model.SystemAuthAdmin.findByPk(ctx.session[reqAdminIdKey]);
+    if (!admin) {
+      throw new Error('账号不存在了!');
+    }
+    return admin;
+  }
+}
+
+module.exports = SystemTotpController;
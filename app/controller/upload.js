@@ -23,24 +23,26 @@ class UploadController extends baseController {
 
   /**
    * 图片上传接口
-   * 处理图片文件的上传，包括验证、存储、缩略图生成等操作
-   * 路由: POST /api/upload/img
+   * 处理图片文件的上传，支持一次上传多个文件
+   * 路由: POST /api/upload/uploadImg
    *
-   * @支持格式 通常包括: jpg、jpeg、png、gif、webp 等常见图片格式
+   * @支持格式 config.upload.types.image 中的扩展名，且必须在 config.multipart.whitelist 中
    // eslint-disable-next-line jsdoc/check-tag-names
-   * @文件限制 大小限制、尺寸验证、格式白名单等（在配置文件中定义）
+   * @文件限制 单个文件大小见 config.upload.types.image.maxSize，文件个数见 config.multipart.files
    *
    * @返回数据
    * {
    *   "code": 200,
-   *   "data": {
-   *     "url": "/uploads/images/2023/01/abc.jpg", // 文件访问URL
+   *   "data": [{
+   *     "url": "http://127.0.0.1:8001/public/uploads/image/2023-01-01/1672531200000a1b2c3.jpg", // 文件访问URL
    *     "name": "example.jpg",                    // 文件名
    *     "size": 102400,                          // 文件大小(字节)
-   *     "type": "image/jpeg"                     // 文件类型
-   *   },
-   *   "message": "上传成功"
+   *     "mime": "image/jpeg",                    // 文件类型
+   *     "ext": "jpg"                             // 文件扩展名
+   *   }],
+   *   "message": "请求成功"
    * }
+   * 文件类型或大小不符合要求时返回 code=400
    *
    * @使用场景
    * - 用户头像上传
@@ -50,35 +52,42 @@ class UploadController extends baseController {
    */
   async uploadImg() {
     const { ctx } = this;
-    // 调用上传服务处理图片上传，包括文件验证、存储、路径生成等
-    const result = await ctx.service.upload.uploadImg();
-    // 返回标准化的上传结果
-    this.result({ data: result });
+    try {
+      // 调用上传服务处理图片上传，包括文件验证、存储、路径生成等
+      const result = await ctx.service.upload.uploadImg();
+      // 返回标准化的上传结果
+      this.result({ data: result });
+    } catch (err) {
+      ctx.logger.error(`UploadController.uploadImg error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
   }
 
   /**
    * 文件上传接口
-   * 处理各类文件的上传，支持文档、压缩包、视频等多种格式
-   * 路由: POST /api/upload/file
+   * 处理各类文件的上传，支持文档、压缩包、视频等多种格式，支持一次上传多个文件
+   * 路由: POST /api/upload/uploadFile
    *
-   * @支持格式 基于配置的白名单，通常包括:
-   * - 文档类: txt、pdf、doc、docx、xls、xlsx、ppt、pptx
-   * - 压缩包: zip、rar、7z
-   * - 视频类: mp4、avi、mov、wmv
-   * - 其他: 根据业务需求配置
+   * @支持格式 config.multipart.whitelist 中的扩展名，通常包括:
+   * - 图片类: jpg、jpeg、png、gif、webp
+   * - 文档类: txt、pdf、doc、docx、xls、xlsx、ppt
+   * - 压缩包: zip
+   * - 视频类: mp4、avi、mov、wmv、flv、rmvb
+   * 单个文件大小按类型（image、video、file）限制，见 config.upload.types
    *
    * @返回数据
    * {
    *   "code": 200,
-   *   "data": {
-   *     "url": "/uploads/files/2023/01/document.pdf", // 文件访问URL
+   *   "data": [{
+   *     "url": "http://127.0.0.1:8001/public/uploads/file/2023-01-01/1672531200000a1b2c3.pdf", // 文件访问URL
    *     "name": "document.pdf",                       // 文件名
    *     "size": 2048000,                             // 文件大小(字节)
-   *     "type": "application/pdf",                   // 文件类型
+   *     "mime": "application/pdf",                   // 文件类型
    *     "ext": "pdf"                                 // 文件扩展名
-   *   },
-   *   "message": "上传成功"
+   *   }],
+   *   "message": "请求成功"
    * }
+   * 文件类型或大小不符合要求时返回 code=400
    *
    * @使用场景
    * - 文档资料上传
@@ -88,10 +97,15 @@ class UploadController extends baseController {
    */
   async uploadFile() {
     const { ctx } = this;
-    // 调用上传服务处理文件上传，包含格式验证、安全扫描、存储管理等
-    const result = await ctx.service.upload.uploadFile();
-    // 返回标准化的上传结果
-    this.result({ data: result });
+    try {
+      // 调用上传服务处理文件上传，包含格式验证、存储管理等
+      const result = await ctx.service.upload.uploadFile();
+      // 返回标准化的上传结果
+      this.result({ data: result });
+    } catch (err) {
+      ctx.logger.error(`UploadController.uploadFile error: ${err}`);
+      this.result({ data: '', message: err.message, code: 400 });
+    }
   }
 
 }
@@ -11,44 +11,25 @@ const nodemailer = require('nodemailer');
 const emailTmp = require('./emailTmp');
 
 /**
- * 邮件传输器配置
- * 创建 SMTP 客户端连接，配置发送者邮箱服务器信息
+ * 创建邮件传输器
+ * SMTP 配置保存在 系统设置-邮件设置 中（systemConfig，type=smtp），每次发送时按最新配置创建
  *
- * @配置说明
- * - host: SMTP 服务器地址（163邮箱服务器）
- * - secure: 启用 SSL 安全连接
- * - port: SMTP 端口号（SSL 安全端口）
- * - auth: 邮箱认证信息
+ * @param {Object} smtp - SMTP 配置
+ * @param {string} smtp.host - SMTP 服务器地址，如 smtp.163.com
+ * @param {number} smtp.port - SMTP 端口号，SSL 一般为 465/994，非 SSL 一般为 25/587
+ * @param {boolean} smtp.secure - 是否启用 SSL 安全连接
+ * @param {string} smtp.user - 发件人邮箱账号，为空时不进行认证（如本地测试用 SMTP 服务）
+ * @param {string} smtp.pass - SMTP 授权码（不是邮箱登录密码）
+ * @return {Object} nodemailer 传输器
  */
-const transporter = nodemailer.createTransport({
-  // SMTP 服务器主机地址 - 使用 163 邮箱服务器
-  // 支持的其他服务商：QQ、Gmail、Outlook 等，详见：https://nodemailer.com/smtp/well-known/
-  host: 'smtp.163.com',
-
-  // 启用 SSL 安全连接，确保数据传输加密
-  secure: true,
-
-  // SMTP 端口号，163 邮箱的 SSL 端口为 994
-  // 非 SSL 端口一般为 25 或 587
-  port: 994,
-
-  // 邮箱认证信息
-  auth: {
-    // 发件人邮箱账号
-    user: 'vipbic@163.com',
-
-    /**
-     * SMTP 授权码（不是邮箱登录密码）
-     * 需要在邮箱设置中申请 SMTP 服务并获取授权码
-     *
-     * @安全警告
-     * - 实际生产中不应将授权码硬编码在代码中
-     * - 建议使用环境变量或配置文件存储敏感信息
-     * - 定期更换授权码以提高安全性
-     */
-    pass: 'QWERTYKVRJAKIXVAXJKD',
-  },
-});
+function createTransport(smtp) {
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    ...(smtp.user ? { auth: { user: smtp.user, pass: smtp.pass } } : {}),
+  });
+}
 
 /**
  * 邮件发送服务模块
@@ -61,34 +42,37 @@ module.exports = {
    * 根据提供的参数发送格式化的 HTML 邮件
    *
    * @param {Object} options - 邮件发送选项
+   * @param {Object} options.smtp - SMTP 配置，见 createTransport
    * @param {string} options.userEmail - 收件人邮箱地址
    * @param {string} options.title - 邮件主题/标题
+   * @param {string} options.content - 邮件正文
+   * @param {string} [options.link] - 按钮链接
+   * @param {string} [options.linkText] - 按钮文字
    * @return {Promise} 返回 nodemailer 的发送结果 Promise
    *
    * @邮件内容
-   * - 发件人: vipbic@163.com（固定）
-   * - 收件人: 根据参数动态指定
-   * - 主题: 根据参数动态指定
+   * - 发件人: smtp.from，未设置时使用 smtp.user
+   * - 收件人、主题: 根据参数动态指定
    * - 内容: 使用 emailTmp 模板生成 HTML 格式内容
    *
    * @使用示例
-   * await ctx.helper.email.sendEmail({
+   * await ctx.email.sendEmail({
+   *   smtp,
    *   userEmail: 'user@example.com',
-   *   title: '系统通知'
+   *   title: '系统通知',
+   *   content: '通知内容',
    * });
    *
    * @典型应用场景
-   * - 用户注册验证码
    * - 密码重置链接
    * - 系统通知提醒
-   * - 订单状态更新
    * - 安全报警通知
    */
-  async sendEmail({ userEmail, title }) {
+  async sendEmail({ smtp, userEmail, title, content, link, linkText }) {
     // 配置邮件选项
     const mailOptions = {
-      // 发件人地址，必须与认证的 user 一致
-      from: 'vipbic@163.com',
+      // 发件人地址，大多数 SMTP 服务要求与认证的 user 一致
+      from: smtp.from || smtp.user,
 
       // 收件人地址，支持多个收件人（用逗号分隔）
       // 例如: 'user1@example.com, user2@example.com'
@@ -97,20 +81,14 @@ module.exports = {
       // 邮件主题/标题
       subject: title,
 
-      // 邮件纯文本内容（当前被注释，使用 HTML 内容）
-      // text: '测试内容',
+      // 纯文本内容，供不支持 HTML 的邮件客户端显示
+      text: link ? `${content}\n${link}` : content,
 
-      /**
-       * 邮件 HTML 内容
-       * 使用邮件模板函数生成格式化的 HTML 内容
-       * 传入参数：收件人邮箱和下载量（示例数据）
-       *
-       * @注意 示例中使用了固定的 downloads: 6000，实际应根据业务需求传递动态数据
-       */
-      html: emailTmp({ userEmail, downloads: 6000 }),
+      // 邮件 HTML 内容，使用邮件模板函数生成
+      html: emailTmp({ userEmail, title, content, link, linkText }),
     };
 
     // 发送邮件并返回 Promise
-    return await transporter.sendMail(mailOptions);
+    return await createTransport(smtp).sendMail(mailOptions);
   },
 };
@@ -4,6 +4,19 @@
  * emailTmp.js 是邮件模板生成器，专门用于生成格式化的 HTML 邮件内容模板，支持动态数据插入，为系统邮件通知提供统一、美观的邮件样式。
  */
 
+/**
+ * HTML 转义
+ *
+ * @param {string} str - 原始字符串
+ * @return {string} 转义后的字符串
+ */
+const escapeHtml = str => String(str || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * 邮件模板生成函数
  * 根据传入的动态数据生成格式化的 HTML 邮件内容
@@ -11,7 +24,10 @@
  *
  * @param {Object} params - 模板参数对象
  * @param {string} params.userEmail - 收件人邮箱地址，用于个性化问候
- * @param {number} params.downloads - 下载次数，用于展示统计数据
+ * @param {string} params.title - 邮件标题
+ * @param {string} params.content - 邮件正文
+ * @param {string} [params.link] - 按钮链接，为空时不显示按钮
+ * @param {string} [params.linkText] - 按钮文字
  * @returns {string} 完整的 HTML 邮件内容字符串
  *
  * @模板特性
@@ -21,7 +37,36 @@
  * - 清晰的信息层次结构
  * - 包含行动召唤按钮
  */
-const emailTmp = ({ userEmail, downloads }) => {
+const emailTmp = ({ userEmail, title, content, link, linkText = '点击此处' }) => {
+  // 动态内容统一转义，避免注入 HTML
+  userEmail = escapeHtml(userEmail);
+  title = escapeHtml(title);
+  content = escapeHtml(content);
+  link = escapeHtml(link);
+  linkText = escapeHtml(linkText);
+
+  // 按钮和备用链接，没有链接时不显示
+  const linkHtml = link ? `
+                                                                <!-- 主要行动召唤按钮 -->
+                                                                <p class="cTMail-content" style="font-size: 14px; color: rgb(51, 51, 51); line-height: 24px; margin: 6px 0px 0px; word-wrap: break-word; word-break: break-all;">
+                                                                    <a id="cTMail-btn" href="${link}" title="${linkText}" style="font-size: 16px; line-height: 45px; display: block; background-color: #00e6ff; color: rgb(255, 255, 255); text-align: center; text-decoration: none; margin-top: 20px; border-radius: 3px;">
+                                                                        ${linkText}
+                                                                    </a>
+                                                                </p>
+
+                                                                <!-- 备用链接（防止按钮无法点击） -->
+                                                                <p class="cTMail-content" style="line-height: 24px; margin: 6px 0px 0px; overflow-wrap: break-word; word-break: break-all;">
+                                                                    <span style="color: rgb(51, 51, 51); font-size: 14px;">
+                                                                        <br>
+                                                                        按钮无法点击？请复制以下链接至浏览器打开：
+                                                                        <br>
+                                                                        <a href="${link}" title="${linkText}"
+                                                                           style="color: rgb(0, 164, 255); text-decoration: none; word-break: break-all; overflow-wrap: normal; font-size: 14px;">
+                                                                            ${link}
+                                                                        </a>
+                                                                    </span>
+                                                                </p>` : '';
+
   // 返回完整的 HTML 邮件模板
   return `<div>
         <includetail>
@@ -64,53 +109,22 @@ const emailTmp = ({ userEmail, downloads }) => {
                                                                 
                                                                 <!-- 邮件标题 -->
                                                                 <h1 id="cTMail-title" style="font-size: 20px; line-height: 36px; margin: 0px 0px 22px;">
-                                                                    【Bag】博客开源门户系统
+                                                                    ${title}
                                                                 </h1>
 
                                                                 <!-- 个性化问候语 -->
                                                                 <p id="cTMail-userName" style="font-size:14px;color:#333; line-height:24px; margin:0;">
                                                                     尊敬的${userEmail}用户，您好！
                                                                 </p>
-                                                                
-                                                                <!-- 品牌宣传语 -->
-                                                                <p style="font-size:14px;color:#333; line-height:24px; margin:0; margin-top: 6px;">
-                                                                    优秀的你，才能遇到优秀的世界，Bag管理系统框架
-                                                                </p>
-                                                                
-                                                                <!-- 统计数据展示 -->
-                                                                <p class="cTMail-content" style="line-height: 24px; margin: 6px 0px 0px; overflow-wrap: break-word; word-break: break-all;">
-                                                                    <span style="color: rgb(51, 51, 51); font-size: 14px;">
-                                                                        欢迎下载Bag，下载次数超过 <strong>${downloads}</strong>
-                                                                    </span>
-                                                                </p>
 
-                                                                <!-- 操作指引 -->
+                                                                <!-- 邮件正文 -->
                                                                 <p class="cTMail-content" style="line-height: 24px; margin: 6px 0px 0px; overflow-wrap: break-word; word-break: break-all;">
                                                                     <span style="color: rgb(51, 51, 51); font-size: 14px;">
-                                                                        完成下载，请点击下面按钮进行下载。
+                                                                        ${content}
                                                                         <span style="font-weight: bold;">非本人操作可忽略。</span>
                                                                     </span>
                                                                 </p>
-                                                                
-                                                                <!-- 主要行动召唤按钮 -->
-                                                                <p class="cTMail-content" style="font-size: 14px; color: rgb(51, 51, 51); line-height: 24px; margin: 6px 0px 0px; word-wrap: break-word; word-break: break-all;">
-                                                                    <a id="cTMail-btn" href="" title="" style="font-size: 16px; line-height: 45px; display: block; background-color: #00e6ff; color: rgb(255, 255, 255); text-align: center; text-decoration: none; margin-top: 20px; border-radius: 3px;">
-                                                                        点击此处下载
-                                                                    </a>
-                                                                </p>
-
-                                                                <!-- 备用链接（防止按钮无法点击） -->
-                                                                <p class="cTMail-content" style="line-height: 24px; margin: 6px 0px 0px; overflow-wrap: break-word; word-break: break-all;">
-                                                                    <span style="color: rgb(51, 51, 51); font-size: 14px;">
-                                                                        <br>
-                                                                        无法正常下载？请复制以下链接至浏览器打开：
-                                                                        <br>
-                                                                        <a href="" title=""
-                                                                           style="color: rgb(0, 164, 255); text-decoration: none; word-break: break-all; overflow-wrap: normal; font-size: 14px;">
-                                                                            联系管理员
-                                                                        </a>
-                                                                    </span>
-                                                                </p>
+${linkHtml}
 
                                                                 <!-- 发件人信息 -->
                                                                 <dl style="font-size: 14px; color: rgb(51, 51, 51); line-height: 18px;">
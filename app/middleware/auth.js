@@ -9,31 +9,38 @@
 const {
   notAuthUri, // 免权限验证的接口列表
   notLoginUri, // 免登录验证的接口列表
-  backstageTokenKey, // Token 缓存键前缀
+  pwdChangeUri, // 必须修改密码时允许访问的接口列表
+  impersonateDenyUri, // 模拟登录时禁止访问的接口列表
+  sudoUri, // 需要二次验证的敏感接口列表
   backstageManageKey, // 管理员信息缓存键
-  backstageRolesKey, // 角色权限缓存键
   reqAdminIdKey, // 会话中管理员ID的键名
   reqRoleIdKey, // 会话中角色ID的键名
   reqUsernameKey, // 会话中用户名的键名
   reqNicknameKey, // 会话中昵称的键名
+  superAdminId, // 超级管理员ID
 } = require('../extend/config');
+// URL 工具，用于将请求路径转换为权限标识，并忽略大小写匹配接口列表
+const urlUtil = require('../util/urlUtil');
 
 /**
  * Token 认证授权中间件
  * 负责用户身份验证、权限检查、会话管理等安全功能
  *
- * @param {Object} options - 中间件配置选项
  * @return {Function} 返回 Egg.js 中间件函数
  *
  * @功能特性
  * - Token 有效性验证
+ * - API 密钥（服务账号）认证
  * - 用户状态检查（删除、禁用）
+ * - 管理员/角色 IP 白名单（模拟登录时同时检查实际操作人）
+ * - 超级管理员模拟登录（ctx.impersonator 为实际操作人）
  * - 自动 Token 续签
  * - 基于角色的权限控制
+ * - 敏感操作二次验证（sudo）
  * - 会话信息管理
  * - 接口访问权限验证
  */
-module.exports = options => {
+module.exports = () => {
 
   /**
    * Token 认证中间件主函数
@@ -43,37 +50,33 @@ module.exports = options => {
    * @param {Function} next - 下一个中间件函数
    *
    * @验证流程
-   * 1. 免登录接口检查 → 2. Token 存在性验证 → 3. Token 有效性检查
+   * 1. 免登录接口检查 → 2. Token/API 密钥存在性验证 → 3. Token/API 密钥有效性检查
    * 4. 用户状态检查 → 5. Token 自动续签 → 6. 会话信息保存
-   * 7. 免权限接口检查 → 8. 角色权限验证 → 9. 接口权限验证
+   * 7. API 密钥权限验证 → 8. 免权限接口检查 → 9. 角色权限验证 → 10. 接口权限验证
+   * 11. 敏感操作二次验证
    */
   async function tokenAuth(ctx, next) {
-    // 输出中间件配置和免登录接口列表（用于调试）
-    console.log(options);
-    console.log(notLoginUri, '这里是中间件。');
-
-    // 获取请求 URL 并转换为权限标识格式
-    const url = ctx.request.url;
-    // 将 URL 路径转换为权限标识，例如: /api/system/login → system:login
-    const auths = replaceAll(url.replace('/api/', ''), '/', ':');
+    // 将请求路径转换为权限标识，例如: /api/system/login → system:login（不含查询参数）
+    const auths = urlUtil.toPerms(ctx.path);
 
     /**
      * 步骤1: 免登录接口检查
      * 检查当前请求是否在免登录接口列表中
      * 如果是免登录接口，直接放行到下一个中间件
      */
-    if (notLoginUri.includes(auths)) {
+    if (urlUtil.hasPerms(notLoginUri, auths)) {
       await next();
       return;
     }
 
     /**
      * 步骤2: Token 存在性验证
-     * 检查请求头中是否包含 Token
-     * 如果 Token 为空，返回 403 错误
+     * 检查请求头中是否包含 Token 或 API 密钥（x-api-key）
+     * 两者都为空时返回 403 错误，同时存在时以 Token 为准
      */
     const token = ctx.request.header.token;
-    if (!token) {
+    const key = ctx.get('x-api-key');
+    if (!token && !key) {
       ctx.response.status = 403;
       ctx.body = { code: 332, data: '', message: 'token参数为空' };
       return;
@@ -81,82 +84,112 @@ module.exports = options => {
 
     /**
      * 步骤3: Token 有效性验证
-     * 检查 Token 在 Redis 中是否存在及是否有效
+     * 从 Redis 中读取 Token 对应的会话元数据，不存在或已过期视为无效；
+     * 使用 API 密钥时校验密钥状态和 IP 白名单，请求以密钥绑定的管理员身份执行
      */
-    const tokenKey = backstageTokenKey + token;
-    const exist = await ctx.service.redis.exists(tokenKey);
-
-    // Redis 操作异常处理
-    if (exist < 0) {
-      ctx.response.status = 403;
-      ctx.body = { code: 500, data: '', message: '系统错误' };
-      return;
-    }
-    // Token 不存在或已过期
-    else if (exist === 0) {
-      ctx.response.status = 403;
-      ctx.body = { code: 333, data: '', message: 'token参数无效' };
-      return;
+    let session;
+    let keyPerms = null;
+    if (token) {
+      session = await ctx.service.authSession.get(token);
+      if (!session) {
+        ctx.response.status = 403;
+        ctx.body = { code: 333, data: '', message: 'token参数无效' };
+        return;
+      }
+      // 模拟登录会话：请求以被模拟的管理员身份执行，实际操作人供操作日志等使用
+      if (session.impersonator) {
+        ctx.impersonator = session.impersonator;
+      }
+    } else {
+      const { apiKey, perms, message } = await ctx.service.apiKey.authenticate(key, ctx.request.ip);
+      if (!apiKey) {
+        ctx.response.status = 403;
+        ctx.body = { code: 333, data: '', message };
+        return;
+      }
+      ctx.apiKey = { id: apiKey.id, name: apiKey.name };
+      session = { adminId: apiKey.adminId };
+      keyPerms = perms;
     }
 
     /**
-     * 步骤4: 用户信息获取和验证
-     * 从 Redis 中获取用户ID并验证用户状态
+     * 步骤4: 用户信息获取
+     * 会话元数据中保存了登录的管理员ID
      */
-
-    // 从 Redis 中获取用户ID
-    const uidStr = await ctx.service.redis.get(tokenKey);
-    const uid = uidStr === '' ? 0 : parseInt(uidStr, 10);
-
-    // 用户ID格式验证
-    if (isNaN(uid)) {
-      ctx.response.status = 403;
-      ctx.body = { code: 333, data: '', message: 'token参数无效' };
-      return;
-    }
+    const uid = session.adminId;
+    const uidStr = String(uid);
 
     /**
      * 步骤5: 用户信息缓存检查
      * 检查用户信息是否已缓存，如果未缓存则从数据库加载
      */
-    const hexist = await ctx.service.redis.hExists(backstageManageKey, uidStr);
-    if (!hexist) {
-      // 缓存用户信息到 Redis
-      ctx.service.authAdmin.CacheAdminUserByUid(uid);
-    }
+    const userInfo = await getAdminInfo(ctx, uid);
 
     /**
      * 步骤6: 用户状态检查
-     * 检查用户是否被删除或禁用
+     * 检查用户是否存在、被删除、禁用，以及当前 IP 是否在白名单中
      */
 
-    // 从 Redis 中获取用户信息
-    const userInfo = JSON.parse(await ctx.service.redis.hGet(backstageManageKey, uidStr));
-
-    // 检查用户是否被删除
-    if (userInfo.is_delete === 1) {
+    // 检查用户是否存在或被删除
+    if (!userInfo || userInfo.isDelete === 1) {
       // 清理相关缓存
-      await ctx.service.redis.del(tokenKey);
-      await ctx.service.redis.hDel(backstageManageKey + uidStr);
+      await ctx.service.authSession.destroyAll(uid);
+      await ctx.service.redis.hDel(backstageManageKey, uidStr);
       ctx.response.status = 403;
       ctx.body = { code: 333, data: '', message: '用户被删除' };
       return;
     }
 
-    // 检查用户是否被禁用
-    if (userInfo.is_disable === 1) {
+    // 检查用户是否被禁用，同时注销其所有会话
+    if (userInfo.isDisable === 1) {
+      await ctx.service.authSession.destroyAll(uid);
       ctx.response.status = 403;
       ctx.body = { code: 331, data: '', message: '登录账号已被禁用了' };
       return;
     }
 
+    // 检查管理员及其角色的 IP 白名单，拦截时记录登录日志和操作日志
+    if (!await ctx.service.authIp.check(userInfo, ctx.request.ip)) {
+      await ctx.service.authIp.recordViolation(userInfo, ctx.request.ip);
+      ctx.response.status = 403;
+      ctx.body = { code: 334, data: '', message: '当前IP不允许访问' };
+      return;
+    }
+
+    // 模拟登录时同时检查实际操作人（超级管理员）的 IP 白名单，防止在白名单内创建模拟登录后到其他网络使用
+    if (ctx.impersonator) {
+      const impersonatorInfo = await getAdminInfo(ctx, ctx.impersonator.id);
+      if (!impersonatorInfo || !await ctx.service.authIp.check(impersonatorInfo, ctx.request.ip)) {
+        if (impersonatorInfo) {
+          await ctx.service.authIp.recordViolation(impersonatorInfo, ctx.request.ip);
+        }
+        ctx.response.status = 403;
+        ctx.body = { code: 334, data: '', message: '当前IP不允许访问' };
+        return;
+      }
+    }
+
     /**
      * 步骤7: Token 自动续签
-     * 当 Token 剩余时间小于30分钟时自动续签2小时
+     * 刷新会话最后活跃时间，剩余有效期不足时自动续签（见 authSession.touch）
+     * API 密钥没有会话，不需要续签
      */
-    const ttl = await ctx.service.redis.ttl(tokenKey);
-    if (ttl < 1800) {
-      ctx.service.redis.expire(tokenKey, 7200);
+    if (token) {
+      await ctx.service.authSession.touch(token, session);
+    }
+
+    // 模拟登录时不能修改对方的密码、两步验证等账号安全设置
+    if (ctx.impersonator && urlUtil.hasPerms(impersonateDenyUri, auths)) {
+      ctx.response.status = 403;
+      ctx.body = { code: 336, data: '', message: '模拟登录时不允许该操作' };
+      return;
+    }
+
+    // 首次登录或密码过期时，只允许访问修改密码相关接口
+    if (session.mustChangePwd && !urlUtil.hasPerms(pwdChangeUri, auths)) {
+      ctx.response.status = 403;
+      ctx.body = { code: 335, data: '', message: '请先修改密码' };
+      return;
     }
 
     /**
@@ -169,70 +202,111 @@ module.exports = options => {
     ctx.session[reqNicknameKey] = userInfo.nickname;
 
     /**
-     * 步骤9: 免权限验证检查
-     * 检查是否为免权限接口或超级管理员
-     * 超级管理员（UID=1）拥有所有权限
+     * 步骤9: API 密钥权限验证
+     * API 密钥不享有免权限接口和超级管理员的特权，只能访问授权的权限标识，
+     * 且不超出绑定管理员当前拥有的权限；敏感接口默认不对 API 密钥开放（见 config.sudo.apiKey）
      */
-    if (notAuthUri.includes(auths) || uid === 1) {
+    if (keyPerms) {
+      let allowed;
+      try {
+        allowed = await ctx.service.apiKey.effectivePerms(keyPerms, userInfo);
+      } catch (err) {
+        ctx.logger.error(`auth middleware: load api key perms error: ${err}`);
+        ctx.response.status = 403;
+        ctx.body = { code: 500, data: '', message: '系统错误' };
+        return;
+      }
+      if (!allowed.includes(auths)) {
+        ctx.response.status = 403;
+        ctx.body = { code: 403, data: '', message: '无相关权限' };
+        return;
+      }
       await next();
       return;
     }
 
     /**
-     * 步骤10: 角色权限验证
-     * 验证用户角色对应的菜单权限
+     * 步骤10: 免权限验证检查
+     * 检查是否为免权限接口或超级管理员
+     * 超级管理员（UID=1）拥有所有权限
      */
-    const roleId = userInfo.role;
-    const hExists = ctx.service.redis.hExists(backstageRolesKey, roleId);
-
-    // 如果角色权限未缓存，则从数据库加载并缓存
-    if (hExists) {
-      // 缓存角色菜单权限
-      const roleMenu = await ctx.service.authAdmin.cacheRoleMenusByRoleId(roleId);
-      if (!roleMenu) {
-        ctx.response.status = 403;
-        ctx.body = { code: 500, data: '', message: '系统错误' };
-        return;
+    if (urlUtil.hasPerms(notAuthUri, auths) || uid === superAdminId) {
+      if (await checkSudo(ctx, token, auths)) {
+        await next();
       }
+      return;
     }
 
     /**
-     * 步骤11: 接口权限验证
-     * 检查当前用户是否有访问当前接口的权限
+     * 步骤11: 角色权限获取
+     * 读取用户所有角色的权限标识（菜单及按钮上配置的 perms），未缓存时从数据库加载并缓存
      */
-    const menus = ctx.service.redis.hGet(backstageRolesKey, roleId);
-    const menusArray = menus.split(',');
+    let perms;
+    try {
+      perms = await ctx.service.authAdmin.selectPermsByRoles(userInfo.role);
+    } catch (err) {
+      ctx.logger.error(`auth middleware: load perms error: ${err}`);
+      ctx.response.status = 403;
+      ctx.body = { code: 500, data: '', message: '系统错误' };
+      return;
+    }
 
-    // 验证用户权限列表中是否包含当前接口的权限标识
-    if (!(menus !== '' && menusArray.includes(auths))) {
+    /**
+     * 步骤12: 接口权限验证
+     * 检查当前用户是否有访问当前接口的权限
+     */
+    if (!perms.includes(auths)) {
       ctx.response.status = 403;
       ctx.body = { code: 403, data: '', message: '无相关权限' };
       return;
     }
 
     /**
-     * 步骤12: 验证通过，继续后续处理
-     * 所有验证都通过后，执行下一个中间件或路由处理器
+     * 步骤13: 验证通过，继续后续处理
+     * 敏感接口还需要通过二次验证，所有验证都通过后，执行下一个中间件或路由处理器
      */
-    await next();
+    if (await checkSudo(ctx, token, auths)) {
+      await next();
+    }
   }
 
   /**
-   * 字符串替换工具函数
-   * 将字符串中所有匹配的子串替换为指定内容
+   * 获取管理员缓存信息，未缓存时从数据库加载并缓存到 Redis
    *
-   * @param {string} str - 原始字符串
-   * @param {string} find - 要查找的子串
-   * @param {string} replace - 替换为的子串
-   * @return {string} 替换后的字符串
+   * @param {Object} ctx - Egg.js 上下文对象
+   * @param {number} uid - 管理员ID
+   * @return {Promise<Object|null>} 管理员信息，不存在时返回 null
+   */
+  async function getAdminInfo(ctx, uid) {
+    const uidStr = String(uid);
+    const hexist = await ctx.service.redis.hExists(backstageManageKey, uidStr);
+    if (!hexist) {
+      // 缓存用户信息到 Redis
+      await ctx.service.authAdmin.cacheAdminUserByUid(uid);
+    }
+    return JSON.parse(await ctx.service.redis.hGet(backstageManageKey, uidStr) || 'null');
+  }
+
+  /**
+   * 敏感操作二次验证
+   * 敏感接口（见 config.sudoUri）要求当前会话在有效期内通过 /api/system/sudo/verify 验证，
+   * 未验证时返回 code=337，前端据此弹出验证框；API 密钥没有会话，不做检查（敏感接口默认不在密钥的生效权限中，见 apiKey.effectivePerms）
+   * 路由可能不区分大小写，匹配 sudoUri 时忽略大小写，防止通过 /api/System/Admin/del 等路径绕过
    *
-   * @使用示例
-   * replaceAll('system/user/list', '/', ':') → 'system:user:list'
+   * @param {Object} ctx - Egg.js 上下文对象
+   * @param {string} token - 登录 Token，使用 API 密钥时为空
+   * @param {string} auths - 当前接口的权限标识
+   * @return {Promise<boolean>} 是否允许继续访问
    */
-  function replaceAll(str, find, replace) {
-    return str.replace(new RegExp(find, 'g'), replace);
+  async function checkSudo(ctx, token, auths) {
+    if (!token || !urlUtil.hasPerms(sudoUri, auths) || await ctx.service.sudo.isActive(token)) {
+      return true;
+    }
+    ctx.response.status = 403;
+    ctx.body = { code: 337, data: '', message: '敏感操作，请先验证身份' };
+    return false;
   }
 
   // 返回中间件函数
   return tokenAuth;
-};
\ No newline at end of file
+};
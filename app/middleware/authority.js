@@ -2,68 +2,61 @@
 
 /**
  * 权限验证中间件
- * 功能：用于验证用户登录状态和权限控制
- * 使用方式：在router.js中配置需要权限验证的路由
- * 注意：当前代码中核心验证逻辑被注释，实际只做了异常处理
+ * 功能：在登录认证之前拦截不允许执行的操作
+ * - 内置数据保护：超级管理员、顶级部门等内置数据在任何模式下都不允许编辑或删除
+ * - 演示模式：公开的演示环境只允许查看，拒绝修改类接口
+ * 配置见 config.authority，规则均为权限标识（见 urlUtil.toPerms），* 匹配任意字符，匹配时忽略大小写
  */
 
+// URL 工具，用于将请求路径转换为权限标识并匹配规则
+const urlUtil = require('../util/urlUtil');
+
 /**
  * 中间件工厂函数
- * @param {Object} options 配置选项，可在config中配置
+ * @param {Object} options 配置选项（config.authority）
+ * @param {boolean} options.demo 是否开启演示模式
+ * @param {Array} options.demoBlock 演示模式下拒绝访问的接口规则
+ * @param {Array} options.demoAllow 演示模式下始终放行的接口规则，优先于 demoBlock
+ * @param {Array} options.protect 内置数据保护规则 [{perms, field, ids, message}]
  * @return {Function} 返回实际的中间件函数
  */
 module.exports = options => {
+  const { demo = false, demoBlock = [], demoAllow = [], protect = [] } = options;
+
   /**
    * 权限验证核心函数
    * @param {Object} ctx Egg.js上下文对象，包含request、response等
    * @param {Function} next 下一个中间件的执行函数
+   *
+   * @验证流程
+   * 1. 内置数据保护：请求参数中的ID属于受保护的数据时拒绝（code=338）
+   * 2. 演示模式：匹配 demoBlock 且不匹配 demoAllow 的接口拒绝（code=339）
    */
   async function verify(ctx, next) {
     try {
-      // 打印配置选项，用于调试
-      console.log(options);
-
-      // ==================== 被注释的原始权限验证逻辑 ====================
-      // 原设计包含完整的RSA解密和会话验证流程：
-
-      // 1. 从请求头获取签名信息
-      // const sign = ctx.get('sign')
-
-      // 2. 使用RSA解密签名数据
-      // let decodeData = await ctx.nodersa.rsaDecrypt(sign)
-      // decodeData = JSON.parse(decodeData)
-
-      // 3. 从Redis中验证会话有效性
-      // const nanoid = await ctx.service.redis.get(decodeData.nanoid)
-
-      // 4. 设置响应状态码为403（禁止访问）
-      // ctx.response.status = 403
-
-      // 5. 获取当前请求信息
-      // const req = await ctx.request
+      const auths = urlUtil.toPerms(ctx.path);
+
+      // 1. 内置数据保护，ID 可以是单个值、数组或逗号分隔的字符串
+      const params = { ...ctx.query, ...ctx.request.body };
+      const rule = protect.find(item => urlUtil.matchPerms(auths, item.perms) && toIds(params[item.field]).some(id => item.ids.includes(id)));
+      if (rule) {
+        ctx.response.status = 403;
+        ctx.body = { code: 338, data: '', message: rule.message || '系统内置数据不允许修改' };
+        return;
+      }
+
+      // 2. 演示模式
+      if (demo && urlUtil.matchPerms(auths, demoBlock) && !urlUtil.matchPerms(auths, demoAllow)) {
+        ctx.response.status = 403;
+        ctx.body = { code: 339, data: '', message: '演示环境不允许该操作' };
+        return;
+      }
 
-      // 6. 定义需要保护的API操作类型
-      // const apis = ['edit', 'update', 'delete', 'deletes', 'updatePas']
-
-      // 7. 解析请求URL，获取最后一个路径参数
-      // const lastUrls = req.url.split('/')
-
-      // 8. 检查当前请求是否属于受保护的操作
-      // if (apis.indexOf(lastUrls[lastUrls.length - 1]) > -1) {
-      //     // 如果是演示环境，返回不允许操作的提示
-      //     ctx.body = { code: 1, data: '', message: '演示数据不予许编辑删除' }
-      // } else {
-      //     // 否则继续执行后续中间件
-      //     await next()
-      // }
-      // ==================== 原始逻辑结束 ====================
-
-      // 当前实际执行：直接放行所有请求，不进行权限验证
       await next();
 
     } catch (err) {
-      console.log(err);
       // 异常处理：捕获验证过程中的任何错误
+      ctx.logger.error('authority middleware error:', err);
 
       // 设置HTTP状态码为403（禁止访问）
       ctx.response.status = 403;
@@ -74,10 +67,20 @@ module.exports = options => {
         data: '', // 无返回数据
         message: '系统异常', // 错误提示信息
       };
+    }
+  }
 
-      // 注意：实际项目中建议记录错误日志
-      // ctx.logger.error('authority middleware error:', err);
+  /**
+   * 将请求参数中的ID转换为数字数组
+   * @param {*} value 单个ID、ID数组或逗号分隔的ID字符串
+   * @return {Array<number>} ID数组
+   */
+  function toIds(value) {
+    if (value === undefined || value === null) {
+      return [];
     }
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
   }
 
   // 返回验证函数，供Egg.js框架调用
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * ipRateLimit.js 是认证前的接口限流中间件，在认证中间件之前执行，
+ * 按 IP 限制请求次数，防止通过大量请求猜测 Token 或 API 密钥；
+ * 认证之后按管理员、API 密钥计数的限流见 rateLimit.js。
+ */
+
+// 复用接口限流中间件的计数、响应头和拒绝记录
+const rateLimit = require('./rateLimit');
+
+/**
+ * 认证前的 IP 限流中间件
+ *
+ * @param {Object} options - 中间件配置选项（config.ipRateLimit）
+ * @param {boolean} options.enable - 是否开启限流
+ * @param {Array} options.rules - 限流规则 [{name, pattern, limit, window}]，始终按 IP 计数
+ * @return {Function} 返回 Egg.js 中间件函数
+ */
+module.exports = options => rateLimit({
+  ...options,
+  rules: (options.rules || []).map(rule => ({ ...rule, by: 'ip' })),
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * operateLog.js 是操作日志记录中间件，在认证中间件之后执行，
+ * 自动将已登录管理员的写操作请求记录到 SystemLogOperate 表，作为系统审计依据。
+ */
+
+// 引入系统配置常量
+const {
+  notLoginUri, // 免登录验证的接口列表
+  reqAdminIdKey, // 会话中管理员ID的键名
+} = require('../extend/config');
+// 引入URL处理工具
+const urlUtil = require('../util/urlUtil');
+
+/**
+ * 操作日志中间件
+ *
+ * @param {Object} options - 中间件配置选项（config.operateLog）
+ * @param {Array} options.methods - 需要记录的请求方法
+ * @param {Array} options.maskFields - 需要脱敏的参数名
+ * @param {number} options.maxArgsLength - 请求参数最大记录长度
+ * @return {Function} 返回 Egg.js 中间件函数
+ *
+ * @记录内容
+ * - 操作人（模拟登录时另记实际操作人）、请求地址、请求方式、脱敏后的请求参数、IP
+ * - 执行状态（1=成功, 2=失败）及错误信息
+ * - 开始时间、结束时间、执行耗时（毫秒）
+ */
+module.exports = options => {
+  const methods = options.methods || [ 'POST', 'PUT', 'DELETE', 'PATCH' ];
+  const maskFields = (options.maskFields || []).map(field => field.toLowerCase());
+  const maxArgsLength = options.maxArgsLength || 2000;
+
+  async function operateLog(ctx, next) {
+    const auths = urlUtil.toPerms(ctx.path);
+
+    // 只记录已登录管理员的写操作，免登录接口（如登录）不记录
+    if (!methods.includes(ctx.method) || urlUtil.hasPerms(notLoginUri, auths)) {
+      await next();
+      return;
+    }
+
+    const startMs = Date.now();
+    let error = '';
+
+    try {
+      await next();
+    } catch (err) {
+      error = err.message || String(err);
+      throw err;
+    } finally {
+      const endMs = Date.now();
+      const body = ctx.body;
+
+      // 业务状态码不为200或HTTP状态码异常均视为失败
+      if (!error) {
+        if (body && typeof body === 'object' && body.code !== undefined && body.code !== 200) {
+          error = body.message || `code: ${body.code}`;
+        } else if (ctx.status >= 400) {
+          error = typeof body === 'string' ? body : `status: ${ctx.status}`;
+        }
+      }
+
+      const record = {
+        adminId: ctx.session[reqAdminIdKey] || 0,
+        realAdminId: ctx.impersonator ? ctx.impersonator.id : ctx.session[reqAdminIdKey] || 0,
+        type: ctx.method,
+        ip: ctx.request.ip,
+        url: ctx.path,
+        method: auths,
+        args: sanitizeArgs({ ...ctx.query, ...ctx.request.body }),
+        error,
+        status: error ? 2 : 1,
+        startTime: Math.floor(startMs / 1000),
+        endTime: Math.floor(endMs / 1000),
+        taskTime: endMs - startMs,
+      };
+
+      // 后台写入日志，不阻塞响应
+      ctx.runInBackground(async () => {
+        await ctx.service.log.recordOperate(record);
+      });
+    }
+  }
+
+  /**
+   * 请求参数脱敏
+   * 将密码、Token 等敏感字段替换为掩码，并限制记录长度
+   *
+   * @param {Object} args - 请求参数
+   * @return {string} 脱敏后的 JSON 字符串
+   */
+  function sanitizeArgs(args) {
+    const json = JSON.stringify(args, (key, value) => {
+      if (key && maskFields.some(field => key.toLowerCase().includes(field))) {
+        return '******';
+      }
+      return value;
+    });
+    if (!json || json === '{}') {
+      return '';
+    }
+    return json.length > maxArgsLength ? json.slice(0, maxArgsLength) + '...' : json;
+  }
+
+  return operateLog;
+};
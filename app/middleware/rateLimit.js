@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * rateLimit.js 是接口限流中间件，在认证中间件之后执行，
+ * 按接口规则对同一身份（管理员、API 密钥或 IP）在滑动窗口内的请求次数进行限制。
+ */
+
+// 引入系统配置常量
+const {
+  notLoginUri, // 免登录验证的接口列表
+  reqAdminIdKey, // 会话中管理员ID的键名
+} = require('../extend/config');
+// 引入URL处理工具
+const urlUtil = require('../util/urlUtil');
+
+/**
+ * 接口限流中间件
+ *
+ * @param {Object} options - 中间件配置选项（config.rateLimit）
+ * @param {boolean} options.enable - 是否开启限流
+ * @param {Array} options.rules - 限流规则 [{name, pattern, limit, window, by}]，按顺序取第一条匹配的规则
+ * @return {Function} 返回 Egg.js 中间件函数
+ *
+ * @响应头
+ * - RateLimit-Limit: 窗口内允许的最大次数
+ * - RateLimit-Remaining: 窗口内剩余次数
+ * - RateLimit-Reset: 窗口重置的剩余秒数
+ * - Retry-After: 被拒绝时，多少秒后可以重试
+ *
+ * @拒绝响应 HTTP 429，code=429，同时记录到限流统计（见 /api/monitor/rateLimit）
+ */
+module.exports = options => {
+  const { enable = false } = options;
+  // 规则的 pattern 为接口路径（如 /api/common/upload/*），转换为权限标识后匹配
+  const rules = (options.rules || []).map(rule => ({
+    ...rule,
+    perms: urlUtil.toPerms(rule.pattern),
+  }));
+
+  async function rateLimit(ctx, next) {
+    const auths = urlUtil.toPerms(ctx.path);
+    const rule = enable ? rules.find(item => urlUtil.matchPerms(auths, [ item.perms ])) : null;
+    if (!rule) {
+      await next();
+      return;
+    }
+
+    const identity = identify(ctx, auths, rule);
+    let result;
+    try {
+      result = await ctx.service.rateLimit.hit(rule, identity);
+    } catch (err) {
+      // Redis 异常时不限流，避免影响正常访问
+      ctx.logger.error(`rateLimit middleware error: ${err}`);
+      await next();
+      return;
+    }
+
+    const reset = Math.max(Math.ceil(result.resetMs / 1000), 1);
+    ctx.set('RateLimit-Limit', String(rule.limit));
+    ctx.set('RateLimit-Remaining', String(Math.max(rule.limit - result.count, 0)));
+    ctx.set('RateLimit-Reset', String(reset));
+
+    if (!result.allowed) {
+      ctx.set('Retry-After', String(reset));
+      ctx.response.status = 429;
+      ctx.body = { code: 429, data: '', message: '请求过于频繁，请稍后再试' };
+
+      // 后台记录，不阻塞响应
+      const entry = { rule: rule.name, identity, path: ctx.path, ip: ctx.request.ip };
+      ctx.runInBackground(async () => {
+        await ctx.service.rateLimit.record(entry);
+      });
+      return;
+    }
+
+    await next();
+  }
+
+  /**
+   * 获取请求身份
+   * API 密钥 > 已登录管理员 > IP；免登录接口和 by=ip 的规则始终按 IP 计数
+   *
+   * @param {Object} ctx - Egg.js 上下文对象
+   * @param {string} auths - 当前接口的权限标识
+   * @param {Object} rule - 匹配的限流规则
+   * @return {string} 请求身份，如 key:2、admin:1、ip:127.0.0.1
+   */
+  function identify(ctx, auths, rule) {
+    if (rule.by !== 'ip' && !urlUtil.hasPerms(notLoginUri, auths)) {
+      if (ctx.apiKey) {
+        return `key:${ctx.apiKey.id}`;
+      }
+      if (ctx.session[reqAdminIdKey]) {
+        return `admin:${ctx.session[reqAdminIdKey]}`;
+      }
+    }
+    return `ip:${ctx.request.ip}`;
+  }
+
+  return rateLimit;
+};
@@ -55,16 +55,41 @@ module.exports = app => {
       allowNull: false,
       defaultValue: '', // 默认空字符串
     },
-    // 文件存储路径或URI
+    // 存储引擎别名（local、s3），文件上传时使用的存储引擎
+    engine: {
+      type: STRING(20),
+      allowNull: false,
+      defaultValue: 'local',
+    },
+    // 文件存储路径或URI（存储驱动的文件键）
     uri: {
       type: STRING(200), // 字符串类型，最大长度200
       allowNull: false, // 不允许为空，必须提供文件路径
     },
-    // 文件扩展名
+    // 文件真实类型（按文件内容检测的 MIME 类型，如 image/jpeg）
     ext: {
-      type: STRING(10), // 字符串类型，最大长度10
+      type: STRING(50), // 字符串类型，最大长度50
+      allowNull: false,
+      defaultValue: '',
+    },
+    // 上传文件内容 SHA-256（去除图片元数据前），相同内容的文件共用同一个存储对象
+    hash: {
+      type: STRING(64),
+      allowNull: false,
+      defaultValue: '',
+    },
+    // 已生成的缩略图尺寸，逗号分隔（如 200x200,800x800），见 config.thumbnail
+    variants: {
+      type: STRING(255),
+      allowNull: false,
+      defaultValue: '',
+    },
+    // 缩略图生成失败或不支持时的尺寸配置（如 200x200,800x800），尺寸配置不变时不再补生成
+    thumbFail: {
+      type: STRING(255),
       allowNull: false,
       defaultValue: '',
+      field: 'thumb_fail',
     },
     // 文件大小（字节）
     size: {
@@ -125,6 +150,7 @@ module.exports = app => {
     createdAt: false, // 禁用 Sequelize 自动管理的 createdAt 字段
     updatedAt: false, // 禁用 Sequelize 自动管理的 updatedAt 字段
     tableName: 'la_album', // 指定实际数据库表名
+    indexes: [{ fields: [ 'hash' ] }], // 上传时按内容查找已存在的文件
   });
 
   // 返回模型实例，供其他文件使用
@@ -0,0 +1,143 @@
+'use strict';
+const moment = require('moment');
+
+module.exports = app => {
+  const { STRING, INTEGER, SMALLINT, TEXT } = app.Sequelize;
+
+  const modelDefinition = {
+    id: {
+      type: INTEGER.UNSIGNED,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+      comment: '主键',
+    },
+    name: {
+      type: STRING(64),
+      characterSet: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '密钥名称',
+    },
+    adminId: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '绑定的管理员ID（服务账号）',
+      field: 'admin_id',
+    },
+    keyPrefix: {
+      type: STRING(16),
+      allowNull: false,
+      defaultValue: '',
+      comment: '密钥前缀（明文，用于查找和展示）',
+      field: 'key_prefix',
+    },
+    keyHash: {
+      type: STRING(64),
+      allowNull: false,
+      defaultValue: '',
+      comment: '密钥SHA256摘要',
+      field: 'key_hash',
+    },
+    perms: {
+      type: TEXT,
+      allowNull: true,
+      comment: '授权的权限标识，多个用逗号分隔',
+    },
+    ipWhitelist: {
+      type: STRING(1000),
+      allowNull: false,
+      defaultValue: '',
+      comment: 'IP白名单，多个用逗号分隔，支持CIDR，为空不限制',
+      field: 'ip_whitelist',
+    },
+    remarks: {
+      type: STRING(250),
+      characterSet: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '备注',
+    },
+    createBy: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '创建人ID',
+      field: 'create_by',
+    },
+    expireTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '过期时间: 0=永不过期',
+      field: 'expire_time',
+    },
+    lastUsedIp: {
+      type: STRING(64),
+      allowNull: false,
+      defaultValue: '',
+      comment: '最后使用IP',
+      field: 'last_used_ip',
+    },
+    lastUsedTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '最后使用时间',
+      field: 'last_used_time',
+    },
+    isRevoke: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '是否吊销: 0=否, 1=是',
+      field: 'is_revoke',
+    },
+    isDelete: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '是否删除: 0=否, 1=是',
+      field: 'is_delete',
+    },
+    createTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '创建时间',
+      field: 'create_time',
+      get() {
+        const timestamp = this.getDataValue('createTime') * 1000;
+        return moment(timestamp).format('YYYY-MM-DD HH:mm:ss');
+      },
+    },
+    updateTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '更新时间',
+      field: 'update_time',
+      get() {
+        const timestamp = this.getDataValue('updateTime') * 1000;
+        return moment(timestamp).format('YYYY-MM-DD HH:mm:ss');
+      },
+    },
+    deleteTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '删除时间',
+      field: 'delete_time',
+    },
+  };
+  const SystemApiKey = app.model.define('SystemApiKey', modelDefinition, {
+    createdAt: false, // 指定名字
+    updatedAt: false,
+    tableName: 'la_system_api_key', // 定义实际表名
+  });
+
+  return SystemApiKey;
+};
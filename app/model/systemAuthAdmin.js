@@ -2,7 +2,7 @@
 const moment = require('moment');
 
 module.exports = app => {
-  const { STRING, INTEGER, SMALLINT } = app.Sequelize;
+  const { STRING, INTEGER, SMALLINT, TEXT } = app.Sequelize;
 
   const modelDefinition = {
     id: {
@@ -42,6 +42,23 @@ module.exports = app => {
       defaultValue: '',
       comment: '用户昵称',
     },
+    email: {
+      type: STRING(100),
+      charset: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '邮箱（用于找回密码）',
+    },
+    ssoSubject: {
+      type: STRING(191),
+      charset: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '单点登录身份标识(OIDC sub)',
+      field: 'sso_subject',
+    },
     password: {
       type: STRING(200),
       charset: 'utf8mb4',
@@ -101,6 +118,51 @@ module.exports = app => {
       comment: '是否删除: 0=否, 1=是',
       field: 'is_delete',
     },
+    totpEnable: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '两步验证: 0=未开启, 1=已开启',
+      field: 'totp_enable',
+    },
+    totpSecret: {
+      type: STRING(64),
+      charset: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '两步验证密钥(Base32)',
+      field: 'totp_secret',
+    },
+    totpRecovery: {
+      type: STRING(1000),
+      charset: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '两步验证恢复码哈希(JSON数组)',
+      field: 'totp_recovery',
+    },
+    pwdHistory: {
+      type: TEXT,
+      allowNull: true,
+      comment: '历史密码哈希(JSON数组，最近的在前)',
+      field: 'pwd_history',
+    },
+    pwdChangeTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '密码修改时间',
+      field: 'pwd_change_time',
+    },
+    pwdMustChange: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '下次登录必须修改密码: 0=否, 1=是',
+      field: 'pwd_must_change',
+    },
     lastLoginIp: {
       type: STRING(20),
       charset: 'utf8mb4',
@@ -0,0 +1,83 @@
+'use strict';
+const moment = require('moment');
+
+module.exports = app => {
+  const { STRING, INTEGER } = app.Sequelize;
+
+  const modelDefinition = {
+    id: {
+      type: INTEGER.UNSIGNED,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+      comment: '主键',
+    },
+    adminId: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '实际操作人ID（超级管理员）',
+      field: 'admin_id',
+    },
+    targetId: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '被模拟的管理员ID',
+      field: 'target_id',
+    },
+    reason: {
+      type: STRING(200),
+      characterSet: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '模拟原因',
+    },
+    ip: {
+      type: STRING(64),
+      allowNull: false,
+      defaultValue: '',
+      comment: '发起IP',
+    },
+    expireTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '过期时间',
+      field: 'expire_time',
+    },
+    revokeTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '结束时间: 0=未提前结束',
+      field: 'revoke_time',
+    },
+    revokeBy: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '结束操作人ID',
+      field: 'revoke_by',
+    },
+    createTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '创建时间',
+      field: 'create_time',
+      get() {
+        const timestamp = this.getDataValue('createTime') * 1000;
+        return moment(timestamp).format('YYYY-MM-DD HH:mm:ss');
+      },
+    },
+  };
+  const SystemAuthImpersonate = app.model.define('SystemAuthImpersonate', modelDefinition, {
+    createdAt: false, // 指定名字
+    updatedAt: false,
+    tableName: 'la_system_auth_impersonate', // 定义实际表名
+  });
+
+  return SystemAuthImpersonate;
+};
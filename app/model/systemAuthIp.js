@@ -0,0 +1,86 @@
+'use strict';
+const moment = require('moment');
+
+module.exports = app => {
+  const { STRING, INTEGER, SMALLINT } = app.Sequelize;
+
+  const modelDefinition = {
+    id: {
+      type: INTEGER.UNSIGNED,
+      autoIncrement: true,
+      allowNull: false,
+      primaryKey: true,
+      comment: '主键',
+    },
+    type: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '绑定类型: 1=管理员, 2=角色',
+    },
+    targetId: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '管理员ID或角色ID',
+      field: 'target_id',
+    },
+    ip: {
+      type: STRING(64),
+      allowNull: false,
+      defaultValue: '',
+      comment: 'IP地址或CIDR网段',
+    },
+    remarks: {
+      type: STRING(250),
+      characterSet: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '备注',
+    },
+    isDelete: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '是否删除: 0=否, 1=是',
+      field: 'is_delete',
+    },
+    createTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '创建时间',
+      field: 'create_time',
+      get() {
+        const timestamp = this.getDataValue('createTime') * 1000;
+        return moment(timestamp).format('YYYY-MM-DD HH:mm:ss');
+      },
+    },
+    updateTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '更新时间',
+      field: 'update_time',
+      get() {
+        const timestamp = this.getDataValue('updateTime') * 1000;
+        return moment(timestamp).format('YYYY-MM-DD HH:mm:ss');
+      },
+    },
+    deleteTime: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '删除时间',
+      field: 'delete_time',
+    },
+  };
+  const SystemAuthIp = app.model.define('SystemAuthIp', modelDefinition, {
+    createdAt: false, // 指定名字
+    updatedAt: false,
+    tableName: 'la_system_auth_ip', // 定义实际表名
+  });
+
+  return SystemAuthIp;
+};
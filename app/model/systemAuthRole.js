@@ -42,6 +42,29 @@ module.exports = app => {
       comment: '是否禁用: 0=否, 1=是',
       field: 'is_disable',
     },
+    dataScope: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '数据范围: 1=全部, 2=自定义部门, 3=本部门, 4=本部门及以下, 5=仅本人',
+      field: 'data_scope',
+    },
+    deptIds: {
+      type: STRING(1000),
+      characterSet: 'utf8mb4',
+      collation: 'utf8mb4_general_ci',
+      allowNull: false,
+      defaultValue: '',
+      comment: '自定义数据范围的部门ID(逗号分隔)',
+      field: 'dept_ids',
+    },
+    totpForce: {
+      type: SMALLINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '强制两步验证: 0=否, 1=是',
+      field: 'totp_force',
+    },
     createTime: {
       type: INTEGER.UNSIGNED,
       allowNull: false,
@@ -18,6 +18,13 @@ module.exports = app => {
       comment: '操作人ID',
       field: 'admin_id',
     },
+    realAdminId: {
+      type: INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '实际操作人ID（模拟登录时为超级管理员）',
+      field: 'real_admin_id',
+    },
     type: {
       type: STRING(30),
       allowNull: false,
@@ -104,6 +111,10 @@ module.exports = app => {
     app.model.SystemLogOperate.belongsTo(app.model.SystemAuthAdmin, {
       foreignKey: 'adminId', as: 'admin',
     });
+    // 实际操作人，模拟登录时与 admin 不同
+    app.model.SystemLogOperate.belongsTo(app.model.SystemAuthAdmin, {
+      foreignKey: 'realAdminId', as: 'realAdmin',
+    });
   };
 
   return SystemLogOperate;
@@ -7,5 +7,6 @@ module.exports = app => {
   });
   // 加载路由文件
   require('./router/system')(app);
+  require('./router/upload')(app);
   // require('./router/socket')(app); // 开启之后需要连接 有超时阻塞
 };
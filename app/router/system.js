@@ -17,6 +17,24 @@ module.exports = app => {
   router.all('/api/system/login', controller.system.login);
   /** 用户退出登录 */
   router.all('/api/system/logout', controller.system.logout);
+  /** 登录图形验证码 */
+  router.all('/api/system/captcha', controller.system.captcha);
+  /** 登录密码加密公钥 */
+  router.all('/api/system/login/publicKey', controller.system.publicKey);
+  /** 单点登录信息 */
+  router.all('/api/system/login/sso', controller.system.sso);
+  /** 单点登录：获取身份提供方授权地址 */
+  router.all('/api/system/login/ssoAuthorize', controller.system.ssoAuthorize);
+  /** 单点登录：回调提交授权码完成登录 */
+  router.all('/api/system/login/ssoCallback', controller.system.ssoCallback);
+  /** 两步登录：登录过程中绑定两步验证 */
+  router.all('/api/system/login/totpSetup', controller.system.totpSetup);
+  /** 两步登录：校验动态口令并完成登录 */
+  router.all('/api/system/login/totp', controller.system.totpLogin);
+  /** 忘记密码：发送密码重置邮件 */
+  router.all('/api/system/password/forgot', controller.system.password.forgot);
+  /** 忘记密码：通过邮件中的链接重置密码 */
+  router.all('/api/system/password/reset', controller.system.password.reset);
   /** 获取菜单路由信息 */
   router.all('/api/system/menu/route', controller.system.menusRoute);
   /** 控制台首页数据 */
@@ -60,6 +78,8 @@ module.exports = app => {
   router.all('/api/system/admin/list', controller.system.admin.adminList);
   /** 获取当前登录管理员信息 */
   router.all('/api/system/admin/self', controller.system.admin.self);
+  /** 获取当前登录管理员的权限标识 */
+  router.all('/api/system/admin/perms', controller.system.admin.perms);
   /** 添加管理员 */
   router.all('/api/system/admin/add', controller.system.admin.add);
   /** 获取管理员详情 */
@@ -72,6 +92,78 @@ module.exports = app => {
   router.all('/api/system/admin/del', controller.system.admin.del);
   /** 禁用/启用管理员 */
   router.all('/api/system/admin/disable', controller.system.admin.disable);
+  /** 解除管理员登录锁定 */
+  router.all('/api/system/admin/unlock', controller.system.admin.unlock);
+
+  // ==================== 登录会话管理路由 ====================
+
+  /** 获取当前管理员自己的登录会话 */
+  router.all('/api/system/session/self', controller.system.session.self);
+  /** 获取指定管理员的登录会话 */
+  router.all('/api/system/session/list', controller.system.session.list);
+  /** 注销指定会话 */
+  router.all('/api/system/session/revoke', controller.system.session.revoke);
+  /** 注销指定管理员的所有会话 */
+  router.all('/api/system/session/revokeAll', controller.system.session.revokeAll);
+
+  // ==================== IP 白名单路由 ====================
+
+  /** 获取IP白名单列表 */
+  router.all('/api/system/ip/list', controller.system.ip.list);
+  /** 获取IP白名单详情 */
+  router.all('/api/system/ip/detail', controller.system.ip.detail);
+  /** 添加IP白名单 */
+  router.all('/api/system/ip/add', controller.system.ip.add);
+  /** 编辑IP白名单 */
+  router.all('/api/system/ip/edit', controller.system.ip.edit);
+  /** 删除IP白名单 */
+  router.all('/api/system/ip/del', controller.system.ip.del);
+
+  // ==================== API 密钥管理路由 ====================
+
+  /** 获取API密钥列表 */
+  router.all('/api/system/apiKey/list', controller.system.apiKey.list);
+  /** 创建API密钥 */
+  router.all('/api/system/apiKey/add', controller.system.apiKey.add);
+  /** 编辑API密钥 */
+  router.all('/api/system/apiKey/edit', controller.system.apiKey.edit);
+  /** 吊销API密钥 */
+  router.all('/api/system/apiKey/revoke', controller.system.apiKey.revoke);
+  /** 删除API密钥 */
+  router.all('/api/system/apiKey/del', controller.system.apiKey.del);
+
+  // ==================== 模拟登录路由 ====================
+
+  /** 模拟登录记录列表 */
+  router.all('/api/system/impersonate/list', controller.system.impersonate.list);
+  /** 开始模拟登录 */
+  router.all('/api/system/impersonate/start', controller.system.impersonate.start);
+  /** 提前结束模拟登录 */
+  router.all('/api/system/impersonate/revoke', controller.system.impersonate.revoke);
+  /** 结束当前模拟登录 */
+  router.all('/api/system/impersonate/stop', controller.system.impersonate.stop);
+
+  // ==================== 敏感操作二次验证路由 ====================
+
+  /** 获取敏感操作验证状态 */
+  router.all('/api/system/sudo/status', controller.system.sudo.status);
+  /** 验证密码或动态口令 */
+  router.all('/api/system/sudo/verify', controller.system.sudo.verify);
+  /** 结束敏感操作验证 */
+  router.all('/api/system/sudo/clear', controller.system.sudo.clear);
+
+  // ==================== 两步验证路由 ====================
+
+  /** 开始绑定两步验证 */
+  router.all('/api/system/totp/enroll', controller.system.totp.enroll);
+  /** 开启两步验证 */
+  router.all('/api/system/totp/enable', controller.system.totp.enable);
+  /** 关闭两步验证 */
+  router.all('/api/system/totp/disable', controller.system.totp.disable);
+  /** 重新生成恢复码 */
+  router.all('/api/system/totp/recovery', controller.system.totp.recovery);
+  /** 重置指定管理员的两步验证 */
+  router.all('/api/system/totp/reset', controller.system.totp.reset);
 
   // ==================== 角色管理路由 ====================
 
@@ -87,6 +179,8 @@ module.exports = app => {
   router.all('/api/system/role/edit', controller.system.role.edit);
   /** 删除角色 */
   router.all('/api/system/role/del', controller.system.role.del);
+  /** 设置角色是否强制两步验证 */
+  router.all('/api/system/role/totpForce', controller.system.role.totpForce);
 
   // ==================== 菜单管理路由 ====================
 
@@ -143,6 +237,20 @@ module.exports = app => {
   router.all('/api/setting/protocol/detail', controller.setting.protocol.details);
   /** 保存协议信息 */
   router.all('/api/setting/protocol/save', controller.setting.protocol.save);
+  /** 获取安全设置 */
+  router.all('/api/setting/security/detail', controller.setting.security.details);
+  /** 保存安全设置 */
+  router.all('/api/setting/security/save', controller.setting.security.save);
+  /** 获取邮件设置 */
+  router.all('/api/setting/smtp/detail', controller.setting.smtp.details);
+  /** 保存邮件设置 */
+  router.all('/api/setting/smtp/save', controller.setting.smtp.save);
+  /** 发送测试邮件 */
+  router.all('/api/setting/smtp/test', controller.setting.smtp.test);
+  /** 单点登录设置详情 */
+  router.all('/api/setting/sso/detail', controller.setting.sso.details);
+  /** 保存单点登录设置 */
+  router.all('/api/setting/sso/save', controller.setting.sso.save);
   /** 获取存储配置列表 */
   router.all('/api/setting/storage/list', controller.setting.storage.list);
   /** 获取存储配置详情 */
@@ -158,11 +266,17 @@ module.exports = app => {
   router.all('/api/monitor/server', controller.monitor.monitor.server);
   /** 获取缓存监控信息 */
   router.all('/api/monitor/cache', controller.monitor.monitor.cache);
+  /** 获取接口限流统计 */
+  router.all('/api/monitor/rateLimit', controller.monitor.monitor.rateLimit);
 
   // ==================== 日志管理路由 ====================
 
   /** 获取操作日志列表 */
   router.all('/api/system/log/operate', controller.system.log.operate);
+  /** 获取登录日志列表 */
+  router.all('/api/system/log/login', controller.system.log.login);
+  /** 导出登录日志 */
+  router.all('/api/system/log/loginExport', controller.system.log.loginExport);
 
   // ==================== 字典管理路由 ====================
 
@@ -207,4 +321,4 @@ module.exports = app => {
   router.all('/api/gen/previewCode', controller.gen.gen.previewCode);
   /** 下载生成代码 */
   router.all('/api/gen/downloadCode', controller.gen.gen.downloadCode);
-};
\ No newline at end of file
+};
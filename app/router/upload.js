@@ -2,6 +2,8 @@
 
 module.exports = app => {
   const { router, controller } = app;
-  router.all('/upload/uploadImg', controller.upload.uploadImg);
-  router.all('/upload/uploadFile', controller.upload.uploadFile);
+  /** 上传图片 */
+  router.all('/api/upload/uploadImg', controller.upload.uploadImg);
+  /** 上传文件 */
+  router.all('/api/upload/uploadFile', controller.upload.uploadFile);
 };
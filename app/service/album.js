@@ -2,22 +2,18 @@
 
 // 引入必要的依赖模块
 const Service = require('egg').Service;
+const crypto = require('crypto');
 const Sequelize = require('sequelize');
 const Op = Sequelize.Op; // Sequelize 操作符
 const util = require('../util'); // 自定义工具函数
-const urlUtil = require('../util/urlUtil'); // URL处理工具
-const path = require('path'); // Node.js路径模块
 const { reqAdminIdKey } = require('../extend/config'); // 配置中的管理员ID键名
-const fs = require('fs'); // 文件系统模块
 
-// 异步二进制写入流处理
-const awaitWriteStream = require('await-stream-ready').write;
 // 管道读入虫洞（用于处理流错误）
 const sendToWormhole = require('stream-wormhole');
-// 递归创建目录
-const mkdirp = require('mkdirp');
-// 日期处理库
-const dayjs = require('dayjs');
+// 读取上传文件流
+const { readStream } = require('../util/storageUtil');
+// 上传文件内容检测
+const fileTypeUtil = require('../util/fileTypeUtil');
 
 /**
  * 相册服务类
@@ -178,7 +174,7 @@ class AlbumService extends Service {
   /**
    * 获取相册文件列表（分页）
    * @param {Object} listReq 请求参数 {cid, name, type, pageSize, pageNo}
-   * @return {Object} 分页结果 {pageNo, pageSize, count, lists}
+   * @return {Object} 分页结果 {pageNo, pageSize, count, lists}，图片的 thumbs 为各尺寸缩略图地址（见 config.thumbnail）
    */
   async albumList(listReq) {
     const { ctx } = this;
@@ -209,6 +205,9 @@ class AlbumService extends Service {
       where.type = type;
     }
 
+    // 角色数据范围：只能查看有权限的部门下管理员上传的文件
+    await this.scopeWhere(where);
+
     // 获取总数
     const count = await ctx.model.Album.count({ where });
 
@@ -220,27 +219,27 @@ class AlbumService extends Service {
       order: [[ 'id', 'DESC' ]],
     });
 
-    // 处理查询结果
-    const albumResps = albums.map(album => {
-      const albumResp = album;
-      return albumResp;
-    });
+    // 按文件上传时使用的存储引擎生成访问地址
+    const drivers = {};
 
-    // 当前存储引擎（目前只支持local）
-    const engine = 'local';
-
-    // 处理每个文件的路径和大小显示
-    for (let i = 0; i < albumResps.length; i++) {
-      if (engine === 'local') {
-        // 本地存储：直接使用URI作为路径
-        albumResps[i].path = albums[i].uri;
-      } else {
-        // TODO: 其他存储引擎（如OSS、COS等）
+    // 处理每个文件的路径、大小显示和缩略图
+    const albumResps = [];
+    for (const album of albums) {
+      const engine = album.engine || 'local';
+      if (!drivers[engine]) {
+        drivers[engine] = await ctx.service.storage.driver(engine);
       }
-      // 转换为绝对URL
-      albumResps[i].uri = urlUtil.toAbsoluteUrl(albums[i].uri);
-      // 格式化文件大小显示
-      albumResps[i].size = util.getFmtSize(albums[i].size);
+      albumResps.push({
+        ...album.toJSON(),
+        // 文件键
+        path: album.uri,
+        // 转换为绝对URL
+        uri: drivers[engine].publicUrl(album.uri),
+        // 格式化文件大小显示
+        size: util.getFmtSize(album.size),
+        // 图片缩略图地址 {thumb, medium}，缺少时为原图地址
+        thumbs: album.type === 10 ? ctx.service.thumbnail.urls(album, drivers[engine]) : {},
+      });
     }
 
     // 返回分页结果
@@ -252,6 +251,19 @@ class AlbumService extends Service {
     };
   }
 
+  /**
+   * 追加角色数据范围条件：只能访问有权限的部门下管理员上传的文件
+   * @param {Object} where 查询条件
+   * @return {Promise<Object>} 追加了 aid 条件的查询条件
+   */
+  async scopeWhere(where) {
+    const scopeAdminIds = await this.ctx.service.dataScope.adminIds();
+    if (scopeAdminIds) {
+      where.aid = { [Op.in]: scopeAdminIds };
+    }
+    return where;
+  }
+
   /**
    * 重命名相册文件
    * @param {number} id 文件ID
@@ -261,10 +273,10 @@ class AlbumService extends Service {
     const { ctx } = this;
     try {
       const album = await ctx.model.Album.findOne({
-        where: {
+        where: await this.scopeWhere({
           id,
           isDelete: 0,
-        },
+        }),
       });
 
       if (!album) {
@@ -287,12 +299,12 @@ class AlbumService extends Service {
   async albumMove(ids, cid) {
     const { ctx } = this;
     try {
-      // 查找所有指定文件
+      // 查找所有指定文件（数据范围外的文件视为不存在）
       const albums = await ctx.model.Album.findAll({
-        where: {
+        where: await this.scopeWhere({
           id: ids,
           isDelete: 0,
-        },
+        }),
       });
 
       if (albums.length === 0) {
@@ -318,7 +330,7 @@ class AlbumService extends Service {
         { cid },
         {
           where: {
-            id: ids,
+            id: albums.map(album => album.id),
           },
         }
       );
@@ -330,13 +342,14 @@ class AlbumService extends Service {
   /**
    * 添加相册文件记录
    * @param {Object} addReq 文件信息
+   * @param {Object} [transaction] 事务对象
    * @return {number} 新创建的文件ID
    */
-  async albumAdd(addReq) {
+  async albumAdd(addReq, transaction) {
     const { ctx } = this;
     try {
       // 创建文件记录
-      const alb = await ctx.model.Album.create(addReq);
+      const alb = await ctx.model.Album.create(addReq, { transaction });
 
       return alb.id;
     } catch (err) {
@@ -346,17 +359,18 @@ class AlbumService extends Service {
 
   /**
    * 删除相册文件（软删除）
+   * 文件的最后一条素材记录删除后，同时删除存储中的文件和缩略图
    * @param {Array} ids 文件ID数组
    */
   async albumDel(ids) {
     const { ctx } = this;
     try {
-      // 验证文件是否存在
+      // 验证文件是否存在（数据范围外的文件视为不存在）
       const albums = await ctx.model.Album.findAll({
-        where: {
+        where: await this.scopeWhere({
           id: ids,
           isDelete: 0,
-        },
+        }),
       });
 
       if (albums.length === 0) {
@@ -371,10 +385,13 @@ class AlbumService extends Service {
         },
         {
           where: {
-            id: ids,
+            id: albums.map(album => album.id),
           },
         }
       );
+
+      // 删除已没有引用的文件
+      await this.removeFiles(albums);
     } catch (err) {
       throw new Error('AlbumDel UpdateColumn err');
     }
@@ -389,85 +406,233 @@ class AlbumService extends Service {
    */
   async uploadFile(cid, stream, type = 10) {
     const { ctx } = this;
+    // 读取并检测文件内容（文件内容检测不通过时直接抛出错误）
+    const { fileName, mime, content, hash } = await this.handleUploadFile(stream, type);
+
+    // 获取当前管理员ID
+    const aid = ctx.session[reqAdminIdKey];
+
+    // 构建文件记录数据
+    const addReq = {
+      aid, // 管理员ID
+      cid, // 分类ID
+      type, // 文件类型
+      name: fileName, // 原始文件名
+      ext: mime, // 文件真实类型
+      hash, // 上传文件内容 SHA-256
+      size: content.length, // 文件大小
+      createTime: Math.floor(Date.now() / 1000),
+      updateTime: Math.floor(Date.now() / 1000),
+    };
+
     try {
-      // 处理文件上传，获取文件URL和名称
-      const { url, fileName } = await this.handleUploadFile(stream, type);
-
-      // 获取当前管理员ID
-      const aid = ctx.session[reqAdminIdKey];
-
-      // 获取文件大小
-      const stats = fs.statSync('app' + url);
-      const fileSizeInBytes = stats.size;
-
-      // 构建文件记录数据
-      const addReq = {
-        aid, // 管理员ID
-        cid, // 分类ID
-        type, // 文件类型
-        uri: url, // 文件存储路径
-        name: fileName, // 原始文件名
-        size: fileSizeInBytes, // 文件大小
-        createTime: Math.floor(Date.now() / 1000),
-        updateTime: Math.floor(Date.now() / 1000),
-      };
+      // 相同内容的文件已存在时直接引用，不重复保存
+      // 查找和添加记录在同一事务中并锁定被引用的记录，同时删除该记录时等待本次添加完成，
+      // 删除后统计引用数（见 removeFiles）时能看到新记录，不会删除仍被引用的文件
+      const existing = await ctx.model.transaction(async transaction => {
+        const album = await this.findByHash(hash, type, transaction);
+        if (!album) {
+          return null;
+        }
+        const albumId = await this.albumAdd({
+          ...addReq,
+          engine: album.engine, // 存储引擎
+          uri: album.uri, // 文件键
+          variants: album.variants, // 已生成的缩略图尺寸
+          thumbFail: album.thumbFail, // 缩略图生成失败时的尺寸配置
+        }, transaction);
+        return {
+          id: albumId, // 文件ID
+          path: album.url, // 绝对URL路径
+        };
+      });
+      if (existing) {
+        return existing;
+      }
+    } catch (err) {
+      throw new Error(`uploadImage UpdateColumn err: ${err}`);
+    }
+
+    // 写入当前存储引擎并生成缩略图
+    const { engine, key, url, variants, thumbFail } = await this.saveFile(content, fileName, mime, type);
 
+    try {
       // 添加文件记录到数据库
-      const albumId = await this.albumAdd(addReq);
+      const albumId = await this.albumAdd({
+        ...addReq,
+        engine, // 存储引擎
+        uri: key, // 文件键
+        variants: variants.join(','), // 已生成的缩略图尺寸
+        thumbFail, // 缩略图生成失败时的尺寸配置
+      });
 
       // 构建返回结果
       const res = {
         id: albumId, // 文件ID
-        path: urlUtil.toAbsoluteUrl(url), // 绝对URL路径
+        path: url, // 绝对URL路径
       };
 
       return res;
 
     } catch (err) {
-      throw new Error('uploadImage UpdateColumn err');
+      throw new Error(`uploadImage UpdateColumn err: ${err}`);
     }
   }
 
   /**
-   * 处理文件上传流
-   * @param {Stream} stream 文件流
+   * 查找当前存储引擎中内容相同的文件
+   * 在事务中查询时锁定找到的记录（SELECT ... FOR UPDATE），直到事务结束
+   * @param {string} hash 上传文件内容 SHA-256
    * @param {number} type 文件类型
-   * @return {Object} 文件信息 {url, fileName}
+   * @param {Object} [transaction] 事务对象
+   * @return {Object|null} {engine, uri, url, variants, thumbFail}，文件不存在时返回 null
    */
-  async handleUploadFile(stream, type = 10) {
-    // 根据文件类型确定存储目录
-    const pathDir = type === 10 ? '/public/uploads/image/' : '/public/uploads/video/';
-    // 按日期分目录
-    const targetDir = pathDir + dayjs().format('YYYY-MM-DD');
-    // 完整目录路径
-    const dir = path.join(this.config.baseDir, 'app', targetDir);
-
-    // 递归创建目录
-    await mkdirp.sync(dir);
+  async findByHash(hash, type, transaction) {
+    const { ctx } = this;
+    const engine = await ctx.service.storage.engine();
+    const album = await ctx.model.Album.findOne({
+      where: {
+        hash,
+        type,
+        engine,
+        isDelete: 0,
+      },
+      order: [[ 'id', 'DESC' ]],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+    if (!album) {
+      return null;
+    }
 
-    // 生成唯一文件名：时间戳 + 原文件扩展名
-    const filename = Date.now() + path.extname(stream.filename).toLocaleLowerCase();
-    // 目标文件完整路径
-    const target = path.join('app', targetDir, filename);
+    // 存储对象已被删除时重新上传
+    const driver = await ctx.service.storage.driver(engine);
+    if (!await driver.exists(album.uri)) {
+      ctx.logger.warn(`AlbumService.findByHash: file missing ${engine}:${album.uri}`);
+      return null;
+    }
+    return {
+      engine,
+      uri: album.uri,
+      url: driver.publicUrl(album.uri),
+      variants: album.variants,
+      thumbFail: album.thumbFail,
+    };
+  }
 
-    // 创建写入流
-    const writeStream = fs.createWriteStream(target);
+  /**
+   * 删除已没有素材记录引用的文件（含缩略图）
+   * 相同内容的文件由多条记录共用（见 hash），最后一条记录删除后才删除文件，删除失败只记录日志
+   * 调用前记录的软删除必须已提交：上传时引用该文件的事务（见 uploadFile）提交后才能删除记录，此时统计的引用数包含新记录
+   * @param {Array} albums 已删除的 Album 记录
+   */
+  async removeFiles(albums) {
+    const { ctx } = this;
+    const removed = new Set();
+    for (const album of albums) {
+      const engine = album.engine || 'local';
+      const id = `${engine}:${album.uri}`;
+      if (removed.has(id)) {
+        continue;
+      }
+      removed.add(id);
+      try {
+        const refCount = await ctx.model.Album.count({
+          where: {
+            engine,
+            uri: album.uri,
+            isDelete: 0,
+          },
+        });
+        if (refCount > 0) {
+          continue;
+        }
+        const driver = await ctx.service.storage.driver(engine);
+        await driver.delete(album.uri);
+        await ctx.service.thumbnail.remove(driver, album);
+      } catch (err) {
+        ctx.logger.error(`AlbumService.removeFiles error: ${id} ${err}`);
+      }
+    }
+  }
 
+  /**
+   * 读取上传文件流并检测文件内容
+   * 按文件内容（magic bytes）检测真实类型，拒绝与扩展名不符、不是图片/视频或为 HTML、SVG 的文件
+   * 读取文件流的同时计算 SHA-256，用于查找内容相同的文件（见 findByHash）
+   * @param {Stream} stream 文件流
+   * @param {number} type 文件类型
+   * @return {Object} 文件信息 {fileName, mime, content, hash}，content 为去除图片元数据后的内容，hash 为上传文件内容的 SHA-256
+   */
+  async handleUploadFile(stream, type = 10) {
+    const hash = crypto.createHash('sha256');
+    let buf;
     try {
-      // 异步将文件流写入磁盘
-      await awaitWriteStream(stream.pipe(writeStream));
+      // 读取文件内容，单个文件大小受 config.multipart.fileSize 限制
+      buf = await readStream(stream, Infinity, hash);
     } catch (err) {
       // 如果出现错误，关闭管道并清理
       await sendToWormhole(stream);
       throw new Error(err);
     }
 
-    // 返回文件信息
-    const data = {
-      url: `${targetDir}/${filename}`, // 相对URL路径
+    // 按文件内容检测真实类型，必须与扩展名和上传类型一致，图片同时去除 EXIF 等元数据
+    const dir = type === 10 ? 'image' : 'video';
+    const { mime, category, content } = fileTypeUtil.inspect(buf, stream.filename);
+    if (category !== dir) {
+      throw new Error(`文件 ${stream.filename} 不是${type === 10 ? '图片' : '视频'}`);
+    }
+
+    return {
       fileName: stream.filename, // 原始文件名
+      mime, // 文件真实类型
+      content, // 处理后的文件内容
+      hash: hash.digest('hex'), // 上传文件内容 SHA-256
+    };
+  }
+
+  /**
+   * 将文件写入当前存储引擎，图片同时生成缩略图
+   * @param {Buffer} content 文件内容
+   * @param {string} fileName 原始文件名
+   * @param {string} mime 文件真实类型
+   * @param {number} type 文件类型
+   * @return {Object} 文件信息 {engine, key, url, variants, thumbFail}
+   */
+  async saveFile(content, fileName, mime, type = 10) {
+    const { ctx } = this;
+
+    // 根据文件类型确定存储目录，按日期分目录
+    const { engine, key, url } = await ctx.service.storage.save(content, {
+      dir: type === 10 ? 'image' : 'video',
+      filename: fileName,
+      mime,
+    });
+
+    // 生成图片缩略图，失败时不影响上传；失败或不支持的图片记录当前尺寸配置，修改尺寸配置前不再补生成
+    let variants = [];
+    let thumbFail = '';
+    if (type === 10) {
+      thumbFail = ctx.service.thumbnail.sizesName();
+      if (ctx.service.thumbnail.isSupported(mime)) {
+        try {
+          const driver = await ctx.service.storage.driver(engine);
+          variants = await ctx.service.thumbnail.generate(driver, key, content, mime);
+          thumbFail = '';
+        } catch (err) {
+          ctx.logger.error(`AlbumService.saveFile thumbnail error: ${err}`);
+        }
+      }
+    }
+
+    // 返回文件信息
+    return {
+      engine, // 存储引擎
+      key, // 文件键
+      url, // 访问地址
+      variants, // 已生成的缩略图尺寸
+      thumbFail, // 缩略图生成失败时的尺寸配置
     };
-    return data;
   }
 }
 
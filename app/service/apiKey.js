@@ -0,0 +1,422 @@
+'use strict';
+
+/**
+ * apiKey.js - API 密钥（服务账号）服务模块
+ *
+ * 功能：为部署脚本、内部服务等机器客户端颁发长期有效的 API 密钥
+ * - 密钥格式 lak_{前缀}_{随机串}，数据库只保存前缀和 SHA-256 摘要，明文只在创建时返回一次
+ * - 每个密钥绑定一个管理员（服务账号），请求以该管理员身份执行，数据范围和操作日志均归属于该管理员
+ * - 密钥只能访问授权的权限标识，且不超过绑定管理员当前拥有的权限
+ * - 密钥无法完成二次验证，默认不能访问敏感接口（sudoUri），需要时通过 config.sudo.apiKey 开启
+ * - 可配置 IP 白名单（支持 CIDR），可设置过期时间，可随时吊销
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const crypto = require('crypto');
+const moment = require('moment');
+const Sequelize = require('sequelize');
+const Op = Sequelize.Op;
+// 引入配置常量
+const { notAuthUri, sudoUri, reqAdminIdKey, superAdminId } = require('../extend/config');
+// 权限标识匹配工具
+const urlUtil = require('../util/urlUtil');
+// IP 白名单匹配工具
+const ipUtil = require('../util/ipUtil');
+
+// 密钥标识前缀
+const keyTag = 'lak';
+// 最后使用时间的最小刷新间隔（秒），避免每个请求都写数据库
+const touchInterval = 60;
+
+/**
+ * 计算密钥摘要
+ *
+ * @param {string} key - 密钥明文
+ * @return {string} SHA-256 摘要（hex）
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * 解析权限标识
+ *
+ * @param {Array<string>|string} perms - 权限标识数组或逗号分隔的字符串
+ * @return {Array<string>} 去重后的权限标识数组
+ */
+function parsePerms(perms) {
+  const list = Array.isArray(perms) ? perms : String(perms || '').split(',');
+  return [ ...new Set(list.map(perm => String(perm).trim()).filter(Boolean)) ];
+}
+
+/**
+ * 格式化时间戳，0 返回空字符串
+ *
+ * @param {number} time - 时间戳（秒）
+ * @return {string} 格式化后的时间
+ */
+function fmtTime(time) {
+  return time ? moment(time * 1000).format('YYYY-MM-DD HH:mm:ss') : '';
+}
+
+/**
+ * API 密钥服务类
+ *
+ * @class ApiKeyService
+ * @extends Service
+ */
+class ApiKeyService extends Service {
+
+  /**
+   * 获取 API 密钥列表（分页）
+   * 按数据范围过滤绑定的管理员
+   *
+   * @param {Object} listReq - 请求参数 {pageNo, pageSize, name, adminId}
+   * @return {Promise<Object>} 分页结果 {pageNo, pageSize, count, lists}
+   */
+  async list(listReq) {
+    const { ctx } = this;
+    const { SystemApiKey, SystemAuthAdmin } = ctx.model;
+    try {
+      const pageNo = parseInt(listReq.pageNo, 10) || 1;
+      const pageSize = parseInt(listReq.pageSize, 10) || 20;
+
+      const where = {
+        isDelete: 0,
+      };
+      if (listReq.name) {
+        where.name = { [Op.like]: `%${listReq.name}%` };
+      }
+      if (listReq.adminId) {
+        where.adminId = parseInt(listReq.adminId, 10);
+      }
+      const adminIds = await ctx.service.dataScope.adminIds();
+      if (adminIds) {
+        where.adminId = where.adminId ? { [Op.and]: [ where.adminId, { [Op.in]: adminIds }] } : { [Op.in]: adminIds };
+      }
+
+      const { count, rows } = await SystemApiKey.findAndCountAll({
+        where,
+        attributes: { exclude: [ 'keyHash' ] },
+        order: [[ 'id', 'DESC' ]],
+        limit: pageSize,
+        offset: pageSize * (pageNo - 1),
+      });
+
+      // 查询绑定管理员的账号，便于列表展示
+      const admins = await SystemAuthAdmin.findAll({
+        where: {
+          id: { [Op.in]: [ ...new Set(rows.map(row => row.adminId)) ] },
+        },
+        attributes: [ 'id', 'username', 'nickname' ],
+      });
+      const adminMap = {};
+      admins.forEach(admin => { adminMap[admin.id] = admin; });
+
+      const lists = rows.map(row => {
+        const item = this.toResp(row);
+        const admin = adminMap[row.adminId];
+        item.username = admin ? admin.username : '';
+        item.nickname = admin ? admin.nickname : '';
+        return item;
+      });
+
+      return {
+        pageNo,
+        pageSize,
+        count,
+        lists,
+      };
+    } catch (err) {
+      throw new Error(`ApiKeyService.list error: ${err}`);
+    }
+  }
+
+  /**
+   * 创建 API 密钥
+   * 非超级管理员只能为自己创建密钥
+   *
+   * @param {Object} addReq - 请求参数 {name, adminId, perms, ipWhitelist, expireTime, remarks}
+   * @return {Promise<Object>} {id, key}，key 为密钥明文，只返回这一次
+   */
+  async add(addReq) {
+    const { ctx } = this;
+    const { SystemApiKey } = ctx.model;
+    const currentId = ctx.session[reqAdminIdKey];
+
+    const name = String(addReq.name || '').trim();
+    if (!name) {
+      throw new Error('密钥名称不能为空');
+    }
+    const adminId = parseInt(addReq.adminId, 10) || currentId;
+    if (adminId !== currentId && currentId !== superAdminId) {
+      throw new Error('只能为自己创建API密钥');
+    }
+    const perms = await this.checkPerms(adminId, addReq.perms);
+    const ipWhitelist = this.checkIpWhitelist(addReq.ipWhitelist);
+    const expireTime = this.checkExpireTime(addReq.expireTime);
+
+    const keyPrefix = crypto.randomBytes(4).toString('hex');
+    const key = `${keyTag}_${keyPrefix}_${crypto.randomBytes(24).toString('hex')}`;
+    const now = Math.floor(Date.now() / 1000);
+
+    const apiKey = await SystemApiKey.create({
+      name,
+      adminId,
+      keyPrefix,
+      keyHash: hashKey(key),
+      perms: perms.join(','),
+      ipWhitelist,
+      remarks: String(addReq.remarks || ''),
+      createBy: currentId,
+      expireTime,
+      createTime: now,
+      updateTime: now,
+    });
+
+    return { id: apiKey.id, key };
+  }
+
+  /**
+   * 编辑 API 密钥
+   * 只能修改名称、权限、IP白名单、过期时间和备注，密钥本身不可修改
+   *
+   * @param {Object} editReq - 请求参数 {id, name, perms, ipWhitelist, expireTime, remarks}
+   */
+  async edit(editReq) {
+    const apiKey = await this.findVisible(editReq.id);
+
+    const name = String(editReq.name || '').trim();
+    if (!name) {
+      throw new Error('密钥名称不能为空');
+    }
+    const perms = await this.checkPerms(apiKey.adminId, editReq.perms);
+
+    await apiKey.update({
+      name,
+      perms: perms.join(','),
+      ipWhitelist: this.checkIpWhitelist(editReq.ipWhitelist),
+      expireTime: this.checkExpireTime(editReq.expireTime),
+      remarks: String(editReq.remarks || ''),
+      updateTime: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  /**
+   * 吊销 API 密钥
+   * 吊销后立即失效且不可恢复，保留记录供审计
+   *
+   * @param {number} id - 密钥ID
+   */
+  async revoke(id) {
+    const apiKey = await this.findVisible(id);
+    await apiKey.update({
+      isRevoke: 1,
+      updateTime: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  /**
+   * 删除 API 密钥（软删除，同时视为吊销）
+   *
+   * @param {number} id - 密钥ID
+   */
+  async del(id) {
+    const apiKey = await this.findVisible(id);
+    const now = Math.floor(Date.now() / 1000);
+    await apiKey.update({
+      isRevoke: 1,
+      isDelete: 1,
+      deleteTime: now,
+      updateTime: now,
+    });
+  }
+
+  /**
+   * 校验 API 密钥
+   *
+   * @param {string} key - 请求头中的密钥明文
+   * @param {string} ip - 客户端IP
+   * @return {Promise<Object>} 成功返回 {apiKey, perms}，失败返回 {message}
+   *
+   * @流程说明
+   * 1. 按前缀查找密钥并以常量时间比较摘要
+   * 2. 检查吊销、过期状态和 IP 白名单
+   * 3. 按间隔刷新最后使用时间和IP
+   */
+  async authenticate(key, ip) {
+    const { ctx } = this;
+    const parts = String(key || '').split('_');
+    if (parts.length !== 3 || parts[0] !== keyTag) {
+      return { message: 'API密钥无效' };
+    }
+
+    const apiKey = await ctx.model.SystemApiKey.findOne({
+      where: {
+        keyPrefix: parts[1],
+        isDelete: 0,
+      },
+    });
+    const digest = Buffer.from(hashKey(key));
+    if (!apiKey || !crypto.timingSafeEqual(digest, Buffer.from(apiKey.keyHash.padEnd(digest.length)))) {
+      return { message: 'API密钥无效' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (apiKey.isRevoke === 1) {
+      return { message: 'API密钥已吊销' };
+    }
+    if (apiKey.expireTime && apiKey.expireTime < now) {
+      return { message: 'API密钥已过期' };
+    }
+    if (apiKey.ipWhitelist && !ipUtil.inList(ip, apiKey.ipWhitelist)) {
+      return { message: `IP ${ip} 不在API密钥白名单中` };
+    }
+
+    if (now - apiKey.lastUsedTime >= touchInterval || apiKey.lastUsedIp !== ip) {
+      await apiKey.update({ lastUsedIp: ip, lastUsedTime: now });
+    }
+
+    return { apiKey, perms: parsePerms(apiKey.perms) };
+  }
+
+  /**
+   * 计算密钥在本次请求中实际生效的权限
+   * 取密钥授权的权限与绑定管理员当前权限的交集，管理员权限收回后密钥权限同步失效
+   * 敏感接口（sudoUri）默认不生效
+   *
+   * @param {Array<string>} keyPerms - 密钥授权的权限标识
+   * @param {Object} admin - 绑定管理员的缓存信息
+   * @return {Promise<Array<string>>} 生效的权限标识
+   */
+  async effectivePerms(keyPerms, admin) {
+    const { ctx, config } = this;
+    // API 密钥没有会话，无法完成二次验证，默认不允许访问敏感接口（见 config.sudo.apiKey）
+    if (!config.sudo.apiKey) {
+      keyPerms = keyPerms.filter(perm => !urlUtil.hasPerms(sudoUri, perm));
+    }
+    if (admin.id === superAdminId) {
+      return keyPerms;
+    }
+    const adminPerms = await ctx.service.authAdmin.selectPermsByRoles(admin.role);
+    return keyPerms.filter(perm => adminPerms.includes(perm) || notAuthUri.includes(perm));
+  }
+
+  /**
+   * 转换为接口返回格式
+   *
+   * @param {Object} apiKey - SystemApiKey 记录
+   * @return {Object} 返回数据，不包含密钥摘要
+   */
+  toResp(apiKey) {
+    const now = Math.floor(Date.now() / 1000);
+    const data = apiKey.toJSON();
+    delete data.keyHash;
+    return {
+      ...data,
+      key: `${keyTag}_${apiKey.keyPrefix}_****`,
+      perms: parsePerms(apiKey.perms),
+      ipWhitelist: ipUtil.parseList(apiKey.ipWhitelist),
+      expireTime: fmtTime(apiKey.expireTime),
+      lastUsedTime: fmtTime(apiKey.lastUsedTime),
+      isExpired: apiKey.expireTime && apiKey.expireTime < now ? 1 : 0,
+    };
+  }
+
+  /**
+   * 查找当前管理员数据范围内的密钥
+   *
+   * @param {number} id - 密钥ID
+   * @return {Promise<Object>} SystemApiKey 记录
+   */
+  async findVisible(id) {
+    const { ctx } = this;
+    const apiKey = await ctx.model.SystemApiKey.findOne({
+      where: {
+        id: parseInt(id, 10) || 0,
+        isDelete: 0,
+      },
+    });
+    const adminIds = await ctx.service.dataScope.adminIds();
+    if (!apiKey || (adminIds && !adminIds.includes(apiKey.adminId))) {
+      throw new Error('API密钥不存在');
+    }
+    return apiKey;
+  }
+
+  /**
+   * 校验授权的权限标识
+   * 不能超出绑定管理员当前拥有的权限
+   *
+   * @param {number} adminId - 绑定的管理员ID
+   * @param {Array<string>|string} perms - 权限标识
+   * @return {Promise<Array<string>>} 权限标识数组
+   */
+  async checkPerms(adminId, perms) {
+    const { ctx } = this;
+    const list = parsePerms(perms);
+    if (list.length === 0) {
+      throw new Error('请至少授权一个权限');
+    }
+
+    const admin = await ctx.model.SystemAuthAdmin.findOne({
+      where: {
+        id: adminId,
+        isDelete: 0,
+      },
+    });
+    if (!admin) {
+      throw new Error('绑定的管理员不存在');
+    }
+    if (admin.id === superAdminId) {
+      return list;
+    }
+
+    const adminPerms = await ctx.service.authAdmin.selectPermsByRoles(admin.role);
+    const denied = list.filter(perm => !adminPerms.includes(perm) && !notAuthUri.includes(perm));
+    if (denied.length > 0) {
+      throw new Error(`绑定的管理员没有以下权限: ${denied.join(',')}`);
+    }
+    return list;
+  }
+
+  /**
+   * 校验 IP 白名单
+   *
+   * @param {Array<string>|string} ipWhitelist - IP白名单
+   * @return {string} 逗号分隔的白名单
+   */
+  checkIpWhitelist(ipWhitelist) {
+    const rules = ipUtil.parseList(ipWhitelist);
+    const invalid = rules.filter(rule => !ipUtil.isValidRule(rule));
+    if (invalid.length > 0) {
+      throw new Error(`IP白名单格式不正确: ${invalid.join(',')}`);
+    }
+    const value = rules.join(',');
+    if (value.length > 1000) {
+      throw new Error('IP白名单过长');
+    }
+    return value;
+  }
+
+  /**
+   * 校验过期时间
+   *
+   * @param {number|string} expireTime - 过期时间，时间戳（秒）或 YYYY-MM-DD HH:mm:ss，为空表示永不过期
+   * @return {number} 过期时间戳（秒），0 表示永不过期
+   */
+  checkExpireTime(expireTime) {
+    if (!expireTime) {
+      return 0;
+    }
+    const time = /^\d+$/.test(String(expireTime)) ? parseInt(expireTime, 10) : moment(expireTime, 'YYYY-MM-DD HH:mm:ss', true).unix();
+    if (isNaN(time) || time <= Math.floor(Date.now() / 1000)) {
+      throw new Error('过期时间不正确');
+    }
+    return time;
+  }
+}
+
+// 导出服务类
+module.exports = ApiKeyService;
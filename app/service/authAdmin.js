@@ -3,13 +3,48 @@
 // 引入必要的依赖模块
 const Service = require('egg').Service;
 // 引入配置常量
-const { backstageManageKey, backstageRolesKey, reqAdminIdKey, superAdminId, backstageTokenKey, backstageTokenSet } = require('../extend/config');
+const { backstageManageKey, backstageRolesKey, redisPrefix, reqAdminIdKey, superAdminId } = require('../extend/config');
 const parser = require('ua-parser-js'); // User-Agent解析器
 const Sequelize = require('sequelize');
 const Op = Sequelize.Op; // Sequelize操作符
 const util = require('../util'); // 自定义工具函数
 const urlUtil = require('../util/urlUtil'); // URL处理工具
-const md5 = require('md5'); // MD5加密库
+const passwordUtil = require('../util/passwordUtil'); // 密码哈希工具
+
+/**
+ * 校验邮箱格式，为空表示不设置
+ * @param {string} email 邮箱
+ * @return {string} 去除首尾空格后的邮箱
+ */
+function checkEmail(email) {
+  email = String(email || '').trim();
+  if (email && (email.length > 100 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+    throw new Error('邮箱格式不正确');
+  }
+  return email;
+}
+
+// edit（管理员管理）允许修改的字段，密码单独处理
+const editFields = [ 'username', 'nickname', 'avatar', 'email', 'role', 'deptId', 'postId', 'sort', 'isDisable', 'isMultipoint' ];
+// update（个人设置）允许修改的字段，密码单独处理
+const updateFields = [ 'nickname', 'avatar', 'email' ];
+
+/**
+ * 从请求参数中取出允许修改的字段
+ * 双因素认证、密码历史、单点登录身份等字段只能通过各自的接口修改，不能通过编辑接口提交
+ * @param {Object} req 请求参数
+ * @param {Array<string>} fields 允许修改的字段
+ * @return {Object} 更新数据
+ */
+function pickFields(req, fields) {
+  const data = {};
+  fields.forEach(field => {
+    if (req[field] !== undefined) {
+      data[field] = req[field];
+    }
+  });
+  return data;
+}
 
 /**
  * 管理员认证授权服务类
@@ -43,43 +78,55 @@ class AuthAdminService extends Service {
 
   /**
    * 缓存角色菜单权限到Redis
+   * 包含菜单(C)和按钮(A)上配置的权限标识，一个菜单的 perms 可用逗号分隔配置多个标识；
+   * 角色被禁用时缓存为空
    * @param {number} roleId 角色ID
-   * @return {Array} 菜单权限数组
+   * @return {Array} 权限标识数组
    */
   async cacheRoleMenusByRoleId(roleId) {
     const { ctx } = this;
     try {
-      // 查询角色权限关联
-      const perms = await ctx.model.SystemAuthPerm.findAll({
-        where: {
-          roleId,
-        },
-      });
-
-      // 提取菜单ID数组
-      const menuIds = perms.map(perm => perm.menuId);
+      let menuArray = [];
 
-      // 查询有效的菜单信息
-      const menus = await ctx.model.SystemAuthMenu.findAll({
-        where: {
-          isDisable: 0, // 未禁用的菜单
-          id: {
-            [Op.in]: menuIds, // 在菜单ID数组中
+      const role = await ctx.model.SystemAuthRole.findByPk(roleId);
+      if (role && role.isDisable === 0) {
+        // 查询角色权限关联
+        const perms = await ctx.model.SystemAuthPerm.findAll({
+          where: {
+            roleId,
           },
-          menuType: {
-            [Op.in]: [ 'C', 'A' ], // 只包含C(目录)和A(菜单)类型
+        });
+
+        // 提取菜单ID数组
+        const menuIds = perms.map(perm => perm.menuId);
+
+        // 查询有效的菜单信息
+        const menus = await ctx.model.SystemAuthMenu.findAll({
+          where: {
+            isDisable: 0, // 未禁用的菜单
+            id: {
+              [Op.in]: menuIds, // 在菜单ID数组中
+            },
+            menuType: {
+              [Op.in]: [ 'C', 'A' ], // 只包含C(菜单)和A(按钮)类型
+            },
           },
-        },
-        order: [
-          [ 'menuSort', 'ASC' ], // 按菜单排序升序
-          [ 'id', 'ASC' ], // 按ID升序
-        ],
-      });
+          order: [
+            [ 'menuSort', 'ASC' ], // 按菜单排序升序
+            [ 'id', 'ASC' ], // 按ID升序
+          ],
+        });
 
-      // 提取权限标识符并过滤空值
-      const menuArray = menus
-        .filter(menu => menu.perms !== '')
-        .map(menu => menu.perms.trim());
+        // 提取权限标识符、拆分多个标识并过滤空值
+        const permSet = new Set();
+        for (const menu of menus) {
+          menu.perms.split(',')
+            .map(perm => perm.trim())
+            .filter(Boolean)
+            .forEach(perm => permSet.add(perm));
+        }
+        menuArray = [ ...permSet ];
+      }
 
       // 缓存到Redis
       const redisKey = backstageRolesKey;
@@ -94,6 +141,46 @@ class AuthAdminService extends Service {
     }
   }
 
+  /**
+   * 清除角色权限缓存
+   * 角色权限、菜单或按钮变更后调用，下次鉴权时从数据库重新加载
+   * @param {number} [roleId] 角色ID，不传时清除所有角色的缓存
+   */
+  async clearRoleMenusCache(roleId) {
+    const { ctx } = this;
+    if (roleId) {
+      await ctx.service.redis.hDel(backstageRolesKey, String(roleId));
+      return;
+    }
+    // hash 相关操作会自动添加 redisPrefix，整体删除时需要手动拼接
+    await ctx.service.redis.del(redisPrefix + backstageRolesKey);
+  }
+
+  /**
+   * 获取角色拥有的权限标识（优先读取Redis缓存）
+   * @param {string|number} roles 角色ID，多个角色用逗号分隔
+   * @return {Array} 权限标识数组（多个角色取并集）
+   */
+  async selectPermsByRoles(roles) {
+    const { ctx } = this;
+    const roleIds = String(roles || '').split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    const permSet = new Set();
+    for (const roleId of roleIds) {
+      let perms;
+      if (await ctx.service.redis.hExists(backstageRolesKey, roleId)) {
+        const menuString = await ctx.service.redis.hGet(backstageRolesKey, roleId);
+        perms = menuString ? menuString.split(',') : [];
+      } else {
+        perms = await this.cacheRoleMenusByRoleId(roleId);
+      }
+      perms.forEach(perm => permSet.add(perm));
+    }
+    return [ ...permSet ];
+  }
+
   /**
    * 根据角色ID获取菜单ID列表
    * @param {number} roleId 角色ID
@@ -243,7 +330,7 @@ class AuthAdminService extends Service {
     const { ctx } = this;
     // 解析User-Agent信息
     const ua = parser(ctx.request.header['user-agent']);
-    let status = 0; // 默认失败
+    let status = 2; // 默认失败（1=成功, 2=失败）
     if (!errStr) {
       status = 1; // 登录成功
     }
@@ -266,6 +353,42 @@ class AuthAdminService extends Service {
     }
   }
 
+  /**
+   * 完成登录
+   * 身份验证（密码及两步验证）全部通过后调用：创建会话、缓存用户信息、更新登录信息并记录登录日志
+   * @param {Object} sysAdmin SystemAuthAdmin 记录
+   * @param {Object} [extra] 附加的会话元数据，如 {mustChangePwd}
+   * @return {string|null} 登录 Token，登录日志记录失败时返回 null
+   */
+  async loginSuccess(sysAdmin, extra) {
+    const { ctx } = this;
+
+    // 创建登录会话：生成随机 Token 并在 Redis 中保存会话元数据（非多点登录的用户会先注销之前的所有会话）
+    const token = await ctx.service.authSession.create(sysAdmin, extra);
+
+    // 缓存用户信息到 Redis
+    await this.cacheAdminUserByUid(sysAdmin.id);
+
+    // 更新用户登录信息：最后登录IP、最后登录时间等
+    const dateTime = Math.floor(Date.now() / 1000);
+    await ctx.model.SystemAuthAdmin.update({
+      lastLoginIp: ctx.request.ip,
+      lastLoginTime: dateTime,
+      updateTime: dateTime,
+    }, {
+      where: {
+        id: sysAdmin.id,
+      },
+    });
+
+    // 记录登录日志
+    const resultLog = await this.recordLoginLog(sysAdmin.id, sysAdmin.username, '');
+    if (!resultLog) {
+      return null;
+    }
+    return token;
+  }
+
   /**
    * 获取管理员列表（分页）
    * @param {Object} listReq 请求参数
@@ -288,6 +411,9 @@ class AuthAdminService extends Service {
         where.role = listReq.role;
       }
 
+      // 角色数据范围：只能查看有权限的部门下的管理员
+      const scopeWhere = await ctx.service.dataScope.adminWhere();
+
       // 查询管理员列表（包含部门信息）
       const adminModel = await SystemAuthAdmin.findAndCountAll({
         where: {
@@ -295,6 +421,7 @@ class AuthAdminService extends Service {
           username: { [Op.like]: `%${username}%` },
           nickname: { [Op.like]: `%${nickname}%` },
           ...where,
+          ...scopeWhere,
         },
         include: [
           { model: SystemAuthDept, as: 'dept', attributes: [ 'name' ] }, // 关联部门表
@@ -302,7 +429,7 @@ class AuthAdminService extends Service {
         limit,
         offset,
         order: [[ 'id', 'DESC' ], [ 'sort', 'DESC' ]],
-        attributes: { exclude: [ 'password', 'salt', 'deleteTime', 'isDelete', 'sort' ] }, // 排除敏感字段
+        attributes: { exclude: [ 'password', 'salt', 'totpSecret', 'totpRecovery', 'pwdHistory', 'deleteTime', 'isDelete', 'sort' ] }, // 排除敏感字段
       });
 
       // 处理查询结果
@@ -358,12 +485,14 @@ class AuthAdminService extends Service {
     const { SystemAuthAdmin } = ctx.model;
 
     try {
+      // 数据范围外的管理员视为不存在
       const sysAdmin = await SystemAuthAdmin.findOne({
         where: {
           id,
           isDelete: 0,
+          ...await ctx.service.dataScope.adminWhere(),
         },
-        attributes: { exclude: [ 'password', 'salt', 'deleteTime', 'isDelete', 'sort' ] },
+        attributes: { exclude: [ 'password', 'salt', 'totpSecret', 'totpRecovery', 'pwdHistory', 'deleteTime', 'isDelete', 'sort' ] },
       });
 
       if (!sysAdmin) {
@@ -393,6 +522,12 @@ class AuthAdminService extends Service {
     const { ctx } = this;
     const { SystemAuthAdmin, SystemAuthRole } = ctx.model;
     delete addReq.id; // 移除ID字段
+    delete addReq.ssoSubject; // 单点登录身份只能通过单点登录绑定
+
+    // 密码策略校验（长度、字符类型）及邮箱格式校验，错误信息直接返回给前端
+    const password = String(addReq.password || '').trim();
+    await ctx.service.passwordPolicy.validate(password);
+    addReq.email = checkEmail(addReq.email);
 
     try {
       // 检查用户名是否已存在
@@ -433,15 +568,6 @@ class AuthAdminService extends Service {
         throw new Error('当前角色已被禁用!');
       }
 
-      // 密码长度验证
-      const passwdLen = addReq.password.length;
-      if (!(passwdLen >= 6 && passwdLen <= 20)) {
-        throw new Error('密码必须在6~20位');
-      }
-
-      // 生成盐值
-      const salt = util.randomString(5);
-
       // 创建管理员实例
       sysAdmin = new SystemAuthAdmin();
       const dateTime = Math.floor(Date.now() / 1000);
@@ -453,10 +579,9 @@ class AuthAdminService extends Service {
       // 合并数据
       Object.assign(sysAdmin, addReq, timeObject);
 
-      // 设置角色、盐值和加密密码
+      // 设置角色和密码哈希（盐值已包含在哈希中），新建的管理员首次登录必须修改密码
       sysAdmin.role = String(addReq.role);
-      sysAdmin.salt = salt;
-      sysAdmin.password = md5(addReq.password.trim() + salt);
+      Object.assign(sysAdmin, await ctx.service.passwordPolicy.build(password, null, true));
 
       // 处理头像路径
       if (!addReq.avatar) {
@@ -482,14 +607,29 @@ class AuthAdminService extends Service {
    */
   async edit(editReq) {
     const { ctx } = this;
-    const { redis } = this.app;
     const { SystemAuthAdmin, SystemAuthRole } = ctx.model;
+    const adminId = ctx.session[reqAdminIdKey];
+
+    // 密码策略校验（长度、字符类型）及邮箱格式校验，错误信息直接返回给前端
+    const password = String(editReq.password || '').trim();
+    if (password) {
+      await ctx.service.passwordPolicy.validate(password);
+    }
+    if (editReq.email !== undefined) {
+      editReq.email = checkEmail(editReq.email);
+    }
 
     try {
-      // 查找要编辑的管理员
-      const admin = await SystemAuthAdmin.findByPk(editReq.id);
+      // 查找要编辑的管理员，数据范围外的管理员视为不存在
+      const admin = await SystemAuthAdmin.findOne({
+        where: {
+          id: editReq.id,
+          isDelete: 0,
+          ...await ctx.service.dataScope.adminWhere(),
+        },
+      });
 
-      if (!admin || admin.isDelete) {
+      if (!admin) {
         throw new Error('账号不存在了!');
       }
 
@@ -543,9 +683,7 @@ class AuthAdminService extends Service {
         editReq.avatar = urlUtil.toRelativeUrl(editReq.avatar);
       }
 
-      const adminMap = {
-        ...editReq,
-      };
+      const adminMap = pickFields(editReq, editFields);
 
       // 设置角色（超级管理员不允许修改角色）
       const role = editReq.role > 0 && editReq.id !== 1 ? editReq.role : 0;
@@ -556,18 +694,9 @@ class AuthAdminService extends Service {
         delete adminMap.username;
       }
 
-      // 密码修改处理
-      if (editReq.password) {
-        const passwdLen = editReq.password.length;
-        if (!(passwdLen >= 6 && passwdLen <= 20)) {
-          throw new Error('密码必须在6~20位');
-        }
-
-        const salt = util.randomString(5);
-        adminMap.salt = salt;
-        adminMap.password = md5(editReq.password.trim() + salt);
-      } else {
-        delete adminMap.password;
+      // 密码修改处理：重置其他管理员的密码后，该管理员下次登录必须修改密码
+      if (password) {
+        Object.assign(adminMap, await ctx.service.passwordPolicy.build(password, admin, editReq.id !== adminId));
       }
 
       // 更新管理员信息
@@ -576,31 +705,9 @@ class AuthAdminService extends Service {
       // 更新缓存
       this.cacheAdminUserByUid(editReq.id);
 
-      const adminId = ctx.session[reqAdminIdKey];
-
-      // 如果修改了自己的密码，清理token缓存
-      if (editReq.password && editReq.id === adminId) {
-        const token = ctx.request.header.token;
-
-        // 删除当前token
-        await ctx.service.redis.del(backstageTokenKey + token);
-
-        const adminSetKey = backstageTokenSet + String(adminId);
-
-        // 获取所有相关token
-        const ts = await redis.smembers(adminSetKey);
-
-        if (ts.length > 0) {
-          const tokenKeys = ts.map(t => backstageTokenKey + t);
-          // 批量删除token
-          await ctx.service.redis.del(tokenKeys);
-        }
-
-        // 删除token集合
-        await ctx.service.redis.del(adminSetKey);
-
-        // 重新添加当前token
-        await redis.sadd(adminSetKey, token);
+      // 修改了密码时注销该账号的所有登录会话（包括当前会话），旧密码登录的会话不再有效
+      if (password) {
+        await ctx.service.authSession.destroyAll(editReq.id);
       }
 
       return;
@@ -628,11 +735,11 @@ class AuthAdminService extends Service {
       ctx.throw(404, '账号不存在了!');
     }
 
-    // 构建更新数据
-    const adminMap = {
-      ...updateReq,
-    };
-    delete adminMap.currPassword; // 移除当前密码字段
+    // 构建更新数据，只允许修改昵称、头像、邮箱和密码
+    const adminMap = pickFields(updateReq, updateFields);
+    if (updateReq.email !== undefined) {
+      adminMap.email = checkEmail(updateReq.email);
+    }
 
     // 处理头像路径
     if (!updateReq.avatar) {
@@ -644,23 +751,17 @@ class AuthAdminService extends Service {
     // 密码修改处理
     if (updateReq.password) {
       // 验证当前密码
-      const currPass = md5(updateReq.currPassword + admin.salt);
-      if (currPass !== admin.password) {
+      const currValid = await passwordUtil.verify(updateReq.currPassword, admin.password, admin.salt);
+      if (!currValid) {
         ctx.throw(400, '当前密码不正确!');
       }
 
-      // 新密码长度验证
-      const passwdLen = updateReq.password.length;
-      if (!(passwdLen >= 6 && passwdLen <= 20)) {
-        ctx.throw(400, '密码必须在6~20位');
-      }
+      // 新密码策略校验（长度、字符类型、密码历史）
+      const password = updateReq.password.trim();
+      await ctx.service.passwordPolicy.validate(password, admin);
 
-      // 生成新盐值和加密密码
-      const salt = util.randomString(5);
-      adminMap.salt = salt;
-      adminMap.password = md5(updateReq.password.trim() + salt);
-    } else {
-      delete adminMap.password;
+      // 生成新密码哈希，记录密码历史和修改时间，并清除必须修改密码标记
+      Object.assign(adminMap, await ctx.service.passwordPolicy.build(password, admin));
     }
 
     try {
@@ -677,21 +778,9 @@ class AuthAdminService extends Service {
     // 更新缓存
     this.cacheAdminUserByUid(adminId);
 
-    // 如果更改密码，清理token缓存
+    // 如果更改密码，注销该账号的所有登录会话（包括当前会话）
     if (updateReq.password) {
-      const token = ctx.request.header.token;
-      await ctx.service.redis.del(backstageTokenKey + token);
-
-      const adminSetKey = backstageTokenSet + adminId.toString();
-      const ts = await ctx.service.redis.sGet(adminSetKey);
-
-      if (ts.length > 0) {
-        const tokenKeys = ts.map(t => backstageTokenKey + t);
-        await ctx.service.redis.del(...tokenKeys);
-      }
-
-      await ctx.service.redis.del(adminSetKey);
-      await ctx.service.redis.sSet(adminSetKey, token);
+      await ctx.service.authSession.destroyAll(adminId);
     }
   }
 
@@ -704,10 +793,12 @@ class AuthAdminService extends Service {
     const adminId = ctx.session[reqAdminIdKey];
 
     // 查找管理员
+    // 数据范围外的管理员视为不存在
     const admin = await ctx.model.SystemAuthAdmin.findOne({
       where: {
         id,
         isDelete: 0,
+        ...await ctx.service.dataScope.adminWhere(),
       },
     });
 
@@ -715,8 +806,8 @@ class AuthAdminService extends Service {
       throw new Error('账号已不存在!');
     }
 
-    // 系统管理员不允许删除
-    if (id === 1) {
+    // 系统管理员不允许删除（请求参数可能是字符串）
+    if (admin.id === superAdminId) {
       throw new Error('系统管理员不允许删除!');
     }
 
@@ -731,6 +822,10 @@ class AuthAdminService extends Service {
       deleteTime: Math.floor(Date.now() / 1000),
     });
 
+    // 刷新缓存并注销该管理员的所有登录会话
+    await this.cacheAdminUserByUid(id);
+    await ctx.service.authSession.destroyAll(id);
+
     return null;
   }
 
@@ -742,10 +837,12 @@ class AuthAdminService extends Service {
     const { ctx } = this;
     const adminId = ctx.session[reqAdminIdKey];
 
+    // 数据范围外的管理员视为不存在
     const admin = await ctx.model.SystemAuthAdmin.findOne({
       where: {
         id,
         isDelete: 0,
+        ...await ctx.service.dataScope.adminWhere(),
       },
     });
 
@@ -753,6 +850,11 @@ class AuthAdminService extends Service {
       throw new Error('账号已不存在！');
     }
 
+    // 系统管理员不允许禁用
+    if (admin.id === superAdminId) {
+      throw new Error('系统管理员不允许禁用!');
+    }
+
     // 不能禁用自己
     if (id === adminId) {
       throw new Error('不能禁用自己!');
@@ -766,6 +868,12 @@ class AuthAdminService extends Service {
       updateTime: Math.floor(Date.now() / 1000),
     });
 
+    // 刷新缓存，禁用时立即注销该管理员的所有登录会话
+    await this.cacheAdminUserByUid(id);
+    if (isDisable === 1) {
+      await ctx.service.authSession.destroyAll(id);
+    }
+
     return null;
   }
 }
@@ -198,7 +198,7 @@ class AuthDeptService extends Service {
       }
 
       // 业务规则验证1：顶级部门不能删除
-      if (dept.Pid === 0) {
+      if (dept.pid === 0) {
         throw new Error('顶级部门不能删除!');
       }
 
@@ -0,0 +1,387 @@
+'use strict';
+
+/**
+ * authIp.js - 管理员/角色 IP 白名单服务模块
+ *
+ * 功能：为管理员账号或角色绑定允许访问的 IP 地址或 CIDR 网段
+ * - 管理员本身和其所有角色的白名单取并集，均未配置时不限制
+ * - 超级管理员同样受管理员白名单约束，可用于限制其只能在办公网络使用
+ * - 白名单整体缓存在 Redis 中，变更后清除缓存
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const Sequelize = require('sequelize');
+const Op = Sequelize.Op;
+// 引入配置常量
+const { backstageIpAllowKey, reqAdminIdKey } = require('../extend/config');
+// IP 白名单匹配工具
+const ipUtil = require('../util/ipUtil');
+// URL 工具，用于将请求路径转换为权限标识
+const urlUtil = require('../util/urlUtil');
+
+// 绑定类型常量
+const typeAdmin = 1;
+const typeRole = 2;
+
+/**
+ * IP 白名单服务类
+ *
+ * @class AuthIpService
+ * @extends Service
+ */
+class AuthIpService extends Service {
+
+  /**
+   * 获取白名单列表（分页）
+   *
+   * @param {Object} listReq - 请求参数 {pageNo, pageSize, type, targetId, ip}
+   * @return {Promise<Object>} 分页结果 {pageNo, pageSize, count, lists}
+   */
+  async list(listReq) {
+    const { ctx } = this;
+    const { SystemAuthIp, SystemAuthAdmin, SystemAuthRole } = ctx.model;
+    try {
+      const pageNo = parseInt(listReq.pageNo, 10) || 1;
+      const pageSize = parseInt(listReq.pageSize, 10) || 20;
+
+      const where = {
+        isDelete: 0,
+      };
+      if (listReq.type) {
+        where.type = parseInt(listReq.type, 10);
+      }
+      if (listReq.targetId) {
+        where.targetId = parseInt(listReq.targetId, 10);
+      }
+      if (listReq.ip) {
+        where.ip = { [Op.like]: `%${listReq.ip}%` };
+      }
+
+      const { count, rows } = await SystemAuthIp.findAndCountAll({
+        where,
+        order: [[ 'id', 'DESC' ]],
+        limit: pageSize,
+        offset: pageSize * (pageNo - 1),
+      });
+
+      // 查询绑定的管理员账号和角色名称，便于列表展示
+      const adminIds = rows.filter(row => row.type === typeAdmin).map(row => row.targetId);
+      const roleIds = rows.filter(row => row.type === typeRole).map(row => row.targetId);
+      const [ admins, roles ] = await Promise.all([
+        SystemAuthAdmin.findAll({
+          where: { id: { [Op.in]: adminIds } },
+          attributes: [ 'id', 'username' ],
+        }),
+        SystemAuthRole.findAll({
+          where: { id: { [Op.in]: roleIds } },
+          attributes: [ 'id', 'name' ],
+        }),
+      ]);
+      const names = {};
+      admins.forEach(admin => { names[`${typeAdmin}:${admin.id}`] = admin.username; });
+      roles.forEach(role => { names[`${typeRole}:${role.id}`] = role.name; });
+
+      const lists = rows.map(row => ({
+        ...row.toJSON(),
+        targetName: names[`${row.type}:${row.targetId}`] || '',
+      }));
+
+      return {
+        pageNo,
+        pageSize,
+        count,
+        lists,
+      };
+    } catch (err) {
+      throw new Error(`AuthIpService.list error: ${err}`);
+    }
+  }
+
+  /**
+   * 获取白名单详情
+   *
+   * @param {number} id - 白名单ID
+   * @return {Promise<Object>} 白名单记录
+   */
+  async detail(id) {
+    const record = await this.findById(id);
+    return record.toJSON();
+  }
+
+  /**
+   * 添加白名单
+   *
+   * @param {Object} addReq - 请求参数 {type, targetId, ip, remarks}
+   */
+  async add(addReq) {
+    const { ctx } = this;
+    const data = await this.checkReq(addReq);
+
+    await this.checkSelfLockout(rules => this.addRule(rules, data));
+
+    const now = Math.floor(Date.now() / 1000);
+    await ctx.model.SystemAuthIp.create({
+      ...data,
+      createTime: now,
+      updateTime: now,
+    });
+    await this.clearCache();
+  }
+
+  /**
+   * 编辑白名单
+   *
+   * @param {Object} editReq - 请求参数 {id, type, targetId, ip, remarks}
+   */
+  async edit(editReq) {
+    const record = await this.findById(editReq.id);
+    const data = await this.checkReq(editReq, record.id);
+
+    await this.checkSelfLockout(rules => {
+      this.removeRule(rules, record);
+      this.addRule(rules, data);
+    });
+
+    await record.update({
+      ...data,
+      updateTime: Math.floor(Date.now() / 1000),
+    });
+    await this.clearCache();
+  }
+
+  /**
+   * 删除白名单（软删除）
+   *
+   * @param {number} id - 白名单ID
+   */
+  async del(id) {
+    const record = await this.findById(id);
+
+    await this.checkSelfLockout(rules => this.removeRule(rules, record));
+
+    const now = Math.floor(Date.now() / 1000);
+    await record.update({
+      isDelete: 1,
+      deleteTime: now,
+      updateTime: now,
+    });
+    await this.clearCache();
+  }
+
+  /**
+   * 检查管理员是否允许从指定 IP 访问
+   *
+   * @param {Object} admin - 管理员信息 {id, role}
+   * @param {string} ip - 客户端IP
+   * @return {Promise<boolean>} 是否允许
+   */
+  async check(admin, ip) {
+    const rules = await this.rules();
+    const list = this.rulesForAdmin(rules, admin);
+    return list.length === 0 || ipUtil.inList(ip, list);
+  }
+
+  /**
+   * 记录白名单拦截
+   * 同时写入登录日志（失败）和操作日志，日志写入失败不影响拦截结果
+   *
+   * @param {Object} admin - 管理员信息 {id, username}
+   * @param {string} ip - 客户端IP
+   */
+  async recordViolation(admin, ip) {
+    const { ctx } = this;
+    const error = `IP ${ip} 不在白名单中`;
+    const now = Math.floor(Date.now() / 1000);
+    try {
+      await ctx.service.authAdmin.recordLoginLog(admin.id, admin.username, error);
+    } catch (err) {
+      ctx.logger.error(`AuthIpService.recordViolation error: ${err}`);
+    }
+    await ctx.service.log.recordOperate({
+      adminId: admin.id,
+      realAdminId: ctx.impersonator ? ctx.impersonator.id : admin.id,
+      type: ctx.method,
+      ip,
+      url: ctx.path,
+      method: urlUtil.toPerms(ctx.path),
+      args: '',
+      error,
+      status: 2,
+      startTime: now,
+      endTime: now,
+      taskTime: 0,
+    });
+  }
+
+  /**
+   * 获取全部白名单（优先读取 Redis 缓存）
+   *
+   * @return {Promise<Object>} {admin: {adminId: [ip]}, role: {roleId: [ip]}}
+   */
+  async rules() {
+    const { ctx } = this;
+    const cached = await ctx.service.redis.get(backstageIpAllowKey);
+    if (cached) {
+      return cached;
+    }
+    const rules = await this.loadRules();
+    await ctx.service.redis.set(backstageIpAllowKey, rules, 0);
+    return rules;
+  }
+
+  /**
+   * 从数据库加载全部白名单
+   *
+   * @return {Promise<Object>} {admin: {adminId: [ip]}, role: {roleId: [ip]}}
+   */
+  async loadRules() {
+    const { ctx } = this;
+    const records = await ctx.model.SystemAuthIp.findAll({
+      where: {
+        isDelete: 0,
+      },
+      attributes: [ 'type', 'targetId', 'ip' ],
+    });
+    const rules = { admin: {}, role: {} };
+    records.forEach(record => this.addRule(rules, record));
+    return rules;
+  }
+
+  /**
+   * 清除白名单缓存
+   */
+  async clearCache() {
+    const { ctx } = this;
+    await ctx.service.redis.del(backstageIpAllowKey);
+  }
+
+  /**
+   * 合并管理员本身及其所有角色的白名单
+   *
+   * @param {Object} rules - 全部白名单
+   * @param {Object} admin - 管理员信息 {id, role}
+   * @return {Array<string>} 白名单规则
+   */
+  rulesForAdmin(rules, admin) {
+    const list = [ ...(rules.admin[admin.id] || []) ];
+    String(admin.role || '').split(',')
+      .filter(Boolean)
+      .forEach(roleId => list.push(...(rules.role[roleId] || [])));
+    return list;
+  }
+
+  /**
+   * 向白名单中添加一条规则
+   *
+   * @param {Object} rules - 全部白名单
+   * @param {Object} record - 白名单记录 {type, targetId, ip}
+   */
+  addRule(rules, record) {
+    const group = rules[record.type === typeAdmin ? 'admin' : 'role'];
+    (group[record.targetId] = group[record.targetId] || []).push(record.ip);
+  }
+
+  /**
+   * 从白名单中移除一条记录对应的规则
+   *
+   * @param {Object} rules - 全部白名单
+   * @param {Object} record - SystemAuthIp 记录
+   */
+  removeRule(rules, record) {
+    const group = rules[record.type === typeAdmin ? 'admin' : 'role'];
+    const list = group[record.targetId] || [];
+    const index = list.indexOf(record.ip);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  }
+
+  /**
+   * 防止当前管理员因白名单变更把自己锁在外面
+   *
+   * @param {Function} apply - 在白名单副本上应用本次变更
+   */
+  async checkSelfLockout(apply) {
+    const { ctx } = this;
+    const admin = await ctx.model.SystemAuthAdmin.findByPk(ctx.session[reqAdminIdKey]);
+    if (!admin) {
+      return;
+    }
+    const rules = await this.loadRules();
+    apply(rules);
+    const list = this.rulesForAdmin(rules, admin);
+    if (list.length > 0 && !ipUtil.inList(ctx.request.ip, list)) {
+      throw new Error(`保存后当前IP ${ctx.request.ip} 将无法访问系统，请先添加当前IP`);
+    }
+  }
+
+  /**
+   * 校验请求参数
+   *
+   * @param {Object} req - 请求参数 {type, targetId, ip, remarks}
+   * @param {number} excludeId - 重复校验时排除的记录ID
+   * @return {Promise<Object>} 校验后的数据
+   */
+  async checkReq(req, excludeId) {
+    const { ctx } = this;
+    const type = parseInt(req.type, 10);
+    if (![ typeAdmin, typeRole ].includes(type)) {
+      throw new Error('绑定类型不正确');
+    }
+    const targetId = parseInt(req.targetId, 10) || 0;
+    const target = type === typeAdmin
+      ? await ctx.model.SystemAuthAdmin.findOne({ where: { id: targetId, isDelete: 0 } })
+      : await ctx.model.SystemAuthRole.findByPk(targetId);
+    if (!target) {
+      throw new Error(type === typeAdmin ? '管理员不存在' : '角色不存在');
+    }
+    const ip = String(req.ip || '').trim();
+    if (!ipUtil.isValidRule(ip)) {
+      throw new Error('IP地址或CIDR网段格式不正确');
+    }
+
+    const exist = await ctx.model.SystemAuthIp.findOne({
+      where: {
+        type,
+        targetId,
+        ip,
+        isDelete: 0,
+        ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+      },
+    });
+    if (exist) {
+      throw new Error('该IP白名单已存在');
+    }
+
+    return {
+      type,
+      targetId,
+      ip,
+      remarks: String(req.remarks || ''),
+    };
+  }
+
+  /**
+   * 根据ID查找白名单
+   *
+   * @param {number} id - 白名单ID
+   * @return {Promise<Object>} SystemAuthIp 记录
+   */
+  async findById(id) {
+    const { ctx } = this;
+    const record = await ctx.model.SystemAuthIp.findOne({
+      where: {
+        id: parseInt(id, 10) || 0,
+        isDelete: 0,
+      },
+    });
+    if (!record) {
+      throw new Error('IP白名单不存在');
+    }
+    return record;
+  }
+}
+
+// 导出服务类
+module.exports = AuthIpService;
@@ -3,7 +3,6 @@
 // 引入必要的依赖模块
 const Service = require('egg').Service;
 const util = require('../util'); // 自定义工具函数
-const { backstageRolesKey } = require('../extend/config'); // Redis角色权限缓存键
 
 /**
  * 菜单管理服务类
@@ -87,7 +86,7 @@ class AuthMenuService extends Service {
       await transaction.commit();
 
       // 清除Redis中的角色权限缓存，确保权限及时更新
-      ctx.service.redis.del(backstageRolesKey);
+      await ctx.service.authAdmin.clearRoleMenusCache();
     } catch (err) {
       // 如果发生错误，事务会自动回滚
       throw new Error('Add Create err');
@@ -126,7 +125,7 @@ class AuthMenuService extends Service {
       await transaction.commit();
 
       // 清除Redis中的角色权限缓存
-      ctx.service.redis.del(backstageRolesKey);
+      await ctx.service.authAdmin.clearRoleMenusCache();
     } catch (err) {
       throw new Error('Edit Updates err');
     }
@@ -171,6 +170,9 @@ class AuthMenuService extends Service {
 
       // 提交事务
       await transaction.commit();
+
+      // 清除Redis中的角色权限缓存
+      await ctx.service.authAdmin.clearRoleMenusCache();
     } catch (err) {
       throw new Error('Delete Delete err');
     }
@@ -4,7 +4,25 @@
 const Service = require('egg').Service;
 const Sequelize = require('sequelize');
 const Op = Sequelize.Op; // Sequelize操作符
-const { backstageRolesKey } = require('../extend/config'); // Redis角色权限缓存键
+
+/**
+ * 规范化角色的数据范围参数
+ * deptIds 支持数组或逗号分隔字符串，统一存储为逗号分隔字符串；仅自定义范围(2)保留部门
+ * @param {Object} req 角色请求参数
+ */
+function normalizeDataScope(req) {
+  if (req.dataScope === undefined) {
+    return;
+  }
+  const dataScope = parseInt(req.dataScope, 10);
+  if (![ 1, 2, 3, 4, 5 ].includes(dataScope)) {
+    throw new Error('数据范围不正确!');
+  }
+  req.dataScope = dataScope;
+  const deptIds = Array.isArray(req.deptIds) ? req.deptIds : String(req.deptIds || '').split(',');
+  req.deptIds = dataScope === 2 ? deptIds.map(id => parseInt(id, 10)).filter(id => id > 0)
+    .join(',') : '';
+}
 
 /**
  * 角色管理服务类
@@ -151,6 +169,7 @@ class AuthRoleService extends Service {
 
     return {
       ...res,
+      deptIds: res.deptIds ? res.deptIds.split(',').map(id => parseInt(id, 10)) : [], // 自定义数据范围的部门ID列表
       member, // 成员数量
       menus, // 菜单权限ID列表
     };
@@ -164,6 +183,9 @@ class AuthRoleService extends Service {
     const { ctx } = this;
     // 移除ID字段，避免前端传入
     delete addReq.id;
+    // 强制两步验证只能由超级管理员通过 setTotpForce 设置
+    delete addReq.totpForce;
+    normalizeDataScope(addReq);
 
     // 生成时间戳
     const dateTime = Math.floor(Date.now() / 1000);
@@ -239,6 +261,9 @@ class AuthRoleService extends Service {
     const roleMap = {
       ...editReq,
     };
+    // 强制两步验证只能由超级管理员通过 setTotpForce 设置
+    delete roleMap.totpForce;
+    normalizeDataScope(roleMap);
 
     // 创建数据库事务
     const transaction = await ctx.model.transaction();
@@ -251,11 +276,11 @@ class AuthRoleService extends Service {
       await ctx.service.authAdmin.batchDeleteByRoleId(editReq.id, transaction);
       await ctx.service.authAdmin.batchSaveByMenuIds(editReq.id, editReq.menuIds, transaction);
 
-      // 更新角色权限缓存
-      await ctx.service.authAdmin.cacheRoleMenusByRoleId(editReq.id);
-
       // 提交事务
       await transaction.commit();
+
+      // 提交后再清除角色权限缓存，避免读到事务提交前的旧权限
+      await ctx.service.authAdmin.clearRoleMenusCache(editReq.id);
     } catch (err) {
       throw new Error(err);
     }
@@ -306,15 +331,40 @@ class AuthRoleService extends Service {
       // 删除角色菜单权限关联
       await ctx.service.authAdmin.batchDeleteByRoleId(id, transaction);
 
-      // 删除Redis中的角色权限缓存
-      await ctx.service.redis.hDel(backstageRolesKey, id.toString());
-
       // 提交事务
       await transaction.commit();
+
+      // 删除Redis中的角色权限缓存
+      await ctx.service.authAdmin.clearRoleMenusCache(id);
     } catch (err) {
       throw new Error(err);
     }
   }
+
+  /**
+   * 设置角色是否强制两步验证
+   * 开启后该角色下未绑定两步验证的管理员，下次登录时必须先完成绑定
+   * @param {number} id 角色ID
+   * @param {number} totpForce 0=否, 1=是
+   */
+  async setTotpForce(id, totpForce) {
+    const { ctx } = this;
+
+    const existingRole = await ctx.model.SystemAuthRole.findOne({
+      where: {
+        id,
+      },
+    });
+
+    if (!existingRole) {
+      throw new Error('角色已不存在!');
+    }
+
+    await existingRole.update({
+      totpForce: totpForce ? 1 : 0,
+      updateTime: Math.floor(Date.now() / 1000),
+    });
+  }
 }
 
 // 导出服务类
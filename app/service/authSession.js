@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * authSession.js - 管理员登录会话服务模块
+ *
+ * 功能：管理基于随机 Token 的登录会话，会话元数据保存在 Redis 中
+ * - backstage:token:{token} -> {adminId, ip, userAgent, device, issuedAt, lastSeen[, mustChangePwd][, impersonator]}
+ * - backstage:token:set:{adminId} -> 该管理员的所有 Token
+ *
+ * Token 本身不包含任何用户信息，丢失后只需注销对应会话即可。
+ * 对外展示会话时使用 Token 的 SHA-256 摘要前缀作为会话ID，不暴露 Token 本身。
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const crypto = require('crypto');
+// 引入配置常量
+const { backstageTokenKey, backstageTokenSet, backstageSudoKey, tokenExpire, tokenRenewTime } = require('../extend/config');
+// User-Agent解析器
+const parser = require('ua-parser-js');
+
+// 最后活跃时间的最小刷新间隔（秒），避免每个请求都写 Redis
+const touchInterval = 60;
+
+/**
+ * 根据 Token 计算会话ID
+ *
+ * @param {string} token - 登录 Token
+ * @return {string} 会话ID
+ */
+function sessionId(token) {
+  const digest = crypto.createHash('sha256').update(token).digest('hex');
+  return digest.slice(0, 16);
+}
+
+/**
+ * 登录会话服务类
+ *
+ * @class AuthSessionService
+ * @extends Service
+ */
+class AuthSessionService extends Service {
+
+  /**
+   * 创建登录会话
+   * 非多点登录的管理员会先注销其它所有会话，模拟登录会话除外
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @param {Object} [extra] - 附加的会话元数据，如 {mustChangePwd}、模拟登录的 {impersonator}
+   * @param {number} [expire] - 有效期（秒），默认 tokenExpire
+   * @return {Promise<string>} 新生成的 Token
+   */
+  async create(admin, extra = {}, expire = tokenExpire) {
+    const { ctx } = this;
+    const adminId = admin.id;
+
+    // 单点登录控制：清除之前的所有登录状态
+    if (admin.isMultipoint === 0 && !extra.impersonator) {
+      await this.destroyAll(adminId);
+    }
+
+    const token = ctx.setToken();
+    const userAgent = ctx.request.header['user-agent'] || '';
+    const ua = parser(userAgent);
+    const now = Math.floor(Date.now() / 1000);
+
+    const session = {
+      adminId,
+      ip: ctx.request.ip,
+      userAgent,
+      device: [ ua.os.name, ua.os.version, ua.browser.name, ua.browser.version ].filter(Boolean).join(' '),
+      issuedAt: now,
+      lastSeen: now,
+      ...extra,
+    };
+
+    await ctx.service.redis.set(backstageTokenKey + token, session, expire);
+    await ctx.service.redis.sSet(backstageTokenSet + adminId, token);
+    return token;
+  }
+
+  /**
+   * 获取会话元数据
+   *
+   * @param {string} token - 登录 Token
+   * @return {Promise<Object|null>} 会话元数据，不存在或格式不正确返回 null
+   */
+  async get(token) {
+    const { ctx } = this;
+    if (!token) {
+      return null;
+    }
+    const session = await ctx.service.redis.get(backstageTokenKey + token);
+    if (!session || typeof session !== 'object' || !session.adminId) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * 刷新会话
+   * 更新最后活跃时间和IP，剩余有效期不足 tokenRenewTime 时续签（模拟登录会话不续签）
+   *
+   * @param {string} token - 登录 Token
+   * @param {Object} session - 当前会话元数据
+   */
+  async touch(token, session) {
+    const { ctx } = this;
+    const key = backstageTokenKey + token;
+    const now = Math.floor(Date.now() / 1000);
+
+    const ttl = await ctx.service.redis.ttl(key);
+    const renew = ttl < tokenRenewTime && !session.impersonator;
+    if (ttl <= 0 || (!renew && now - session.lastSeen < touchInterval)) {
+      return;
+    }
+
+    session.lastSeen = now;
+    session.lastIp = ctx.request.ip;
+    // 仅覆盖仍存在的会话，避免在读取 TTL 之后被注销的会话被重新写回
+    await ctx.service.redis.setXx(key, session, renew ? tokenExpire : ttl);
+  }
+
+  /**
+   * 获取管理员的所有有效会话
+   * 顺带清理集合中已过期的 Token
+   *
+   * @param {number} adminId - 管理员ID
+   * @param {string} [currentToken] - 当前请求的 Token，用于标记当前会话
+   * @return {Promise<Array>} 会话列表，按登录时间倒序
+   */
+  async list(adminId, currentToken) {
+    const { ctx } = this;
+    const setKey = backstageTokenSet + adminId;
+    const tokens = await ctx.service.redis.sGet(setKey);
+
+    const sessions = [];
+    const expired = [];
+    for (const token of tokens) {
+      const session = await this.get(token);
+      const ttl = await ctx.service.redis.ttl(backstageTokenKey + token);
+      if (!session || ttl <= 0) {
+        expired.push(token);
+        continue;
+      }
+      sessions.push({
+        id: sessionId(token),
+        ip: session.ip,
+        lastIp: session.lastIp || session.ip,
+        userAgent: session.userAgent,
+        device: session.device,
+        loginTime: session.issuedAt,
+        lastSeen: session.lastSeen,
+        ttl,
+        current: token === currentToken,
+        // 模拟登录会话，{id, username} 为实际操作的超级管理员
+        impersonator: session.impersonator ? {
+          id: session.impersonator.id,
+          username: session.impersonator.username,
+        } : null,
+      });
+    }
+    if (expired.length > 0) {
+      await ctx.service.redis.sRem(setKey, expired);
+    }
+
+    sessions.sort((a, b) => b.loginTime - a.loginTime);
+    return sessions;
+  }
+
+  /**
+   * 根据会话ID注销管理员的单个会话
+   *
+   * @param {number} adminId - 管理员ID
+   * @param {string} id - 会话ID（见 list 返回的 id）
+   * @return {Promise<boolean>} 是否找到并注销了会话
+   */
+  async revoke(adminId, id) {
+    const { ctx } = this;
+    const tokens = await ctx.service.redis.sGet(backstageTokenSet + adminId);
+    const token = tokens.find(t => sessionId(t) === id);
+    if (!token) {
+      return false;
+    }
+    await this.destroy(token);
+    return true;
+  }
+
+  /**
+   * 注销单个会话
+   * 同时删除该会话的敏感操作验证状态
+   *
+   * @param {string} token - 登录 Token
+   */
+  async destroy(token) {
+    const { ctx } = this;
+    const session = await this.get(token);
+    await ctx.service.redis.del([ backstageTokenKey + token, backstageSudoKey + token ]);
+    if (session) {
+      await ctx.service.redis.sRem(backstageTokenSet + session.adminId, token);
+    }
+  }
+
+  /**
+   * 注销管理员的所有会话
+   *
+   * @param {number} adminId - 管理员ID
+   * @param {string} [exceptToken] - 需要保留的 Token（如当前会话）
+   */
+  async destroyAll(adminId, exceptToken) {
+    const { ctx } = this;
+    const setKey = backstageTokenSet + adminId;
+    const tokens = (await ctx.service.redis.sGet(setKey)).filter(t => t !== exceptToken);
+    if (tokens.length === 0) {
+      return;
+    }
+    await ctx.service.redis.del([
+      ...tokens.map(t => backstageTokenKey + t),
+      ...tokens.map(t => backstageSudoKey + t),
+    ]);
+    await ctx.service.redis.sRem(setKey, tokens);
+  }
+}
+
+// 导出服务类
+module.exports = AuthSessionService;
@@ -0,0 +1,328 @@
+'use strict';
+
+/**
+ * authTotp.js - 管理员两步验证（TOTP）服务模块
+ *
+ * 功能：两步验证的绑定、开启、关闭、恢复码管理，以及两步登录的凭证管理
+ * - 绑定：生成临时密钥（Redis），校验动态口令后写入 SystemAuthAdmin 并开启
+ * - 恢复码：一次性使用，仅保存 SHA-256 哈希
+ * - 角色强制：SystemAuthRole.totpForce=1 时该角色下的管理员必须开启两步验证
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const crypto = require('crypto');
+const Sequelize = require('sequelize');
+const Op = Sequelize.Op;
+// 引入配置常量
+const {
+  backstageTotpEnrollKey,
+  backstageTotpUsedKey,
+  backstageTotpTicketKey,
+} = require('../extend/config');
+// TOTP 动态口令工具
+const totpUtil = require('../util/totpUtil');
+
+/**
+ * 计算恢复码哈希
+ * 恢复码为高熵随机字符串，使用 SHA-256 即可，忽略大小写和分隔符
+ *
+ * @param {string} code - 恢复码
+ * @return {string} 十六进制哈希
+ */
+function hashRecovery(code) {
+  const normalized = String(code).toLowerCase()
+    .replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * 两步验证服务类
+ *
+ * @class AuthTotpService
+ * @extends Service
+ */
+class AuthTotpService extends Service {
+
+  /**
+   * 判断管理员登录时是否需要两步验证
+   * 已开启两步验证，或所属角色强制要求两步验证
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @return {Promise<boolean>} 是否需要两步验证
+   */
+  async isRequired(admin) {
+    if (admin.totpEnable === 1) {
+      return true;
+    }
+    return this.isForcedByRole(admin);
+  }
+
+  /**
+   * 判断管理员所属角色是否强制要求两步验证
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @return {Promise<boolean>} 是否被角色强制
+   */
+  async isForcedByRole(admin) {
+    const { ctx } = this;
+    const roleIds = String(admin.role || '').split(',')
+      .filter(Boolean);
+    if (roleIds.length === 0) {
+      return false;
+    }
+    const count = await ctx.model.SystemAuthRole.count({
+      where: {
+        id: { [Op.in]: roleIds },
+        totpForce: 1,
+      },
+    });
+    return count > 0;
+  }
+
+  /**
+   * 开始绑定：生成临时密钥和 otpauth URI
+   * 密钥在 enable 校验通过前只保存在 Redis 中
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @return {Promise<Object>} {secret, uri}
+   */
+  async enroll(admin) {
+    const { ctx, config } = this;
+    if (admin.totpEnable === 1) {
+      throw new Error('已开启两步验证，请先关闭后再重新绑定');
+    }
+    const secret = totpUtil.generateSecret();
+    await ctx.service.redis.set(backstageTotpEnrollKey + admin.id, secret, config.totp.enrollExpire);
+    return {
+      secret,
+      uri: totpUtil.keyUri(config.totp.issuer, admin.username, secret),
+    };
+  }
+
+  /**
+   * 完成绑定：校验动态口令后开启两步验证并生成恢复码
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @param {string} code - 验证器应用上的动态口令
+   * @return {Promise<Array<string>>} 恢复码明文（仅在此时返回一次）
+   */
+  async enable(admin, code) {
+    const { ctx, config } = this;
+    const enrollKey = backstageTotpEnrollKey + admin.id;
+    const secret = await ctx.service.redis.get(enrollKey);
+    if (!secret) {
+      throw new Error('绑定已过期，请重新获取密钥');
+    }
+
+    const step = totpUtil.verify(secret, code, config.totp.window);
+    if (step < 0) {
+      throw new Error('动态口令错误');
+    }
+
+    const codes = this.generateRecovery();
+    await admin.update({
+      totpEnable: 1,
+      totpSecret: secret,
+      totpRecovery: JSON.stringify(codes.map(hashRecovery)),
+      updateTime: Math.floor(Date.now() / 1000),
+    });
+    await ctx.service.redis.del(enrollKey);
+    await this.markUsed(admin.id, step);
+    await ctx.service.authAdmin.cacheAdminUserByUid(admin.id);
+    return codes;
+  }
+
+  /**
+   * 关闭两步验证
+   * 需要提供有效的动态口令或恢复码；所属角色强制要求时不允许关闭
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @param {string} code - 动态口令或恢复码
+   */
+  async disable(admin, code) {
+    const { ctx } = this;
+    if (admin.totpEnable !== 1) {
+      throw new Error('未开启两步验证');
+    }
+    if (await this.isForcedByRole(admin)) {
+      throw new Error('所属角色要求开启两步验证，无法关闭');
+    }
+    if (!(await this.verify(admin, code))) {
+      throw new Error('动态口令错误');
+    }
+    await this.reset(admin.id);
+    await ctx.service.authAdmin.cacheAdminUserByUid(admin.id);
+  }
+
+  /**
+   * 重新生成恢复码，旧恢复码全部失效
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @param {string} code - 动态口令
+   * @return {Promise<Array<string>>} 新的恢复码明文
+   */
+  async regenerateRecovery(admin, code) {
+    const { config } = this;
+    if (admin.totpEnable !== 1) {
+      throw new Error('未开启两步验证');
+    }
+    const step = totpUtil.verify(admin.totpSecret, code, config.totp.window);
+    if (step < 0 || !(await this.markUsed(admin.id, step))) {
+      throw new Error('动态口令错误');
+    }
+    const codes = this.generateRecovery();
+    await admin.update({
+      totpRecovery: JSON.stringify(codes.map(hashRecovery)),
+      updateTime: Math.floor(Date.now() / 1000),
+    });
+    return codes;
+  }
+
+  /**
+   * 清除管理员的两步验证设置
+   * 用于本人关闭，或超级管理员为丢失设备的管理员重置
+   *
+   * @param {number} adminId - 管理员ID
+   */
+  async reset(adminId) {
+    const { ctx } = this;
+    await ctx.model.SystemAuthAdmin.update({
+      totpEnable: 0,
+      totpSecret: '',
+      totpRecovery: '',
+      updateTime: Math.floor(Date.now() / 1000),
+    }, {
+      where: {
+        id: adminId,
+      },
+    });
+    await ctx.service.redis.del(backstageTotpEnrollKey + adminId);
+  }
+
+  /**
+   * 校验动态口令或恢复码
+   * 动态口令同一时间步长只能使用一次；恢复码使用后立即作废
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @param {string} code - 动态口令或恢复码
+   * @return {Promise<boolean>} 校验结果
+   */
+  async verify(admin, code) {
+    const { ctx, config } = this;
+    if (admin.totpEnable !== 1 || !code) {
+      return false;
+    }
+
+    const step = totpUtil.verify(admin.totpSecret, code, config.totp.window);
+    if (step >= 0) {
+      return this.markUsed(admin.id, step);
+    }
+
+    // 恢复码校验
+    let hashes = [];
+    try {
+      hashes = JSON.parse(admin.totpRecovery || '[]');
+    } catch (err) {
+      return false;
+    }
+    const hashed = hashRecovery(code);
+    const idx = hashes.findIndex(h => crypto.timingSafeEqual(Buffer.from(h), Buffer.from(hashed)));
+    if (idx === -1) {
+      return false;
+    }
+    // 按读取时的恢复码列表条件更新，并发使用同一恢复码时只有一个请求能更新成功
+    hashes.splice(idx, 1);
+    const [ affected ] = await ctx.model.SystemAuthAdmin.update({
+      totpRecovery: JSON.stringify(hashes),
+    }, {
+      where: {
+        id: admin.id,
+        totpRecovery: admin.totpRecovery,
+      },
+    });
+    return affected === 1;
+  }
+
+  /**
+   * 创建登录第二步凭证
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @param {Object} [extra] - 完成登录时附加的会话元数据，如单点登录的 {sso}
+   * @return {Promise<string>} 凭证
+   */
+  async createTicket(admin, extra = {}) {
+    const { ctx, config } = this;
+    const ticket = crypto.randomBytes(24).toString('hex');
+    await ctx.service.redis.set(backstageTotpTicketKey + ticket, { adminId: admin.id, extra }, config.totp.ticketExpire);
+    return ticket;
+  }
+
+  /**
+   * 读取登录第二步凭证并累计尝试次数
+   * 尝试次数使用独立的计数器原子自增，并发请求不会读到相同的次数；超过最大尝试次数后凭证作废
+   *
+   * @param {string} ticket - 凭证
+   * @return {Promise<Object>} {adminId, extra}：凭证对应的管理员ID（无效时为 0）和创建凭证时附加的会话元数据
+   */
+  async useTicket(ticket) {
+    const { ctx, config } = this;
+    const invalid = { adminId: 0, extra: {} };
+    if (!ticket) {
+      return invalid;
+    }
+    const key = backstageTotpTicketKey + ticket;
+    const data = await ctx.service.redis.get(key);
+    if (!data || !data.adminId) {
+      return invalid;
+    }
+    const attempts = await ctx.service.redis.incr(`${key}:attempts`, config.totp.ticketExpire);
+    if (attempts > config.totp.ticketMaxAttempts) {
+      await this.destroyTicket(ticket);
+      return invalid;
+    }
+    return { adminId: data.adminId, extra: data.extra || {} };
+  }
+
+  /**
+   * 作废登录第二步凭证
+   *
+   * @param {string} ticket - 凭证
+   */
+  async destroyTicket(ticket) {
+    const { ctx } = this;
+    await ctx.service.redis.del(backstageTotpTicketKey + ticket);
+    await ctx.service.redis.del(`${backstageTotpTicketKey}${ticket}:attempts`);
+  }
+
+  /**
+   * 记录已使用的时间步长
+   * 比较和写入原子执行，并发请求只有一个能使用同一时间步长
+   *
+   * @param {number} adminId - 管理员ID
+   * @param {number} step - 时间步长
+   * @return {Promise<boolean>} 该时间步长及之后的步长之前未被使用返回 true
+   */
+  async markUsed(adminId, step) {
+    const { ctx, config } = this;
+    return ctx.service.redis.setIfGreater(backstageTotpUsedKey + adminId, step, 30 * (config.totp.window * 2 + 2));
+  }
+
+  /**
+   * 生成恢复码明文
+   *
+   * @return {Array<string>} 形如 xxxxx-xxxxx 的恢复码
+   */
+  generateRecovery() {
+    const { config } = this;
+    const codes = [];
+    for (let i = 0; i < config.totp.recoveryCount; i++) {
+      const hex = crypto.randomBytes(5).toString('hex');
+      codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+    return codes;
+  }
+}
+
+// 导出服务类
+module.exports = AuthTotpService;
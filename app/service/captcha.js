@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * captcha.js - 登录图形验证码服务模块
+ *
+ * 功能：生成 SVG 图形验证码，答案保存在 Redis 中并短时有效，校验一次后即作废
+ * 是否需要验证码由 系统设置-安全设置 决定（systemConfig，type=security）：
+ * - captchaMode: 0=关闭, 1=失败N次后需要, 2=始终需要
+ * - captchaFails: captchaMode=1 时的失败次数阈值
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+// 引入配置常量
+const { backstageCaptchaKey } = require('../extend/config');
+// 工具函数
+const util = require('../util');
+// SVG 验证码生成工具
+const captchaUtil = require('../util/captchaUtil');
+
+/**
+ * 图形验证码服务类
+ *
+ * @class CaptchaService
+ * @extends Service
+ */
+class CaptchaService extends Service {
+
+  /**
+   * 生成验证码
+   *
+   * @return {Promise<Object>} {id, svg}，登录时需回传 id 和用户输入的验证码
+   */
+  async create() {
+    const { ctx, config } = this;
+    const { length, width, height, expire } = config.captcha;
+    const { text, svg } = captchaUtil.create({ length, width, height });
+    const id = util.makeUuid();
+    await ctx.service.redis.set(backstageCaptchaKey + id, text.toLowerCase(), expire);
+    return { id, svg };
+  }
+
+  /**
+   * 校验验证码
+   * 无论成功与否验证码都会作废，防止重复尝试
+   *
+   * @param {string} id - 验证码ID
+   * @param {string} code - 用户输入的验证码
+   * @return {Promise<boolean>} 校验结果
+   */
+  async verify(id, code) {
+    const { ctx } = this;
+    if (!id || !code) {
+      return false;
+    }
+    const key = backstageCaptchaKey + id;
+    const answer = await ctx.service.redis.get(key);
+    // 只有成功删除验证码的请求才能使用它，防止并发请求重复使用同一个验证码
+    if (!answer || !await ctx.service.redis.del(key)) {
+      return false;
+    }
+    return answer === String(code).trim()
+      .toLowerCase();
+  }
+
+  /**
+   * 判断本次登录是否需要验证码
+   *
+   * @param {string} username - 登录账号
+   * @param {string} ip - 客户端IP
+   * @return {Promise<boolean>} 是否需要验证码
+   */
+  async isRequired(username, ip) {
+    const { ctx } = this;
+    const { captchaMode, captchaFails } = await ctx.service.security.details();
+    if (captchaMode === 2) {
+      return true;
+    }
+    if (captchaMode === 1) {
+      const fails = await ctx.service.loginLock.failCount(username, ip);
+      return fails >= captchaFails;
+    }
+    return false;
+  }
+}
+
+// 导出服务类
+module.exports = CaptchaService;
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * dataScope.js - 角色数据范围服务模块
+ *
+ * 功能：根据当前管理员所属角色的数据范围（SystemAuthRole.dataScope），
+ * 计算其可见的部门和管理员，供列表查询及按ID查询、修改、删除时追加过滤条件
+ *
+ * 数据范围：
+ * - 1 全部数据
+ * - 2 自定义部门（SystemAuthRole.deptIds）
+ * - 3 本部门
+ * - 4 本部门及以下（按 SystemAuthDept.pid 组成的部门树展开）
+ * - 5 仅本人
+ *
+ * 管理员拥有多个角色时取并集；超级管理员不受限制；本人的数据始终可见。
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const Sequelize = require('sequelize');
+const Op = Sequelize.Op;
+// 引入配置常量
+const { reqAdminIdKey, superAdminId } = require('../extend/config');
+
+// 数据范围常量
+const scopeAll = 1;
+const scopeCustom = 2;
+const scopeDept = 3;
+const scopeDeptAndChildren = 4;
+const scopeSelf = 5;
+
+/**
+ * 角色数据范围服务类
+ *
+ * @class DataScopeService
+ * @extends Service
+ */
+class DataScopeService extends Service {
+
+  /**
+   * 解析当前管理员的数据范围
+   * 结果在当前请求内缓存
+   *
+   * @return {Promise<Object|null>} 不受限制返回 null，否则返回 {adminId, deptIds}
+   */
+  async resolve() {
+    if (this.scope !== undefined) {
+      return this.scope;
+    }
+    this.scope = await this.resolveFor(this.ctx.session[reqAdminIdKey]);
+    return this.scope;
+  }
+
+  /**
+   * 解析指定管理员的数据范围
+   *
+   * @param {number} adminId - 管理员ID
+   * @return {Promise<Object|null>} 不受限制返回 null，否则返回 {adminId, deptIds}
+   */
+  async resolveFor(adminId) {
+    const { ctx } = this;
+    if (!adminId || adminId === superAdminId) {
+      return null;
+    }
+
+    const admin = await ctx.model.SystemAuthAdmin.findByPk(adminId);
+    if (!admin) {
+      return { adminId, deptIds: [] };
+    }
+
+    const roleIds = String(admin.role || '').split(',')
+      .filter(Boolean);
+    const roles = roleIds.length > 0 ? await ctx.model.SystemAuthRole.findAll({
+      where: {
+        id: { [Op.in]: roleIds },
+        isDisable: 0, // 已禁用的角色不授予数据权限
+      },
+    }) : [];
+
+    const deptIds = new Set();
+    let withChildren = false;
+    for (const role of roles) {
+      switch (role.dataScope) {
+        case scopeAll:
+          return null;
+        case scopeCustom:
+          String(role.deptIds || '').split(',')
+            .filter(Boolean)
+            .forEach(id => deptIds.add(parseInt(id, 10)));
+          break;
+        case scopeDept:
+          deptIds.add(admin.deptId);
+          break;
+        case scopeDeptAndChildren:
+          deptIds.add(admin.deptId);
+          withChildren = true;
+          break;
+        case scopeSelf:
+        default:
+          break;
+      }
+    }
+
+    if (withChildren) {
+      for (const id of await this.childDeptIds(admin.deptId)) {
+        deptIds.add(id);
+      }
+    }
+
+    return { adminId, deptIds: [ ...deptIds ] };
+  }
+
+  /**
+   * 获取部门的所有下级部门ID（不含自身）
+   *
+   * @param {number} deptId - 部门ID
+   * @return {Promise<Array<number>>} 下级部门ID
+   */
+  async childDeptIds(deptId) {
+    const { ctx } = this;
+    const depts = await ctx.model.SystemAuthDept.findAll({
+      where: {
+        isDelete: 0,
+      },
+      attributes: [ 'id', 'pid' ],
+    });
+
+    // 按 pid 建立子部门索引
+    const childrenMap = {};
+    for (const dept of depts) {
+      (childrenMap[dept.pid] = childrenMap[dept.pid] || []).push(dept.id);
+    }
+
+    // 深度优先展开部门树，visited 防止脏数据中的环导致死循环
+    const visited = new Set([ deptId ]);
+    const stack = [ deptId ];
+    while (stack.length > 0) {
+      for (const id of childrenMap[stack.pop()] || []) {
+        if (!visited.has(id)) {
+          visited.add(id);
+          stack.push(id);
+        }
+      }
+    }
+    visited.delete(deptId);
+    return [ ...visited ];
+  }
+
+  /**
+   * 管理员表（SystemAuthAdmin）的数据范围过滤条件
+   *
+   * @return {Promise<Object>} Sequelize where 条件，不受限制时返回空对象
+   */
+  async adminWhere() {
+    const scope = await this.resolve();
+    if (!scope) {
+      return {};
+    }
+    return {
+      [Op.or]: [
+        { id: scope.adminId },
+        ...(scope.deptIds.length > 0 ? [{ deptId: { [Op.in]: scope.deptIds } }] : []),
+      ],
+    };
+  }
+
+  /**
+   * 可见的管理员ID列表，用于按管理员ID过滤的表（如操作日志、相册）
+   *
+   * @return {Promise<Array<number>|null>} 不受限制返回 null
+   */
+  async adminIds() {
+    const { ctx } = this;
+    const scope = await this.resolve();
+    if (!scope) {
+      return null;
+    }
+    if (scope.deptIds.length === 0) {
+      return [ scope.adminId ];
+    }
+    const admins = await ctx.model.SystemAuthAdmin.findAll({
+      where: {
+        deptId: { [Op.in]: scope.deptIds },
+      },
+      attributes: [ 'id' ],
+    });
+    return [ ...new Set([ scope.adminId, ...admins.map(a => a.id) ]) ];
+  }
+
+  /**
+   * 判断指定管理员是否在当前管理员的数据范围内，用于按ID访问单个管理员的数据（如登录会话）
+   *
+   * @param {number} adminId - 管理员ID
+   * @return {Promise<boolean>} 是否可访问
+   */
+  async hasAdmin(adminId) {
+    const adminIds = await this.adminIds();
+    return !adminIds || adminIds.includes(adminId);
+  }
+}
+
+// 导出服务类
+module.exports = DataScopeService;
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * impersonate.js - 模拟登录服务模块
+ *
+ * 功能：超级管理员以其他管理员的身份登录，用于排查对方看到的菜单和数据
+ * - 模拟登录 Token 有效期有限且不续签，不影响对方已有的登录会话
+ * - 会话中同时记录被模拟的管理员和实际操作的超级管理员（session.impersonator），
+ *   操作日志的 realAdminId 记录实际操作人
+ * - 每次模拟登录都保存到 SystemAuthImpersonate 表，可随时提前结束
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const Sequelize = require('sequelize');
+const Op = Sequelize.Op;
+const moment = require('moment');
+// 引入配置常量
+const { backstageImpersonateKey, reqAdminIdKey, reqUsernameKey, superAdminId } = require('../extend/config');
+
+/**
+ * 模拟登录服务类
+ *
+ * @class ImpersonateService
+ * @extends Service
+ */
+class ImpersonateService extends Service {
+
+  /**
+   * 获取模拟登录记录列表（分页）
+   *
+   * @param {Object} listReq - 请求参数 {pageNo, pageSize, adminId, targetId}
+   * @return {Promise<Object>} 分页结果 {pageNo, pageSize, count, lists}
+   */
+  async list(listReq) {
+    const { ctx } = this;
+    const { SystemAuthImpersonate, SystemAuthAdmin } = ctx.model;
+    try {
+      const pageNo = parseInt(listReq.pageNo, 10) || 1;
+      const pageSize = parseInt(listReq.pageSize, 10) || 20;
+
+      const where = {};
+      if (listReq.adminId) {
+        where.adminId = parseInt(listReq.adminId, 10);
+      }
+      if (listReq.targetId) {
+        where.targetId = parseInt(listReq.targetId, 10);
+      }
+
+      const { count, rows } = await SystemAuthImpersonate.findAndCountAll({
+        where,
+        order: [[ 'id', 'DESC' ]],
+        limit: pageSize,
+        offset: pageSize * (pageNo - 1),
+      });
+
+      // 查询实际操作人和被模拟管理员的账号，便于列表展示
+      const ids = new Set();
+      rows.forEach(row => {
+        ids.add(row.adminId);
+        ids.add(row.targetId);
+      });
+      const admins = await SystemAuthAdmin.findAll({
+        where: { id: { [Op.in]: [ ...ids ] } },
+        attributes: [ 'id', 'username' ],
+      });
+      const names = {};
+      admins.forEach(admin => { names[admin.id] = admin.username; });
+
+      const now = Math.floor(Date.now() / 1000);
+      const lists = rows.map(row => ({
+        ...row.toJSON(),
+        adminName: names[row.adminId] || '',
+        targetName: names[row.targetId] || '',
+        // 状态: 1=进行中, 2=已结束, 3=已过期
+        status: this.status(row, now),
+        expireTime: moment(row.expireTime * 1000).format('YYYY-MM-DD HH:mm:ss'),
+        revokeTime: row.revokeTime ? moment(row.revokeTime * 1000).format('YYYY-MM-DD HH:mm:ss') : '',
+      }));
+
+      return {
+        pageNo,
+        pageSize,
+        count,
+        lists,
+      };
+    } catch (err) {
+      throw new Error(`ImpersonateService.list error: ${err}`);
+    }
+  }
+
+  /**
+   * 开始模拟登录
+   *
+   * @param {Object} startReq - 请求参数 {adminId, expire, reason}
+   * @return {Promise<Object>} {id, token, expireTime}，前端使用该 Token 打开新的后台窗口
+   *
+   * @流程说明
+   * 1. 校验当前为超级管理员本人登录（不能通过 API 密钥或模拟登录会话发起）
+   * 2. 校验被模拟的管理员和有效期
+   * 3. 保存模拟记录，创建带 impersonator 的登录会话
+   */
+  async start(startReq) {
+    const { ctx, config } = this;
+    this.checkSuperAdmin();
+
+    const targetId = parseInt(startReq.adminId, 10) || 0;
+    if (targetId === superAdminId) {
+      throw new Error('不能模拟超级管理员');
+    }
+    const target = await ctx.model.SystemAuthAdmin.findOne({
+      where: {
+        id: targetId,
+        isDelete: 0,
+      },
+    });
+    if (!target) {
+      throw new Error('管理员不存在');
+    }
+    if (target.isDisable === 1) {
+      throw new Error('该管理员已被禁用');
+    }
+
+    const { expire: defaultExpire, maxExpire } = config.impersonate;
+    const expire = parseInt(startReq.expire, 10) || defaultExpire;
+    if (expire < 60 || expire > maxExpire) {
+      throw new Error(`有效期必须在60~${maxExpire}秒`);
+    }
+    const reason = String(startReq.reason || '').trim();
+    if (!reason || reason.length > 200) {
+      throw new Error('模拟原因不能为空且不能超过200个字符');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const record = await ctx.model.SystemAuthImpersonate.create({
+      adminId: ctx.session[reqAdminIdKey],
+      targetId,
+      reason,
+      ip: ctx.request.ip,
+      expireTime: now + expire,
+      createTime: now,
+    });
+
+    const token = await ctx.service.authSession.create(target, {
+      impersonator: {
+        id: ctx.session[reqAdminIdKey],
+        username: ctx.session[reqUsernameKey],
+        recordId: record.id,
+        expireTime: now + expire,
+      },
+    }, expire);
+    await ctx.service.redis.set(backstageImpersonateKey + record.id, token, expire);
+
+    return {
+      id: record.id,
+      token,
+      expireTime: moment((now + expire) * 1000).format('YYYY-MM-DD HH:mm:ss'),
+    };
+  }
+
+  /**
+   * 提前结束指定的模拟登录
+   *
+   * @param {number} id - 模拟记录ID
+   */
+  async revoke(id) {
+    const { ctx } = this;
+    this.checkSuperAdmin();
+
+    const record = await ctx.model.SystemAuthImpersonate.findByPk(parseInt(id, 10) || 0);
+    if (!record || this.status(record) !== 1) {
+      throw new Error('模拟登录不存在或已结束');
+    }
+    await this.end(record, ctx.session[reqAdminIdKey]);
+  }
+
+  /**
+   * 结束当前的模拟登录（在模拟登录会话中调用）
+   */
+  async stop() {
+    const { ctx } = this;
+    if (!ctx.impersonator) {
+      throw new Error('当前不是模拟登录');
+    }
+    const record = await ctx.model.SystemAuthImpersonate.findByPk(ctx.impersonator.recordId);
+    if (record && record.revokeTime === 0) {
+      await this.end(record, ctx.impersonator.id);
+      return;
+    }
+    await ctx.service.authSession.destroy(ctx.request.header.token);
+  }
+
+  /**
+   * 注销模拟登录会话并记录结束时间
+   *
+   * @param {Object} record - SystemAuthImpersonate 记录
+   * @param {number} revokeBy - 结束操作人ID
+   */
+  async end(record, revokeBy) {
+    const { ctx } = this;
+    const key = backstageImpersonateKey + record.id;
+    const token = await ctx.service.redis.get(key);
+    if (token) {
+      await ctx.service.authSession.destroy(token);
+    }
+    await ctx.service.redis.del(key);
+    await record.update({
+      revokeTime: Math.floor(Date.now() / 1000),
+      revokeBy,
+    });
+  }
+
+  /**
+   * 计算模拟记录状态
+   *
+   * @param {Object} record - SystemAuthImpersonate 记录
+   * @param {number} [now] - 当前时间戳（秒）
+   * @return {number} 1=进行中, 2=已结束, 3=已过期
+   */
+  status(record, now = Math.floor(Date.now() / 1000)) {
+    if (record.revokeTime > 0) {
+      return 2;
+    }
+    return record.expireTime > now ? 1 : 3;
+  }
+
+  /**
+   * 校验当前请求由超级管理员本人发起
+   * API 密钥和模拟登录会话都不能发起或结束模拟登录
+   */
+  checkSuperAdmin() {
+    const { ctx } = this;
+    if (ctx.apiKey || ctx.impersonator || ctx.session[reqAdminIdKey] !== superAdminId) {
+      throw new Error('只有超级管理员可以模拟登录');
+    }
+  }
+}
+
+// 导出服务类
+module.exports = ImpersonateService;
@@ -19,6 +19,65 @@ const Service = require('egg').Service;
 const Sequelize = require('sequelize');
 // 引入 Sequelize 操作符，用于构建复杂的查询条件
 const Op = Sequelize.Op;
+// 引入日期处理库，用于时间格式转换
+const dayjs = require('dayjs');
+
+// 登录日志单次导出的最大记录数
+const loginExportLimit = 10000;
+
+/**
+ * 将时间参数转换为秒级时间戳
+ * 支持时间戳数字和日期字符串（如 2023-01-01 00:00:00）
+ *
+ * @param {number|string} time - 时间参数
+ * @param {boolean} [endOfDay] - 只有日期（如 2023-12-31）时取当天结束时间，用于结束时间
+ * @return {number} 秒级时间戳，无效时返回 0
+ */
+function toTimestamp(time, endOfDay = false) {
+  if (!time) {
+    return 0;
+  }
+  if (/^\d+$/.test(String(time))) {
+    return parseInt(time, 10);
+  }
+  const date = dayjs(time);
+  if (!date.isValid()) {
+    return 0;
+  }
+  return endOfDay && /^\d{4}-\d{1,2}-\d{1,2}$/.test(String(time).trim()) ? date.endOf('day').unix() : date.unix();
+}
+
+/**
+ * 格式化 User-Agent 解析结果
+ * recordLoginLog 中以 JSON 字符串存储 {name, version}
+ *
+ * @param {string} str - JSON 字符串
+ * @return {string} 如 "Chrome 120.0.0.0"
+ */
+function formatUa(str) {
+  try {
+    const { name = '', version = '' } = JSON.parse(str || '{}');
+    return `${name} ${version}`.trim();
+  } catch (err) {
+    return str || '';
+  }
+}
+
+/**
+ * CSV 字段转义
+ * 包含逗号、引号或换行的字段使用双引号包裹，内部引号加倍；
+ * 以 = + - @ 开头的字段前置单引号，防止在 Excel 中被当作公式执行
+ *
+ * @param {*} val - 字段值
+ * @return {string} 转义后的字段
+ */
+function csvField(val) {
+  let str = val === null || val === undefined ? '' : String(val);
+  if (/^[=+\-@]/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
 
 /**
  * 日志服务类
@@ -75,7 +134,7 @@ class LogService extends Service {
    */
   async operate(listReq) {
     // 从 Egg.js 应用中获取模型实例
-    const { app } = this;
+    const { app, ctx } = this;
     // 解构获取操作日志模型和管理员模型
     const { SystemLogOperate, SystemAuthAdmin } = app.model;
 
@@ -121,8 +180,17 @@ class LogService extends Service {
          * 表示查询关联的 admin 模型的 username 字段
          */
         ...(listReq.username && { '$admin.username$': { [Op.like]: `%${listReq.username}%` } }),
+
+        // 实际操作人ID精确匹配：用于查询超级管理员模拟其他管理员时的操作
+        ...(listReq.realAdminId && { realAdminId: listReq.realAdminId }),
       };
 
+      // 角色数据范围：只能查看有权限的部门下管理员的操作日志
+      const scopeAdminIds = await ctx.service.dataScope.adminIds();
+      if (scopeAdminIds) {
+        where.adminId = { [Op.in]: scopeAdminIds };
+      }
+
       // ==================== 执行数据库查询 ====================
       /**
        * 使用 Sequelize 的 findAndCountAll 方法
@@ -137,6 +205,11 @@ class LogService extends Service {
             model: SystemAuthAdmin, // 关联管理员模型
             as: 'admin', // 关联别名
           },
+          {
+            model: SystemAuthAdmin, // 实际操作人（模拟登录时与 admin 不同）
+            as: 'realAdmin',
+            attributes: [ 'id', 'username', 'nickname' ],
+          },
         ],
         // 分页参数
         limit, // 每页记录数
@@ -168,6 +241,162 @@ class LogService extends Service {
       throw new Error(`SystemLogController.operate error: ${err}`);
     }
   }
+
+  /**
+   * 获取登录日志列表（分页 + 多条件筛选）
+   *
+   * @param {Object} listReq - 查询请求参数对象
+   * @param {string} [listReq.username] - 登录账号模糊搜索
+   * @param {string} [listReq.ip] - 登录IP模糊搜索
+   * @param {string} [listReq.status] - 登录状态精确匹配: 1=成功, 2=失败
+   * @param {number|string} [listReq.startTime] - 开始时间（时间戳或日期字符串）
+   * @param {number|string} [listReq.endTime] - 结束时间（时间戳或日期字符串）
+   * @param {number} listReq.pageNo - 页码（从1开始）
+   * @param {number} listReq.pageSize - 每页记录数
+   *
+   * @return {Promise<Object>} 返回分页查询结果对象 {pageNo, pageSize, count, lists}
+   *
+   * @throws {Error} 当数据库查询异常时抛出错误
+   */
+  async login(listReq) {
+    const { SystemLogLogin } = this.app.model;
+
+    try {
+      const limit = parseInt(listReq.pageSize, 10);
+      const offset = listReq.pageSize * (listReq.pageNo - 1);
+
+      const { count, rows } = await SystemLogLogin.findAndCountAll({
+        where: this.loginWhere(listReq),
+        limit,
+        offset,
+        order: [[ 'id', 'DESC' ]],
+      });
+
+      return {
+        pageNo: listReq.pageNo,
+        pageSize: listReq.pageSize,
+        count,
+        lists: rows.map(row => this.formatLoginLog(row)),
+      };
+    } catch (err) {
+      throw new Error(`LogService.login error: ${err}`);
+    }
+  }
+
+  /**
+   * 导出登录日志为 CSV
+   * 筛选条件与 login 列表一致，最多导出 loginExportLimit 条记录
+   *
+   * @param {Object} listReq - 查询请求参数对象，同 login
+   * @return {Promise<string>} CSV 文本（带 UTF-8 BOM，便于 Excel 打开）
+   *
+   * @throws {Error} 当数据库查询异常时抛出错误
+   */
+  async loginExport(listReq) {
+    const { SystemLogLogin } = this.app.model;
+
+    try {
+      const rows = await SystemLogLogin.findAll({
+        where: this.loginWhere(listReq),
+        limit: loginExportLimit,
+        order: [[ 'id', 'DESC' ]],
+      });
+
+      const header = [ 'ID', '管理员ID', '登录账号', '登录地址', '操作系统', '浏览器', '登录状态', '登录时间' ];
+      const lines = rows.map(row => {
+        const log = this.formatLoginLog(row);
+        return [
+          log.id,
+          log.adminId,
+          log.username,
+          log.ip,
+          log.os,
+          log.browser,
+          log.status === 1 ? '成功' : '失败',
+          log.createTime,
+        ].map(csvField).join(',');
+      });
+
+      return '\ufeff' + [ header.join(','), ...lines ].join('\r\n');
+    } catch (err) {
+      throw new Error(`LogService.loginExport error: ${err}`);
+    }
+  }
+
+  /**
+   * 构建登录日志查询条件
+   *
+   * @param {Object} listReq - 查询请求参数对象
+   * @return {Object} Sequelize where 条件
+   */
+  loginWhere(listReq) {
+    const startTime = toTimestamp(listReq.startTime);
+    const endTime = toTimestamp(listReq.endTime, true);
+
+    return {
+      ...(listReq.username && { username: { [Op.like]: `%${listReq.username}%` } }),
+      ...(listReq.ip && { ip: { [Op.like]: `%${listReq.ip}%` } }),
+      ...(listReq.status && { status: listReq.status }),
+      ...((startTime || endTime) && {
+        createTime: {
+          ...(startTime && { [Op.gte]: startTime }),
+          ...(endTime && { [Op.lte]: endTime }),
+        },
+      }),
+    };
+  }
+
+  /**
+   * 格式化登录日志记录
+   * 将 JSON 格式的操作系统、浏览器信息转换为可读文本，时间戳转换为日期字符串
+   *
+   * @param {Object} row - SystemLogLogin 记录
+   * @return {Object} 格式化后的日志对象
+   */
+  formatLoginLog(row) {
+    const log = row.toJSON();
+    return {
+      ...log,
+      os: formatUa(log.os),
+      browser: formatUa(log.browser),
+      createTime: dayjs.unix(log.createTime).format('YYYY-MM-DD HH:mm:ss'),
+    };
+  }
+
+  /**
+   * 记录操作日志
+   * 由 operateLog 中间件在请求结束后调用，根据接口权限标识补充操作标题
+   *
+   * @param {Object} record - 日志记录对象
+   * @param {number} record.adminId - 操作人ID
+   * @param {string} record.type - 请求类型
+   * @param {string} record.url - 请求接口
+   * @param {string} record.method - 接口权限标识，如 system:admin:add
+   * @param {string} record.args - 脱敏后的请求参数
+   * @param {string} record.error - 错误信息
+   * @param {number} record.status - 执行状态: 1=成功, 2=失败
+   * @return {Promise<void>} 无返回值，写入失败时仅记录错误日志
+   */
+  async recordOperate(record) {
+    const { ctx, app } = this;
+    const { SystemLogOperate, SystemAuthMenu } = app.model;
+
+    try {
+      // 通过菜单权限标识获取操作标题
+      const menu = await SystemAuthMenu.findOne({
+        where: { perms: record.method },
+        attributes: [ 'menuName' ],
+      });
+
+      await SystemLogOperate.create({
+        ...record,
+        title: menu ? menu.menuName.slice(0, 30) : '',
+        createTime: Math.floor(Date.now() / 1000),
+      });
+    } catch (err) {
+      ctx.logger.error(`LogService.recordOperate error: ${err}`);
+    }
+  }
 }
 
 // 导出 LogService 类，供控制器层调用
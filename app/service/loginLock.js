@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * loginLock.js - 登录防暴力破解服务模块
+ *
+ * 功能：基于 Redis 统计登录失败次数，按账号和IP两个维度锁定
+ * 在统计窗口内失败次数达到阈值后锁定一段时间，防止撞库和密码爆破
+ *
+ * 配置项（config.loginLock）：
+ * - enable: 是否启用
+ * - userMaxFails: 单个账号在统计窗口内允许的失败次数
+ * - ipMaxFails: 单个IP在统计窗口内允许的失败次数
+ * - window: 失败次数统计窗口（秒）
+ * - lockTime: 锁定时长（秒）
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+// 引入 Redis 键前缀配置
+const { backstageLoginFailKey, backstageLoginLockKey } = require('../extend/config');
+
+/**
+ * 登录锁定服务类
+ *
+ * @class LoginLockService
+ * @extends Service
+ */
+class LoginLockService extends Service {
+
+  /**
+   * 检查账号或IP是否处于锁定状态
+   *
+   * @param {string} username - 登录账号
+   * @param {string} ip - 客户端IP
+   * @return {Promise<number>} 剩余锁定时间（秒），未锁定返回 0
+   */
+  async check(username, ip) {
+    const { ctx } = this;
+    if (!this.config.loginLock.enable) {
+      return 0;
+    }
+
+    const [ userTtl, ipTtl ] = await Promise.all([
+      ctx.service.redis.ttl(backstageLoginLockKey + 'user:' + username),
+      ctx.service.redis.ttl(backstageLoginLockKey + 'ip:' + ip),
+    ]);
+    return Math.max(userTtl, ipTtl, 0);
+  }
+
+  /**
+   * 记录一次登录失败
+   * 失败次数达到阈值时锁定对应的账号或IP，并清空计数
+   *
+   * @param {string} username - 登录账号
+   * @param {string} ip - 客户端IP
+   * @return {Promise<number>} 账号剩余可尝试次数，已锁定返回 0
+   */
+  async fail(username, ip) {
+    const { ctx } = this;
+    const { enable, userMaxFails, ipMaxFails, window, lockTime } = this.config.loginLock;
+    if (!enable) {
+      return userMaxFails;
+    }
+
+    const userFailKey = backstageLoginFailKey + 'user:' + username;
+    const ipFailKey = backstageLoginFailKey + 'ip:' + ip;
+
+    const [ userFails, ipFails ] = await Promise.all([
+      ctx.service.redis.incr(userFailKey, window),
+      ctx.service.redis.incr(ipFailKey, window),
+    ]);
+
+    if (userFails >= userMaxFails) {
+      await ctx.service.redis.set(backstageLoginLockKey + 'user:' + username, 1, lockTime);
+      await ctx.service.redis.del(userFailKey);
+      ctx.logger.warn(`LoginLockService: username ${username} locked for ${lockTime}s`);
+    }
+
+    if (ipFails >= ipMaxFails) {
+      await ctx.service.redis.set(backstageLoginLockKey + 'ip:' + ip, 1, lockTime);
+      await ctx.service.redis.del(ipFailKey);
+      ctx.logger.warn(`LoginLockService: ip ${ip} locked for ${lockTime}s`);
+    }
+
+    return Math.max(userMaxFails - userFails, 0);
+  }
+
+  /**
+   * 获取统计窗口内的失败次数
+   * 取账号和IP两个维度中较大的值
+   *
+   * @param {string} username - 登录账号
+   * @param {string} ip - 客户端IP
+   * @return {Promise<number>} 失败次数
+   */
+  async failCount(username, ip) {
+    const { ctx } = this;
+    const [ userFails, ipFails ] = await Promise.all([
+      ctx.service.redis.get(backstageLoginFailKey + 'user:' + username),
+      ctx.service.redis.get(backstageLoginFailKey + 'ip:' + ip),
+    ]);
+    return Math.max(parseInt(userFails, 10) || 0, parseInt(ipFails, 10) || 0);
+  }
+
+  /**
+   * 登录成功后清空账号的失败计数
+   * IP 维度的计数不清空，避免同一IP用一个正确账号重置撞库计数
+   *
+   * @param {string} username - 登录账号
+   */
+  async reset(username) {
+    const { ctx } = this;
+    await ctx.service.redis.del(backstageLoginFailKey + 'user:' + username);
+  }
+
+  /**
+   * 管理员手动解锁
+   * 清除账号（和可选的IP）的锁定状态及失败计数
+   *
+   * @param {string} username - 登录账号
+   * @param {string} [ip] - 客户端IP
+   */
+  async unlock(username, ip) {
+    const { ctx } = this;
+    const keys = [];
+    if (username) {
+      keys.push(backstageLoginLockKey + 'user:' + username, backstageLoginFailKey + 'user:' + username);
+    }
+    if (ip) {
+      keys.push(backstageLoginLockKey + 'ip:' + ip, backstageLoginFailKey + 'ip:' + ip);
+    }
+    if (keys.length > 0) {
+      await ctx.service.redis.del(keys);
+    }
+  }
+}
+
+// 导出服务类
+module.exports = LoginLockService;
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * loginRsa.js - 登录密码加密传输服务模块
+ *
+ * 功能：发布登录用 RSA 公钥，并解密登录时提交的密码密文
+ * - 密钥来自 config.loginRsa.keys，第一个为当前发布的密钥，其余用于轮换期间继续解密
+ * - 加密方式为 RSA-OAEP（SHA-256），明文格式为 {时间戳(秒)}:{随机数}:{密码}
+ * - 随机数随公钥下发并保存在 Redis 中，使用一次后即删除；时间戳超出允许偏差的请求直接拒绝，防止密文被重放
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const crypto = require('crypto');
+// 引入配置常量
+const { backstageLoginNonceKey } = require('../extend/config');
+
+// 已解析的密钥缓存，私钥 PEM -> 公钥 PEM
+const publicKeyCache = new Map();
+
+/**
+ * 由私钥导出公钥
+ *
+ * @param {string} privateKey - PEM 格式私钥
+ * @return {string} PEM 格式公钥（SPKI）
+ */
+function toPublicKey(privateKey) {
+  if (!publicKeyCache.has(privateKey)) {
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+    publicKeyCache.set(privateKey, publicKey);
+  }
+  return publicKeyCache.get(privateKey);
+}
+
+/**
+ * 登录密码加密传输服务类
+ *
+ * @class LoginRsaService
+ * @extends Service
+ */
+class LoginRsaService extends Service {
+
+  /**
+   * 是否已配置密钥
+   *
+   * @return {boolean} 是否启用加密传输
+   */
+  isEnabled() {
+    return this.config.loginRsa.keys.length > 0;
+  }
+
+  /**
+   * 获取登录公钥和一次性随机数
+   *
+   * @return {Promise<Object>} {enable, required, keyId, publicKey, nonce, timestamp, expire}
+   */
+  async publicKey() {
+    const { ctx, config } = this;
+    const { keys, required, nonceExpire } = config.loginRsa;
+    if (!this.isEnabled()) {
+      return { enable: false, required: false };
+    }
+
+    const nonce = crypto.randomBytes(8).toString('hex');
+    await ctx.service.redis.set(backstageLoginNonceKey + nonce, 1, nonceExpire);
+
+    return {
+      enable: true,
+      required,
+      keyId: keys[0].id,
+      publicKey: toPublicKey(keys[0].privateKey),
+      nonce,
+      // 服务器时间，客户端时钟不准时可用于计算偏差
+      timestamp: Math.floor(Date.now() / 1000),
+      expire: nonceExpire,
+    };
+  }
+
+  /**
+   * 解密登录密码
+   *
+   * @param {string} cipher - Base64 编码的密文
+   * @param {string} [keyId] - 加密使用的密钥ID，为空时使用当前密钥
+   * @return {Promise<string>} 明文密码
+   * @throws {Error} 密钥不存在、解密失败、时间戳超出偏差或随机数无效时抛出错误
+   */
+  async decrypt(cipher, keyId) {
+    const { ctx, config } = this;
+    const { keys, timeSkew } = config.loginRsa;
+
+    const key = keyId ? keys.find(item => item.id === keyId) : keys[0];
+    if (!key) {
+      throw new Error('加密密钥已更新，请刷新页面后重试');
+    }
+
+    let plain;
+    try {
+      plain = await ctx.nodersa.rsaDecrypt(String(cipher || ''), key.privateKey);
+    } catch (err) {
+      throw new Error('密码解密失败');
+    }
+
+    const first = plain.indexOf(':');
+    const second = plain.indexOf(':', first + 1);
+    if (first === -1 || second === -1) {
+      throw new Error('密码解密失败');
+    }
+    const timestamp = parseInt(plain.slice(0, first), 10);
+    const nonce = plain.slice(first + 1, second);
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!(Math.abs(now - timestamp) <= timeSkew)) {
+      throw new Error('请求已过期，请刷新页面后重试');
+    }
+    // 删除成功才表示随机数有效且未被使用过
+    if (!nonce || !await ctx.service.redis.del(backstageLoginNonceKey + nonce)) {
+      throw new Error('请求已过期，请刷新页面后重试');
+    }
+
+    return plain.slice(second + 1);
+  }
+}
+
+// 导出服务类
+module.exports = LoginRsaService;
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * passwordPolicy.js - 管理员密码策略服务模块
+ *
+ * 功能：按 系统设置-安全设置 中的密码策略校验新密码，并维护密码历史和修改时间
+ * - 最小长度、必须包含的字符类型
+ * - 不能与最近N次使用过的密码相同（SystemAuthAdmin.pwdHistory 保存历史哈希）
+ * - 密码最长使用天数，过期后登录必须修改
+ * - 新建管理员或被他人重置密码后，登录必须先修改密码（SystemAuthAdmin.pwdMustChange）
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+// 密码哈希工具
+const passwordUtil = require('../util/passwordUtil');
+
+// 密码最大长度
+const maxLength = 64;
+
+// 字符类型校验规则
+const classRules = {
+  lower: { pattern: /[a-z]/, label: '小写字母' },
+  upper: { pattern: /[A-Z]/, label: '大写字母' },
+  digit: { pattern: /[0-9]/, label: '数字' },
+  symbol: { pattern: /[^a-zA-Z0-9]/, label: '特殊字符' },
+};
+
+/**
+ * 解析密码历史
+ *
+ * @param {string} history - SystemAuthAdmin.pwdHistory
+ * @return {Array<string>} 历史密码哈希，最近的在前
+ */
+function parseHistory(history) {
+  try {
+    const list = JSON.parse(history || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * 密码策略服务类
+ *
+ * @class PasswordPolicyService
+ * @extends Service
+ */
+class PasswordPolicyService extends Service {
+
+  /**
+   * 获取当前密码策略
+   *
+   * @return {Promise<Object>} {minLength, classes, history, maxAge}
+   */
+  async policy() {
+    const { ctx } = this;
+    const { pwdMinLength, pwdClasses, pwdHistory, pwdMaxAge } = await ctx.service.security.details();
+    return {
+      minLength: pwdMinLength,
+      classes: pwdClasses,
+      history: pwdHistory,
+      maxAge: pwdMaxAge,
+    };
+  }
+
+  /**
+   * 校验新密码是否符合密码策略
+   *
+   * @param {string} password - 新密码
+   * @param {Object} [admin] - SystemAuthAdmin 记录，传入时校验密码历史
+   * @throws {Error} 不符合策略时抛出错误，message 可直接返回给前端
+   */
+  async validate(password, admin) {
+    const policy = await this.policy();
+    password = String(password || '');
+
+    if (password.length < policy.minLength || password.length > maxLength) {
+      throw new Error(`密码必须在${policy.minLength}~${maxLength}位`);
+    }
+
+    const missing = policy.classes
+      .filter(name => classRules[name] && !classRules[name].pattern.test(password))
+      .map(name => classRules[name].label);
+    if (missing.length > 0) {
+      throw new Error(`密码必须包含${missing.join('、')}`);
+    }
+
+    if (admin && policy.history > 0) {
+      const hashes = [ admin.password, ...parseHistory(admin.pwdHistory) ].slice(0, policy.history);
+      for (const hash of hashes) {
+        if (await passwordUtil.verify(password, hash, admin.salt)) {
+          throw new Error(`不能使用最近${policy.history}次使用过的密码`);
+        }
+      }
+    }
+  }
+
+  /**
+   * 生成修改密码需要更新的字段
+   * 旧密码哈希加入密码历史，并记录修改时间
+   *
+   * @param {string} password - 新密码
+   * @param {Object} [admin] - SystemAuthAdmin 记录，新建管理员时不传
+   * @param {boolean} [mustChange=false] - 下次登录是否必须修改密码
+   * @return {Promise<Object>} {password, salt, pwdHistory, pwdChangeTime, pwdMustChange}
+   */
+  async build(password, admin, mustChange = false) {
+    const policy = await this.policy();
+    const history = admin && admin.password ? [ admin.password, ...parseHistory(admin.pwdHistory) ] : [];
+    return {
+      password: await passwordUtil.hash(password),
+      salt: '',
+      pwdHistory: JSON.stringify(history.slice(0, policy.history)),
+      pwdChangeTime: Math.floor(Date.now() / 1000),
+      pwdMustChange: mustChange ? 1 : 0,
+    };
+  }
+
+  /**
+   * 判断管理员登录后是否必须修改密码
+   * 开启密码有效期前从未记录过修改时间的账号视为已过期
+   *
+   * @param {Object} admin - SystemAuthAdmin 记录
+   * @return {Promise<string>} initial=首次登录或密码被重置, expired=密码已过期, 空字符串=不需要
+   */
+  async mustChange(admin) {
+    if (admin.pwdMustChange === 1) {
+      return 'initial';
+    }
+    const { maxAge } = await this.policy();
+    const now = Math.floor(Date.now() / 1000);
+    if (maxAge > 0 && admin.pwdChangeTime + (maxAge * 86400) <= now) {
+      return 'expired';
+    }
+    return '';
+  }
+}
+
+// 导出服务类
+module.exports = PasswordPolicyService;
@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * passwordReset.js - 忘记密码（邮件重置）服务模块
+ *
+ * 功能：向管理员邮箱发送带签名的一次性密码重置链接，并通过链接中的凭证重置密码
+ * - 凭证格式 {resetId}.{签名}，签名为 HMAC-SHA256(config.keys, resetId:adminId)
+ * - 凭证元数据保存在 Redis 中，有效期见 config.passwordReset.expire，使用一次后即删除
+ * - 链接发出后密码被修改过（pwdChangeTime 变化）的凭证同样失效
+ * - 账号不存在或邮箱不匹配时不返回错误，防止通过该接口探测账号
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const crypto = require('crypto');
+// 引入配置常量
+const { backstagePwdResetKey, backstagePwdResetLimitKey } = require('../extend/config');
+
+/**
+ * 密码重置服务类
+ *
+ * @class PasswordResetService
+ * @extends Service
+ */
+class PasswordResetService extends Service {
+
+  /**
+   * 发送密码重置邮件
+   *
+   * @param {string} username - 登录账号
+   * @param {string} email - 账号绑定的邮箱
+   *
+   * @流程说明
+   * 1. 查找账号并核对邮箱，不匹配时直接返回
+   * 2. 发送间隔内不重复发送
+   * 3. 生成凭证并保存到 Redis，发送包含重置链接的邮件
+   */
+  async forgot(username, email) {
+    const { ctx, config } = this;
+    const { expire, interval, url } = config.passwordReset;
+
+    username = String(username || '').trim();
+    email = String(email || '').trim()
+      .toLowerCase();
+    if (!username || !email) {
+      throw new Error('账号和邮箱不能为空');
+    }
+
+    const admin = await ctx.model.SystemAuthAdmin.findOne({
+      where: {
+        username,
+        isDelete: 0,
+      },
+    });
+    if (!admin || admin.isDisable === 1 || !admin.email || admin.email.toLowerCase() !== email) {
+      ctx.logger.warn(`PasswordResetService.forgot: no matching admin for ${username}`);
+      return;
+    }
+
+    const limitKey = backstagePwdResetLimitKey + admin.id;
+    if (await ctx.service.redis.exists(limitKey)) {
+      return;
+    }
+    await ctx.service.redis.set(limitKey, 1, interval);
+
+    const resetId = crypto.randomBytes(16).toString('hex');
+    await ctx.service.redis.set(backstagePwdResetKey + resetId, {
+      adminId: admin.id,
+      pwdChangeTime: admin.pwdChangeTime,
+    }, expire);
+
+    // 发送失败只记录日志，返回结果与账号不匹配时一致
+    const token = `${resetId}.${this.sign(resetId, admin.id)}`;
+    try {
+      await ctx.service.smtp.send({
+        to: admin.email,
+        title: '重置登录密码',
+        content: `您正在重置账号 ${admin.username} 的登录密码，链接${Math.ceil(expire / 60)}分钟内有效且只能使用一次。`,
+        link: `${url}?token=${token}`,
+        linkText: '重置密码',
+      });
+    } catch (err) {
+      ctx.logger.error(`PasswordResetService.forgot send email error: ${err}`);
+    }
+  }
+
+  /**
+   * 通过凭证重置密码
+   * 重置后注销该账号的所有登录会话，并清除登录失败锁定
+   *
+   * @param {string} token - 邮件链接中的凭证
+   * @param {string} password - 新密码
+   */
+  async reset(token, password) {
+    const { ctx } = this;
+    const [ resetId, signature ] = String(token || '').split('.');
+    const key = backstagePwdResetKey + resetId;
+    const data = resetId && signature ? await ctx.service.redis.get(key) : null;
+    if (!data || !this.verify(resetId, data.adminId, signature)) {
+      throw new Error('重置链接无效或已过期');
+    }
+
+    const admin = await ctx.model.SystemAuthAdmin.findOne({
+      where: {
+        id: data.adminId,
+        isDelete: 0,
+      },
+    });
+    if (!admin || admin.isDisable === 1 || admin.pwdChangeTime !== data.pwdChangeTime) {
+      await ctx.service.redis.del(key);
+      throw new Error('重置链接无效或已过期');
+    }
+
+    // 新密码不符合策略时保留凭证，允许用户修改后重新提交
+    password = String(password || '').trim();
+    await ctx.service.passwordPolicy.validate(password, admin);
+
+    // 删除成功才继续，并发提交同一凭证时只有一个请求生效
+    if (!await ctx.service.redis.del(key)) {
+      throw new Error('重置链接无效或已过期');
+    }
+    await admin.update({
+      ...await ctx.service.passwordPolicy.build(password, admin),
+      updateTime: Math.floor(Date.now() / 1000),
+    });
+
+    await ctx.service.authAdmin.cacheAdminUserByUid(admin.id);
+    await ctx.service.authSession.destroyAll(admin.id);
+    await ctx.service.loginLock.reset(admin.username);
+  }
+
+  /**
+   * 计算凭证签名
+   *
+   * @param {string} resetId - 凭证ID
+   * @param {number} adminId - 管理员ID
+   * @return {string} 签名（hex）
+   */
+  sign(resetId, adminId) {
+    const { config } = this;
+    return crypto.createHmac('sha256', config.keys).update(`${resetId}:${adminId}`)
+      .digest('hex');
+  }
+
+  /**
+   * 校验凭证签名
+   *
+   * @param {string} resetId - 凭证ID
+   * @param {number} adminId - 管理员ID
+   * @param {string} signature - 待校验的签名
+   * @return {boolean} 校验结果
+   */
+  verify(resetId, adminId, signature) {
+    const expected = Buffer.from(this.sign(resetId, adminId));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+// 导出服务类
+module.exports = PasswordResetService;
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * rateLimit.js - 接口限流服务模块
+ *
+ * 功能：按接口规则和请求身份（管理员、API 密钥或 IP）进行滑动窗口计数，并记录被拒绝的请求
+ * - 窗口计数: backstage:ratelimit:hit:{规则名}:{身份}
+ * - 最近被拒绝的请求: backstage:ratelimit:reject（列表，保留 config.rateLimit.recentSize 条）
+ * - 每日拒绝次数: backstage:ratelimit:reject:count:{YYYYMMDD}
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const moment = require('moment');
+// 引入配置常量
+const { backstageRateLimitKey, backstageRateLimitRejectKey, backstageRateLimitCountKey } = require('../extend/config');
+
+// 每日拒绝次数保留天数
+const statDays = 7;
+
+/**
+ * 接口限流服务类
+ *
+ * @class RateLimitService
+ * @extends Service
+ */
+class RateLimitService extends Service {
+
+  /**
+   * 记录一次请求并判断是否超出限制
+   *
+   * @param {Object} rule - 限流规则 {name, limit, window}
+   * @param {string} identity - 请求身份，如 admin:1、key:2、ip:127.0.0.1
+   * @return {Promise<Object>} {allowed, count, resetMs}
+   */
+  async hit(rule, identity) {
+    const { ctx } = this;
+    const key = `${backstageRateLimitKey}${rule.name}:${identity}`;
+    return await ctx.service.redis.slidingWindow(key, rule.window * 1000, rule.limit);
+  }
+
+  /**
+   * 记录被拒绝的请求
+   *
+   * @param {Object} entry - {rule, identity, path, ip}
+   */
+  async record(entry) {
+    const { ctx, config } = this;
+    try {
+      await ctx.service.redis.lPush(backstageRateLimitRejectKey, {
+        ...entry,
+        time: moment().format('YYYY-MM-DD HH:mm:ss'),
+      }, config.rateLimit.recentSize);
+      await ctx.service.redis.incr(backstageRateLimitCountKey + moment().format('YYYYMMDD'), statDays * 86400);
+    } catch (err) {
+      ctx.logger.error(`RateLimitService.record error: ${err}`);
+    }
+  }
+
+  /**
+   * 获取限流统计，供系统监控页面展示
+   *
+   * @return {Promise<Object>} {rules, days, top, recent}
+   * - rules: 当前生效的限流规则（含认证前的 IP 限流规则）
+   * - days: 最近7天每日拒绝次数 [{date, count}]
+   * - top: 最近被拒绝请求中次数最多的身份 [{identity, rule, count}]
+   * - recent: 最近被拒绝的请求 [{time, rule, identity, path, ip}]
+   */
+  async stats() {
+    const { ctx, config } = this;
+    const { redis } = ctx.service;
+
+    const days = [];
+    for (let i = statDays - 1; i >= 0; i--) {
+      const date = moment().subtract(i, 'days');
+      days.push({
+        date: date.format('YYYY-MM-DD'),
+        count: parseInt(await redis.get(backstageRateLimitCountKey + date.format('YYYYMMDD')), 10) || 0,
+      });
+    }
+
+    const recent = await redis.lRange(backstageRateLimitRejectKey, 0, -1);
+    const counter = {};
+    recent.forEach(entry => {
+      const key = `${entry.rule}|${entry.identity}`;
+      counter[key] = counter[key] || { identity: entry.identity, rule: entry.rule, count: 0 };
+      counter[key].count++;
+    });
+    const top = Object.values(counter).sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+
+    return {
+      enable: config.rateLimit.enable,
+      rules: [
+        ...(config.ipRateLimit.enable ? config.ipRateLimit.rules.map(rule => ({ ...rule, by: 'ip' })) : []),
+        ...config.rateLimit.rules,
+      ],
+      days,
+      top,
+      recent,
+    };
+  }
+}
+
+// 导出服务类
+module.exports = RateLimitService;
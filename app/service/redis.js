@@ -23,6 +23,59 @@ const time = 60 * 60 * 24 * 30;
 // 引入配置中的 Redis 键前缀，用于环境隔离和键名管理
 const { redisPrefix } = require('../extend/config');
 
+/**
+ * 滑动窗口计数脚本
+ * KEYS[1]=计数键, ARGV=[当前毫秒时间戳, 窗口毫秒数, 最大次数, 本次请求的唯一成员]
+ * 返回 {是否允许(1/0), 窗口内次数, 窗口重置剩余毫秒数}
+ */
+const slidingWindowScript = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local reset = window
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window - now
+end
+return { allowed, count, reset }
+`;
+
+/**
+ * 计数器自增脚本，首次创建时在同一脚本中设置过期时间，避免进程在两条命令之间退出导致计数器永不过期
+ * KEYS[1]=计数器键, ARGV[1]=过期时间（秒，0 表示不设置）
+ * 返回自增后的计数值
+ */
+const incrScript = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 and tonumber(ARGV[1]) > 0 then
+  redis.call('EXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+/**
+ * 递增写入脚本，新值大于当前值（或键不存在）时才写入，比较和写入原子执行
+ * KEYS[1]=键, ARGV=[新值, 过期时间（秒）]
+ * 返回 1 表示已写入，0 表示当前值不小于新值
+ */
+const setIfGreaterScript = `
+local current = redis.call('GET', KEYS[1])
+if current and tonumber(current) >= tonumber(ARGV[1]) then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+return 1
+`;
+
 /**
  * Redis 缓存服务类
  * 继承自 Egg.js 的 Service 基类，封装所有 Redis 相关操作
@@ -41,6 +94,8 @@ const { redisPrefix } = require('../extend/config');
  * - 字符串 (String): 通用键值存储
  * - 集合 (Set): 无序唯一值集合
  * - 哈希 (Hash): 字段-值映射表
+ * - 列表 (List): 最近事件记录
+ * - 有序集合 (Sorted Set): 滑动窗口计数
  * - 键管理: 过期时间、存在性检查等
  */
 class RedisService extends Service {
@@ -89,6 +144,40 @@ class RedisService extends Service {
     }
   }
 
+  /**
+   * 设置不存在的缓存键值对
+   * 使用 SET ... NX EX，写入和过期时间在同一条命令中完成，键已存在时不写入
+   *
+   * @param {String} key - 缓存键名
+   * @param {*} value - 缓存值，可以是任意可序列化的数据类型
+   * @param {Number} seconds - 过期时间（秒）
+   * @return {Promise<Boolean>} 是否已写入
+   *
+   * @使用场景
+   * - 简单的互斥锁，如同一文件同时只补生成一次缩略图
+   */
+  async setNx(key, value, seconds) {
+    const { redis } = this.app;
+    return await redis.set(key, JSON.stringify(value), 'EX', seconds, 'NX') === 'OK';
+  }
+
+  /**
+   * 覆盖已存在的缓存键值对
+   * 使用 SET ... XX，键不存在（已删除或已过期）时不写入，不会重新创建已注销的数据
+   *
+   * @param {String} key - 缓存键名
+   * @param {*} value - 缓存值，可以是任意可序列化的数据类型
+   * @param {Number} seconds - 过期时间（秒）
+   * @return {Promise<Boolean>} 是否已写入
+   *
+   * @使用场景
+   * - 刷新登录会话，会话被并发注销后不会被复活
+   */
+  async setXx(key, value, seconds) {
+    const { redis } = this.app;
+    return await redis.set(key, JSON.stringify(value), 'EX', seconds, 'XX') === 'OK';
+  }
+
   /**
    * 获取缓存值
    * 从 Redis 获取数据并反序列化为原始类型
@@ -165,12 +254,12 @@ class RedisService extends Service {
    * 集合特性：无序、成员唯一
    *
    * @param {String} key - 集合键名
-   * @param {Array} values - 要添加的成员数组（当前实现只使用第一个元素）
+   * @param {Array|String} values - 要添加的成员或成员数组
    * @return {Promise<Number>} 返回成功添加的新成员数量
    *
    * @说明
    * - 已存在的成员不会被重复添加
-   * - 返回值 1 表示添加了新成员，0 表示成员已存在
+   * - 返回值为新添加的成员数量，0 表示成员均已存在
    *
    * @使用场景
    * - 用户标签管理
@@ -181,9 +270,30 @@ class RedisService extends Service {
     const { redis } = this.app;
     const prefix = redisPrefix;
 
-    // 注意：当前实现只添加数组的第一个元素
-    // 可以考虑扩展支持添加多个成员
-    const result = await redis.sadd(prefix + key, values[0]);
+    const members = Array.isArray(values) ? values : [ values ];
+    if (members.length === 0) {
+      return 0;
+    }
+    const result = await redis.sadd(prefix + key, ...members);
+    return result;
+  }
+
+  /**
+   * 从集合中移除成员
+   *
+   * @param {String} key - 集合键名
+   * @param {Array|String} values - 要移除的成员或成员数组
+   * @return {Promise<Number>} 返回成功移除的成员数量
+   */
+  async sRem(key, values) {
+    const { redis } = this.app;
+    const prefix = redisPrefix;
+
+    const members = Array.isArray(values) ? values : [ values ];
+    if (members.length === 0) {
+      return 0;
+    }
+    const result = await redis.srem(prefix + key, ...members);
     return result;
   }
 
@@ -302,6 +412,103 @@ class RedisService extends Service {
     return result;
   }
 
+  /**
+   * 计数器自增
+   * 键不存在时从 0 开始计数，首次创建时设置过期时间（自增和设置过期时间在 Lua 脚本中原子执行）
+   *
+   * @param {String} key - 计数器键名
+   * @param {Number} [seconds] - 过期时间（秒），仅在计数器首次创建时设置
+   * @return {Promise<Number>} 返回自增后的计数值
+   *
+   * @使用场景
+   * - 登录失败次数统计
+   * - 接口访问频率统计
+   */
+  async incr(key, seconds) {
+    const { redis } = this.app;
+    // 首次创建计数器时设置过期时间，形成固定统计窗口
+    return await redis.eval(incrScript, 1, key, seconds > 0 ? seconds : 0);
+  }
+
+  /**
+   * 数值只增写入
+   * 新值大于当前值（或键不存在）时写入并设置过期时间，比较和写入在 Lua 脚本中原子执行
+   *
+   * @param {String} key - 键名
+   * @param {Number} value - 新值
+   * @param {Number} seconds - 过期时间（秒）
+   * @return {Promise<Boolean>} 是否已写入
+   *
+   * @使用场景
+   * - 动态口令已使用的时间步长，并发请求只有一个能使用同一时间步长
+   */
+  async setIfGreater(key, value, seconds) {
+    const { redis } = this.app;
+    return await redis.eval(setIfGreaterScript, 1, key, value, seconds) === 1;
+  }
+
+  /**
+   * 滑动窗口计数
+   * 使用有序集合记录窗口内每次请求的时间，统计和写入在 Lua 脚本中原子执行；
+   * 超出上限的请求不计入窗口
+   *
+   * @param {String} key - 计数键名
+   * @param {Number} windowMs - 窗口长度（毫秒）
+   * @param {Number} limit - 窗口内允许的最大次数
+   * @return {Promise<Object>} {allowed, count, resetMs}：是否允许、窗口内次数、窗口内最早一次请求移出窗口的剩余毫秒数
+   *
+   * @使用场景
+   * - 接口限流
+   */
+  async slidingWindow(key, windowMs, limit) {
+    const { redis } = this.app;
+    const now = Date.now();
+    const member = `${now}-${Math.random().toString(36)
+      .slice(2, 10)}`;
+    const [ allowed, count, resetMs ] = await redis.eval(slidingWindowScript, 1, key, now, windowMs, limit, member);
+    return {
+      allowed: allowed === 1,
+      count,
+      resetMs,
+    };
+  }
+
+  /**
+   * 向列表头部插入数据
+   * 将数据序列化为 JSON 后插入，并只保留最新的 maxLength 条
+   *
+   * @param {String} key - 列表键名
+   * @param {*} value - 要插入的数据
+   * @param {Number} maxLength - 保留的最大条数
+   * @param {Number} [seconds] - 过期时间（秒），不传则使用默认30天
+   * @return {Promise<void>} 无返回值
+   *
+   * @使用场景
+   * - 最近事件记录
+   */
+  async lPush(key, value, maxLength, seconds) {
+    const { redis } = this.app;
+    await redis.multi()
+      .lpush(key, JSON.stringify(value))
+      .ltrim(key, 0, maxLength - 1)
+      .expire(key, seconds || time)
+      .exec();
+  }
+
+  /**
+   * 获取列表中指定范围的数据
+   *
+   * @param {String} key - 列表键名
+   * @param {Number} start - 开始下标
+   * @param {Number} stop - 结束下标，-1 表示最后一条
+   * @return {Promise<Array>} 反序列化后的数据数组，列表不存在时返回空数组
+   */
+  async lRange(key, start, stop) {
+    const { redis } = this.app;
+    const list = await redis.lrange(key, start, stop);
+    return list.map(item => JSON.parse(item));
+  }
+
   /**
    * 获取键的剩余生存时间
    *
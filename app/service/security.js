@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * security.js - 安全设置服务模块
+ *
+ * 功能：管理后台登录相关的安全设置及管理员密码策略，保存在 systemConfig 中（type=security）
+ * 未设置的项使用 config 中的默认值
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+
+// 配置类型
+const cnfType = 'security';
+
+/**
+ * 解析整数配置值
+ *
+ * @param {string} val - 配置值
+ * @param {number} def - 默认值
+ * @return {number} 整数值
+ */
+function toInt(val, def) {
+  const num = parseInt(val, 10);
+  return isNaN(num) ? def : num;
+}
+
+/**
+ * 解析字符类型配置值
+ *
+ * @param {Array<string>|string} val - 字符类型数组或逗号分隔的字符串
+ * @return {Array<string>} 字符类型数组
+ */
+function toClasses(val) {
+  const list = Array.isArray(val) ? val : String(val || '').split(',');
+  return [ ...new Set(list.map(item => String(item).trim()).filter(Boolean)) ];
+}
+
+// 密码可要求的字符类型
+const pwdClassNames = [ 'lower', 'upper', 'digit', 'symbol' ];
+
+/**
+ * 安全设置服务类
+ *
+ * @class SecurityService
+ * @extends Service
+ *
+ * @配置项说明
+ * - captchaMode: 登录图形验证码 0=关闭, 1=失败N次后需要, 2=始终需要
+ * - captchaFails: captchaMode=1 时，账号或IP失败多少次后需要验证码
+ * - pwdMinLength: 密码最小长度（6~64）
+ * - pwdClasses: 密码必须包含的字符类型 lower/upper/digit/symbol
+ * - pwdHistory: 不能与最近N次使用过的密码相同，0=不限制
+ * - pwdMaxAge: 密码最长使用天数，0=永不过期
+ */
+class SecurityService extends Service {
+
+  /**
+   * 获取安全设置详情
+   *
+   * @return {Promise<Object>} 安全设置
+   */
+  async details() {
+    const { ctx, config } = this;
+    const { passwordPolicy } = config;
+    try {
+      const security = await ctx.service.common.get(cnfType);
+      return {
+        captchaMode: toInt(security.captchaMode, config.captcha.mode),
+        captchaFails: toInt(security.captchaFails, config.captcha.fails),
+        pwdMinLength: toInt(security.pwdMinLength, passwordPolicy.minLength),
+        pwdClasses: security.pwdClasses === undefined ? passwordPolicy.classes : toClasses(security.pwdClasses),
+        pwdHistory: toInt(security.pwdHistory, passwordPolicy.history),
+        pwdMaxAge: toInt(security.pwdMaxAge, passwordPolicy.maxAge),
+      };
+    } catch (err) {
+      throw new Error(`SecurityService.details error: ${err}`);
+    }
+  }
+
+  /**
+   * 保存安全设置
+   *
+   * @param {Object} req - 安全设置
+   * @param {number} req.captchaMode - 登录图形验证码启用方式
+   * @param {number} req.captchaFails - 失败次数阈值
+   * @param {number} req.pwdMinLength - 密码最小长度
+   * @param {Array<string>} req.pwdClasses - 密码必须包含的字符类型
+   * @param {number} req.pwdHistory - 密码历史记录数
+   * @param {number} req.pwdMaxAge - 密码最长使用天数
+   */
+  async save(req) {
+    const { ctx } = this;
+
+    const captchaMode = toInt(req.captchaMode, -1);
+    if (![ 0, 1, 2 ].includes(captchaMode)) {
+      throw new Error('验证码启用方式不正确');
+    }
+    const captchaFails = toInt(req.captchaFails, -1);
+    if (captchaFails < 1) {
+      throw new Error('验证码失败次数必须大于0');
+    }
+    const pwdMinLength = toInt(req.pwdMinLength, -1);
+    if (pwdMinLength < 6 || pwdMinLength > 64) {
+      throw new Error('密码最小长度必须在6~64之间');
+    }
+    const pwdClasses = toClasses(req.pwdClasses);
+    if (pwdClasses.some(name => !pwdClassNames.includes(name))) {
+      throw new Error('密码字符类型不正确');
+    }
+    const pwdHistory = toInt(req.pwdHistory, -1);
+    if (pwdHistory < 0 || pwdHistory > 24) {
+      throw new Error('密码历史记录数必须在0~24之间');
+    }
+    const pwdMaxAge = toInt(req.pwdMaxAge, -1);
+    if (pwdMaxAge < 0) {
+      throw new Error('密码最长使用天数不能小于0');
+    }
+
+    try {
+      await Promise.all([
+        ctx.service.common.set(cnfType, 'captchaMode', String(captchaMode)),
+        ctx.service.common.set(cnfType, 'captchaFails', String(captchaFails)),
+        ctx.service.common.set(cnfType, 'pwdMinLength', String(pwdMinLength)),
+        ctx.service.common.set(cnfType, 'pwdClasses', pwdClasses.join(',')),
+        ctx.service.common.set(cnfType, 'pwdHistory', String(pwdHistory)),
+        ctx.service.common.set(cnfType, 'pwdMaxAge', String(pwdMaxAge)),
+      ]);
+    } catch (err) {
+      throw new Error(`SecurityService.save error: ${err}`);
+    }
+  }
+}
+
+// 导出服务类
+module.exports = SecurityService;
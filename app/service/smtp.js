@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * smtp.js - 邮件设置服务模块
+ *
+ * 功能：管理发送系统邮件使用的 SMTP 配置，保存在 systemConfig 中（type=smtp），并提供发送邮件的统一入口
+ * 授权码只保存不返回，保存时为空表示不修改
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+
+// 配置类型
+const cnfType = 'smtp';
+
+/**
+ * 邮件设置服务类
+ *
+ * @class SmtpService
+ * @extends Service
+ *
+ * @配置项说明
+ * - host: SMTP 服务器地址
+ * - port: SMTP 端口号
+ * - secure: 是否启用 SSL 0=否, 1=是
+ * - user: 发件人邮箱账号，为空时不进行认证
+ * - pass: SMTP 授权码
+ * - from: 发件人，如 "系统通知 <noreply@example.com>"，为空时使用 user
+ */
+class SmtpService extends Service {
+
+  /**
+   * 获取邮件设置详情
+   * 不返回授权码，hasPass 表示是否已设置
+   *
+   * @return {Promise<Object>} 邮件设置
+   */
+  async details() {
+    const { pass, ...smtp } = await this.load();
+    return {
+      ...smtp,
+      secure: smtp.secure ? 1 : 0,
+      hasPass: pass ? 1 : 0,
+    };
+  }
+
+  /**
+   * 保存邮件设置
+   *
+   * @param {Object} req - 邮件设置
+   * @param {string} req.host - SMTP 服务器地址
+   * @param {number} req.port - SMTP 端口号
+   * @param {number} req.secure - 是否启用 SSL
+   * @param {string} req.user - 发件人邮箱账号
+   * @param {string} req.pass - SMTP 授权码，为空表示不修改
+   * @param {string} req.from - 发件人
+   */
+  async save(req) {
+    const { ctx } = this;
+
+    const host = String(req.host || '').trim();
+    if (!host) {
+      throw new Error('SMTP服务器地址不能为空');
+    }
+    const port = parseInt(req.port, 10);
+    if (!(port > 0 && port < 65536)) {
+      throw new Error('SMTP端口号不正确');
+    }
+
+    const values = {
+      host,
+      port: String(port),
+      secure: Number(req.secure) === 1 ? '1' : '0',
+      user: String(req.user || '').trim(),
+      from: String(req.from || '').trim(),
+    };
+    if (req.pass) {
+      values.pass = String(req.pass);
+    }
+
+    try {
+      await Promise.all(Object.keys(values).map(name => ctx.service.common.set(cnfType, name, values[name])));
+    } catch (err) {
+      throw new Error(`SmtpService.save error: ${err}`);
+    }
+  }
+
+  /**
+   * 发送邮件
+   *
+   * @param {Object} options - 邮件内容
+   * @param {string} options.to - 收件人邮箱
+   * @param {string} options.title - 邮件标题
+   * @param {string} options.content - 邮件正文
+   * @param {string} [options.link] - 按钮链接
+   * @param {string} [options.linkText] - 按钮文字
+   * @return {Promise<Object>} nodemailer 发送结果
+   */
+  async send({ to, title, content, link, linkText }) {
+    const { ctx } = this;
+    const smtp = await this.load();
+    if (!smtp.host) {
+      throw new Error('未配置邮件服务');
+    }
+    return await ctx.email.sendEmail({ smtp, userEmail: to, title, content, link, linkText });
+  }
+
+  /**
+   * 读取发送邮件使用的完整 SMTP 配置
+   *
+   * @return {Promise<Object>} {host, port, secure, user, pass, from}
+   */
+  async load() {
+    const { ctx } = this;
+    try {
+      const smtp = await ctx.service.common.get(cnfType);
+      return {
+        host: smtp.host || '',
+        port: parseInt(smtp.port, 10) || 465,
+        secure: smtp.secure === undefined ? true : smtp.secure === '1',
+        user: smtp.user || '',
+        pass: smtp.pass || '',
+        from: smtp.from || '',
+      };
+    } catch (err) {
+      throw new Error(`SmtpService.load error: ${err}`);
+    }
+  }
+}
+
+// 导出服务类
+module.exports = SmtpService;
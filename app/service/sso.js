@@ -0,0 +1,604 @@
+'use strict';
+
+/**
+ * sso.js - OpenID Connect 单点登录服务模块
+ *
+ * 功能：通过企业统一身份认证（OIDC 提供方）登录后台
+ * - 授权码模式 + PKCE(S256)，state 和 nonce 一次性有效，保存在 Redis 中
+ * - 提供方配置保存在 systemConfig 中（type=sso），通过 {issuer}/.well-known/openid-configuration 自动发现端点
+ * - 校验 id_token 的签名（JWKS）、iss、aud、exp 和 nonce
+ * - 按 sub 匹配已绑定的管理员；可选按已验证邮箱匹配并绑定；可选自动创建管理员
+ *
+ * 本地开发时 issuer 可以使用 http 地址，便于对接模拟的身份提供方
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const crypto = require('crypto');
+// 引入配置常量
+const { backstageSsoStateKey, superAdminId } = require('../extend/config');
+
+// 配置类型
+const cnfType = 'sso';
+
+// 端点发现和 JWKS 缓存时间（毫秒）
+const metadataTtl = 3600 * 1000;
+// 端点发现缓存 issuer -> {expireAt, data}
+const discoveryCache = new Map();
+// JWKS 缓存 jwks_uri -> {expireAt, fetchedAt, keys}
+const jwksCache = new Map();
+// 找不到 kid 时重新获取 JWKS 的最小间隔（毫秒），防止伪造 kid 的请求频繁访问身份提供方
+const jwksRefetchInterval = 60 * 1000;
+
+// 支持的 id_token 签名算法，kty/crv 为验签密钥（JWK）要求的密钥类型和曲线
+const algorithms = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', kty: 'EC', crv: 'P-256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', crv: 'P-384', dsaEncoding: 'ieee-p1363' },
+  HS256: { hash: 'sha256', hmac: true },
+};
+
+/**
+ * Base64URL 编码
+ *
+ * @param {Buffer} buf - 原始数据
+ * @return {string} Base64URL 字符串
+ */
+function base64url(buf) {
+  return buf.toString('base64').replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * 解析 JWT
+ *
+ * @param {string} jwt - JWT 字符串
+ * @return {Object} {header, payload, input, signature}
+ * @throws {Error} 格式不正确时抛出错误
+ */
+function decodeJwt(jwt) {
+  const parts = String(jwt || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('id_token格式不正确');
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8')),
+      input: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64'),
+    };
+  } catch (err) {
+    throw new Error('id_token格式不正确');
+  }
+}
+
+/**
+ * 去掉地址末尾的斜杠
+ *
+ * @param {string} url - 地址
+ * @return {string} 处理后的地址
+ */
+function trimSlash(url) {
+  return String(url || '').trim()
+    .replace(/\/+$/, '');
+}
+
+/**
+ * OIDC 单点登录服务类
+ *
+ * @class SsoService
+ * @extends Service
+ *
+ * @配置项说明
+ * - enable: 是否启用 0=否, 1=是
+ * - name: 登录页按钮名称
+ * - issuer: 身份提供方地址（iss）
+ * - clientId / clientSecret: 客户端凭证，clientSecret 为空时作为公共客户端只使用 PKCE
+ * - scopes: 申请的权限范围，必须包含 openid
+ * - redirectUri: 在身份提供方登记的回调地址（前端登录回调页面）
+ * - matchEmail: 未绑定时是否按已验证邮箱匹配管理员（超级管理员除外） 0=否, 1=是
+ * - autoCreate: 找不到管理员时是否自动创建 0=否, 1=是
+ * - defaultRole / defaultDept: 自动创建的管理员所属角色和部门
+ * - trustMfa: 是否信任身份提供方的多因素认证 0=否, 1=是；为否时已开启或被角色强制两步验证的管理员仍需本地动态口令
+ */
+class SsoService extends Service {
+
+  /**
+   * 获取单点登录设置详情
+   * 不返回客户端密钥，hasSecret 表示是否已设置
+   *
+   * @return {Promise<Object>} 单点登录设置
+   */
+  async details() {
+    const { clientSecret, ...sso } = await this.load();
+    return {
+      ...sso,
+      hasSecret: clientSecret ? 1 : 0,
+    };
+  }
+
+  /**
+   * 保存单点登录设置
+   *
+   * @param {Object} req - 单点登录设置（见配置项说明），clientSecret 为空表示不修改
+   */
+  async save(req) {
+    const { ctx } = this;
+
+    const values = {
+      enable: Number(req.enable) === 1 ? '1' : '0',
+      name: String(req.name || '').trim()
+        .slice(0, 30),
+      issuer: trimSlash(req.issuer),
+      clientId: String(req.clientId || '').trim(),
+      scopes: String(req.scopes || '').trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .join(' '),
+      redirectUri: String(req.redirectUri || '').trim(),
+      matchEmail: Number(req.matchEmail) === 1 ? '1' : '0',
+      autoCreate: Number(req.autoCreate) === 1 ? '1' : '0',
+      defaultRole: String(parseInt(req.defaultRole, 10) || 0),
+      defaultDept: String(parseInt(req.defaultDept, 10) || 0),
+      trustMfa: Number(req.trustMfa) === 1 ? '1' : '0',
+    };
+    if (req.clientSecret) {
+      values.clientSecret = String(req.clientSecret);
+    }
+
+    if (values.enable === '1') {
+      if (!/^https?:\/\/[^\s]+$/.test(values.issuer)) {
+        throw new Error('身份提供方地址格式不正确');
+      }
+      if (!values.clientId) {
+        throw new Error('客户端ID不能为空');
+      }
+      if (!/^https?:\/\/[^\s]+$/.test(values.redirectUri)) {
+        throw new Error('回调地址格式不正确');
+      }
+      if (!values.scopes.split(' ').includes('openid')) {
+        throw new Error('权限范围必须包含openid');
+      }
+      if (values.autoCreate === '1') {
+        const role = await ctx.model.SystemAuthRole.findOne({
+          where: { id: parseInt(values.defaultRole, 10), isDisable: 0 },
+        });
+        if (!role) {
+          throw new Error('自动创建管理员的默认角色不存在或已禁用');
+        }
+      }
+    }
+
+    try {
+      await Promise.all(Object.keys(values).map(name => ctx.service.common.set(cnfType, name, values[name])));
+    } catch (err) {
+      throw new Error(`SsoService.save error: ${err}`);
+    }
+  }
+
+  /**
+   * 读取完整的单点登录配置
+   *
+   * @return {Promise<Object>} 单点登录配置
+   */
+  async load() {
+    const { ctx } = this;
+    try {
+      const sso = await ctx.service.common.get(cnfType);
+      return {
+        enable: sso.enable === '1' ? 1 : 0,
+        name: sso.name || '统一身份认证',
+        issuer: sso.issuer || '',
+        clientId: sso.clientId || '',
+        clientSecret: sso.clientSecret || '',
+        scopes: sso.scopes || 'openid profile email',
+        redirectUri: sso.redirectUri || '',
+        matchEmail: sso.matchEmail === '1' ? 1 : 0,
+        autoCreate: sso.autoCreate === '1' ? 1 : 0,
+        defaultRole: parseInt(sso.defaultRole, 10) || 0,
+        defaultDept: parseInt(sso.defaultDept, 10) || 0,
+        trustMfa: sso.trustMfa === '1' ? 1 : 0,
+      };
+    } catch (err) {
+      throw new Error(`SsoService.load error: ${err}`);
+    }
+  }
+
+  /**
+   * 获取登录页展示的单点登录信息
+   *
+   * @return {Promise<Object>} {enable, name}
+   */
+  async info() {
+    const { enable, name } = await this.load();
+    return { enable, name };
+  }
+
+  /**
+   * 生成身份提供方的授权地址
+   *
+   * @return {Promise<Object>} {url}，前端跳转到该地址登录
+   *
+   * @流程说明
+   * 1. 生成 state、nonce 和 PKCE code_verifier，保存到 Redis
+   * 2. 拼接授权端点地址（code_challenge = BASE64URL(SHA256(code_verifier))）
+   */
+  async authorize() {
+    const { ctx, config } = this;
+    const sso = await this.enabledConfig();
+    const metadata = await this.discovery(sso.issuer);
+
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const verifier = base64url(crypto.randomBytes(32));
+    await ctx.service.redis.set(backstageSsoStateKey + state, { nonce, verifier }, config.sso.stateExpire);
+
+    const query = new URLSearchParams({
+      response_type: 'code',
+      client_id: sso.clientId,
+      redirect_uri: sso.redirectUri,
+      scope: sso.scopes,
+      state,
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(verifier).digest()),
+      code_challenge_method: 'S256',
+    });
+    const separator = metadata.authorization_endpoint.includes('?') ? '&' : '?';
+    return {
+      url: `${metadata.authorization_endpoint}${separator}${query}`,
+    };
+  }
+
+  /**
+   * 处理身份提供方回调，返回对应的管理员
+   *
+   * @param {string} code - 授权码
+   * @param {string} state - 授权时生成的 state
+   * @return {Promise<Object>} SystemAuthAdmin 记录（可能已被禁用，由调用方检查）
+   * @throws {Error} state 无效、换取令牌失败、id_token 校验失败或找不到管理员时抛出错误
+   *
+   * @流程说明
+   * 1. 校验并删除 state（只能使用一次）
+   * 2. 使用授权码和 code_verifier 换取令牌
+   * 3. 校验 id_token，id_token 中没有邮箱时从 userinfo 端点获取
+   * 4. 匹配、绑定或自动创建管理员
+   */
+  async callback(code, state) {
+    const { ctx } = this;
+    const sso = await this.enabledConfig();
+
+    const key = backstageSsoStateKey + String(state || '');
+    const saved = state ? await ctx.service.redis.get(key) : null;
+    if (!saved || !await ctx.service.redis.del(key)) {
+      throw new Error('登录请求无效或已过期，请重新登录');
+    }
+    if (!code) {
+      throw new Error('授权码不能为空');
+    }
+
+    const metadata = await this.discovery(sso.issuer);
+    const tokens = await this.exchange(metadata, sso, String(code), saved.verifier);
+    const claims = await this.verifyIdToken(tokens.id_token, metadata, sso, saved.nonce);
+
+    if (!claims.email && tokens.access_token && metadata.userinfo_endpoint) {
+      const userinfo = await this.fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      if (userinfo.sub === claims.sub) {
+        Object.assign(claims, userinfo, { sub: claims.sub });
+      }
+    }
+
+    return await this.resolveAdmin(claims, sso);
+  }
+
+  /**
+   * 根据 id_token 声明查找、绑定或创建管理员
+   *
+   * @param {Object} claims - id_token（及 userinfo）声明
+   * @param {Object} sso - 单点登录配置
+   * @return {Promise<Object>} SystemAuthAdmin 记录
+   */
+  async resolveAdmin(claims, sso) {
+    const { ctx } = this;
+    const { SystemAuthAdmin } = ctx.model;
+    const subject = String(claims.sub);
+
+    const bound = await SystemAuthAdmin.findOne({
+      where: { ssoSubject: subject, isDelete: 0 },
+    });
+    if (bound) {
+      return bound;
+    }
+
+    // 只有身份提供方确认已验证的邮箱才能用于匹配，防止通过未验证邮箱冒用他人账号
+    const email = String(claims.email || '').trim()
+      .toLowerCase();
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    if (sso.matchEmail && email && emailVerified) {
+      const admins = await SystemAuthAdmin.findAll({
+        where: { email, isDelete: 0 },
+      });
+      if (admins.length > 1) {
+        throw new Error('该邮箱对应多个管理员账号，请联系管理员绑定');
+      }
+      if (admins.length === 1) {
+        // 超级管理员权限过大，不允许通过邮箱自动绑定
+        if (admins[0].id === superAdminId) {
+          throw new Error('超级管理员不能通过邮箱自动绑定统一身份账号');
+        }
+        if (admins[0].ssoSubject) {
+          throw new Error('该管理员账号已绑定其他统一身份账号');
+        }
+        await admins[0].update({
+          ssoSubject: subject,
+          updateTime: Math.floor(Date.now() / 1000),
+        });
+        return admins[0];
+      }
+    }
+
+    if (!sso.autoCreate) {
+      throw new Error('没有找到对应的管理员账号，请联系管理员开通');
+    }
+    return await this.provision(claims, sso, email && emailVerified ? email : '');
+  }
+
+  /**
+   * 自动创建管理员
+   * 账号优先使用 preferred_username，其次为邮箱前缀，重复时追加随机后缀；
+   * 密码为随机值，只能通过单点登录或重置密码后登录
+   *
+   * @param {Object} claims - id_token（及 userinfo）声明
+   * @param {Object} sso - 单点登录配置
+   * @param {string} email - 已验证的邮箱
+   * @return {Promise<Object>} 新建的 SystemAuthAdmin 记录
+   */
+  async provision(claims, sso, email) {
+    const { ctx } = this;
+    const { SystemAuthAdmin, SystemAuthRole } = ctx.model;
+
+    const role = await SystemAuthRole.findOne({
+      where: { id: sso.defaultRole, isDisable: 0 },
+    });
+    if (!role) {
+      throw new Error('自动创建管理员失败：默认角色不存在或已禁用');
+    }
+
+    const base = String(claims.preferred_username || email.split('@')[0] || 'sso')
+      .replace(/[^a-zA-Z0-9_.@-]/g, '')
+      .slice(0, 14) || 'sso';
+    let username = base.length >= 2 ? base : `sso_${base}`;
+    for (let i = 0; await SystemAuthAdmin.findOne({ where: { username, isDelete: 0 } }); i++) {
+      if (i >= 5) {
+        throw new Error('自动创建管理员失败：无法生成可用的账号');
+      }
+      username = `${base}_${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    let nickname = String(claims.name || claims.nickname || '').trim()
+      .slice(0, 32) || username;
+    if (await SystemAuthAdmin.findOne({ where: { nickname, isDelete: 0 } })) {
+      nickname = username;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const password = crypto.randomBytes(24).toString('hex');
+    const admin = await SystemAuthAdmin.create({
+      username,
+      nickname,
+      email: email.length <= 100 ? email : '',
+      ssoSubject: String(claims.sub),
+      role: String(role.id),
+      deptId: sso.defaultDept,
+      avatar: '/public/static/backend_avatar.png',
+      isMultipoint: 1,
+      ...await ctx.service.passwordPolicy.build(password, null, false),
+      createTime: now,
+      updateTime: now,
+    });
+    ctx.logger.info(`SsoService.provision: created admin ${admin.id} (${username}) for subject ${claims.sub}`);
+    return admin;
+  }
+
+  /**
+   * 使用授权码换取令牌
+   *
+   * @param {Object} metadata - 端点发现结果
+   * @param {Object} sso - 单点登录配置
+   * @param {string} code - 授权码
+   * @param {string} verifier - PKCE code_verifier
+   * @return {Promise<Object>} 令牌响应 {id_token, access_token, ...}
+   */
+  async exchange(metadata, sso, code, verifier) {
+    const { ctx, config } = this;
+    const data = {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: sso.redirectUri,
+      client_id: sso.clientId,
+      code_verifier: verifier,
+    };
+    if (sso.clientSecret) {
+      data.client_secret = sso.clientSecret;
+    }
+
+    let res;
+    try {
+      res = await ctx.curl(metadata.token_endpoint, {
+        method: 'POST',
+        data,
+        dataType: 'json',
+        timeout: config.sso.timeout,
+      });
+    } catch (err) {
+      ctx.logger.error(`SsoService.exchange error: ${err}`);
+      throw new Error('连接身份提供方失败');
+    }
+    if (res.status !== 200 || !res.data || !res.data.id_token) {
+      ctx.logger.warn(`SsoService.exchange: token endpoint returned ${res.status} ${JSON.stringify(res.data)}`);
+      throw new Error('授权码无效或已过期，请重新登录');
+    }
+    return res.data;
+  }
+
+  /**
+   * 校验 id_token
+   *
+   * @param {string} idToken - id_token
+   * @param {Object} metadata - 端点发现结果
+   * @param {Object} sso - 单点登录配置
+   * @param {string} nonce - 授权时生成的 nonce
+   * @return {Promise<Object>} id_token 声明
+   */
+  async verifyIdToken(idToken, metadata, sso, nonce) {
+    const { config } = this;
+    const { header, payload, input, signature } = decodeJwt(idToken);
+
+    const alg = algorithms[header.alg];
+    if (!alg) {
+      throw new Error(`不支持的id_token签名算法: ${header.alg}`);
+    }
+    let valid;
+    if (alg.hmac) {
+      const expected = crypto.createHmac(alg.hash, sso.clientSecret).update(input)
+        .digest();
+      valid = !!sso.clientSecret && expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    } else {
+      const key = await this.signingKey(metadata.jwks_uri, header.kid, header.alg);
+      valid = crypto.verify(alg.hash, Buffer.from(input), {
+        key,
+        padding: alg.padding,
+        saltLength: alg.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+        dsaEncoding: alg.dsaEncoding,
+      }, signature);
+    }
+    if (!valid) {
+      throw new Error('id_token签名无效');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audience = [].concat(payload.aud);
+    if (trimSlash(payload.iss) !== trimSlash(metadata.issuer)) {
+      throw new Error('id_token签发方不正确');
+    }
+    if (!audience.includes(sso.clientId) || (audience.length > 1 && payload.azp !== sso.clientId)) {
+      throw new Error('id_token接收方不正确');
+    }
+    if (!(payload.exp + config.sso.clockSkew > now)) {
+      throw new Error('id_token已过期');
+    }
+    if (payload.nonce !== nonce) {
+      throw new Error('id_token的nonce不正确');
+    }
+    if (!payload.sub) {
+      throw new Error('id_token缺少sub');
+    }
+    return payload;
+  }
+
+  /**
+   * 获取 id_token 的验签公钥
+   * 密钥的 kty（及 EC 曲线）必须与签名算法一致，声明了 alg 的密钥只能用于该算法；
+   * 在缓存的 JWKS 中找不到密钥时重新获取，以支持身份提供方轮换密钥，两次重新获取至少间隔 jwksRefetchInterval
+   *
+   * @param {string} jwksUri - JWKS 地址
+   * @param {string} [kid] - 密钥ID
+   * @param {string} algName - id_token 的签名算法（header.alg）
+   * @return {Promise<KeyObject>} 公钥
+   */
+  async signingKey(jwksUri, kid, algName) {
+    if (!jwksUri) {
+      throw new Error('身份提供方未提供jwks_uri');
+    }
+    const alg = algorithms[algName];
+    const find = keys => keys.find(jwk => (kid ? jwk.kid === kid : true) &&
+      (!jwk.use || jwk.use === 'sig') &&
+      (!jwk.alg || jwk.alg === algName) &&
+      jwk.kty === alg.kty &&
+      (!alg.crv || jwk.crv === alg.crv));
+
+    const now = Date.now();
+    let cached = jwksCache.get(jwksUri);
+    const fresh = cached && cached.expireAt > now;
+    let jwk = fresh ? find(cached.keys) : null;
+    if (!jwk && (!fresh || now - cached.fetchedAt >= jwksRefetchInterval)) {
+      const { keys = [] } = await this.fetchJson(jwksUri);
+      cached = { expireAt: now + metadataTtl, fetchedAt: now, keys: Array.isArray(keys) ? keys : [] };
+      jwksCache.set(jwksUri, cached);
+      jwk = find(cached.keys);
+    }
+    if (!jwk) {
+      throw new Error('找不到id_token的验签密钥');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * 获取身份提供方的端点配置
+   *
+   * @param {string} issuer - 身份提供方地址
+   * @return {Promise<Object>} openid-configuration
+   */
+  async discovery(issuer) {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expireAt > Date.now()) {
+      return cached.data;
+    }
+    const data = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (!data.authorization_endpoint || !data.token_endpoint) {
+      throw new Error('身份提供方配置不完整');
+    }
+    discoveryCache.set(issuer, { expireAt: Date.now() + metadataTtl, data });
+    return data;
+  }
+
+  /**
+   * 请求 JSON 数据
+   *
+   * @param {string} url - 请求地址
+   * @param {Object} [options] - ctx.curl 选项
+   * @return {Promise<Object>} 响应数据
+   */
+  async fetchJson(url, options = {}) {
+    const { ctx, config } = this;
+    let res;
+    try {
+      res = await ctx.curl(url, {
+        dataType: 'json',
+        timeout: config.sso.timeout,
+        ...options,
+      });
+    } catch (err) {
+      ctx.logger.error(`SsoService.fetchJson ${url} error: ${err}`);
+      throw new Error('连接身份提供方失败');
+    }
+    if (res.status !== 200 || !res.data || typeof res.data !== 'object') {
+      ctx.logger.warn(`SsoService.fetchJson ${url}: status ${res.status}`);
+      throw new Error('身份提供方返回数据不正确');
+    }
+    return res.data;
+  }
+
+  /**
+   * 读取已启用的单点登录配置
+   *
+   * @return {Promise<Object>} 单点登录配置
+   * @throws {Error} 未启用时抛出错误
+   */
+  async enabledConfig() {
+    const sso = await this.load();
+    if (!sso.enable || !sso.issuer || !sso.clientId) {
+      throw new Error('未启用单点登录');
+    }
+    return sso;
+  }
+}
+
+// 导出服务类
+module.exports = SsoService;
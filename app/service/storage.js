@@ -3,26 +3,51 @@
 /**
  * storage.js - 存储引擎服务模块
  *
- * 功能：管理系统存储引擎的配置、启用、禁用和查询功能
- * 负责统一管理文件存储的后端引擎，支持本地存储、云存储等多种存储方式
+ * 功能：管理系统存储引擎的配置、启用、禁用和查询功能，并提供当前存储引擎的驱动
+ * 负责统一管理文件存储的后端引擎，支持本地存储、S3 兼容的对象存储
  *
  * 核心特性：
  * - 存储引擎列表管理
  * - 存储引擎状态控制
  * - 默认存储引擎设置
  * - 存储引擎配置持久化
+ * - 存储驱动（见 util/storageUtil.js），上传等业务通过驱动读写文件
+ * - 上传文件统一通过 save 保存，文件键格式一致
  *
- * @当前限制
- * - 目前仅支持本地存储 (local)
- * - 其他存储引擎（如OSS、COS等）暂不支持
+ * @配置存储
+ * - storage.default: 默认存储引擎别名，为空时使用本地存储
+ * - storage.{alias}: 各存储引擎的配置（JSON）
  */
 
 // 引入 Egg.js 的 Service 基类，用于创建服务层类
 const Service = require('egg').Service;
+const crypto = require('crypto');
+const path = require('path');
+const dayjs = require('dayjs');
+// 存储驱动
+const storageUtil = require('../util/storageUtil');
 
-// 以下导入被注释，可能在后续版本中用于版本控制和URL处理
-// const { version, publicUrl } = require('../extend/config');
-// const util = require('../util/urlUtil');
+// 密钥在详情中的显示值，编辑时提交该值表示不修改密钥
+const secretMask = '******';
+
+/**
+ * 支持的存储引擎
+ * fields 为该引擎需要保存的配置项，required 为必填项
+ */
+const engines = {
+  local: {
+    name: '本地存储',
+    describe: '存储在本地服务器',
+    fields: [],
+    required: [],
+  },
+  s3: {
+    name: 'S3兼容存储',
+    describe: '存储在兼容 S3 协议的对象存储，如 AWS S3、MinIO、阿里云OSS、腾讯云COS',
+    fields: [ 'endpoint', 'region', 'bucket', 'accessKey', 'secretKey', 'domain', 'pathStyle' ],
+    required: [ 'endpoint', 'bucket', 'accessKey', 'secretKey' ],
+  },
+};
 
 /**
  * 存储引擎服务类
@@ -37,10 +62,11 @@ const Service = require('egg').Service;
  * 3. 处理存储引擎的编辑和更新
  * 4. 控制存储引擎的启用和禁用状态
  * 5. 设置系统默认存储引擎
+ * 6. 创建存储驱动、保存上传文件
  *
  * @存储引擎概念
  * - 本地存储 (local): 文件存储在服务器本地磁盘
- * - 云存储 (oss/cos): 文件存储在云服务商的对象存储
+ * - S3兼容存储 (s3): 文件存储在对象存储服务
  * - 状态: 0-禁用, 1-启用
  */
 class WebsiteService extends Service {
@@ -58,14 +84,8 @@ class WebsiteService extends Service {
    *
    * @throws {Error} 当数据处理异常时抛出错误
    *
-   * @流程说明
-   * 1. 定义支持的存储引擎列表
-   * 2. 标记当前正在使用的存储引擎
-   * 3. 返回处理后的引擎列表
-   *
    * @使用场景
    * - 系统设置中的存储引擎管理页面
-   * - 文件上传时的存储引擎选择
    * - 存储配置的概览展示
    *
    * @示例返回值
@@ -77,74 +97,35 @@ class WebsiteService extends Service {
    * }]
    */
   async list() {
-    // 当前代码中 ctx 未被使用，但保留以备后续扩展
-    // const { ctx } = this;
-
     try {
-      /**
-       * 当前使用的存储引擎
-       * 硬编码为 'local'，实际应该从配置中动态获取
-       * 后续可以扩展支持 oss、cos 等云存储
-       */
-      const engine = 'local';
-
-      /**
-       * 存储引擎列表定义
-       * 目前只支持本地存储，其他存储引擎可以在此扩展
-       */
-      const storageList = [
-        {
-          name: '本地存储', // 引擎显示名称
-          alias: 'local', // 引擎唯一标识
-          describe: '存储在本地服务器', // 引擎功能描述
-          status: 0, // 初始状态：禁用
-        },
-        // 后续可以在此添加其他存储引擎，如：
-        // {
-        //   name: '阿里云OSS',
-        //   alias: 'oss',
-        //   describe: '存储在阿里云对象存储',
-        //   status: 0
-        // }
-      ];
-
-      // 创建列表的副本，避免修改原始数据
-      const mapList = storageList;
-
-      /**
-       * 标记当前正在使用的存储引擎
-       * 遍历引擎列表，将当前使用的引擎状态设置为启用(1)
-       */
-      mapList.forEach(item => {
-        if (engine === item.alias) {
-          item.status = 1; // 设置为启用状态
-        }
-      });
+      // 当前使用的存储引擎
+      const engine = await this.engine();
 
-      return mapList;
+      return Object.keys(engines).map(alias => ({
+        name: engines[alias].name, // 引擎显示名称
+        alias, // 引擎唯一标识
+        describe: engines[alias].describe, // 引擎功能描述
+        status: engine === alias ? 1 : 0, // 是否为当前使用的引擎
+      }));
 
     } catch (err) {
       // 异常处理：捕获数据处理过程中的错误
-      throw new Error(`storageService.config error: ${err}`);
+      throw new Error(`storageService.list error: ${err}`);
     }
   }
 
   /**
    * 获取存储引擎详情
-   * 根据引擎别名获取指定存储引擎的详细信息
+   * 根据引擎别名获取指定存储引擎的详细信息，密钥不返回明文
    *
    * @param {string} alias - 存储引擎别名（如 'local'）
    * @return {Promise<Object>} 返回存储引擎详情对象
    * @return {string} return.name - 存储引擎名称
    * @return {string} return.alias - 存储引擎别名
    * @return {number} return.status - 存储引擎状态（0-禁用, 1-启用）
+   * @return {*} return[field] - 该引擎的配置项（如 endpoint、bucket、accessKey）
    *
-   * @throws {Error} 当配置获取异常时抛出错误
-   *
-   * @流程说明
-   * 1. 从配置存储中获取引擎配置
-   * 2. 判断引擎是否为当前使用引擎
-   * 3. 返回引擎详情信息
+   * @throws {Error} 当存储引擎不支持或配置获取异常时抛出错误
    *
    * @使用场景
    * - 存储引擎配置编辑页面
@@ -152,50 +133,48 @@ class WebsiteService extends Service {
    */
   async detail(alias) {
     const { ctx } = this;
+    const engineInfo = this.engineInfo(alias);
     try {
       // 当前使用的存储引擎
-      const engine = 'local';
+      const engine = await this.engine();
 
-      /**
-       * 从配置存储中获取存储引擎的详细配置
-       * 使用 common 服务的 getMap 方法
-       *
-       * @参数说明
-       * - 'storage': 配置的命名空间
-       * - alias: 存储引擎的别名
-       */
+      // 从配置存储中获取存储引擎的详细配置
       const cnf = await ctx.service.common.getMap('storage', alias);
 
-      // 判断该引擎是否为当前使用的引擎
-      const status = engine === alias ? 1 : 0;
-
-      // 返回引擎详情信息
-      return {
-        name: cnf.name, // 引擎名称
+      const data = {
+        name: engineInfo.name, // 引擎名称
         alias, // 引擎别名
-        status, // 引擎状态
+        status: engine === alias ? 1 : 0, // 引擎状态
       };
+      engineInfo.fields.forEach(field => {
+        data[field] = cnf[field] === undefined ? '' : cnf[field];
+      });
+      if (data.secretKey) {
+        data.secretKey = secretMask;
+      }
+      return data;
 
     } catch (err) {
-      throw new Error(`storageService.config error: ${err}`);
+      throw new Error(`storageService.detail error: ${err}`);
     }
   }
 
   /**
    * 编辑存储引擎配置
-   * 更新存储引擎的配置信息并设置默认引擎
+   * 保存存储引擎的配置信息（包括访问密钥）并设置默认引擎
    *
    * @param {Object} editReq - 编辑请求参数对象
    * @param {string} editReq.alias - 存储引擎别名
    * @param {number} editReq.status - 存储引擎状态（0-禁用, 1-启用）
+   * @param {*} editReq[field] - 该引擎的配置项，secretKey 为空或为掩码时保留原密钥
    *
    * @return {Promise<void>} 无返回值，操作成功时正常结束
    *
-   * @throws {Error} 当存储引擎不支持或配置保存异常时抛出错误
+   * @throws {Error} 当存储引擎不支持、配置不完整或配置保存异常时抛出错误
    *
    * @流程说明
    * 1. 验证存储引擎是否支持
-   * 2. 保存引擎配置到存储系统
+   * 2. 校验并保存引擎配置
    * 3. 根据状态设置默认存储引擎
    *
    * @使用场景
@@ -204,46 +183,40 @@ class WebsiteService extends Service {
    */
   async edit(editReq) {
     const { ctx } = this;
-    try {
-      // 当前支持的存储引擎
-      const engine = 'local';
+    const engineInfo = this.engineInfo(editReq.alias);
+    const old = await ctx.service.common.getMap('storage', editReq.alias);
 
-      /**
-       * 验证请求的存储引擎是否受支持
-       * 目前只支持本地存储，其他引擎抛出错误
-       */
-      if (engine !== editReq.alias) {
-        throw new Error(`engine:${editReq.alias} 暂时不支持`);
-      }
-
-      /**
-       * 构建存储引擎配置对象并序列化为JSON
-       * 目前配置比较简单，只有名称信息
-       * 后续可以扩展更多配置项，如存储路径、访问密钥等
-       */
-      const json = JSON.stringify({ name: '本地存储' });
+    const cnf = { name: engineInfo.name };
+    engineInfo.fields.forEach(field => {
+      const value = editReq[field];
+      cnf[field] = typeof value === 'string' ? value.trim() : value;
+    });
+    if (engineInfo.fields.includes('secretKey') && (!cnf.secretKey || cnf.secretKey === secretMask)) {
+      cnf.secretKey = old.secretKey || '';
+    }
+    if (engineInfo.fields.includes('pathStyle')) {
+      // 未传时默认使用路径风格
+      cnf.pathStyle = !(cnf.pathStyle === false || cnf.pathStyle === 0 || cnf.pathStyle === '0' || cnf.pathStyle === 'false');
+    }
+    this.validate(engineInfo, cnf);
 
-      /**
-       * 保存存储引擎配置到配置存储
-       * 将配置持久化到数据库或配置中心
-       */
-      await ctx.service.common.set('storage', editReq.alias, json);
+    try {
+      // 保存存储引擎配置到配置存储
+      await ctx.service.common.set('storage', editReq.alias, JSON.stringify(cnf));
 
       /**
        * 根据状态设置默认存储引擎
        * 如果状态为启用(1)，设置为默认引擎
-       * 如果状态为禁用(0)，清空默认引擎设置
+       * 如果状态为禁用(0)且为当前引擎，清空默认引擎设置（回退到本地存储）
        */
-      if (editReq.status === 1) {
-        // 设置为默认存储引擎
+      if (Number(editReq.status) === 1) {
         await ctx.service.common.set('storage', 'default', editReq.alias);
-      } else {
-        // 清空默认存储引擎设置
+      } else if (await this.engine() === editReq.alias) {
         await ctx.service.common.set('storage', 'default', '');
       }
 
     } catch (err) {
-      throw new Error('Edit Set default err');
+      throw new Error(`storageService.edit error: ${err}`);
     }
   }
 
@@ -256,47 +229,127 @@ class WebsiteService extends Service {
    *
    * @return {Promise<void>} 无返回值，操作成功时正常结束
    *
-   * @throws {Error} 当存储引擎不支持或状态设置异常时抛出错误
-   *
-   * @流程说明
-   * 1. 验证存储引擎是否支持
-   * 2. 根据目标状态设置默认存储引擎
+   * @throws {Error} 当存储引擎不支持、尚未配置或状态设置异常时抛出错误
    *
    * @业务规则
-   * - 只能启用当前已支持的存储引擎
-   * - 禁用当前使用的引擎时会清空默认设置
-   * - 启用引擎时会将其设置为默认引擎
+   * - 启用引擎时会将其设置为默认引擎，之后的上传都使用该引擎
+   * - 禁用当前使用的引擎时会清空默认设置，回退到本地存储
+   * - 已上传的文件仍通过上传时使用的引擎访问
    */
   async change(alias, status) {
     const { ctx } = this;
-    try {
-      // 当前支持的存储引擎
-      const engine = 'local';
+    const engineInfo = this.engineInfo(alias);
 
-      /**
-       * 验证请求的存储引擎是否受支持
-       * 目前只支持本地存储
-       */
-      if (engine !== alias) {
-        throw new Error(`engine:${alias} 暂时不支持`);
-      }
+    if (Number(status) === 1) {
+      // 启用前校验配置完整
+      this.validate(engineInfo, await ctx.service.common.getMap('storage', alias));
+    }
 
-      /**
-       * 状态切换逻辑：
-       * - 如果要禁用的是当前使用的引擎，清空默认设置
-       * - 如果要启用一个引擎，将其设置为默认引擎
-       */
-      if (engine === alias && status === 0) {
-        // 禁用当前使用的引擎：清空默认存储引擎设置
-        await ctx.service.common.set('storage', 'default', '');
-      } else {
+    try {
+      if (Number(status) === 1) {
         // 启用存储引擎：设置为默认存储引擎
         await ctx.service.common.set('storage', 'default', alias);
+      } else if (await this.engine() === alias) {
+        // 禁用当前使用的引擎：清空默认存储引擎设置
+        await ctx.service.common.set('storage', 'default', '');
       }
 
     } catch (err) {
-      throw new Error('Change Set err');
+      throw new Error(`storageService.change error: ${err}`);
+    }
+  }
+
+  /**
+   * 获取当前使用的存储引擎别名
+   *
+   * @return {Promise<string>} 存储引擎别名，未设置时为 local
+   */
+  async engine() {
+    const { ctx } = this;
+    const { default: engine } = await ctx.service.common.get('storage', 'default');
+    return engines[engine] ? engine : 'local';
+  }
+
+  /**
+   * 获取存储驱动
+   *
+   * @param {string} [alias] - 存储引擎别名，为空时使用当前存储引擎
+   * @return {Promise<Object>} 存储驱动（put、getStream、delete、exists、publicUrl）
+   *
+   * @使用场景
+   * - 文件上传时写入当前存储引擎
+   * - 按文件记录的存储引擎生成访问地址、删除文件
+   */
+  async driver(alias) {
+    const { ctx, app } = this;
+    alias = alias || await this.engine();
+    this.engineInfo(alias);
+    const cnf = await ctx.service.common.getMap('storage', alias);
+    return storageUtil.createDriver(alias, cnf, {
+      baseDir: app.baseDir,
+      httpclient: app.httpclient,
+    });
+  }
+
+  /**
+   * 保存上传的文件到当前存储引擎
+   * 文件键格式: uploads/{dir}/{YYYY-MM-DD}/{时间戳}{随机数}{扩展名}
+   *
+   * @param {Buffer} content - 文件内容
+   * @param {Object} options - {dir, filename, mime}
+   * @param {string} options.dir - 存储目录，如 image、video、file
+   * @param {string} options.filename - 原始文件名，用于获取扩展名
+   * @param {string} [options.mime] - 文件 MIME 类型
+   * @return {Promise<Object>} {engine, key, url}
+   *
+   * @使用场景
+   * - 素材中心上传（album）
+   * - 通用上传接口（upload）
+   */
+  async save(content, options) {
+    const engine = await this.engine();
+    const driver = await this.driver(engine);
+    const filename = dayjs().valueOf() + crypto.randomBytes(3).toString('hex') + path.extname(options.filename || '').toLowerCase();
+    const key = `uploads/${options.dir}/${dayjs().format('YYYY-MM-DD')}/${filename}`;
+    await driver.put(key, content, { mime: options.mime });
+    return {
+      engine,
+      key,
+      url: driver.publicUrl(key),
+    };
+  }
+
+  /**
+   * 获取存储引擎定义
+   *
+   * @param {string} alias - 存储引擎别名
+   * @return {Object} 存储引擎定义 {name, describe, fields, required}
+   * @throws {Error} 存储引擎不支持时抛出错误
+   */
+  engineInfo(alias) {
+    if (!Object.prototype.hasOwnProperty.call(engines, alias)) {
+      throw new Error(`engine:${alias} 暂时不支持`);
+    }
+    return engines[alias];
+  }
+
+  /**
+   * 校验存储引擎配置
+   *
+   * @param {Object} engineInfo - 存储引擎定义
+   * @param {Object} cnf - 存储引擎配置
+   * @throws {Error} 配置不完整或格式错误时抛出错误
+   */
+  validate(engineInfo, cnf) {
+    const missing = engineInfo.required.filter(field => !cnf[field]);
+    if (missing.length > 0) {
+      throw new Error(`${engineInfo.name}配置不完整: ${missing.join(', ')}`);
     }
+    [ 'endpoint', 'domain' ].forEach(field => {
+      if (cnf[field] && !/^https?:\/\/[^\s/]+/.test(cnf[field])) {
+        throw new Error(`${field} 必须是 http:// 或 https:// 开头的地址`);
+      }
+    });
   }
 }
 
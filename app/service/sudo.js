@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * sudo.js - 敏感操作二次验证服务模块
+ *
+ * 功能：删除管理员、修改角色、切换存储等敏感操作（见 config.sudoUri）前，要求管理员重新输入密码或动态口令
+ * - 验证通过后在 Redis 中为当前 Token 记录验证状态，有效期见 config.sudo.expire
+ * - 验证失败计入登录失败次数，达到阈值后与登录一样锁定账号（见 config.loginLock）
+ * - 模拟登录会话不能进行验证（见 config.impersonateDenyUri），也不会计入被模拟管理员的失败次数
+ * - 单点登录自动创建的管理员没有可用的本地密码，需开启两步验证后使用动态口令验证
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+// 引入配置常量
+const { backstageSudoKey, reqAdminIdKey } = require('../extend/config');
+// 密码哈希工具
+const passwordUtil = require('../util/passwordUtil');
+
+/**
+ * 敏感操作二次验证服务类
+ *
+ * @class SudoService
+ * @extends Service
+ */
+class SudoService extends Service {
+
+  /**
+   * 获取当前会话的验证状态
+   *
+   * @param {string} token - 登录 Token
+   * @return {Promise<Object>} {active, ttl, totp}：ttl 为剩余有效时间（秒），totp 表示可使用动态口令验证
+   */
+  async status(token) {
+    const { ctx } = this;
+    const admin = await this.currentAdmin();
+    const ttl = token ? await ctx.service.redis.ttl(backstageSudoKey + token) : 0;
+    return {
+      active: ttl > 0,
+      ttl: Math.max(ttl, 0),
+      totp: admin.totpEnable === 1,
+    };
+  }
+
+  /**
+   * 当前会话是否处于已验证状态
+   *
+   * @param {string} token - 登录 Token
+   * @return {Promise<boolean>} 是否已验证
+   */
+  async isActive(token) {
+    const { ctx } = this;
+    return !!token && await ctx.service.redis.exists(backstageSudoKey + token) > 0;
+  }
+
+  /**
+   * 验证密码或动态口令，通过后记录验证状态
+   *
+   * @param {string} token - 登录 Token
+   * @param {Object} req - 请求参数 {password, code}，传入 code 时校验动态口令或恢复码，否则校验密码
+   * @return {Promise<Object>} {ttl}
+   * @throws {Error} 账号已锁定或验证失败时抛出错误
+   */
+  async verify(token, req) {
+    const { ctx, config } = this;
+    if (!token) {
+      throw new Error('请使用登录Token访问');
+    }
+    // 模拟登录时不能验证对方的身份，失败次数也不能计入对方账号，避免锁定对方账号
+    if (ctx.impersonator) {
+      throw new Error('模拟登录时不允许该操作');
+    }
+    const admin = await this.currentAdmin();
+    const ip = ctx.request.ip;
+
+    const lockTtl = await ctx.service.loginLock.check(admin.username, ip);
+    if (lockTtl > 0) {
+      throw new Error(`验证失败次数过多，请${Math.ceil(lockTtl / 60)}分钟后再试`);
+    }
+
+    let valid = false;
+    if (req.code) {
+      valid = await ctx.service.authTotp.verify(admin, String(req.code));
+    } else if (req.password) {
+      valid = await passwordUtil.verify(String(req.password), admin.password, admin.salt);
+    }
+    if (!valid) {
+      const remain = await ctx.service.loginLock.fail(admin.username, ip);
+      const label = req.code ? '动态口令' : '密码';
+      throw new Error(remain > 0 ? `${label}错误，还可尝试${remain}次` : `${label}错误次数过多，账号已被锁定`);
+    }
+
+    const { expire } = config.sudo;
+    await ctx.service.redis.set(backstageSudoKey + token, 1, expire);
+    return { ttl: expire };
+  }
+
+  /**
+   * 结束当前会话的验证状态
+   *
+   * @param {string} token - 登录 Token
+   */
+  async clear(token) {
+    const { ctx } = this;
+    await ctx.service.redis.del(backstageSudoKey + token);
+  }
+
+  /**
+   * 获取当前登录的管理员
+   *
+   * @return {Promise<Object>} SystemAuthAdmin 记录
+   */
+  async currentAdmin() {
+    const { ctx } = this;
+    const admin = await ctx.model.SystemAuthAdmin.findByPk(ctx.session[reqAdminIdKey]);
+    if (!admin || admin.isDelete === 1) {
+      throw new Error('管理员不存在');
+    }
+    return admin;
+  }
+}
+
+// 导出服务类
+module.exports = SudoService;
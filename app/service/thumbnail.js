@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * thumbnail.js - 素材图片缩略图服务模块
+ *
+ * 功能：为素材中心的图片生成不同尺寸的缩略图，列表页面使用缩略图代替原图
+ * - 尺寸见 config.thumbnail.sizes，缩略图与原图保存在同一存储引擎、同一目录
+ * - 缩略图文件键: {原图文件键去掉扩展名}_{宽}x{高}{扩展名}，如 uploads/image/2022-08-11/1660201709000a1b2c3_200x200.jpg
+ * - 已生成的尺寸记录在 Album.variants（如 200x200,800x800），修改尺寸配置后缺少的缩略图在列表查询时后台补生成
+ * - 生成失败或不支持的图片记录在 Album.thumbFail（当时的尺寸配置），尺寸配置修改前不再补生成
+ */
+
+// 引入 Egg.js 的 Service 基类，用于创建服务层类
+const Service = require('egg').Service;
+const sharp = require('sharp');
+// 读取文件流
+const { readStream } = require('../util/storageUtil');
+// 文件类型检测
+const fileTypeUtil = require('../util/fileTypeUtil');
+// 引入配置常量
+const { backstageAlbumThumbKey } = require('../extend/config');
+
+// 支持生成缩略图的图片类型及输出格式
+const formats = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+// 补生成缩略图的并发保护时间（秒），同一文件在此时间内只补生成一次
+const regenerateInterval = 60;
+
+/**
+ * 素材图片缩略图服务类
+ *
+ * @class ThumbnailService
+ * @extends Service
+ */
+class ThumbnailService extends Service {
+
+  /**
+   * 是否支持为该类型生成缩略图
+   *
+   * @param {string} mime - 图片真实类型
+   * @return {boolean} 是否支持
+   */
+  isSupported(mime) {
+    return Object.prototype.hasOwnProperty.call(formats, mime);
+  }
+
+  /**
+   * 获取尺寸标识
+   *
+   * @param {Object} size - {width, height}
+   * @return {string} 尺寸标识，如 200x200
+   */
+  sizeName(size) {
+    return `${size.width}x${size.height}`;
+  }
+
+  /**
+   * 获取当前配置的全部尺寸标识
+   *
+   * @return {string} 逗号分隔的尺寸标识，如 200x200,800x800
+   */
+  sizesName() {
+    const { config } = this;
+    return Object.values(config.thumbnail.sizes).map(size => this.sizeName(size))
+      .join(',');
+  }
+
+  /**
+   * 获取缩略图文件键
+   *
+   * @param {string} key - 原图文件键
+   * @param {string} name - 尺寸标识，如 200x200
+   * @return {string} 缩略图文件键
+   */
+  variantKey(key, name) {
+    const dot = key.lastIndexOf('.');
+    const slash = key.lastIndexOf('/');
+    const [ base, ext ] = dot > slash ? [ key.slice(0, dot), key.slice(dot) ] : [ key, '' ];
+    return `${base}_${name}${ext}`;
+  }
+
+  /**
+   * 生成缩略图并保存到存储引擎
+   *
+   * @param {Object} driver - 存储驱动
+   * @param {string} key - 原图文件键
+   * @param {Buffer} content - 原图内容
+   * @param {string} mime - 原图真实类型
+   * @param {Array<string>} [exists] - 已生成的尺寸标识，不重复生成
+   * @return {Promise<Array<string>>} 全部已生成的尺寸标识
+   *
+   * @流程说明
+   * 1. 按配置的尺寸缩放图片（不放大小于目标尺寸的图片），输出格式与原图一致
+   * 2. 保存到原图所在目录
+   */
+  async generate(driver, key, content, mime, exists = []) {
+    const { config } = this;
+    const { sizes, quality } = config.thumbnail;
+    const format = formats[mime];
+    const generated = [ ...exists ];
+
+    for (const size of Object.values(sizes)) {
+      const name = this.sizeName(size);
+      if (generated.includes(name)) {
+        continue;
+      }
+      // 按 EXIF 方向信息旋转（原图保留了方向标记，缩略图不含元数据，需要旋转像素）
+      let image = sharp(content).rotate().resize({
+        width: size.width,
+        height: size.height,
+        fit: size.fit || 'inside',
+        withoutEnlargement: true,
+      });
+      // 只有 JPEG、WebP 使用质量参数，PNG 指定质量会转为调色板模式
+      image = format === 'jpeg' || format === 'webp' ? image.toFormat(format, { quality }) : image.toFormat(format);
+      await driver.put(this.variantKey(key, name), await image.toBuffer(), { mime });
+      generated.push(name);
+    }
+    return generated;
+  }
+
+  /**
+   * 删除素材图片的全部缩略图
+   *
+   * @param {Object} driver - 文件所在存储引擎的驱动
+   * @param {Object} album - Album 记录
+   */
+  async remove(driver, album) {
+    const variants = album.variants ? album.variants.split(',') : [];
+    for (const name of variants) {
+      await driver.delete(this.variantKey(album.uri, name));
+    }
+  }
+
+  /**
+   * 获取素材图片的缩略图地址
+   * 缺少的尺寸使用原图地址，并在后台补生成（当前尺寸配置下已生成失败的不再补生成）
+   *
+   * @param {Object} album - Album 记录
+   * @param {Object} driver - 文件所在存储引擎的驱动
+   * @return {Object} 缩略图地址 {尺寸名称: url}，如 {thumb: 'http://...', medium: 'http://...'}
+   */
+  urls(album, driver) {
+    const { config } = this;
+    const { sizes } = config.thumbnail;
+    const variants = album.variants ? album.variants.split(',') : [];
+    const original = driver.publicUrl(album.uri);
+
+    const thumbs = {};
+    let missing = false;
+    Object.keys(sizes).forEach(sizeKey => {
+      if (variants.includes(this.sizeName(sizes[sizeKey]))) {
+        thumbs[sizeKey] = driver.publicUrl(this.variantKey(album.uri, this.sizeName(sizes[sizeKey])));
+      } else {
+        thumbs[sizeKey] = original;
+        missing = true;
+      }
+    });
+
+    if (missing && album.type === 10 && album.thumbFail !== this.sizesName()) {
+      this.regenerate(album.id);
+    }
+    return thumbs;
+  }
+
+  /**
+   * 后台补生成缺少的缩略图
+   * 生成失败或不支持该图片类型时记录到 Album.thumbFail，之后不再补生成，直到修改尺寸配置
+   *
+   * @param {number} id - Album 记录ID
+   */
+  regenerate(id) {
+    const { ctx } = this;
+    ctx.runInBackground(async () => {
+      // 同一文件同时只补生成一次
+      if (!await ctx.service.redis.setNx(backstageAlbumThumbKey + id, 1, regenerateInterval)) {
+        return;
+      }
+      const album = await ctx.model.Album.findOne({
+        where: {
+          id,
+          isDelete: 0,
+        },
+      });
+      if (!album) {
+        return;
+      }
+      // 同一文件可能被多条素材记录引用（见 album.hash），一并更新
+      const where = {
+        engine: album.engine,
+        uri: album.uri,
+      };
+      try {
+        const driver = await ctx.service.storage.driver(album.engine || 'local');
+        const content = await readStream(await driver.getStream(album.uri));
+        // 早期上传的文件 ext 为扩展名，按文件内容检测类型
+        const mime = fileTypeUtil.detect(content);
+        if (!this.isSupported(mime)) {
+          await ctx.model.Album.update({ thumbFail: this.sizesName() }, { where });
+          return;
+        }
+        const exists = album.variants ? album.variants.split(',') : [];
+        const variants = await this.generate(driver, album.uri, content, mime, exists);
+        await ctx.model.Album.update({ variants: variants.join(','), thumbFail: '' }, { where });
+      } catch (err) {
+        ctx.logger.error(`ThumbnailService.regenerate error: album ${id} ${err}`);
+        await ctx.model.Album.update({ thumbFail: this.sizesName() }, { where });
+      }
+    });
+  }
+}
+
+// 导出服务类
+module.exports = ThumbnailService;
@@ -1,214 +1,173 @@
 'use strict';
 
 /**
- * upload.js - 文件上传服务模块（当前为框架代码，功能未实现）
+ * upload.js - 文件上传服务模块
  *
- * 功能：计划用于处理系统中图片和文件的上传功能
+ * 功能：处理系统中图片和文件的上传功能（通用上传接口，不写入素材中心）
  * 负责文件接收、格式验证、存储管理和路径生成等核心上传逻辑
  *
- * 核心特性（计划）：
- * - 支持图片上传（jpg、png、gif等格式）
- * - 支持文件上传（文档、压缩包、视频等格式）
- * - 自动目录管理和文件组织
- * - 流式处理大文件上传
- * - 文件类型验证和安全检查
+ * 核心特性：
+ * - 支持多文件上传（multipart），单次最多 config.multipart.files 个文件
+ * - 扩展名白名单见 config.multipart.whitelist
+ * - 按扩展名分类（image、video、file），各类文件大小上限见 config.upload.types
+ * - 按文件内容检测真实类型，拒绝与扩展名不符或为 HTML、SVG 的文件，图片去除 EXIF（含 GPS）等元数据
+ * - 文件通过当前存储引擎保存（见 storage.save），与素材中心上传使用相同的文件键格式
+ * - 任一文件上传失败时，删除本次已保存的文件
  */
 
 // 引入 Egg.js 的 Service 基类，用于创建服务层类
 const Service = require('egg').Service;
-
-/**
- * 以下为文件上传所需的依赖模块（当前被注释）
- * 在实际实现时需要取消注释并安装相应依赖
- */
-// const fs = require('fs');                    // Node.js 文件系统模块
-// const path = require('path');                // Node.js 路径处理模块
-// const pump = require('mz-modules/pump');     // 流式传输工具，用于处理文件流
-// const mkdirp = require('mkdirp');            // 递归创建目录工具
-// const dayjs = require('dayjs');              // 日期处理库，用于按日期组织文件
+const path = require('path'); // Node.js 路径处理模块
 // 管道读入一个虫洞（用于错误处理时关闭流）
-// const sendToWormhole = require('stream-wormhole');
+const sendToWormhole = require('stream-wormhole');
+// 读取上传文件流
+const { readStream } = require('../util/storageUtil');
+// 上传文件内容检测
+const fileTypeUtil = require('../util/fileTypeUtil');
 
 /**
  * 文件上传服务类
- * 继承自 Egg.js 的 Service 基类，计划用于处理所有文件上传相关的业务逻辑
+ * 继承自 Egg.js 的 Service 基类，处理所有文件上传相关的业务逻辑
  *
  * @class UploadService
  * @extends Service
  *
- * 主要职责（计划）：
+ * 主要职责：
  * 1. 处理图片文件的上传和存储
  * 2. 处理各类文件的上传和管理
- * 3. 管理上传文件的目录结构
- * 4. 处理文件流的读取和写入
- * 5. 提供文件上传的安全验证
- *
- * @注意
- * 当前类中的所有方法都被注释，需要根据实际需求进行实现
- * 在实际使用前需要安装相关依赖并取消注释
+ * 3. 校验文件类型和大小
  */
 class UploadService extends Service {
 
   /**
-   * 图片上传方法（当前被注释，未实现）
-   * 计划用于处理单个或多个图片文件的上传
+   * 图片上传方法
+   * 处理单个或多个图片文件的上传，只接受 image 类型的扩展名
    *
-   * @return {Promise<string>} 返回上传图片的访问URL
+   * @return {Promise<Array>} 上传结果 [{url, name, size, mime, ext}]
    *
-   * @流程说明（计划）
-   * 1. 使用 ctx.multipart 解析多部分表单数据
-   * 2. 按日期创建存储目录（YYYY-MM-DD格式）
-   * 3. 处理每个文件流，生成唯一文件名
-   * 4. 将文件流写入目标路径
-   * 5. 返回文件的访问URL
-   *
-   * @技术要点
-   * - 使用 multipart 模式支持多文件上传
-   * - 使用 pump 确保流正确关闭
-   * - 按日期分目录便于文件管理
-   * - 时间戳+扩展名确保文件名唯一
-   *
-   * @使用场景（计划）
+   * @使用场景
    * - 用户头像上传
    * - 文章封面图片
-   * - 产品图片上传
    * - 富文本编辑器中的图片
    */
-  // async uploadImg() {
-  //     const { ctx } = this
-  //
-  //     // 创建 multipart 解析器，自动处理表单字段
-  //     const parts = ctx.multipart({ autoFields: true })
-  //
-  //     // 存储所有上传文件的URL
-  //     const urls = []
-  //
-  //     // 按日期创建存储目录：/public/upload/image/2023-10-01/
-  //     let targetDir = '/public/upload/image/' + dayjs().format('YYYY-MM-DD')
-  //     const dir = path.join(this.config.baseDir, 'app', targetDir)
-  //
-  //     // 递归创建目录（如果不存在）
-  //     await mkdirp.sync(dir)
-  //
-  //     let stream
-  //     // 遍历所有上传的文件流
-  //     while ((stream = await parts()) != null) {
-  //         // 从 MIME 类型中提取文件扩展名
-  //         const fileType = stream.mimeType.split('/')[1]
-  //
-  //         // 生成唯一文件名：时间戳 + 扩展名
-  //         const filename = dayjs().valueOf() + '.' + fileType || stream.filename.toLowerCase()
-  //
-  //         // 构建完整的文件路径
-  //         const target = path.join(dir, filename)
-  //
-  //         // 记录文件访问URL
-  //         urls.push(`${targetDir}/${filename}`)
-  //
-  //         // 创建写入流
-  //         const writeStream = await fs.createWriteStream(target)
-  //
-  //         // 使用 pump 将读取流导入写入流，确保流正确关闭
-  //         await pump(stream, writeStream)
-  //     }
-  //
-  //     // 记录请求信息（用于调试）
-  //     console.log(ctx.request)
-  //
-  //     // 返回第一个上传文件的URL（当前实现只返回第一个）
-  //     return urls[0]
-  // }
+  async uploadImg() {
+    return await this.handleUpload([ 'image' ]);
+  }
 
   /**
-   * 文件上传方法（当前被注释，未实现）
-   * 计划用于处理单个文件的上传，支持各种文件类型
-   *
-   * @return {Promise<string>} 返回上传文件的访问URL
+   * 文件上传方法
+   * 处理单个或多个文件的上传，接受白名单内的所有扩展名
    *
-   * @流程说明（计划）
-   * 1. 使用 ctx.getFileStream 获取文件流
-   * 2. 按日期创建存储目录
-   * 3. 生成唯一文件名
-   * 4. 使用管道将文件流写入磁盘
-   * 5. 使用 Promise 包装写入过程，处理完成和错误事件
+   * @return {Promise<Array>} 上传结果 [{url, name, size, mime, ext}]
    *
-   * @技术要点
-   * - 使用 getFileStream 处理单文件上传
-   * - 使用 stream.pipe 进行流式传输
-   * - 使用 Promise 处理异步写入
-   * - 使用 sendToWormhole 处理错误时的流清理
-   *
-   * @与 uploadImg 的区别
-   * - uploadImg: 多文件，multipart 模式
-   * - uploadFile: 单文件，getFileStream 模式
-   *
-   * @使用场景（计划）
+   * @使用场景
    * - 文档文件上传
    * - 压缩包上传
    * - 视频文件上传
-   * - 其他业务文件上传
    */
-  // async uploadFile() {
-  //     const { ctx } = this
-  //
-  //     // 存储上传文件的URL
-  //     const urls = []
-  //
-  //     // 获取文件上传流
-  //     const stream = await ctx.getFileStream()
-  //
-  //     // 按日期创建存储目录：/public/upload/file/2023-10-01/
-  //     let targetDir = '/public/upload/file/' + dayjs().format('YYYY-MM-DD')
-  //     const dir = path.join(this.config.baseDir, 'app', targetDir)
-  //
-  //     // 递归创建目录
-  //     await mkdirp.sync(dir)
-  //
-  //     // 从原始文件名中提取扩展名
-  //     const fileType = stream.filename.toLowerCase().split('.')
-  //
-  //     // 生成唯一文件名：时间戳 + 原始扩展名
-  //     const filename = dayjs().valueOf() + '.' + fileType[fileType.length - 1]
-  //
-  //     // 生成完整的写入路径
-  //     const target = path.join(dir, filename)
-  //
-  //     // 创建写入流
-  //     const writeStream = await fs.createWriteStream(target)
-  //
-  //     // 以管道方式将读取流导入写入流
-  //     stream.pipe(writeStream)
-  //
-  //     // 使用 Promise 包装写入过程，便于异步处理
-  //     await new Promise((resolve, reject) => {
-  //         // 监听写入完成事件
-  //         writeStream.on('finish', () => {
-  //             // 记录文件访问URL
-  //             urls.push(`${targetDir}/${filename}`)
-  //
-  //             // 解析表单字段（如果有）
-  //             resolve(stream.fields)
-  //         })
-  //
-  //         // 监听写入错误事件
-  //         writeStream.on('error', async (err) => {
-  //             // 出现错误时，使用虫洞关闭流，避免内存泄漏
-  //             await sendToWormhole(stream)
-  //
-  //             // 销毁写入流
-  //             writeStream.destroy()
-  //
-  //             // 拒绝 Promise，传递错误
-  //             reject(err)
-  //         })
-  //     })
-  //
-  //     // 返回上传文件的URL
-  //     return urls[0]
-  // }
+  async uploadFile() {
+    return await this.handleUpload();
+  }
+
+  /**
+   * 处理 multipart 上传
+   *
+   * @param {Array<string>} [allowTypes] - 允许的文件类型，不传则不限制
+   * @return {Promise<Array>} 上传结果 [{url, name, size, mime, ext}]
+   * @throws {Error} 没有文件、扩展名不在白名单、类型不允许或超出大小限制时抛出错误
+   *
+   * @流程说明
+   * 1. 逐个读取文件流（扩展名白名单由 egg-multipart 校验）
+   * 2. 按扩展名确定文件类型，校验类型、大小和文件内容
+   * 3. 保存到当前存储引擎，按类型分目录
+   * 4. 出错时删除本次已保存的文件
+   */
+  async handleUpload(allowTypes) {
+    const { ctx, config } = this;
+    const parts = ctx.multipart({ autoFields: true });
+    const files = [];
 
+    try {
+      let stream;
+      while ((stream = await parts()) != null) {
+        // 空文件字段
+        if (!stream.filename) {
+          await sendToWormhole(stream);
+          continue;
+        }
+
+        const ext = path.extname(stream.filename).toLowerCase();
+        const type = this.fileType(ext);
+        if (allowTypes && !allowTypes.includes(type)) {
+          await sendToWormhole(stream);
+          throw new Error(`不支持的文件类型: ${stream.filename}`);
+        }
+
+        let buf;
+        try {
+          buf = await readStream(stream, config.upload.types[type].maxSize);
+        } catch (err) {
+          await sendToWormhole(stream);
+          throw err;
+        }
+
+        // 按文件内容检测真实类型，图片同时去除 EXIF 等元数据
+        const { mime, content } = fileTypeUtil.inspect(buf, stream.filename);
+        const { engine, key, url } = await ctx.service.storage.save(content, {
+          dir: type,
+          filename: stream.filename,
+          mime,
+        });
+        files.push({
+          engine,
+          key,
+          url, // 文件访问URL
+          name: stream.filename, // 原始文件名
+          size: content.length, // 文件大小（字节）
+          mime, // 文件真实类型
+          ext: ext.slice(1), // 文件扩展名
+        });
+      }
+    } catch (err) {
+      await this.remove(files);
+      throw err;
+    }
+
+    if (files.length === 0) {
+      throw new Error('请选择要上传的文件');
+    }
+
+    return files.map(({ url, name, size, mime, ext }) => ({ url, name, size, mime, ext }));
+  }
+
+  /**
+   * 按扩展名确定文件类型
+   *
+   * @param {string} ext - 扩展名（含 .）
+   * @return {string} 文件类型 image、video 或 file
+   */
+  fileType(ext) {
+    const { types } = this.config.upload;
+    return Object.keys(types).find(type => types[type].exts.includes(ext)) || 'file';
+  }
+
+  /**
+   * 删除已保存的文件，删除失败只记录日志
+   *
+   * @param {Array} files - [{engine, key}]
+   */
+  async remove(files) {
+    const { ctx } = this;
+    for (const file of files) {
+      try {
+        const driver = await ctx.service.storage.driver(file.engine);
+        await driver.delete(file.key);
+      } catch (err) {
+        ctx.logger.error(`UploadService.remove error: ${err}`);
+      }
+    }
+  }
 }
 
 // 导出 UploadService 类
-// 注意：当前类没有实际功能，需要根据业务需求实现具体方法
 module.exports = UploadService;
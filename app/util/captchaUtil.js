@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * captchaUtil.js - SVG 图形验证码生成工具
+ *
+ * 字符使用内置的笔画字库绘制为 <path>，而不是 <text>，
+ * 这样验证码答案不会以明文出现在 SVG 源码中；每个笔画点都加入随机抖动，
+ * 再叠加随机旋转、缩放和干扰曲线。
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 笔画字库：每个字符由若干折线组成，坐标系宽 10、高 16（y 轴向下）
+ * 去掉了 0/O、1/I/L、5/S 等容易混淆的字符
+ */
+const glyphs = {
+  2: [[[ 0, 4 ], [ 2, 1 ], [ 5, 0 ], [ 8, 1 ], [ 10, 4 ], [ 9, 7 ], [ 0, 16 ], [ 10, 16 ]]],
+  3: [[[ 0, 2 ], [ 3, 0 ], [ 7, 0 ], [ 10, 3 ], [ 9, 6 ], [ 5, 8 ], [ 9, 10 ], [ 10, 13 ], [ 7, 16 ], [ 3, 16 ], [ 0, 14 ]]],
+  4: [[[ 8, 16 ], [ 8, 0 ], [ 0, 11 ], [ 10, 11 ]]],
+  6: [[[ 9, 1 ], [ 5, 0 ], [ 2, 2 ], [ 0, 7 ], [ 0, 12 ], [ 2, 15 ], [ 5, 16 ], [ 8, 15 ], [ 10, 12 ], [ 9, 9 ], [ 5, 8 ], [ 2, 9 ], [ 0, 12 ]]],
+  7: [[[ 0, 0 ], [ 10, 0 ], [ 4, 16 ]]],
+  8: [[[ 5, 8 ], [ 1, 6 ], [ 1, 2 ], [ 5, 0 ], [ 9, 2 ], [ 9, 6 ], [ 5, 8 ], [ 0, 11 ], [ 1, 15 ], [ 5, 16 ], [ 9, 15 ], [ 10, 11 ], [ 5, 8 ]]],
+  9: [[[ 10, 4 ], [ 8, 7 ], [ 5, 8 ], [ 2, 7 ], [ 0, 4 ], [ 2, 1 ], [ 5, 0 ], [ 8, 1 ], [ 10, 4 ], [ 10, 9 ], [ 8, 14 ], [ 5, 16 ], [ 1, 15 ]]],
+  A: [[[ 0, 16 ], [ 5, 0 ], [ 10, 16 ]], [[ 2, 10 ], [ 8, 10 ]]],
+  B: [[[ 0, 8 ], [ 6, 8 ], [ 9, 10 ], [ 9, 14 ], [ 6, 16 ], [ 0, 16 ], [ 0, 0 ], [ 6, 0 ], [ 8, 2 ], [ 8, 6 ], [ 6, 8 ]]],
+  C: [[[ 10, 2 ], [ 7, 0 ], [ 3, 0 ], [ 0, 4 ], [ 0, 12 ], [ 3, 16 ], [ 7, 16 ], [ 10, 14 ]]],
+  D: [[[ 0, 0 ], [ 0, 16 ], [ 5, 16 ], [ 9, 13 ], [ 10, 8 ], [ 9, 3 ], [ 5, 0 ], [ 0, 0 ]]],
+  E: [[[ 10, 0 ], [ 0, 0 ], [ 0, 16 ], [ 10, 16 ]], [[ 0, 8 ], [ 7, 8 ]]],
+  F: [[[ 10, 0 ], [ 0, 0 ], [ 0, 16 ]], [[ 0, 8 ], [ 7, 8 ]]],
+  H: [[[ 0, 0 ], [ 0, 16 ]], [[ 10, 0 ], [ 10, 16 ]], [[ 0, 8 ], [ 10, 8 ]]],
+  K: [[[ 0, 0 ], [ 0, 16 ]], [[ 10, 0 ], [ 0, 10 ]], [[ 3, 7 ], [ 10, 16 ]]],
+  M: [[[ 0, 16 ], [ 0, 0 ], [ 5, 9 ], [ 10, 0 ], [ 10, 16 ]]],
+  N: [[[ 0, 16 ], [ 0, 0 ], [ 10, 16 ], [ 10, 0 ]]],
+  P: [[[ 0, 16 ], [ 0, 0 ], [ 7, 0 ], [ 10, 2 ], [ 10, 6 ], [ 7, 8 ], [ 0, 8 ]]],
+  R: [[[ 0, 16 ], [ 0, 0 ], [ 7, 0 ], [ 10, 2 ], [ 10, 6 ], [ 7, 8 ], [ 0, 8 ]], [[ 5, 8 ], [ 10, 16 ]]],
+  T: [[[ 0, 0 ], [ 10, 0 ]], [[ 5, 0 ], [ 5, 16 ]]],
+  U: [[[ 0, 0 ], [ 0, 12 ], [ 3, 16 ], [ 7, 16 ], [ 10, 12 ], [ 10, 0 ]]],
+  V: [[[ 0, 0 ], [ 5, 16 ], [ 10, 0 ]]],
+  W: [[[ 0, 0 ], [ 2, 16 ], [ 5, 6 ], [ 8, 16 ], [ 10, 0 ]]],
+  X: [[[ 0, 0 ], [ 10, 16 ]], [[ 10, 0 ], [ 0, 16 ]]],
+  Y: [[[ 0, 0 ], [ 5, 8 ], [ 10, 0 ]], [[ 5, 8 ], [ 5, 16 ]]],
+};
+
+const charset = Object.keys(glyphs).join('');
+
+/**
+ * 生成 [min, max) 区间的随机数
+ *
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @return {number} 随机数
+ */
+function rand(min, max) {
+  return min + (crypto.randomBytes(4).readUInt32BE(0) / 0x100000000) * (max - min);
+}
+
+/**
+ * 生成随机颜色（偏深色，保证与浅色背景有对比度）
+ *
+ * @return {string} rgb 颜色
+ */
+function randColor() {
+  const c = () => Math.floor(rand(20, 140));
+  return `rgb(${c()},${c()},${c()})`;
+}
+
+/**
+ * 生成随机验证码文本
+ *
+ * @param {number} length - 字符数
+ * @return {string} 验证码文本
+ */
+function randomText(length) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += charset[Math.floor(rand(0, charset.length))];
+  }
+  return text;
+}
+
+/**
+ * 将单个字符绘制为 path
+ *
+ * @param {string} char - 字符
+ * @param {number} cx - 字符中心 x 坐标
+ * @param {number} cy - 字符中心 y 坐标
+ * @param {number} size - 字符高度
+ * @return {string} <path> 元素
+ */
+function renderChar(char, cx, cy, size) {
+  const scale = size / 16 * rand(0.85, 1.1);
+  const angle = rand(-0.4, 0.4);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  const d = glyphs[char].map(stroke => stroke.map(([ x, y ], i) => {
+    // 以字符中心为原点缩放、旋转，并加入随机抖动
+    const px = (x - 5 + rand(-0.6, 0.6)) * scale;
+    const py = (y - 8 + rand(-0.6, 0.6)) * scale;
+    const rx = cx + px * cos - py * sin;
+    const ry = cy + px * sin + py * cos;
+    return `${i === 0 ? 'M' : 'L'}${rx.toFixed(1)} ${ry.toFixed(1)}`;
+  }).join(' ')).join(' ');
+
+  const width = rand(1.8, 2.6).toFixed(1);
+  return `<path d="${d}" fill="none" stroke="${randColor()}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"/>`;
+}
+
+/**
+ * 生成干扰曲线
+ *
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ * @return {string} <path> 元素
+ */
+function renderNoise(width, height) {
+  const p = () => `${rand(0, width).toFixed(1)} ${rand(0, height).toFixed(1)}`;
+  const d = `M${rand(0, width / 4).toFixed(1)} ${rand(0, height).toFixed(1)} C${p()} ${p()} ${rand(width * 3 / 4, width).toFixed(1)} ${rand(0, height).toFixed(1)}`;
+  return `<path d="${d}" fill="none" stroke="${randColor()}" stroke-width="${rand(0.8, 1.6).toFixed(1)}"/>`;
+}
+
+/**
+ * 生成 SVG 验证码
+ *
+ * @param {Object} [options] - 选项
+ * @param {number} [options.length=4] - 字符数
+ * @param {number} [options.width=120] - 图片宽度
+ * @param {number} [options.height=40] - 图片高度
+ * @param {number} [options.noise=3] - 干扰曲线数量
+ * @return {Object} {text, svg}，text 为验证码答案
+ */
+function create({ length = 4, width = 120, height = 40, noise = 3 } = {}) {
+  const text = randomText(length);
+  const slot = width / (length + 1);
+  const size = Math.min(height * 0.65, slot * 1.3);
+
+  const parts = [ `<rect width="100%" height="100%" fill="rgb(${Math.floor(rand(225, 250))},${Math.floor(rand(225, 250))},${Math.floor(rand(225, 250))})"/>` ];
+  for (let i = 0; i < noise; i++) {
+    parts.push(renderNoise(width, height));
+  }
+  for (let i = 0; i < text.length; i++) {
+    parts.push(renderChar(text[i], slot * (i + 1) + rand(-2, 2), height / 2 + rand(-3, 3), size));
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+  return { text, svg };
+}
+
+module.exports = {
+  create,
+};
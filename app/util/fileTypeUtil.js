@@ -0,0 +1,337 @@
+'use strict';
+
+/**
+ * fileTypeUtil.js - 上传文件内容检测工具
+ *
+ * 仅使用 Node.js 内置模块实现，不依赖第三方库：
+ * - 按文件头（magic bytes）识别真实文件类型，拒绝内容与扩展名不符的文件
+ * - 拒绝 HTML、SVG、XML 等可能携带脚本的内容
+ * - 去除 JPEG、PNG、WebP 图片中的 EXIF（含 GPS 定位）、XMP、IPTC 和文本元数据，JPEG 保留方向信息
+ */
+
+// 按扩展名允许的真实类型
+const extMimes = {
+  '.jpg': [ 'image/jpeg' ],
+  '.jpeg': [ 'image/jpeg' ],
+  '.png': [ 'image/png' ],
+  '.gif': [ 'image/gif' ],
+  '.webp': [ 'image/webp' ],
+  '.bmp': [ 'image/bmp' ],
+  '.mp4': [ 'video/mp4', 'video/quicktime' ],
+  '.mov': [ 'video/quicktime', 'video/mp4' ],
+  '.avi': [ 'video/x-msvideo' ],
+  '.wmv': [ 'video/x-ms-wmv' ],
+  '.flv': [ 'video/x-flv' ],
+  '.rmvb': [ 'application/vnd.rn-realmedia' ],
+  '.pdf': [ 'application/pdf' ],
+  '.zip': [ 'application/zip' ],
+  '.docx': [ 'application/zip' ],
+  '.xlsx': [ 'application/zip' ],
+  '.pptx': [ 'application/zip' ],
+  '.doc': [ 'application/x-cfb' ],
+  '.xls': [ 'application/x-cfb' ],
+  '.ppt': [ 'application/x-cfb' ],
+  '.txt': [ 'text/plain' ],
+};
+
+// 视频类型，image/ 开头的为图片类型，其余为普通文件
+const videoMimes = [ 'video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/x-ms-wmv', 'video/x-flv', 'application/vnd.rn-realmedia' ];
+
+// 可能携带脚本的标记语言特征（检查文件开头，忽略大小写）
+const markupPattern = /<(!doctype|html|head|body|script|iframe|svg|\?xml|object|embed)/i;
+
+/**
+ * 判断 buf 在 offset 处是否为指定字节
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {Array<number>|string} bytes - 字节数组或 ASCII 字符串
+ * @param {number} [offset] - 偏移
+ * @return {boolean} 是否匹配
+ */
+function match(buf, bytes, offset = 0) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buf.length >= offset + expected.length && buf.slice(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * 判断内容是否为 HTML、SVG、XML 等标记语言
+ * 检查文件开头 1KB（兼容 UTF-8 BOM 和 UTF-16 编码）
+ *
+ * @param {Buffer} buf - 文件内容
+ * @return {boolean} 是否为标记语言
+ */
+function isMarkup(buf) {
+  const head = buf.slice(0, 1024);
+  const text = head.toString('utf8') + head.toString('utf16le');
+  return markupPattern.test(text.replace(/\0/g, ''));
+}
+
+/**
+ * 判断内容是否为纯文本（合法 UTF-8 且不含控制字符）
+ *
+ * @param {Buffer} buf - 文件内容
+ * @return {boolean} 是否为纯文本
+ */
+function isText(buf) {
+  const text = buf.toString('utf8');
+  // eslint-disable-next-line no-control-regex
+  return !text.includes('\uFFFD') && !/[\x00-\x08\x0B\x0E-\x1F]/.test(text);
+}
+
+/**
+ * 按文件头识别文件类型
+ *
+ * @param {Buffer} buf - 文件内容
+ * @return {string|null} MIME 类型，无法识别时返回 null
+ */
+function detect(buf) {
+  if (match(buf, [ 0xFF, 0xD8, 0xFF ])) return 'image/jpeg';
+  if (match(buf, [ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ])) return 'image/png';
+  if (match(buf, 'GIF87a') || match(buf, 'GIF89a')) return 'image/gif';
+  if (match(buf, 'RIFF') && match(buf, 'WEBP', 8)) return 'image/webp';
+  if (match(buf, 'RIFF') && match(buf, 'AVI ', 8)) return 'video/x-msvideo';
+  if (match(buf, 'BM') && buf.length > 14 && buf.readUInt32LE(2) === buf.length) return 'image/bmp';
+  if (match(buf, 'ftyp', 4)) return match(buf, 'qt  ', 8) ? 'video/quicktime' : 'video/mp4';
+  if ([ 'moov', 'mdat', 'wide', 'free', 'skip' ].some(atom => match(buf, atom, 4))) return 'video/quicktime';
+  if (match(buf, [ 0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11 ])) return 'video/x-ms-wmv';
+  if (match(buf, 'FLV')) return 'video/x-flv';
+  if (match(buf, '.RMF')) return 'application/vnd.rn-realmedia';
+  if (match(buf, '%PDF-')) return 'application/pdf';
+  if (match(buf, [ 0x50, 0x4B, 0x03, 0x04 ]) || match(buf, [ 0x50, 0x4B, 0x05, 0x06 ])) return 'application/zip';
+  if (match(buf, [ 0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1 ])) return 'application/x-cfb';
+  if (isMarkup(buf)) return 'text/html';
+  if (isText(buf)) return 'text/plain';
+  return null;
+}
+
+/**
+ * 获取 MIME 类型所属的文件分类
+ *
+ * @param {string} mime - MIME 类型
+ * @return {string} image、video 或 file
+ */
+function category(mime) {
+  if (mime.startsWith('image/')) return 'image';
+  if (videoMimes.includes(mime)) return 'video';
+  return 'file';
+}
+
+/**
+ * 读取 EXIF 中的方向信息（IFD0 的 Orientation 标签）
+ *
+ * @param {Buffer} segment - JPEG APP1 段（含标记和长度）
+ * @return {Object|null} {orientation, littleEndian}：方向（2~8）和字节序，不是 EXIF 段或无需旋转时返回 null
+ */
+function exifOrientation(segment) {
+  if (!match(segment, 'Exif\0\0', 4)) {
+    return null;
+  }
+  const tiff = segment.slice(10);
+  if (tiff.length < 8 || (!match(tiff, 'II') && !match(tiff, 'MM'))) {
+    return null;
+  }
+  const littleEndian = match(tiff, 'II');
+  const read16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const ifd = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+  if (ifd + 2 > tiff.length) {
+    return null;
+  }
+  const count = read16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) {
+      return null;
+    }
+    // 0x0112=Orientation，类型 3=SHORT
+    if (read16(entry) === 0x0112 && read16(entry + 2) === 3) {
+      const orientation = read16(entry + 8);
+      return orientation >= 2 && orientation <= 8 ? { orientation, littleEndian } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成只包含方向信息的 EXIF APP1 段
+ *
+ * @param {Object} exif - {orientation, littleEndian}，见 exifOrientation
+ * @return {Buffer} APP1 段
+ */
+function orientationSegment({ orientation, littleEndian }) {
+  // 标记(2) + 长度(2) + Exif 头(6) + TIFF 头(8) + 标签数(2) + 1 个标签(12) + 下一个 IFD 偏移(4)
+  const buf = Buffer.alloc(36);
+  buf.writeUInt16BE(0xFFE1, 0);
+  buf.writeUInt16BE(34, 2);
+  buf.write('Exif\0\0', 4, 'latin1');
+  const tiff = buf.slice(10);
+  tiff.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+  const write16 = littleEndian ? (value, offset) => tiff.writeUInt16LE(value, offset) : (value, offset) => tiff.writeUInt16BE(value, offset);
+  const write32 = littleEndian ? (value, offset) => tiff.writeUInt32LE(value, offset) : (value, offset) => tiff.writeUInt32BE(value, offset);
+  write16(42, 2);
+  write32(8, 4);
+  write16(1, 8);
+  write16(0x0112, 10);
+  write16(3, 12);
+  write32(1, 14);
+  write16(orientation, 18);
+  return buf;
+}
+
+/**
+ * 去除 JPEG 元数据：APP1（EXIF/XMP）、APP13（IPTC）和注释段
+ * 保留 JFIF、ICC 色彩配置等显示所需的段，图片数据（SOS 之后）原样保留；
+ * EXIF 中的方向信息（手机照片常用旋转标记代替旋转像素）以只含该标签的 APP1 段保留，避免照片显示方向错误
+ *
+ * @param {Buffer} buf - JPEG 内容
+ * @return {Buffer} 去除元数据后的内容
+ */
+function stripJpeg(buf) {
+  const parts = [ buf.slice(0, 2) ];
+  let offset = 2;
+  while (offset + 4 <= buf.length) {
+    if (buf[offset] !== 0xFF) {
+      throw new Error('图片文件已损坏');
+    }
+    const marker = buf[offset + 1];
+    // 填充字节
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    // 图像数据开始，之后的内容原样保留
+    if (marker === 0xDA || marker === 0xD9) {
+      break;
+    }
+    const length = buf.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buf.length) {
+      throw new Error('图片文件已损坏');
+    }
+    if (marker === 0xE1) {
+      const exif = exifOrientation(buf.slice(offset, end));
+      if (exif) {
+        parts.push(orientationSegment(exif));
+      }
+    } else if (marker !== 0xED && marker !== 0xFE) {
+      parts.push(buf.slice(offset, end));
+    }
+    offset = end;
+  }
+  parts.push(buf.slice(offset));
+  return Buffer.concat(parts);
+}
+
+/**
+ * 去除 PNG 元数据：eXIf、tEXt、zTXt、iTXt、tIME 块
+ *
+ * @param {Buffer} buf - PNG 内容
+ * @return {Buffer} 去除元数据后的内容
+ */
+function stripPng(buf) {
+  const parts = [ buf.slice(0, 8) ];
+  let offset = 8;
+  while (offset + 12 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buf.length) {
+      throw new Error('图片文件已损坏');
+    }
+    if (![ 'eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME' ].includes(type)) {
+      parts.push(buf.slice(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * 去除 WebP 元数据：EXIF、XMP 块，并清除 VP8X 中对应的标记位
+ *
+ * @param {Buffer} buf - WebP 内容
+ * @return {Buffer} 去除元数据后的内容
+ */
+function stripWebp(buf) {
+  const parts = [];
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const type = buf.toString('latin1', offset, offset + 4);
+    const length = buf.readUInt32LE(offset + 4);
+    // 块长度为奇数时有 1 字节填充
+    const end = offset + 8 + length + (length % 2);
+    if (offset + 8 + length > buf.length) {
+      throw new Error('图片文件已损坏');
+    }
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(buf.slice(offset, end));
+      // 第 9 字节为特性标记：0x08=EXIF，0x04=XMP
+      // eslint-disable-next-line no-bitwise
+      chunk[8] &= ~0x0C;
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(buf.slice(offset, Math.min(end, buf.length)));
+    }
+    offset = end;
+  }
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([ header, body ]);
+}
+
+/**
+ * 去除图片元数据（EXIF、GPS 定位等），JPEG 保留方向信息
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {string} mime - 文件真实类型
+ * @return {Buffer} 去除元数据后的内容，其他类型原样返回
+ */
+function stripMetadata(buf, mime) {
+  switch (mime) {
+    case 'image/jpeg':
+      return stripJpeg(buf);
+    case 'image/png':
+      return stripPng(buf);
+    case 'image/webp':
+      return stripWebp(buf);
+    default:
+      return buf;
+  }
+}
+
+/**
+ * 检查上传文件并去除图片元数据
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {string} filename - 原始文件名
+ * @return {Object} {mime, category, content}：真实类型、文件分类（image、video、file）、处理后的内容
+ * @throws {Error} 内容为标记语言、无法识别或与扩展名不符时抛出错误
+ */
+function inspect(buf, filename) {
+  const ext = (filename.match(/\.[^./\\]*$/) || [ '' ])[0].toLowerCase();
+  const mime = detect(buf);
+  if (!mime || mime === 'text/html') {
+    throw new Error(`文件 ${filename} 的内容不允许上传`);
+  }
+  const allowed = extMimes[ext];
+  if (!allowed || !allowed.includes(mime)) {
+    throw new Error(`文件 ${filename} 的内容与扩展名不符`);
+  }
+  return {
+    mime,
+    category: category(mime),
+    content: stripMetadata(buf, mime),
+  };
+}
+
+module.exports = {
+  detect,
+  isMarkup,
+  stripMetadata,
+  inspect,
+};
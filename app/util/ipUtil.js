@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * ipUtil.js - IP 地址白名单匹配工具
+ *
+ * 支持 IPv4 / IPv6 单个地址和 CIDR 网段（如 192.168.1.0/24、2001:db8::/32），
+ * IPv4 映射的 IPv6 地址（::ffff:1.2.3.4）按 IPv4 处理。
+ */
+
+const net = require('net');
+
+/**
+ * 将 IP 地址解析为字节数组
+ *
+ * @param {string} ip - IP 地址
+ * @return {Array<number>|null} IPv4 返回 4 字节，IPv6 返回 16 字节，格式不正确返回 null
+ */
+function toBytes(ip) {
+  ip = String(ip || '').trim();
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    ip = mapped[1];
+  }
+
+  if (net.isIPv4(ip)) {
+    return ip.split('.').map(n => parseInt(n, 10));
+  }
+  if (!net.isIPv6(ip)) {
+    return null;
+  }
+
+  // 末尾内嵌 IPv4 的写法转换为两个十六进制分组
+  const tail = ip.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const b = tail[1].split('.').map(n => parseInt(n, 10));
+    ip = ip.slice(0, -tail[1].length) + ((b[0] * 256) + b[1]).toString(16) + ':' + ((b[2] * 256) + b[3]).toString(16);
+  }
+
+  const [ head, rest ] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const fill = ip.includes('::') ? 8 - headGroups.length - restGroups.length : 0;
+  const groups = [ ...headGroups, ...new Array(fill).fill('0'), ...restGroups ];
+
+  const bytes = [];
+  for (const group of groups) {
+    const val = parseInt(group, 16);
+    bytes.push(Math.floor(val / 256), val % 256);
+  }
+  return bytes;
+}
+
+/**
+ * 解析 CIDR 前缀长度，只允许十进制数字，'10.0.0.0/' 这类空前缀视为无效
+ *
+ * @param {string} bitsStr - 前缀长度字符串
+ * @return {number} 前缀长度，格式不正确返回 NaN
+ */
+function parseBits(bitsStr) {
+  return /^\d+$/.test(bitsStr) ? parseInt(bitsStr, 10) : NaN;
+}
+
+/**
+ * 判断 IP 是否属于某个地址或网段
+ *
+ * @param {string} ip - 待检查的 IP
+ * @param {string} rule - 单个 IP 或 CIDR 网段
+ * @return {boolean} 是否匹配
+ */
+function match(ip, rule) {
+  const [ addr, bitsStr, ...rest ] = String(rule).trim()
+    .split('/');
+  const ipBytes = toBytes(ip);
+  const ruleBytes = toBytes(addr);
+  if (!ipBytes || !ruleBytes || ipBytes.length !== ruleBytes.length || rest.length > 0) {
+    return false;
+  }
+
+  const maxBits = ruleBytes.length * 8;
+  const bits = bitsStr === undefined ? maxBits : parseBits(bitsStr);
+  if (isNaN(bits) || bits > maxBits) {
+    return false;
+  }
+
+  // 按字节比较网络前缀
+  for (let i = 0; i < ruleBytes.length; i++) {
+    const remain = bits - (i * 8);
+    if (remain <= 0) {
+      break;
+    }
+    // 只比较该字节的高 remain 位
+    const divisor = Math.pow(2, 8 - Math.min(remain, 8));
+    if (Math.floor(ipBytes[i] / divisor) !== Math.floor(ruleBytes[i] / divisor)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 判断 IP 是否在白名单中
+ *
+ * @param {string} ip - 待检查的 IP
+ * @param {Array<string>|string} list - 白名单，数组或以逗号/换行分隔的字符串
+ * @return {boolean} 是否在白名单中
+ */
+function inList(ip, list) {
+  return parseList(list).some(rule => match(ip, rule));
+}
+
+/**
+ * 解析白名单
+ *
+ * @param {Array<string>|string} list - 白名单，数组或以逗号/换行分隔的字符串
+ * @return {Array<string>} 白名单规则数组
+ */
+function parseList(list) {
+  const rules = Array.isArray(list) ? list : String(list || '').split(/[,\s]+/);
+  return rules.map(rule => String(rule).trim()).filter(Boolean);
+}
+
+/**
+ * 校验单个白名单规则格式是否正确
+ *
+ * @param {string} rule - 单个 IP 或 CIDR 网段
+ * @return {boolean} 是否有效
+ */
+function isValidRule(rule) {
+  const [ addr, bitsStr, ...rest ] = String(rule).trim()
+    .split('/');
+  const bytes = toBytes(addr);
+  if (!bytes || rest.length > 0) {
+    return false;
+  }
+  if (bitsStr === undefined) {
+    return true;
+  }
+  const bits = parseBits(bitsStr);
+  return !isNaN(bits) && bits <= bytes.length * 8;
+}
+
+module.exports = {
+  match,
+  inList,
+  parseList,
+  isValidRule,
+};
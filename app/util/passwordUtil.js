@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * passwordUtil.js - 管理员密码哈希工具
+ *
+ * 使用 Node.js 内置 crypto.scrypt 生成带版本号的密码哈希，格式如下：
+ *   $scrypt$v=1$n=16384,r=8,p=1$<salt(base64)>$<hash(base64)>
+ *
+ * 兼容旧版 md5(密码 + 盐值) 格式：旧哈希仍可校验，
+ * 通过 needsRehash 判断后在下次登录成功时重新哈希，实现透明迁移。
+ */
+
+const crypto = require('crypto');
+const md5 = require('md5');
+const { promisify } = require('./index');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 当前哈希版本及参数，调整参数后旧哈希会在登录时自动升级
+const version = 1;
+const params = { N: 16384, r: 8, p: 1 };
+const keyLength = 64;
+const saltLength = 16;
+const prefix = '$scrypt$';
+
+/**
+ * 生成密码哈希
+ *
+ * @param {string} password - 明文密码
+ * @return {Promise<string>} 带版本号和参数的哈希字符串
+ */
+async function hash(password) {
+  const salt = crypto.randomBytes(saltLength);
+  const derived = await scrypt(password, salt, keyLength, params);
+  return `${prefix}v=${version}$n=${params.N},r=${params.r},p=${params.p}$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+/**
+ * 校验密码
+ * 新格式使用 scrypt 校验，旧格式使用 md5(密码 + 盐值) 校验
+ *
+ * @param {string} password - 明文密码
+ * @param {string} stored - 数据库中存储的密码哈希
+ * @param {string} [legacySalt] - 旧格式使用的盐值（SystemAuthAdmin.salt）
+ * @return {Promise<boolean>} 校验结果
+ */
+async function verify(password, stored, legacySalt = '') {
+  if (!password || !stored) {
+    return false;
+  }
+
+  if (!stored.startsWith(prefix)) {
+    return safeEqual(Buffer.from(md5(password + legacySalt)), Buffer.from(stored));
+  }
+
+  const parsed = parse(stored);
+  if (!parsed) {
+    return false;
+  }
+  const derived = await scrypt(password, parsed.salt, parsed.hash.length, parsed.params);
+  return safeEqual(derived, parsed.hash);
+}
+
+/**
+ * 判断密码哈希是否需要升级
+ * 旧版 MD5 格式、版本号或参数与当前不一致时返回 true
+ *
+ * @param {string} stored - 数据库中存储的密码哈希
+ * @return {boolean} 是否需要重新哈希
+ */
+function needsRehash(stored) {
+  const parsed = parse(stored);
+  if (!parsed) {
+    return true;
+  }
+  return parsed.version !== version ||
+    parsed.params.N !== params.N ||
+    parsed.params.r !== params.r ||
+    parsed.params.p !== params.p;
+}
+
+/**
+ * 解析哈希字符串
+ *
+ * @param {string} stored - 哈希字符串
+ * @return {Object|null} {version, params, salt, hash}，格式不正确（含盐值或哈希为空）返回 null
+ */
+function parse(stored) {
+  if (!stored || !stored.startsWith(prefix)) {
+    return null;
+  }
+  // ['', 'scrypt', 'v=1', 'n=16384,r=8,p=1', salt, hash]
+  const parts = stored.split('$');
+  if (parts.length !== 6) {
+    return null;
+  }
+  const opts = {};
+  for (const pair of parts[3].split(',')) {
+    const [ k, v ] = pair.split('=');
+    opts[k] = parseInt(v, 10);
+  }
+  const salt = Buffer.from(parts[4], 'base64');
+  const hash = Buffer.from(parts[5], 'base64');
+  // 盐值为空或哈希长度与配置不一致视为格式错误，避免空哈希与空派生值比较相等
+  if (salt.length === 0 || hash.length !== keyLength) {
+    return null;
+  }
+  return {
+    version: parseInt(parts[2].replace('v=', ''), 10),
+    params: { N: opts.n, r: opts.r, p: opts.p },
+    salt,
+    hash,
+  };
+}
+
+/**
+ * 常量时间比较，避免时序攻击
+ *
+ * @param {Buffer} a - 比较值
+ * @param {Buffer} b - 比较值
+ * @return {boolean} 是否相等
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  hash,
+  verify,
+  needsRehash,
+};
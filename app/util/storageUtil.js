@@ -0,0 +1,353 @@
+'use strict';
+
+/**
+ * storageUtil.js - 文件存储驱动
+ *
+ * 所有驱动实现相同的接口，业务代码只通过文件键（如 uploads/image/2022-08-11/1660201709000.jpg）访问文件：
+ * - put(key, content, options): 写入文件
+ * - getStream(key): 获取文件读取流
+ * - delete(key): 删除文件，文件不存在时不报错
+ * - exists(key): 判断文件是否存在
+ * - publicUrl(key): 获取文件公网访问地址
+ *
+ * 目前支持的驱动：
+ * - local: 本地存储，文件保存在 app/public 下，通过静态资源中间件访问
+ * - s3: S3 兼容的对象存储（AWS S3、MinIO、阿里云OSS、腾讯云COS等），
+ *   使用 AWS Signature V4 签名，仅依赖 Node.js 内置 crypto 和 Egg.js 的 httpclient
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const urlUtil = require('./urlUtil');
+
+// 空内容的 SHA-256，用于没有请求体的 S3 请求
+const emptyHash = crypto.createHash('sha256').update('')
+  .digest('hex');
+
+/**
+ * 计算 SHA-256 摘要
+ *
+ * @param {string|Buffer} content - 内容
+ * @return {string} 十六进制摘要
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content)
+    .digest('hex');
+}
+
+/**
+ * 计算 HMAC-SHA256
+ *
+ * @param {string|Buffer} key - 密钥
+ * @param {string} content - 内容
+ * @return {Buffer} 签名
+ */
+function hmac(key, content) {
+  return crypto.createHmac('sha256', key).update(content)
+    .digest();
+}
+
+/**
+ * 按 RFC 3986 编码，S3 签名要求 !'()* 也需要编码
+ *
+ * @param {string} str - 原始字符串
+ * @return {string} 编码后的字符串
+ */
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16)
+    .toUpperCase()}`);
+}
+
+/**
+ * 校验文件键，防止通过 ../ 等访问存储目录以外的文件
+ *
+ * @param {string} key - 文件键
+ * @return {string} 去掉开头斜杠的文件键
+ */
+function checkKey(key) {
+  key = String(key || '').replace(/^\/+/, '');
+  if (!key || key.split('/').some(part => part === '..' || part === '.' || part === '')) {
+    throw new Error(`非法的文件路径: ${key}`);
+  }
+  return key;
+}
+
+/**
+ * 本地存储驱动
+ * 文件保存在 {baseDir}/app/public/{key}，访问地址为 {publicUrl}/public/{key}
+ */
+class LocalDriver {
+
+  /**
+   * @param {Object} cnf - 存储配置（本地存储无需配置）
+   * @param {Object} options - {baseDir}
+   */
+  constructor(cnf, options) {
+    this.root = path.join(options.baseDir, 'app', 'public');
+  }
+
+  /**
+   * 文件键转换为本地路径
+   * 兼容早期保存的 /public/uploads/... 格式
+   *
+   * @param {string} key - 文件键
+   * @return {string} 本地文件路径
+   */
+  resolve(key) {
+    return path.join(this.root, checkKey(String(key || '').replace(/^\/?public\//, '')));
+  }
+
+  async put(key, content) {
+    const target = this.resolve(key);
+    await mkdirp(path.dirname(target));
+    await fs.promises.writeFile(target, content);
+  }
+
+  async getStream(key) {
+    const target = this.resolve(key);
+    if (!await this.exists(key)) {
+      throw new Error(`文件不存在: ${key}`);
+    }
+    return fs.createReadStream(target);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+
+  async exists(key) {
+    try {
+      const stat = await fs.promises.stat(this.resolve(key));
+      return stat.isFile();
+    } catch (err) {
+      return false;
+    }
+  }
+
+  publicUrl(key) {
+    return urlUtil.toAbsoluteUrl(`/public/${String(key || '').replace(/^\/?public\//, '')}`);
+  }
+}
+
+/**
+ * S3 兼容存储驱动
+ * 默认使用路径风格（{endpoint}/{bucket}/{key}），MinIO 等自建服务无需配置泛域名；
+ * pathStyle 为 false 时使用虚拟主机风格（{bucket}.{endpoint域名}/{key}）
+ */
+class S3Driver {
+
+  /**
+   * @param {Object} cnf - 存储配置 {endpoint, region, bucket, accessKey, secretKey, domain, pathStyle}
+   * @param {Object} options - {httpclient, timeout}
+   */
+  constructor(cnf, options) {
+    if (!cnf.endpoint || !cnf.bucket || !cnf.accessKey || !cnf.secretKey) {
+      throw new Error('S3 存储配置不完整');
+    }
+    this.cnf = {
+      region: 'us-east-1',
+      pathStyle: true,
+      ...cnf,
+    };
+    this.httpclient = options.httpclient;
+    this.timeout = options.timeout || 30000;
+  }
+
+  /**
+   * 获取文件的请求地址
+   *
+   * @param {string} key - 文件键
+   * @return {URL} 请求地址
+   */
+  objectUrl(key) {
+    const { endpoint, bucket, pathStyle } = this.cnf;
+    const url = new URL(endpoint);
+    const encodedKey = checkKey(key).split('/').map(encodeRfc3986)
+      .join('/');
+    const base = url.pathname.replace(/\/+$/, '');
+    if (pathStyle) {
+      url.pathname = `${base}/${encodeRfc3986(bucket)}/${encodedKey}`;
+    } else {
+      url.host = `${bucket}.${url.host}`;
+      url.pathname = `${base}/${encodedKey}`;
+    }
+    return url;
+  }
+
+  /**
+   * 生成 AWS Signature V4 签名请求头
+   *
+   * @param {string} method - 请求方法
+   * @param {URL} url - 请求地址（不含查询参数）
+   * @param {Object} headers - 需要签名的请求头（小写）
+   * @param {string} payloadHash - 请求体 SHA-256
+   * @param {Date} [date] - 签名时间
+   * @return {Object} 包含 Authorization 的完整请求头
+   */
+  sign(method, url, headers, payloadHash, date = new Date()) {
+    const { region, accessKey, secretKey } = this.cnf;
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const signed = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const names = Object.keys(signed).sort();
+    const canonicalHeaders = names.map(name => `${name}:${String(signed[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [ method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [ 'AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest) ].join('\n');
+
+    let key = hmac(`AWS4${secretKey}`, dateStamp);
+    key = hmac(key, region);
+    key = hmac(key, 's3');
+    key = hmac(key, 'aws4_request');
+    const signature = crypto.createHmac('sha256', key).update(stringToSign)
+      .digest('hex');
+
+    return {
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  /**
+   * 发送签名请求
+   *
+   * @param {string} method - 请求方法
+   * @param {string} key - 文件键
+   * @param {Object} [options] - {content, headers, streaming}
+   * @return {Promise<Object>} httpclient 响应
+   */
+  async request(method, key, options = {}) {
+    const url = this.objectUrl(key);
+    const content = options.content;
+    const headers = this.sign(method, url, options.headers || {}, content ? sha256(content) : emptyHash);
+    return await this.httpclient.request(url.toString(), {
+      method,
+      headers,
+      content,
+      streaming: options.streaming,
+      timeout: this.timeout,
+    });
+  }
+
+  async put(key, content, options = {}) {
+    const res = await this.request('PUT', key, {
+      content,
+      headers: { 'content-type': options.mime || 'application/octet-stream' },
+    });
+    if (res.status !== 200) {
+      throw new Error(`S3 上传失败: ${res.status} ${res.data || ''}`);
+    }
+  }
+
+  async getStream(key) {
+    const res = await this.request('GET', key, { streaming: true });
+    if (res.status !== 200) {
+      res.res.resume();
+      throw new Error(`S3 读取失败: ${res.status}`);
+    }
+    return res.res;
+  }
+
+  async delete(key) {
+    const res = await this.request('DELETE', key);
+    if (res.status !== 204 && res.status !== 200 && res.status !== 404) {
+      throw new Error(`S3 删除失败: ${res.status} ${res.data || ''}`);
+    }
+  }
+
+  async exists(key) {
+    const res = await this.request('HEAD', key);
+    if (res.status === 404) {
+      return false;
+    }
+    if (res.status !== 200) {
+      throw new Error(`S3 查询失败: ${res.status}`);
+    }
+    return true;
+  }
+
+  publicUrl(key) {
+    const { domain } = this.cnf;
+    if (domain) {
+      const encodedKey = checkKey(key).split('/').map(encodeRfc3986)
+        .join('/');
+      return `${domain.replace(/\/+$/, '')}/${encodedKey}`;
+    }
+    return this.objectUrl(key).toString();
+  }
+}
+
+/**
+ * 读取上传文件流的全部内容
+ * 文件超出 config.multipart.fileSize 时 egg-multipart 会截断文件流，此时同样视为超出大小限制
+ *
+ * @param {Stream} stream - 上传文件流
+ * @param {number} [maxSize] - 最大字节数，不传则只受 config.multipart.fileSize 限制
+ * @param {Object} [hash] - crypto.Hash 对象，读取时同时计算文件内容的哈希
+ * @return {Promise<Buffer>} 文件内容
+ * @throws {Error} 文件超出大小限制时抛出错误，并丢弃剩余内容
+ */
+async function readStream(stream, maxSize = Infinity, hash) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxSize) {
+      stream.resume();
+      throw new Error(`文件 ${stream.filename} 超出大小限制`);
+    }
+    if (hash) {
+      hash.update(chunk);
+    }
+    chunks.push(chunk);
+  }
+  if (stream.truncated) {
+    throw new Error(`文件 ${stream.filename} 超出大小限制`);
+  }
+  return Buffer.concat(chunks);
+}
+
+// 驱动列表，键为存储引擎别名
+const drivers = {
+  local: LocalDriver,
+  s3: S3Driver,
+};
+
+/**
+ * 创建存储驱动
+ *
+ * @param {string} alias - 存储引擎别名
+ * @param {Object} cnf - 存储引擎配置（storage/edit 保存的配置）
+ * @param {Object} options - {baseDir, httpclient, timeout}
+ * @return {Object} 存储驱动实例
+ */
+function createDriver(alias, cnf, options) {
+  const Driver = drivers[alias];
+  if (!Driver) {
+    throw new Error(`engine:${alias} 暂时不支持`);
+  }
+  return new Driver(cnf || {}, options);
+}
+
+module.exports = {
+  LocalDriver,
+  S3Driver,
+  createDriver,
+  readStream,
+};
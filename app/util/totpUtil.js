@@ -0,0 +1,181 @@
+/* eslint-disable no-bitwise */
+'use strict';
+
+/**
+ * totpUtil.js - TOTP 动态口令工具（RFC 4226 / RFC 6238）
+ *
+ * 仅使用 Node.js 内置 crypto 实现，不依赖第三方库，离线环境可用。
+ * 密钥使用 Base32 编码，兼容 Google Authenticator、Microsoft Authenticator 等应用。
+ */
+
+const crypto = require('crypto');
+
+// Base32 字母表（RFC 4648）
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 默认参数：30 秒步长、6 位数字、HMAC-SHA1，与主流验证器应用一致
+const defaults = {
+  period: 30,
+  digits: 6,
+  algorithm: 'sha1',
+};
+
+/**
+ * Base32 编码
+ *
+ * @param {Buffer} buf - 原始字节
+ * @return {string} 不带填充的 Base32 字符串
+ */
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Base32 解码
+ * 忽略大小写、空格和填充字符
+ *
+ * @param {string} str - Base32 字符串
+ * @return {Buffer} 解码后的字节
+ */
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const char of clean) {
+    const idx = base32Alphabet.indexOf(char);
+    if (idx === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+}
+
+/**
+ * 生成随机密钥
+ *
+ * @param {number} [size=20] - 密钥字节数，默认 160 位
+ * @return {string} Base32 编码的密钥
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * 计算 HOTP 口令（RFC 4226）
+ *
+ * @param {string} secret - Base32 编码的密钥
+ * @param {number} counter - 计数器
+ * @return {string} 定长数字口令
+ */
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buf.writeUInt32BE(counter >>> 0, 4);
+
+  const hmac = crypto.createHmac(defaults.algorithm, base32Decode(secret));
+  const digest = hmac.update(buf).digest();
+
+  // 动态截断
+  const offset = digest[digest.length - 1] & 0xf;
+  const code = ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+  return String(code % Math.pow(10, defaults.digits)).padStart(defaults.digits, '0');
+}
+
+/**
+ * 计算当前时间步长
+ *
+ * @param {number} [time] - 时间戳（毫秒），默认当前时间
+ * @return {number} 时间步长计数器
+ */
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / defaults.period);
+}
+
+/**
+ * 计算 TOTP 口令（RFC 6238）
+ *
+ * @param {string} secret - Base32 编码的密钥
+ * @param {number} [time] - 时间戳（毫秒），默认当前时间
+ * @return {string} 定长数字口令
+ */
+function totp(secret, time) {
+  return hotp(secret, timeStep(time));
+}
+
+/**
+ * 校验 TOTP 口令
+ * 允许前后 window 个时间步长的时钟偏差
+ *
+ * @param {string} secret - Base32 编码的密钥
+ * @param {string} code - 用户输入的口令
+ * @param {number} [window=1] - 允许的时间步长偏差
+ * @return {number} 匹配的时间步长，不匹配返回 -1（用于防止同一口令重复使用）
+ */
+function verify(secret, code, window = 1) {
+  code = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d+$/.test(code) || code.length !== defaults.digits) {
+    return -1;
+  }
+  const current = timeStep();
+  for (let i = -window; i <= window; i++) {
+    const expected = hotp(secret, current + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return current + i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 生成验证器应用使用的 otpauth URI（可生成二维码供扫码绑定）
+ *
+ * @param {string} issuer - 发行方名称，如站点名称
+ * @param {string} account - 账号名称
+ * @param {string} secret - Base32 编码的密钥
+ * @return {string} otpauth://totp/... URI
+ */
+function keyUri(issuer, account, secret) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    `algorithm=${defaults.algorithm.toUpperCase()}`,
+    `digits=${defaults.digits}`,
+    `period=${defaults.period}`,
+  ].join('&');
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verify,
+  keyUri,
+};
@@ -49,7 +49,32 @@ function toRelativeUrl(u) {
   return u;
 }
 
+// 定义请求路径转换为权限标识的方法，例如: /api/system/admin/add → system:admin:add
+// 路由不要求结尾斜杠（/api/system/admin/add/ 与 /api/system/admin/add 为同一接口），转换前去掉
+function toPerms(p) {
+  return p.replace(/^\/api\//, '').replace(/\/+$/, '')
+    .replace(/\//g, ':');
+}
+
+// 判断权限标识是否匹配任一规则，规则中的 * 匹配任意字符，例如: *:del 匹配 system:admin:del
+// 路由可能不区分大小写（/api/System/Admin/del 与 /api/system/admin/del 为同一接口），匹配时忽略大小写
+function matchPerms(perms, patterns) {
+  return (patterns || []).some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(perms);
+  });
+}
+
+// 判断权限标识是否在列表中（忽略大小写），用于免登录、敏感操作等接口列表
+function hasPerms(list, perms) {
+  const lower = String(perms).toLowerCase();
+  return (list || []).some(item => item.toLowerCase() === lower);
+}
+
 module.exports = {
   toAbsoluteUrl,
   toRelativeUrl,
+  toPerms,
+  matchPerms,
+  hasPerms,
 };
@@ -52,7 +52,183 @@ module.exports = appInfo => {
     config.keys = appInfo.name + '_1634002379446_8360';
 
     // add your middleware config here
-    config.middleware = ['authority', 'auth'];
+    config.middleware = ['authority', 'ipRateLimit', 'auth', 'rateLimit', 'operateLog'];
+
+    // 权限中间件配置：内置数据保护和演示模式，规则为权限标识（如 system:admin:del），* 匹配任意字符
+    config.authority = {
+        // 演示模式：开启后拒绝 demoBlock 匹配的修改类接口，demoAllow 匹配的接口始终放行
+        demo: false,
+        demoBlock: [
+            '*:add', '*:edit', '*:del', '*:save', '*:upInfo', '*:disable', '*:unlock',
+            '*:revoke', '*:revokeAll', '*:reset', '*:enroll', '*:enable', '*:recovery',
+            '*:change', '*:test', '*:start', '*:totpForce',
+            '*Add', '*Rename', '*Del', '*Move', '*Table',
+            'common:upload:*', 'upload:*', 'system:password:*',
+        ],
+        demoAllow: [
+            'system:login', 'system:login:*', 'system:logout',
+            'system:sudo:*', 'system:impersonate:stop', 'gen:previewCode',
+        ],
+        // 内置数据保护（所有模式均生效）：请求参数 field 的值在 ids 中时拒绝访问 perms 匹配的接口
+        protect: [
+            {
+                // 超级管理员，只能通过 system:admin:upInfo 修改自己的资料
+                perms: ['system:admin:edit', 'system:admin:del', 'system:admin:disable', 'system:totp:reset'],
+                field: 'id',
+                ids: [1],
+                message: '超级管理员不允许编辑、删除或禁用',
+            },
+            {
+                // 顶级部门
+                perms: ['system:dept:edit', 'system:dept:del'],
+                field: 'id',
+                ids: [1],
+                message: '顶级部门不允许编辑或删除',
+            },
+        ],
+    };
+
+    // 认证前的 IP 限流中间件配置（滑动窗口），规则格式同 rateLimit，始终按 IP 计数
+    // 在认证之前执行，限制同一 IP 猜测 Token、API 密钥的次数，limit 需大于正常使用时单个 IP 的请求量
+    config.ipRateLimit = {
+        enable: true,
+        rules: [
+            { name: 'ip', pattern: '/api/*', limit: 1200, window: 60 },
+        ],
+    };
+
+    // 接口限流中间件配置（滑动窗口）
+    // 按顺序取第一条匹配的规则，同名规则共用计数：pattern 为接口路径，* 匹配任意字符；limit 为窗口内允许的次数；window 为窗口时长（秒）
+    // 默认按 API 密钥、登录管理员计数，未登录或 by 为 'ip' 时按 IP 计数
+    config.rateLimit = {
+        enable: true,
+        rules: [
+            { name: 'upload', pattern: '/api/common/upload/*', limit: 20, window: 60 },
+            { name: 'upload', pattern: '/api/upload/*', limit: 20, window: 60 },
+            { name: 'genDownload', pattern: '/api/gen/downloadCode', limit: 5, window: 60 },
+            { name: 'login', pattern: '/api/system/login*', limit: 20, window: 60, by: 'ip' },
+            { name: 'default', pattern: '/api/*', limit: 300, window: 60 },
+        ],
+        // 系统监控中保留的最近拒绝记录条数
+        recentSize: 200,
+    };
+
+    // 操作日志中间件配置
+    config.operateLog = {
+        // 需要记录的请求方法
+        methods: ['POST', 'PUT', 'DELETE', 'PATCH'],
+        // 需要脱敏的参数名（包含即脱敏，不区分大小写）
+        maskFields: ['password', 'pass', 'token', 'secret', 'salt'],
+        // 请求参数最大记录长度
+        maxArgsLength: 2000,
+    };
+
+    // 登录防暴力破解配置
+    config.loginLock = {
+        enable: true,
+        // 单个账号在统计窗口内允许的失败次数
+        userMaxFails: 5,
+        // 单个IP在统计窗口内允许的失败次数
+        ipMaxFails: 20,
+        // 失败次数统计窗口（秒）
+        window: 900,
+        // 锁定时长（秒）
+        lockTime: 1800,
+    };
+
+    // 两步验证（TOTP）配置
+    config.totp = {
+        // 验证器应用中显示的发行方名称
+        issuer: 'LikeAdmin',
+        // 允许的时钟偏差（时间步长数，每步30秒）
+        window: 1,
+        // 绑定时临时密钥有效期（秒）
+        enrollExpire: 600,
+        // 登录第二步凭证有效期（秒）
+        ticketExpire: 300,
+        // 登录第二步凭证允许的最大尝试次数
+        ticketMaxAttempts: 5,
+        // 一次生成的恢复码数量
+        recoveryCount: 10,
+    };
+
+    // 登录图形验证码配置
+    config.captcha = {
+        // 验证码有效期（秒）
+        expire: 120,
+        // 字符数
+        length: 4,
+        // 图片尺寸
+        width: 120,
+        height: 40,
+        // 以下为默认值，可在 系统设置-安全设置 中修改（保存在 systemConfig 中）
+        // 启用方式: 0=关闭, 1=失败N次后需要, 2=始终需要
+        mode: 1,
+        // mode=1 时，账号或IP失败多少次后需要验证码
+        fails: 3,
+    };
+
+    // 登录密码 RSA 加密传输配置
+    config.loginRsa = {
+        // 是否强制加密传输，开启后拒绝明文密码（需配置 keys）
+        required: false,
+        // RSA 私钥列表 [{ id, privateKey }]，privateKey 为 PEM 格式，公钥由私钥导出
+        // 第一个为当前发布的密钥，其余仅用于轮换期间解密使用旧公钥加密的请求；为空时不启用加密传输
+        // 生成方式: openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:2048 -out login_rsa.pem
+        keys: [],
+        // 随机数有效期（秒），即获取公钥后必须在该时间内提交登录
+        nonceExpire: 300,
+        // 允许的客户端与服务器时间偏差（秒）
+        timeSkew: 300,
+    };
+
+    // OIDC 单点登录配置，身份提供方等设置见 系统设置-单点登录（保存在 systemConfig 中）
+    config.sso = {
+        // 授权请求（state、nonce、code_verifier）有效期（秒）
+        stateExpire: 600,
+        // 请求身份提供方的超时时间（毫秒）
+        timeout: 10000,
+        // 校验 id_token 过期时间时允许的时钟偏差（秒）
+        clockSkew: 60,
+    };
+
+    // 敏感操作二次验证配置，敏感接口列表见 app/extend/config.js 的 sudoUri
+    config.sudo = {
+        // 验证通过后的有效期（秒）
+        expire: 300,
+        // 是否允许 API 密钥访问敏感接口（API 密钥没有会话，无法二次验证），默认不允许
+        apiKey: false,
+    };
+
+    // 超级管理员模拟登录配置
+    config.impersonate = {
+        // 默认有效期（秒）
+        expire: 1800,
+        // 最长有效期（秒），模拟登录 Token 到期后不续签
+        maxExpire: 7200,
+    };
+
+    // 忘记密码（邮件重置）配置
+    config.passwordReset = {
+        // 重置链接有效期（秒）
+        expire: 1800,
+        // 同一账号两次发送重置邮件的最小间隔（秒）
+        interval: 60,
+        // 前端重置密码页面地址，邮件中的链接为 {url}?token={凭证}
+        url: 'http://127.0.0.1:8001/admin/reset-password',
+    };
+
+    // 管理员密码策略默认值，可在 系统设置-安全设置 中修改（保存在 systemConfig 中）
+    config.passwordPolicy = {
+        // 最小长度（6~64）
+        minLength: 6,
+        // 必须包含的字符类型: lower=小写字母, upper=大写字母, digit=数字, symbol=特殊字符
+        classes: [],
+        // 不能与最近N次使用过的密码相同（0=不限制，最大24）
+        history: 0,
+        // 密码最长使用天数，过期后登录必须修改（0=永不过期）
+        maxAge: 0,
+    };
 
     // add your user config here
     const userConfig = {
@@ -62,6 +238,7 @@ module.exports = appInfo => {
     config.cors = {
         origin: '*',
         allowMethods: 'GET, PUT, POST,DELETE, PATCH',
+        exposeHeaders: 'RateLimit-Limit,RateLimit-Remaining,RateLimit-Reset,Retry-After',
     };
 
     // config.io = {
@@ -111,7 +288,29 @@ module.exports = appInfo => {
         fileSize: '10mb',
         // 允许上传的最大文件数
         files: 10,
-        whitelist: ['.txt', '.png', '.jpeg', '.jpg', '.zip', '.xls', '.ppt', '.doc', '.docx', '.pdf', '.xls', '.xlsx', '.mp4', '.wmv', '.avi', '.mov', '.flv', '.rmvb'],
+        whitelist: ['.txt', '.png', '.jpeg', '.jpg', '.gif', '.webp', '.zip', '.xls', '.ppt', '.doc', '.docx', '.pdf', '.xls', '.xlsx', '.mp4', '.wmv', '.avi', '.mov', '.flv', '.rmvb'],
+    };
+
+    // 通用上传接口配置（/api/upload/uploadImg、/api/upload/uploadFile）
+    // 按扩展名确定文件类型，未匹配的扩展名为 file 类型；扩展名同时必须在 config.multipart.whitelist 中
+    // maxSize 为单个文件大小上限（字节），不能超过 config.multipart.fileSize
+    config.upload = {
+        types: {
+            image: { exts: ['.jpg', '.jpeg', '.png', '.gif', '.webp'], maxSize: 5 * 1024 * 1024 },
+            video: { exts: ['.mp4', '.wmv', '.avi', '.mov', '.flv', '.rmvb'], maxSize: 10 * 1024 * 1024 },
+            file: { exts: [], maxSize: 10 * 1024 * 1024 },
+        },
+    };
+
+    // 素材中心图片缩略图配置：上传图片时按 sizes 生成缩略图，保存在原图旁（{原文件名}_{宽}x{高}.{扩展名}）
+    // fit: cover=裁剪填满目标尺寸，inside=等比缩放不裁剪；小于目标尺寸的图片不放大；quality 为 JPEG、WebP 的压缩质量
+    // 修改尺寸后，缺少的缩略图在素材列表查询时后台补生成
+    config.thumbnail = {
+        sizes: {
+            thumb: { width: 200, height: 200, fit: 'cover' },
+            medium: { width: 800, height: 800, fit: 'inside' },
+        },
+        quality: 80,
     };
 
     config.security = {
@@ -124,6 +323,7 @@ module.exports = appInfo => {
     config.cors = {
         origin: '*',
         allowMethods: 'GET,HEAD,PUT,POST,DELETE,PATCH',
+        exposeHeaders: 'RateLimit-Limit,RateLimit-Remaining,RateLimit-Reset,Retry-After',
     };
 
     const view = exports = {
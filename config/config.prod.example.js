@@ -24,5 +24,18 @@ module.exports = appInfo => {
         }
     }
 
+    // 公开的演示环境：拒绝修改类操作
+    // config.authority = {
+    //     demo: true,
+    // }
+
+    // 登录密码 RSA 加密传输，轮换密钥时把新密钥放在第一位，旧密钥保留一段时间后删除
+    // config.loginRsa = {
+    //     required: true,
+    //     keys: [
+    //         { id: '2026-10', privateKey: require('fs').readFileSync('/etc/likeadmin/login_rsa_2026-10.pem', 'utf8') },
+    //     ],
+    // }
+
     return config
 }
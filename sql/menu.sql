@@ -0,0 +1,191 @@
+-- 菜单及按钮权限数据（MySQL 5.7 / 8.0）
+--
+-- 接口的权限标识（如 system:log:login）需要在菜单表中有对应的菜单或按钮，才能在角色管理中勾选授权，超级管理员不受影响。
+-- 全新安装和从旧版本升级都需要执行一次。脚本可以重复执行，权限标识已存在的菜单不会重复插入。
+-- 新菜单按已有菜单的权限标识查找上级菜单，component 为前端页面路径，与前端页面不一致时在菜单管理中修改。
+--
+-- 执行方式: mysql -u root -p <数据库名> < sql/menu.sql
+
+-- 登录日志：与操作日志同级
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', '登录日志', '', 0, 'system:log:login', 'login_log', 'setting/system/login_log/index', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'system:log:operate'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'system:log:login')
+LIMIT 1;
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '导出' AS `name`, 'system:log:loginExport' AS `perms`
+) b
+WHERE p.`perms` = 'system:log:login' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 管理员：解除登录锁定
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '解除锁定' AS `name`, 'system:admin:unlock' AS `perms`
+) b
+WHERE p.`perms` = 'system:admin:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 管理员：登录会话管理
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '登录会话' AS `name`, 'system:session:list' AS `perms`
+  UNION ALL SELECT '注销会话', 'system:session:revoke'
+  UNION ALL SELECT '注销全部会话', 'system:session:revokeAll'
+) b
+WHERE p.`perms` = 'system:admin:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 两步验证：重置管理员的两步验证、设置角色强制两步验证
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '重置两步验证' AS `name`, 'system:totp:reset' AS `perms`
+) b
+WHERE p.`perms` = 'system:admin:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '强制两步验证' AS `name`, 'system:role:totpForce' AS `perms`
+) b
+WHERE p.`perms` = 'system:role:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 安全设置：与网站信息同级
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', '安全设置', '', 0, 'setting:security:detail', 'security', 'setting/website/security', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'setting:website:detail'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'setting:security:detail')
+LIMIT 1;
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '保存' AS `name`, 'setting:security:save' AS `perms`
+) b
+WHERE p.`perms` = 'setting:security:detail' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- API密钥：与管理员同级
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', 'API密钥', '', 0, 'system:apiKey:list', 'api_key', 'permission/api_key/index', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'system:admin:list'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'system:apiKey:list')
+LIMIT 1;
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '新增' AS `name`, 'system:apiKey:add' AS `perms`
+  UNION ALL SELECT '编辑', 'system:apiKey:edit'
+  UNION ALL SELECT '吊销', 'system:apiKey:revoke'
+  UNION ALL SELECT '删除', 'system:apiKey:del'
+) b
+WHERE p.`perms` = 'system:apiKey:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- IP白名单：与管理员同级
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', 'IP白名单', '', 0, 'system:ip:list', 'ip', 'permission/ip/index', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'system:admin:list'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'system:ip:list')
+LIMIT 1;
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '详情' AS `name`, 'system:ip:detail' AS `perms`
+  UNION ALL SELECT '新增', 'system:ip:add'
+  UNION ALL SELECT '编辑', 'system:ip:edit'
+  UNION ALL SELECT '删除', 'system:ip:del'
+) b
+WHERE p.`perms` = 'system:ip:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 邮件设置：与网站信息同级
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', '邮件设置', '', 0, 'setting:smtp:detail', 'smtp', 'setting/website/smtp', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'setting:website:detail'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'setting:smtp:detail')
+LIMIT 1;
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '保存' AS `name`, 'setting:smtp:save' AS `perms`
+  UNION ALL SELECT '发送测试邮件', 'setting:smtp:test'
+) b
+WHERE p.`perms` = 'setting:smtp:detail' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 模拟登录：与管理员同级，开始模拟登录挂在管理员列表下
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', '模拟登录记录', '', 0, 'system:impersonate:list', 'impersonate', 'permission/impersonate/index', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'system:admin:list'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'system:impersonate:list')
+LIMIT 1;
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '结束模拟登录' AS `name`, 'system:impersonate:revoke' AS `perms`
+) b
+WHERE p.`perms` = 'system:impersonate:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '模拟登录' AS `name`, 'system:impersonate:start' AS `perms`
+) b
+WHERE p.`perms` = 'system:admin:list' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 单点登录设置：与网站信息同级
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', '单点登录', '', 0, 'setting:sso:detail', 'sso', 'setting/website/sso', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'setting:website:detail'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'setting:sso:detail')
+LIMIT 1;
+
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT p.`id`, 'A', b.`name`, '', 0, b.`perms`, '', '', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu` p
+JOIN (
+  SELECT '保存' AS `name`, 'setting:sso:save' AS `perms`
+) b
+WHERE p.`perms` = 'setting:sso:detail' AND p.`menu_type` = 'C'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = b.`perms`);
+
+-- 接口限流：与系统缓存同级
+INSERT INTO `la_system_auth_menu` (`pid`, `menu_type`, `menu_name`, `menu_icon`, `menu_sort`, `perms`, `paths`, `component`, `selected`, `params`, `is_cache`, `is_show`, `is_disable`, `create_time`, `update_time`)
+SELECT `pid`, 'C', '接口限流', '', 0, 'monitor:rateLimit', 'rate_limit', 'setting/system/rate_limit', '', '', 0, 1, 0, UNIX_TIMESTAMP(), UNIX_TIMESTAMP()
+FROM `la_system_auth_menu`
+WHERE `perms` = 'monitor:cache'
+  AND NOT EXISTS (SELECT 1 FROM `la_system_auth_menu` e WHERE e.`perms` = 'monitor:rateLimit')
+LIMIT 1;
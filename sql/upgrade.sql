@@ -0,0 +1,65 @@
+-- 已有数据库升级脚本（MySQL 5.7 / 8.0）
+--
+-- 应用启动时 app.model.sync({}) 只会创建不存在的表，不会给已有的表添加字段或修改字段类型。
+-- 从旧版本升级时，需要在部署新版本之前执行一次本脚本，否则查询管理员等会报 Unknown column。
+-- 全新安装不需要执行。新增字段时在本脚本末尾追加对应的语句。
+--
+-- 执行方式: mysql -u root -p <数据库名> < sql/upgrade.sql
+-- 脚本不能重复执行，字段已存在时会报 Duplicate column name，可从报错的语句之后继续执行。
+
+-- 管理员：两步验证
+ALTER TABLE `la_system_auth_admin`
+  ADD COLUMN `totp_enable` smallint unsigned NOT NULL DEFAULT 0 COMMENT '两步验证: 0=未开启, 1=已开启' AFTER `is_delete`,
+  ADD COLUMN `totp_secret` varchar(64) CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci NOT NULL DEFAULT '' COMMENT '两步验证密钥(Base32)' AFTER `totp_enable`,
+  ADD COLUMN `totp_recovery` varchar(1000) CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci NOT NULL DEFAULT '' COMMENT '两步验证恢复码哈希(JSON数组)' AFTER `totp_secret`;
+
+-- 角色：强制两步验证
+ALTER TABLE `la_system_auth_role`
+  ADD COLUMN `totp_force` smallint unsigned NOT NULL DEFAULT 0 COMMENT '强制两步验证: 0=否, 1=是' AFTER `is_disable`;
+
+-- 角色：数据范围（已有角色默认为全部数据，与升级前一致）
+ALTER TABLE `la_system_auth_role`
+  ADD COLUMN `data_scope` smallint unsigned NOT NULL DEFAULT 1 COMMENT '数据范围: 1=全部, 2=自定义部门, 3=本部门, 4=本部门及以下, 5=仅本人' AFTER `is_disable`,
+  ADD COLUMN `dept_ids` varchar(1000) CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci NOT NULL DEFAULT '' COMMENT '自定义数据范围的部门ID(逗号分隔)' AFTER `data_scope`;
+
+-- 管理员：密码策略
+ALTER TABLE `la_system_auth_admin`
+  ADD COLUMN `pwd_history` text NULL COMMENT '历史密码哈希(JSON数组，最近的在前)' AFTER `totp_recovery`,
+  ADD COLUMN `pwd_change_time` int unsigned NOT NULL DEFAULT 0 COMMENT '密码修改时间' AFTER `pwd_history`,
+  ADD COLUMN `pwd_must_change` smallint unsigned NOT NULL DEFAULT 0 COMMENT '下次登录必须修改密码: 0=否, 1=是' AFTER `pwd_change_time`;
+
+-- 已有管理员的密码修改时间记为升级时间，避免开启密码过期（密码最长使用天数）后所有管理员立即被要求修改密码
+UPDATE `la_system_auth_admin` SET `pwd_change_time` = UNIX_TIMESTAMP() WHERE `pwd_change_time` = 0;
+
+-- 管理员：邮箱（用于找回密码）
+ALTER TABLE `la_system_auth_admin`
+  ADD COLUMN `email` varchar(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci NOT NULL DEFAULT '' COMMENT '邮箱（用于找回密码）' AFTER `nickname`;
+
+-- 操作日志：模拟登录时的实际操作人
+ALTER TABLE `la_system_log_operate`
+  ADD COLUMN `real_admin_id` int unsigned NOT NULL DEFAULT 0 COMMENT '实际操作人ID（模拟登录时为超级管理员）' AFTER `admin_id`;
+
+-- 管理员：单点登录身份
+ALTER TABLE `la_system_auth_admin`
+  ADD COLUMN `sso_subject` varchar(191) CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci NOT NULL DEFAULT '' COMMENT '单点登录身份标识(OIDC sub)' AFTER `email`;
+
+-- 素材：存储引擎（已有文件均在本地存储）
+ALTER TABLE `la_album`
+  ADD COLUMN `engine` varchar(20) NOT NULL DEFAULT 'local' AFTER `name`;
+
+-- 素材：ext 改为保存按文件内容检测的 MIME 类型（如 application/vnd.openxmlformats-officedocument.wordprocessingml.document），原长度 10 不够
+ALTER TABLE `la_album`
+  MODIFY COLUMN `ext` varchar(50) NOT NULL DEFAULT '';
+
+-- 素材：已生成的缩略图尺寸（已有图片在列表查询时补生成）
+ALTER TABLE `la_album`
+  ADD COLUMN `variants` varchar(255) NOT NULL DEFAULT '' AFTER `ext`;
+
+-- 素材：文件内容哈希，相同内容的文件共用同一个存储对象
+ALTER TABLE `la_album`
+  ADD COLUMN `hash` varchar(64) NOT NULL DEFAULT '' AFTER `ext`,
+  ADD INDEX `la_album_hash` (`hash`);
+
+-- 素材：缩略图生成失败或不支持时记录当时的尺寸配置，尺寸配置不变时不再反复补生成
+ALTER TABLE `la_album`
+  ADD COLUMN `thumb_fail` varchar(255) NOT NULL DEFAULT '' AFTER `variants`;
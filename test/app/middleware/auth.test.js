@@ -0,0 +1,168 @@
+'use strict';
+
+const assert = require('assert');
+const auth = require('../../../app/middleware/auth');
+const { reqAdminIdKey, reqUsernameKey } = require('../../../app/extend/config');
+
+/**
+ * 构造已登录管理员请求的上下文，服务均为桩实现，不依赖 MySQL、Redis
+ *
+ * @param {string} path - 请求路径
+ * @param {Object} [options] - {adminId, sudo, impersonator, denyIpAdminIds, token, session, adminInfo}
+ * @return {Object} 上下文
+ */
+function mockContext(path, options = {}) {
+  const { adminId = 1, sudo = false, impersonator, denyIpAdminIds = [], token = 'token', adminInfo = {} } = options;
+  const session = options.session !== undefined ? options.session : { adminId, impersonator };
+  const admin = id => ({ id, username: `admin${id}`, nickname: `admin${id}`, role: '1', isDelete: 0, isDisable: 0, ...adminInfo });
+  const violations = [];
+  return {
+    path,
+    request: { header: { token }, ip: '127.0.0.1' },
+    response: {},
+    session: {},
+    get: () => '',
+    logger: { error() {} },
+    service: {
+      authSession: {
+        get: async () => session,
+        touch: async () => {},
+        destroyAll: async () => {},
+      },
+      redis: {
+        hExists: async () => true,
+        hGet: async (key, id) => JSON.stringify(admin(parseInt(id, 10))),
+        hDel: async () => 1,
+      },
+      authIp: {
+        check: async info => !denyIpAdminIds.includes(info.id),
+        recordViolation: async info => violations.push(info.id),
+      },
+      authAdmin: {
+        selectPermsByRoles: async () => [ 'system:admin:del', 'system:admin:list' ],
+      },
+      sudo: {
+        isActive: async () => sudo,
+      },
+    },
+    violations,
+  };
+}
+
+/**
+ * 执行中间件
+ *
+ * @param {Object} ctx - 上下文
+ * @return {Promise<boolean>} 是否放行
+ */
+async function run(ctx) {
+  let passed = false;
+  await auth({})(ctx, async () => {
+    passed = true;
+  });
+  return passed;
+}
+
+describe('test/app/middleware/auth.test.js', () => {
+  it('should require sudo for sensitive operations', async () => {
+    const ctx = mockContext('/api/system/admin/del');
+    assert(!await run(ctx));
+    assert(ctx.body.code === 337);
+  });
+
+  it('should require sudo for mixed-case path', async () => {
+    for (const path of [ '/api/System/Admin/del', '/api/SETTING/storage/Change', '/api/system/admin/del/' ]) {
+      const ctx = mockContext(path);
+      assert(!await run(ctx));
+      assert(ctx.body.code === 337);
+    }
+  });
+
+  it('should require sudo for mixed-case path with role perms', async () => {
+    const ctx = mockContext('/api/system/Admin/del', { adminId: 2 });
+    assert(!await run(ctx));
+    assert(ctx.response.status === 403);
+  });
+
+  it('should pass after sudo verified', async () => {
+    const ctx = mockContext('/api/System/Admin/del', { sudo: true });
+    assert(await run(ctx));
+  });
+
+  it('should pass non-sensitive operations', async () => {
+    const ctx = mockContext('/api/system/admin/list', { adminId: 2 });
+    assert(await run(ctx));
+  });
+
+  it('should check impersonator ip allowlist', async () => {
+    const impersonator = { id: 1, username: 'admin1', recordId: 1 };
+    let ctx = mockContext('/api/system/admin/list', { adminId: 2, impersonator });
+    assert(await run(ctx));
+
+    ctx = mockContext('/api/system/admin/list', { adminId: 2, impersonator, denyIpAdminIds: [ 1 ] });
+    assert(!await run(ctx));
+    assert(ctx.body.code === 334);
+    assert.deepStrictEqual(ctx.violations, [ 1 ]);
+  });
+
+  it('should deny sudo verify in impersonation session', async () => {
+    const impersonator = { id: 1, username: 'admin1', recordId: 1 };
+    const ctx = mockContext('/api/system/Sudo/verify', { adminId: 2, impersonator });
+    assert(!await run(ctx));
+    assert(ctx.body.code === 336);
+  });
+
+  it('should deny operations without button permission', async () => {
+    for (const path of [ '/api/system/admin/edit', '/api/system/role/list', '/api/System/Admin/Edit/' ]) {
+      const ctx = mockContext(path, { adminId: 2 });
+      assert(!await run(ctx));
+      assert(ctx.response.status === 403);
+      assert(ctx.body.code === 403);
+    }
+  });
+
+  it('should pass permission-free operations and super admin', async () => {
+    assert(await run(mockContext('/api/system/admin/self', { adminId: 2 })));
+    assert(await run(mockContext('/api/system/role/list', { adminId: 1 })));
+  });
+
+  it('should save admin info into session', async () => {
+    const ctx = mockContext('/api/system/admin/list', { adminId: 2 });
+    assert(await run(ctx));
+    assert.strictEqual(ctx.session[reqAdminIdKey], 2);
+    assert.strictEqual(ctx.session[reqUsernameKey], 'admin2');
+  });
+
+  it('should reject missing or invalid token', async () => {
+    let ctx = mockContext('/api/system/admin/list', { token: '' });
+    assert(!await run(ctx));
+    assert(ctx.body.code === 332);
+
+    ctx = mockContext('/api/system/admin/list', { session: null });
+    assert(!await run(ctx));
+    assert(ctx.body.code === 333);
+  });
+
+  it('should reject disabled or deleted admin', async () => {
+    let ctx = mockContext('/api/system/admin/list', { adminId: 2, adminInfo: { isDisable: 1 } });
+    assert(!await run(ctx));
+    assert(ctx.body.code === 331);
+
+    ctx = mockContext('/api/system/admin/list', { adminId: 2, adminInfo: { isDelete: 1 } });
+    assert(!await run(ctx));
+    assert(ctx.body.code === 333);
+  });
+
+  it('should only allow password change when required', async () => {
+    let ctx = mockContext('/api/system/admin/list', { adminId: 2, session: { adminId: 2, mustChangePwd: 1 } });
+    assert(!await run(ctx));
+    assert(ctx.body.code === 335);
+
+    ctx = mockContext('/api/system/admin/upInfo', { adminId: 2, session: { adminId: 2, mustChangePwd: 1 } });
+    assert(await run(ctx));
+  });
+
+  it('should skip login-free operations', async () => {
+    assert(await run(mockContext('/api/system/login', { token: '' })));
+  });
+});
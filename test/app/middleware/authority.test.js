@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const authority = require('../../../app/middleware/authority');
+
+// 使用默认配置中的规则，保证测试覆盖实际生效的规则
+const { authority: defaults } = require('../../../config/config.default')({ name: 'test', baseDir: path.join(__dirname, '../../..') });
+
+/**
+ * 执行中间件
+ *
+ * @param {Object} options - 中间件配置（config.authority）
+ * @param {string} path - 请求路径
+ * @param {Object} [params] - 请求参数 {query, body}
+ * @return {Promise<Object>} {passed, status, body}：是否放行、响应状态码、响应内容
+ */
+async function run(options, path, params = {}) {
+  const ctx = {
+    path,
+    query: params.query || {},
+    request: { body: params.body || {} },
+    response: {},
+    logger: { error() {} },
+  };
+  let passed = false;
+  await authority(options)(ctx, async () => {
+    passed = true;
+  });
+  return { passed, status: ctx.response.status, body: ctx.body };
+}
+
+describe('test/app/middleware/authority.test.js', () => {
+  const demo = { ...defaults, demo: true };
+
+  it('should protect super admin and top-level dept in any mode', async () => {
+    for (const options of [ defaults, demo ]) {
+      const admin = await run(options, '/api/system/admin/edit', { body: { id: 1 } });
+      assert.strictEqual(admin.passed, false);
+      assert.strictEqual(admin.status, 403);
+      assert.strictEqual(admin.body.code, 338);
+      assert.strictEqual(admin.body.message, '超级管理员不允许编辑、删除或禁用');
+
+      const dept = await run(options, '/api/system/dept/del', { query: { id: '1' } });
+      assert.strictEqual(dept.body.code, 338);
+      assert.strictEqual(dept.body.message, '顶级部门不允许编辑或删除');
+    }
+  });
+
+  it('should match protected ids in arrays, comma lists and any path case', async () => {
+    assert.strictEqual((await run(defaults, '/api/system/admin/del', { body: { id: [ 3, '1' ] } })).body.code, 338);
+    assert.strictEqual((await run(defaults, '/api/system/admin/del', { query: { id: '5,1' } })).body.code, 338);
+    assert.strictEqual((await run(defaults, '/api/System/Admin/Disable', { body: { id: 1 } })).body.code, 338);
+    assert.strictEqual((await run(defaults, '/api/system/totp/reset', { body: { id: 1 } })).body.code, 338);
+  });
+
+  it('should pass other ids and unprotected operations', async () => {
+    assert((await run(defaults, '/api/system/admin/edit', { body: { id: 2 } })).passed);
+    assert((await run(defaults, '/api/system/admin/del', { query: { id: '11,12' } })).passed);
+    assert((await run(defaults, '/api/system/admin/upInfo', { body: { id: 1 } })).passed);
+    assert((await run(defaults, '/api/system/role/edit', { body: { id: 1 } })).passed);
+  });
+
+  it('should block write operations in demo mode only', async () => {
+    const paths = [
+      '/api/system/admin/add', '/api/system/role/edit', '/api/system/menu/del',
+      '/api/setting/security/save', '/api/system/session/revokeAll', '/api/system/totp/enroll',
+      '/api/system/admin/unlock', '/api/common/album/albumRename', '/api/gen/importTable',
+      '/api/common/upload/image', '/api/upload/uploadFile', '/api/system/password/reset',
+    ];
+    for (const p of paths) {
+      const blocked = await run(demo, p, { body: { id: 2 } });
+      assert.strictEqual(blocked.passed, false, p);
+      assert.strictEqual(blocked.body.code, 339, p);
+      assert((await run(defaults, p, { body: { id: 2 } })).passed, p);
+    }
+  });
+
+  it('should pass read operations and demoAllow rules in demo mode', async () => {
+    const paths = [
+      '/api/system/admin/list', '/api/system/admin/info', '/api/common/album/albumList',
+      '/api/system/login', '/api/system/login/totp', '/api/system/logout',
+      '/api/system/sudo/verify', '/api/system/impersonate/stop', '/api/gen/previewCode',
+    ];
+    for (const p of paths) {
+      assert((await run(demo, p)).passed, p);
+    }
+  });
+
+  it('should apply custom rules with demoAllow taking priority', async () => {
+    const options = { demo: true, demoBlock: [ 'shop:*' ], demoAllow: [ 'shop:*:list' ], protect: [] };
+    assert.strictEqual((await run(options, '/api/shop/order/add')).body.code, 339);
+    assert((await run(options, '/api/shop/order/list')).passed);
+    assert((await run(options, '/api/system/admin/add')).passed);
+  });
+});
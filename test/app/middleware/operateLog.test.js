@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('assert');
+const operateLog = require('../../../app/middleware/operateLog');
+const { reqAdminIdKey } = require('../../../app/extend/config');
+
+const options = { methods: [ 'POST' ], maskFields: [ 'password', 'token' ], maxArgsLength: 100 };
+
+/**
+ * 构造请求上下文，日志服务为桩实现
+ *
+ * @param {string} method - 请求方法
+ * @param {string} path - 请求路径
+ * @param {Object} [body] - 请求参数
+ * @return {Object} 上下文
+ */
+function mockContext(method, path, body = {}) {
+  const records = [];
+  const tasks = [];
+  return {
+    method,
+    path,
+    query: {},
+    request: { ip: '10.0.0.1', body },
+    session: { [reqAdminIdKey]: 2 },
+    status: 200,
+    runInBackground: task => tasks.push(task),
+    service: { log: { recordOperate: async record => records.push(record) } },
+    records,
+    tasks,
+  };
+}
+
+/**
+ * 执行中间件及后台任务
+ *
+ * @param {Object} ctx - 上下文
+ * @param {Function} handler - 模拟的后续处理
+ * @return {Promise<Array>} 写入的操作日志
+ */
+async function run(ctx, handler) {
+  try {
+    await operateLog(options)(ctx, async () => handler(ctx));
+  } finally {
+    for (const task of ctx.tasks) {
+      await task();
+    }
+  }
+  return ctx.records;
+}
+
+describe('test/app/middleware/operateLog.test.js', () => {
+  it('should record successful write operation with masked args', async () => {
+    const ctx = mockContext('POST', '/api/system/admin/edit', { id: 3, password: 'secret', nested: { apiToken: 'abc' } });
+    const [ record ] = await run(ctx, c => {
+      c.body = { code: 200, data: '', message: '成功' };
+    });
+    assert.strictEqual(record.adminId, 2);
+    assert.strictEqual(record.realAdminId, 2);
+    assert.strictEqual(record.method, 'system:admin:edit');
+    assert.strictEqual(record.status, 1);
+    assert.strictEqual(record.error, '');
+    assert.deepStrictEqual(JSON.parse(record.args), { id: 3, password: '******', nested: { apiToken: '******' } });
+  });
+
+  it('should record business error as failure', async () => {
+    const ctx = mockContext('POST', '/api/system/admin/del', { id: 1 });
+    const [ record ] = await run(ctx, c => {
+      c.body = { code: 311, data: '', message: '系统管理员不允许删除' };
+    });
+    assert.strictEqual(record.status, 2);
+    assert.strictEqual(record.error, '系统管理员不允许删除');
+  });
+
+  it('should record thrown error and rethrow it', async () => {
+    const ctx = mockContext('POST', '/api/system/admin/add');
+    await assert.rejects(run(ctx, () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(ctx.records[0].status, 2);
+    assert.strictEqual(ctx.records[0].error, 'boom');
+  });
+
+  it('should record impersonator as real operator', async () => {
+    const ctx = mockContext('POST', '/api/system/admin/edit');
+    ctx.impersonator = { id: 1, username: 'admin' };
+    const [ record ] = await run(ctx, () => {});
+    assert.strictEqual(record.adminId, 2);
+    assert.strictEqual(record.realAdminId, 1);
+  });
+
+  it('should truncate long args', async () => {
+    const ctx = mockContext('POST', '/api/setting/website/save', { content: 'x'.repeat(500) });
+    const [ record ] = await run(ctx, () => {});
+    assert.strictEqual(record.args.length, 103);
+    assert(record.args.endsWith('...'));
+  });
+
+  it('should skip read requests and login', async () => {
+    assert.deepStrictEqual(await run(mockContext('GET', '/api/system/admin/list'), () => {}), []);
+    assert.deepStrictEqual(await run(mockContext('POST', '/api/system/login', { password: 'x' }), () => {}), []);
+  });
+});
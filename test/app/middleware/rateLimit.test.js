@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const rateLimit = require('../../../app/middleware/rateLimit');
+const ipRateLimit = require('../../../app/middleware/ipRateLimit');
+const RateLimitService = require('../../../app/service/rateLimit');
+const FakeRedis = require('../../helper/fakeRedis');
+const { reqAdminIdKey, backstageRateLimitRejectKey } = require('../../../app/extend/config');
+
+/**
+ * 构造请求上下文，限流服务使用内存实现的 Redis
+ *
+ * @param {FakeRedis} redis - Redis 桩
+ * @param {string} path - 请求路径
+ * @param {Object} [options] - {ip, adminId}
+ * @return {Object} 上下文
+ */
+function mockContext(redis, path, options = {}) {
+  const { ip = '10.0.0.1', adminId } = options;
+  const ctx = {
+    app: { config: { rateLimit: { recentSize: 10 } } },
+    path,
+    request: { ip },
+    response: {},
+    session: adminId ? { [reqAdminIdKey]: adminId } : {},
+    headers: {},
+    set: (name, value) => {
+      ctx.headers[name] = value;
+    },
+    logger: { error() {} },
+    background: [],
+    runInBackground: fn => ctx.background.push(fn()),
+    service: { redis },
+  };
+  ctx.service.rateLimit = new RateLimitService(ctx);
+  return ctx;
+}
+
+/**
+ * 执行中间件
+ *
+ * @param {Function} middleware - 中间件
+ * @param {Object} ctx - 上下文
+ * @return {Promise<boolean>} 是否放行
+ */
+async function run(middleware, ctx) {
+  let passed = false;
+  await middleware(ctx, async () => {
+    passed = true;
+  });
+  await Promise.all(ctx.background);
+  return passed;
+}
+
+const rules = [
+  { name: 'login', pattern: '/api/system/login*', limit: 2, window: 60, by: 'ip' },
+  { name: 'default', pattern: '/api/*', limit: 3, window: 60 },
+];
+
+describe('test/app/middleware/rateLimit.test.js', () => {
+  it('should set rate limit headers', async () => {
+    const redis = new FakeRedis();
+    const middleware = rateLimit({ enable: true, rules });
+    const ctx = mockContext(redis, '/api/system/admin/list', { adminId: 2 });
+    assert(await run(middleware, ctx));
+    assert.strictEqual(ctx.headers['RateLimit-Limit'], '3');
+    assert.strictEqual(ctx.headers['RateLimit-Remaining'], '2');
+    assert.strictEqual(ctx.headers['RateLimit-Reset'], '60');
+  });
+
+  it('should reject with 429 and record it when limit exceeded', async () => {
+    const redis = new FakeRedis();
+    const middleware = rateLimit({ enable: true, rules });
+    for (let i = 0; i < 3; i++) {
+      assert(await run(middleware, mockContext(redis, '/api/system/admin/list', { adminId: 2 })));
+    }
+    const ctx = mockContext(redis, '/api/system/admin/list', { adminId: 2 });
+    assert(!await run(middleware, ctx));
+    assert.strictEqual(ctx.response.status, 429);
+    assert.strictEqual(ctx.body.code, 429);
+    assert.strictEqual(ctx.headers['RateLimit-Remaining'], '0');
+    assert.strictEqual(ctx.headers['Retry-After'], '60');
+    const [ entry ] = await redis.lRange(backstageRateLimitRejectKey, 0, -1);
+    assert.strictEqual(entry.identity, 'admin:2');
+    assert.strictEqual(entry.rule, 'default');
+
+    // 其他管理员单独计数
+    assert(await run(middleware, mockContext(redis, '/api/system/admin/list', { adminId: 3 })));
+  });
+
+  it('should count login requests by ip', async () => {
+    const redis = new FakeRedis();
+    const middleware = rateLimit({ enable: true, rules });
+    assert(await run(middleware, mockContext(redis, '/api/system/login')));
+    assert(await run(middleware, mockContext(redis, '/api/system/login')));
+    assert(!await run(middleware, mockContext(redis, '/api/system/login')));
+    assert(await run(middleware, mockContext(redis, '/api/system/login', { ip: '10.0.0.2' })));
+  });
+
+  it('should not limit when disabled', async () => {
+    const redis = new FakeRedis();
+    const middleware = rateLimit({ enable: false, rules });
+    for (let i = 0; i < 5; i++) {
+      assert(await run(middleware, mockContext(redis, '/api/system/login')));
+    }
+  });
+
+  it('should limit requests by ip before authentication', async () => {
+    const redis = new FakeRedis();
+    const middleware = ipRateLimit({ enable: true, rules: [{ name: 'ip', pattern: '/api/*', limit: 2, window: 60 }] });
+    // 认证前没有管理员身份，不同 Token 的请求按同一 IP 计数
+    assert(await run(middleware, mockContext(redis, '/api/system/admin/list')));
+    assert(await run(middleware, mockContext(redis, '/api/system/admin/list')));
+    const ctx = mockContext(redis, '/api/system/admin/list', { adminId: 2 });
+    assert(!await run(middleware, ctx));
+    assert.strictEqual(ctx.response.status, 429);
+    assert(await run(middleware, mockContext(redis, '/api/system/admin/list', { ip: '10.0.0.2' })));
+  });
+});
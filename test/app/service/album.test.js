@@ -0,0 +1,117 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const AlbumService = require('../../../app/service/album');
+
+/**
+ * 构造上传文件流
+ *
+ * @param {Buffer} buf - 文件内容
+ * @param {string} filename - 原始文件名
+ * @return {Stream} 文件流
+ */
+function fileStream(buf, filename) {
+  const stream = Readable.from([ buf.slice(0, 10), buf.slice(10) ]);
+  stream.filename = filename;
+  return stream;
+}
+
+/**
+ * 构造服务实例，服务均为桩实现，不依赖 MySQL、Redis
+ *
+ * @param {Object|null} existing - 当前存储引擎中内容相同的 Album 记录
+ * @return {Object} {service, calls}：服务实例、数据库和存储调用记录
+ */
+function createService(existing) {
+  const calls = { findOne: [], create: [], save: 0 };
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  const ctx = {
+    app: { config: {} },
+    session: { admin_id: 2 },
+    logger: { warn() {}, error() {} },
+    model: {
+      transaction: async fn => fn(transaction),
+      Album: {
+        findOne: async options => {
+          calls.findOne.push(options);
+          return existing;
+        },
+        create: async (values, options) => {
+          calls.create.push({ values, options });
+          return { id: 10 };
+        },
+      },
+    },
+    service: {
+      storage: {
+        engine: async () => 'local',
+        driver: async () => ({
+          exists: async () => true,
+          publicUrl: key => `http://127.0.0.1/${key}`,
+        }),
+        save: async () => {
+          calls.save++;
+          return { engine: 'local', key: 'uploads/image/new.png', url: 'http://127.0.0.1/uploads/image/new.png' };
+        },
+      },
+      thumbnail: {
+        sizesName: () => '200x200',
+        isSupported: () => true,
+        generate: async () => [ '200x200' ],
+      },
+    },
+  };
+  return { service: new AlbumService(ctx), calls, transaction };
+}
+
+describe('test/app/service/album.test.js', () => {
+  let jpeg;
+  let png;
+
+  before(async () => {
+    const image = () => sharp({ create: { width: 4, height: 2, channels: 3, background: '#00ff00' } });
+    jpeg = await image().jpeg()
+      .withExif({ IFD0: { Make: 'SecretCamera' } })
+      .toBuffer();
+    png = await image().png()
+      .toBuffer();
+  });
+
+  it('should hash uploaded content while reading stream', async () => {
+    const { service } = createService(null);
+    const { content, hash, mime } = await service.handleUploadFile(fileStream(jpeg, 'a.jpg'), 10);
+    assert.strictEqual(mime, 'image/jpeg');
+    assert(content.length < jpeg.length);
+    assert.strictEqual(hash, crypto.createHash('sha256').update(jpeg)
+      .digest('hex'));
+  });
+
+  it('should reference existing file in locked transaction', async () => {
+    const existing = { uri: 'uploads/image/old.png', variants: '200x200', thumbFail: '' };
+    const { service, calls, transaction } = createService(existing);
+    const res = await service.uploadFile(1, fileStream(png, 'b.png'), 10);
+
+    assert.deepStrictEqual(res, { id: 10, path: 'http://127.0.0.1/uploads/image/old.png' });
+    assert.strictEqual(calls.save, 0);
+    assert.strictEqual(calls.findOne[0].transaction, transaction);
+    assert.strictEqual(calls.findOne[0].lock, transaction.LOCK.UPDATE);
+    assert.strictEqual(calls.create[0].options.transaction, transaction);
+    assert.strictEqual(calls.create[0].values.uri, 'uploads/image/old.png');
+    assert.strictEqual(calls.create[0].values.variants, '200x200');
+  });
+
+  it('should save new file when no file has the same content', async () => {
+    const { service, calls } = createService(null);
+    const res = await service.uploadFile(1, fileStream(png, 'b.png'), 10);
+
+    assert.deepStrictEqual(res, { id: 10, path: 'http://127.0.0.1/uploads/image/new.png' });
+    assert.strictEqual(calls.save, 1);
+    assert.strictEqual(calls.create[0].options.transaction, undefined);
+    assert.strictEqual(calls.create[0].values.uri, 'uploads/image/new.png');
+    assert.strictEqual(calls.create[0].values.variants, '200x200');
+    assert.strictEqual(calls.create[0].values.thumbFail, '');
+  });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('assert');
+const ApiKeyService = require('../../../app/service/apiKey');
+
+/**
+ * 构造服务实例，服务均为桩实现，不依赖 MySQL、Redis
+ *
+ * @param {Object} [sudo] - config.sudo
+ * @return {ApiKeyService} 服务实例
+ */
+function createService(sudo = {}) {
+  const ctx = {
+    app: { config: { sudo } },
+    service: {
+      authAdmin: {
+        selectPermsByRoles: async () => [ 'system:admin:list', 'system:admin:del' ],
+      },
+    },
+  };
+  return new ApiKeyService(ctx);
+}
+
+describe('test/app/service/apiKey.test.js', () => {
+  describe('effectivePerms()', () => {
+    const keyPerms = [ 'system:admin:list', 'system:admin:del', 'setting:storage:change', 'system:role:list' ];
+
+    it('should exclude sensitive perms by default', async () => {
+      const perms = await createService().effectivePerms(keyPerms, { id: 2, role: '2' });
+      assert.deepStrictEqual(perms, [ 'system:admin:list' ]);
+    });
+
+    it('should exclude sensitive perms for super admin key', async () => {
+      const perms = await createService().effectivePerms(keyPerms, { id: 1, role: '0' });
+      assert.deepStrictEqual(perms, [ 'system:admin:list', 'system:role:list' ]);
+    });
+
+    it('should keep sensitive perms when config.sudo.apiKey is enabled', async () => {
+      const perms = await createService({ apiKey: true }).effectivePerms(keyPerms, { id: 2, role: '2' });
+      assert.deepStrictEqual(perms, [ 'system:admin:list', 'system:admin:del' ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const AuthAdminService = require('../../../app/service/authAdmin');
+const { reqAdminIdKey } = require('../../../app/extend/config');
+
+/**
+ * 构造服务实例，数据库和依赖的服务为桩实现
+ *
+ * @param {number} adminId - 当前登录的管理员ID
+ * @return {Object} {service, admin, destroyed}：服务实例、被编辑的管理员、被注销会话的管理员ID
+ */
+function createService(adminId) {
+  const destroyed = [];
+  const admin = {
+    id: 2,
+    username: 'editor',
+    update: async values => Object.assign(admin, values),
+  };
+  const ctx = {
+    app: { config: {} },
+    session: { [reqAdminIdKey]: adminId },
+    model: {
+      SystemAuthAdmin: {
+        // 第一次查询被编辑的管理员，之后为账号、昵称重复检查
+        findOne: async ({ where }) => (where.id === 2 ? admin : null),
+      },
+      SystemAuthRole: { findAll: async () => [{ id: 2 }] },
+    },
+    service: {
+      dataScope: { adminWhere: async () => ({}) },
+      passwordPolicy: {
+        validate: async () => {},
+        build: async (password, row, mustChange) => ({ password: `hash:${password}`, pwdMustChange: mustChange ? 1 : 0 }),
+      },
+      authSession: { destroyAll: async id => destroyed.push(id) },
+    },
+  };
+  const service = new AuthAdminService(ctx);
+  service.cacheAdminUserByUid = async () => {};
+  return { service, admin, destroyed };
+}
+
+const editReq = { id: 2, username: 'editor', nickname: 'Editor', role: 2 };
+
+describe('test/app/service/authAdmin.test.js', () => {
+  it('should destroy sessions when resetting password of another admin', async () => {
+    const { service, admin, destroyed } = createService(1);
+    await service.edit({ ...editReq, password: 'Passw0rd!' });
+    assert.strictEqual(admin.password, 'hash:Passw0rd!');
+    assert.strictEqual(admin.pwdMustChange, 1);
+    assert.deepStrictEqual(destroyed, [ 2 ]);
+  });
+
+  it('should destroy sessions when changing own password', async () => {
+    const { service, admin, destroyed } = createService(2);
+    await service.edit({ ...editReq, password: 'Passw0rd!' });
+    assert.strictEqual(admin.pwdMustChange, 0);
+    assert.deepStrictEqual(destroyed, [ 2 ]);
+  });
+
+  it('should keep sessions when password is not set', async () => {
+    const { service, admin, destroyed } = createService(1);
+    await service.edit({ ...editReq, password: '  ', nickname: 'Renamed' });
+    assert.strictEqual(admin.nickname, 'Renamed');
+    assert.strictEqual(admin.password, undefined);
+    assert.deepStrictEqual(destroyed, []);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const AuthSessionService = require('../../../app/service/authSession');
+const FakeRedis = require('../../helper/fakeRedis');
+const { backstageTokenKey, backstageTokenSet, tokenExpire, tokenRenewTime } = require('../../../app/extend/config');
+
+/**
+ * 构造服务实例，Redis 使用内存实现
+ *
+ * @return {Object} {service, redis}：服务实例、Redis 桩
+ */
+function createService() {
+  const redis = new FakeRedis();
+  let seq = 0;
+  const ctx = {
+    app: { config: {} },
+    request: { ip: '10.0.0.1', header: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36' } },
+    service: { redis },
+    setToken: () => `token${++seq}`,
+  };
+  return { service: new AuthSessionService(ctx), redis };
+}
+
+describe('test/app/service/authSession.test.js', () => {
+  it('should create session and list it', async () => {
+    const { service } = createService();
+    const token = await service.create({ id: 1, isMultipoint: 1 });
+    const session = await service.get(token);
+    assert.strictEqual(session.adminId, 1);
+    assert.strictEqual(session.ip, '10.0.0.1');
+    const list = await service.list(1, token);
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].current, true);
+    assert.notStrictEqual(list[0].id, token);
+  });
+
+  it('should destroy other sessions when multipoint login is disabled', async () => {
+    const { service } = createService();
+    const first = await service.create({ id: 1, isMultipoint: 0 });
+    const second = await service.create({ id: 1, isMultipoint: 0 });
+    assert.strictEqual(await service.get(first), null);
+    assert(await service.get(second));
+  });
+
+  it('should revoke a session by id', async () => {
+    const { service, redis } = createService();
+    const token = await service.create({ id: 1, isMultipoint: 1 });
+    const other = await service.create({ id: 1, isMultipoint: 1 });
+    const [ item ] = await service.list(1);
+    assert(!await service.revoke(1, 'unknown'));
+    assert(await service.revoke(1, item.id));
+    const remaining = await redis.sGet(backstageTokenSet + 1);
+    assert.strictEqual(remaining.length, 1);
+    assert([ token, other ].includes(remaining[0]));
+  });
+
+  it('should destroy all sessions except the current one', async () => {
+    const { service } = createService();
+    const current = await service.create({ id: 1, isMultipoint: 1 });
+    const other = await service.create({ id: 1, isMultipoint: 1 });
+    await service.destroyAll(1, current);
+    assert(await service.get(current));
+    assert.strictEqual(await service.get(other), null);
+    await service.destroyAll(1);
+    assert.strictEqual(await service.get(current), null);
+  });
+
+  it('should renew session when remaining ttl is short', async () => {
+    const { service, redis } = createService();
+    const token = await service.create({ id: 1, isMultipoint: 1 }, {}, tokenRenewTime - 10);
+    await service.touch(token, await service.get(token));
+    assert.strictEqual(await redis.ttl(backstageTokenKey + token), tokenExpire);
+  });
+
+  it('should not revive a session revoked after reading it', async () => {
+    const { service, redis } = createService();
+    const token = await service.create({ id: 1, isMultipoint: 1 }, {}, tokenRenewTime - 10);
+    const session = await service.get(token);
+    // 读取 TTL 之后会话被注销
+    const ttl = redis.ttl.bind(redis);
+    redis.ttl = async key => {
+      const value = await ttl(key);
+      await service.destroy(token);
+      return value;
+    };
+    await service.touch(token, session);
+    assert.strictEqual(await service.get(token), null);
+    assert.deepStrictEqual(await redis.sGet(backstageTokenSet + 1), []);
+  });
+});
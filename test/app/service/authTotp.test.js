@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const AuthTotpService = require('../../../app/service/authTotp');
+const totpUtil = require('../../../app/util/totpUtil');
+const FakeRedis = require('../../helper/fakeRedis');
+
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const recoveryCode = 'abcde-12345';
+const recoveryHash = crypto.createHash('sha256').update('abcde12345')
+  .digest('hex');
+
+/**
+ * 构造服务实例，数据库为桩实现，Redis 使用内存实现
+ *
+ * @return {Object} {service, redis, rows}：服务实例、Redis 桩、管理员表数据
+ */
+function createService() {
+  const redis = new FakeRedis();
+  const rows = { 2: { id: 2, totpRecovery: JSON.stringify([ recoveryHash ]) } };
+  const ctx = {
+    app: {
+      config: {
+        totp: { window: 1, ticketExpire: 300, ticketMaxAttempts: 5, recoveryCount: 10 },
+      },
+    },
+    service: { redis },
+    model: {
+      SystemAuthAdmin: {
+        // 按条件更新，返回 [影响行数]
+        update: async (values, { where }) => {
+          const row = rows[where.id];
+          if (!row || Object.keys(where).some(field => row[field] !== where[field])) {
+            return [ 0 ];
+          }
+          Object.assign(row, values);
+          return [ 1 ];
+        },
+      },
+    },
+  };
+  return { service: new AuthTotpService(ctx), redis, rows };
+}
+
+describe('test/app/service/authTotp.test.js', () => {
+  it('should limit ticket attempts under concurrent requests', async () => {
+    const { service } = createService();
+    const ticket = await service.createTicket({ id: 2 }, { sso: 1 });
+    const results = await Promise.all(Array.from({ length: 10 }, () => service.useTicket(ticket)));
+    assert.strictEqual(results.filter(res => res.adminId === 2).length, 5);
+    assert.deepStrictEqual(results[0].extra, { sso: 1 });
+    // 超过次数后凭证作废
+    assert.strictEqual((await service.useTicket(ticket)).adminId, 0);
+  });
+
+  it('should reject invalid ticket', async () => {
+    const { service } = createService();
+    assert.deepStrictEqual(await service.useTicket(''), { adminId: 0, extra: {} });
+    assert.deepStrictEqual(await service.useTicket('unknown'), { adminId: 0, extra: {} });
+  });
+
+  it('should accept a totp code only once under concurrent requests', async () => {
+    const { service } = createService();
+    const admin = { id: 2, totpEnable: 1, totpSecret: secret };
+    const code = totpUtil.totp(secret);
+    const results = await Promise.all([ service.verify(admin, code), service.verify(admin, code) ]);
+    assert.deepStrictEqual(results.sort(), [ false, true ]);
+    assert(!await service.verify(admin, code));
+  });
+
+  it('should accept a recovery code only once under concurrent requests', async () => {
+    const { service, rows } = createService();
+    // 两个请求读取的是同一份管理员记录
+    const admin = { id: 2, totpEnable: 1, totpSecret: secret, totpRecovery: rows[2].totpRecovery };
+    const results = await Promise.all([ service.verify({ ...admin }, recoveryCode), service.verify({ ...admin }, 'ABCDE12345') ]);
+    assert.deepStrictEqual(results.sort(), [ false, true ]);
+    assert.strictEqual(rows[2].totpRecovery, '[]');
+  });
+
+  it('should reject code when totp is not enabled', async () => {
+    const { service } = createService();
+    assert(!await service.verify({ id: 2, totpEnable: 0, totpSecret: secret }, totpUtil.totp(secret)));
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('assert');
+const CaptchaService = require('../../../app/service/captcha');
+const FakeRedis = require('../../helper/fakeRedis');
+const { backstageCaptchaKey } = require('../../../app/extend/config');
+
+/**
+ * 构造服务实例，Redis 使用内存实现
+ *
+ * @param {Object} [security] - 安全设置 {captchaMode, captchaFails}
+ * @param {number} [fails] - 登录失败次数
+ * @return {Object} {service, redis}：服务实例、Redis 桩
+ */
+function createService(security = { captchaMode: 0, captchaFails: 3 }, fails = 0) {
+  const redis = new FakeRedis();
+  const ctx = {
+    app: { config: { captcha: { length: 4, width: 120, height: 40, expire: 300 } } },
+    service: {
+      redis,
+      security: { details: async () => security },
+      loginLock: { failCount: async () => fails },
+    },
+  };
+  return { service: new CaptchaService(ctx), redis };
+}
+
+describe('test/app/service/captcha.test.js', () => {
+  it('should create captcha and verify it only once', async () => {
+    const { service, redis } = createService();
+    const { id, svg } = await service.create();
+    assert(svg.startsWith('<svg'));
+    const answer = await redis.get(backstageCaptchaKey + id);
+    assert(await service.verify(id, ` ${answer.toUpperCase()} `));
+    assert(!await service.verify(id, answer));
+  });
+
+  it('should invalidate captcha after a wrong answer', async () => {
+    const { service, redis } = createService();
+    const { id } = await service.create();
+    const answer = await redis.get(backstageCaptchaKey + id);
+    assert(!await service.verify(id, 'wrong'));
+    assert(!await service.verify(id, answer));
+  });
+
+  it('should accept a captcha only once under concurrent requests', async () => {
+    const { service, redis } = createService();
+    const { id } = await service.create();
+    const answer = await redis.get(backstageCaptchaKey + id);
+    const results = await Promise.all([ service.verify(id, answer), service.verify(id, answer) ]);
+    assert.deepStrictEqual(results.sort(), [ false, true ]);
+  });
+
+  it('should reject empty id or code', async () => {
+    const { service } = createService();
+    assert(!await service.verify('', 'abcd'));
+    assert(!await service.verify('id', ''));
+  });
+
+  it('should decide whether captcha is required', async () => {
+    assert(!await createService({ captchaMode: 0, captchaFails: 3 }, 10).service.isRequired('admin', '10.0.0.1'));
+    assert(await createService({ captchaMode: 2, captchaFails: 3 }).service.isRequired('admin', '10.0.0.1'));
+    assert(!await createService({ captchaMode: 1, captchaFails: 3 }, 2).service.isRequired('admin', '10.0.0.1'));
+    assert(await createService({ captchaMode: 1, captchaFails: 3 }, 3).service.isRequired('admin', '10.0.0.1'));
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const { Op } = require('sequelize');
+const DataScopeService = require('../../../app/service/dataScope');
+const { reqAdminIdKey } = require('../../../app/extend/config');
+
+/**
+ * 按 Sequelize where 条件过滤数据，仅支持相等和 Op.in
+ *
+ * @param {Array} rows - 数据
+ * @param {Object} where - 查询条件
+ * @return {Array} 匹配的数据
+ */
+function filter(rows, where) {
+  return rows.filter(row => Object.keys(where).every(field => {
+    const cond = where[field];
+    if (cond && cond[Op.in]) {
+      return cond[Op.in].map(Number).includes(row[field]);
+    }
+    return row[field] === cond;
+  }));
+}
+
+/**
+ * 构造服务实例，数据库为内存桩实现
+ * 部门树：1 -> 2 -> 3，4 为独立部门
+ *
+ * @param {number} adminId - 当前管理员ID
+ * @return {DataScopeService} 服务实例
+ */
+function createService(adminId) {
+  const admins = [
+    { id: 2, deptId: 2, role: '2' },
+    { id: 3, deptId: 3, role: '3' },
+    { id: 4, deptId: 4, role: '4' },
+    { id: 5, deptId: 2, role: '5,6' },
+    { id: 6, deptId: 2, role: '' },
+  ];
+  const roles = [
+    { id: 2, dataScope: 4, isDisable: 0 },
+    { id: 3, dataScope: 2, deptIds: '4', isDisable: 0 },
+    { id: 4, dataScope: 5, isDisable: 0 },
+    { id: 5, dataScope: 3, isDisable: 0 },
+    { id: 6, dataScope: 1, isDisable: 1 },
+  ];
+  const depts = [
+    { id: 1, pid: 0, isDelete: 0 },
+    { id: 2, pid: 1, isDelete: 0 },
+    { id: 3, pid: 2, isDelete: 0 },
+    { id: 4, pid: 0, isDelete: 0 },
+  ];
+  const ctx = {
+    app: { config: {} },
+    session: { [reqAdminIdKey]: adminId },
+    model: {
+      SystemAuthAdmin: {
+        findByPk: async id => admins.find(a => a.id === id) || null,
+        findAll: async ({ where }) => filter(admins, where),
+      },
+      SystemAuthRole: { findAll: async ({ where }) => filter(roles, where) },
+      SystemAuthDept: { findAll: async ({ where }) => filter(depts, where) },
+    },
+  };
+  return new DataScopeService(ctx);
+}
+
+describe('test/app/service/dataScope.test.js', () => {
+  it('should not limit super admin', async () => {
+    assert.strictEqual(await createService(1).resolve(), null);
+    assert.deepStrictEqual(await createService(1).adminWhere(), {});
+  });
+
+  it('should expand department and children', async () => {
+    const scope = await createService(2).resolve();
+    assert.deepStrictEqual(scope.deptIds.sort(), [ 2, 3 ]);
+    assert.deepStrictEqual((await createService(2).adminIds()).sort(), [ 2, 3, 5, 6 ]);
+  });
+
+  it('should use custom departments', async () => {
+    assert.deepStrictEqual((await createService(3).adminIds()).sort(), [ 3, 4 ]);
+    assert(await createService(3).hasAdmin(4));
+    assert(!await createService(3).hasAdmin(2));
+  });
+
+  it('should only see self', async () => {
+    assert.deepStrictEqual(await createService(4).adminIds(), [ 4 ]);
+  });
+
+  it('should ignore disabled roles', async () => {
+    // 角色 6 为全部数据但已禁用，只保留角色 5 的本部门范围
+    const scope = await createService(5).resolve();
+    assert.deepStrictEqual(scope, { adminId: 5, deptIds: [ 2 ] });
+  });
+
+  it('should only see self without roles', async () => {
+    assert.deepStrictEqual(await createService(6).resolve(), { adminId: 6, deptIds: [] });
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('assert');
+const { Op } = require('sequelize');
+const dayjs = require('dayjs');
+const LogService = require('../../../app/service/log');
+
+const createTime = dayjs('2024-03-01 08:30:00').unix();
+const rows = [
+  { id: 2, adminId: 0, username: '=cmd|calc', ip: '10.0.0.2', os: '{"name":"Windows","version":"10"}', browser: '{"name":"Chrome","version":"120.0"}', status: 2, createTime },
+  { id: 1, adminId: 1, username: 'admin', ip: '10.0.0.1', os: '{"name":"Mac OS","version":"14"}', browser: 'not json', status: 1, createTime },
+];
+
+/**
+ * 构造服务实例，登录日志表为桩实现，记录查询参数
+ *
+ * @return {Object} {service, queries}：服务实例、查询参数记录
+ */
+function createService() {
+  const queries = [];
+  const toModel = row => ({ toJSON: () => ({ ...row }) });
+  const SystemLogLogin = {
+    findAndCountAll: async options => {
+      queries.push(options);
+      return { count: rows.length, rows: rows.map(toModel) };
+    },
+    findAll: async options => {
+      queries.push(options);
+      return rows.map(toModel);
+    },
+  };
+  const ctx = { app: { config: {}, model: { SystemLogLogin } } };
+  return { service: new LogService(ctx), queries };
+}
+
+describe('test/app/service/log.test.js', () => {
+  it('should build login log filters', () => {
+    const { service } = createService();
+    const where = service.loginWhere({ username: 'adm', ip: '10.0', status: '2', startTime: '2024-03-01', endTime: '2024-03-01' });
+    assert.deepStrictEqual(where.username, { [Op.like]: '%adm%' });
+    assert.deepStrictEqual(where.ip, { [Op.like]: '%10.0%' });
+    assert.strictEqual(where.status, '2');
+    assert.strictEqual(where.createTime[Op.gte], dayjs('2024-03-01').unix());
+    // 只有日期的结束时间取当天结束
+    assert.strictEqual(where.createTime[Op.lte], dayjs('2024-03-01').endOf('day')
+      .unix());
+    assert.deepStrictEqual(service.loginWhere({ startTime: 'invalid' }), {});
+    assert.deepStrictEqual(service.loginWhere({ endTime: '1709251200' }).createTime, { [Op.lte]: 1709251200 });
+  });
+
+  it('should list login logs with pagination', async () => {
+    const { service, queries } = createService();
+    const data = await service.login({ pageNo: 2, pageSize: 10 });
+    assert.strictEqual(queries[0].limit, 10);
+    assert.strictEqual(queries[0].offset, 10);
+    assert.strictEqual(data.count, 2);
+    assert.strictEqual(data.lists[0].os, 'Windows 10');
+    assert.strictEqual(data.lists[0].browser, 'Chrome 120.0');
+    assert.strictEqual(data.lists[1].browser, 'not json');
+    assert.strictEqual(data.lists[0].createTime, '2024-03-01 08:30:00');
+  });
+
+  it('should export login logs as csv', async () => {
+    const { service, queries } = createService();
+    const csv = await service.loginExport({ status: '1' });
+    assert.strictEqual(queries[0].where.status, '1');
+    assert(csv.startsWith('\ufeff'));
+    const lines = csv.slice(1).split('\r\n');
+    assert.strictEqual(lines.length, 3);
+    assert.strictEqual(lines[0], 'ID,管理员ID,登录账号,登录地址,操作系统,浏览器,登录状态,登录时间');
+    // 以 = 开头的字段前置单引号，防止被当作公式
+    assert.strictEqual(lines[1], "2,0,'=cmd|calc,10.0.0.2,Windows 10,Chrome 120.0,失败,2024-03-01 08:30:00");
+    assert.strictEqual(lines[2], '1,1,admin,10.0.0.1,Mac OS 14,not json,成功,2024-03-01 08:30:00');
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert');
+const LoginLockService = require('../../../app/service/loginLock');
+const FakeRedis = require('../../helper/fakeRedis');
+
+/**
+ * 构造服务实例，Redis 使用内存实现
+ *
+ * @param {Object} [loginLock] - 覆盖的 config.loginLock 配置
+ * @return {Object} {service, redis}：服务实例、Redis 桩
+ */
+function createService(loginLock = {}) {
+  const redis = new FakeRedis();
+  const ctx = {
+    app: { config: { loginLock: { enable: true, userMaxFails: 3, ipMaxFails: 5, window: 600, lockTime: 900, ...loginLock } } },
+    logger: { warn() {} },
+    service: { redis },
+  };
+  return { service: new LoginLockService(ctx), redis };
+}
+
+describe('test/app/service/loginLock.test.js', () => {
+  it('should lock username after max fails', async () => {
+    const { service } = createService();
+    assert.strictEqual(await service.fail('admin', '10.0.0.1'), 2);
+    assert.strictEqual(await service.fail('admin', '10.0.0.1'), 1);
+    assert.strictEqual(await service.check('admin', '10.0.0.1'), 0);
+    assert.strictEqual(await service.failCount('admin', '10.0.0.1'), 2);
+    assert.strictEqual(await service.fail('admin', '10.0.0.1'), 0);
+    assert.strictEqual(await service.check('admin', '10.0.0.2'), 900);
+    // 锁定后清空账号计数，IP 计数保留
+    assert.strictEqual(await service.failCount('admin', '10.0.0.2'), 0);
+    assert.strictEqual(await service.failCount('other', '10.0.0.1'), 3);
+  });
+
+  it('should count concurrent fails without losing updates', async () => {
+    const { service } = createService({ userMaxFails: 10 });
+    await Promise.all(Array.from({ length: 4 }, () => service.fail('admin', '10.0.0.1')));
+    assert.strictEqual(await service.failCount('admin', '10.0.0.1'), 4);
+  });
+
+  it('should lock ip across usernames', async () => {
+    const { service } = createService();
+    for (let i = 0; i < 5; i++) {
+      await service.fail(`user${i}`, '10.0.0.1');
+    }
+    assert.strictEqual(await service.check('someone', '10.0.0.1'), 900);
+    assert.strictEqual(await service.check('someone', '10.0.0.2'), 0);
+  });
+
+  it('should reset fail count window after expiry', async () => {
+    const { service, redis } = createService();
+    await service.fail('admin', '10.0.0.1');
+    await service.fail('admin', '10.0.0.1');
+    redis.now += 601 * 1000;
+    assert.strictEqual(await service.failCount('admin', '10.0.0.1'), 0);
+    assert.strictEqual(await service.fail('admin', '10.0.0.1'), 2);
+  });
+
+  it('should reset username count on success and unlock manually', async () => {
+    const { service } = createService();
+    await service.fail('admin', '10.0.0.1');
+    await service.reset('admin');
+    assert.strictEqual(await service.failCount('admin', '10.0.0.2'), 0);
+    assert.strictEqual(await service.failCount('admin', '10.0.0.1'), 1);
+
+    for (let i = 0; i < 3; i++) {
+      await service.fail('admin', '10.0.0.1');
+    }
+    assert(await service.check('admin', '10.0.0.2') > 0);
+    await service.unlock('admin', '10.0.0.1');
+    assert.strictEqual(await service.check('admin', '10.0.0.1'), 0);
+    assert.strictEqual(await service.failCount('admin', '10.0.0.1'), 0);
+  });
+
+  it('should do nothing when disabled', async () => {
+    const { service } = createService({ enable: false });
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(await service.fail('admin', '10.0.0.1'), 3);
+    }
+    assert.strictEqual(await service.check('admin', '10.0.0.1'), 0);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const LoginRsaService = require('../../../app/service/loginRsa');
+const nodersa = require('../../../app/extend/nodersa');
+const FakeRedis = require('../../helper/fakeRedis');
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+
+/**
+ * 构造服务实例，Redis 使用内存实现
+ *
+ * @param {Object} [options] - 覆盖的 loginRsa 配置
+ * @return {Object} {service, redis}：服务实例、Redis 桩
+ */
+function createService(options = {}) {
+  const redis = new FakeRedis();
+  const loginRsa = { required: false, keys: [{ id: 'k1', privateKey }], nonceExpire: 300, timeSkew: 300, ...options };
+  const ctx = {
+    app: { config: { loginRsa } },
+    nodersa,
+    service: { redis },
+  };
+  return { service: new LoginRsaService(ctx), redis };
+}
+
+/**
+ * 按客户端的方式加密密码
+ *
+ * @param {Object} key - publicKey() 的返回值
+ * @param {string} password - 明文密码
+ * @param {number} [timestamp] - 时间戳（秒），默认为当前时间
+ * @return {Promise<string>} Base64 编码的密文
+ */
+function encrypt(key, password, timestamp = Math.floor(Date.now() / 1000)) {
+  return nodersa.rsaEncrypt(`${timestamp}:${key.nonce}:${password}`, key.publicKey);
+}
+
+describe('test/app/service/loginRsa.test.js', () => {
+  it('should be disabled without keys', async () => {
+    const { service } = createService({ keys: [] });
+    assert.deepStrictEqual(await service.publicKey(), { enable: false, required: false });
+  });
+
+  it('should decrypt a password containing colons', async () => {
+    const { service } = createService();
+    const key = await service.publicKey();
+    assert(key.enable && key.keyId === 'k1');
+    const cipher = await encrypt(key, 'a:b:c');
+    assert.strictEqual(await service.decrypt(cipher, key.keyId), 'a:b:c');
+  });
+
+  it('should reject a replayed cipher', async () => {
+    const { service } = createService();
+    const key = await service.publicKey();
+    const cipher = await encrypt(key, 'secret');
+    assert.strictEqual(await service.decrypt(cipher), 'secret');
+    await assert.rejects(service.decrypt(cipher), /请求已过期/);
+  });
+
+  it('should accept a cipher only once under concurrent requests', async () => {
+    const { service } = createService();
+    const key = await service.publicKey();
+    const cipher = await encrypt(key, 'secret');
+    const results = await Promise.allSettled([ service.decrypt(cipher), service.decrypt(cipher) ]);
+    assert.deepStrictEqual(results.map(item => item.status).sort(), [ 'fulfilled', 'rejected' ]);
+  });
+
+  it('should reject an unknown or expired nonce', async () => {
+    const { service, redis } = createService();
+    const forged = await encrypt({ nonce: 'deadbeef', publicKey: (await service.publicKey()).publicKey }, 'secret');
+    await assert.rejects(service.decrypt(forged), /请求已过期/);
+
+    const key = await service.publicKey();
+    const cipher = await encrypt(key, 'secret');
+    redis.now += 301 * 1000;
+    await assert.rejects(service.decrypt(cipher), /请求已过期/);
+  });
+
+  it('should reject a timestamp outside the allowed skew', async () => {
+    const { service } = createService();
+    const key = await service.publicKey();
+    const cipher = await encrypt(key, 'secret', Math.floor(Date.now() / 1000) - 301);
+    await assert.rejects(service.decrypt(cipher), /请求已过期/);
+  });
+
+  it('should reject unknown key id and garbage cipher', async () => {
+    const { service } = createService();
+    await assert.rejects(service.decrypt('abc', 'old'), /密钥已更新/);
+    await assert.rejects(service.decrypt('abc'), /密码解密失败/);
+  });
+});
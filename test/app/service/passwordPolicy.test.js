@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert');
+const PasswordPolicyService = require('../../../app/service/passwordPolicy');
+const passwordUtil = require('../../../app/util/passwordUtil');
+
+/**
+ * 构造服务实例，安全设置为桩实现
+ *
+ * @param {Object} [security] - 覆盖的安全设置
+ * @return {PasswordPolicyService} 服务实例
+ */
+function createService(security = {}) {
+  const ctx = {
+    app: { config: {} },
+    service: {
+      security: {
+        details: async () => ({ pwdMinLength: 8, pwdClasses: [ 'lower', 'upper', 'digit' ], pwdHistory: 2, pwdMaxAge: 90, ...security }),
+      },
+    },
+  };
+  return new PasswordPolicyService(ctx);
+}
+
+describe('test/app/service/passwordPolicy.test.js', () => {
+  it('should check length and character classes', async () => {
+    const service = createService();
+    await assert.rejects(service.validate('Ab1'), /密码必须在8~64位/);
+    await assert.rejects(service.validate(`Ab1${'x'.repeat(62)}`), /密码必须在8~64位/);
+    await assert.rejects(service.validate('abcdefgh'), /密码必须包含大写字母、数字/);
+    await service.validate('Abcdefg1');
+    await assert.rejects(createService({ pwdClasses: [ 'symbol' ] }).validate('Abcdefg1'), /特殊字符/);
+  });
+
+  it('should reject recently used passwords', async () => {
+    const service = createService();
+    const admin = {
+      password: await passwordUtil.hash('Current1'),
+      pwdHistory: JSON.stringify([ await passwordUtil.hash('Previous1'), await passwordUtil.hash('Oldest11') ]),
+    };
+    await assert.rejects(service.validate('Current1', admin), /不能使用最近2次使用过的密码/);
+    await assert.rejects(service.validate('Previous1', admin), /不能使用最近2次使用过的密码/);
+    // 超出历史次数的密码可以再次使用
+    await service.validate('Oldest11', admin);
+    // 历史记录格式不正确时只比较当前密码
+    await service.validate('Previous1', { ...admin, pwdHistory: 'broken' });
+  });
+
+  it('should build password fields and keep limited history', async () => {
+    const service = createService();
+    const data = await service.build('Newpass1', { password: 'h1', pwdHistory: JSON.stringify([ 'h2', 'h3' ]) }, true);
+    assert(await passwordUtil.verify('Newpass1', data.password));
+    assert.strictEqual(data.salt, '');
+    assert.deepStrictEqual(JSON.parse(data.pwdHistory), [ 'h1', 'h2' ]);
+    assert.strictEqual(data.pwdMustChange, 1);
+    assert(Math.abs(data.pwdChangeTime - (Date.now() / 1000)) < 5);
+
+    const created = await service.build('Newpass1');
+    assert.strictEqual(created.pwdHistory, '[]');
+    assert.strictEqual(created.pwdMustChange, 0);
+  });
+
+  it('should require change on first login or after expiry', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    assert.strictEqual(await createService().mustChange({ pwdMustChange: 1, pwdChangeTime: now }), 'initial');
+    assert.strictEqual(await createService().mustChange({ pwdMustChange: 0, pwdChangeTime: now - (91 * 86400) }), 'expired');
+    assert.strictEqual(await createService().mustChange({ pwdMustChange: 0, pwdChangeTime: now - (89 * 86400) }), '');
+    assert.strictEqual(await createService({ pwdMaxAge: 0 }).mustChange({ pwdMustChange: 0, pwdChangeTime: 0 }), '');
+  });
+});
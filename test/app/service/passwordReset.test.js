@@ -0,0 +1,153 @@
+'use strict';
+
+const assert = require('assert');
+const PasswordResetService = require('../../../app/service/passwordReset');
+const SmtpService = require('../../../app/service/smtp');
+const email = require('../../../app/extend/email');
+const FakeRedis = require('../../helper/fakeRedis');
+const SmtpServer = require('../../helper/smtpServer');
+
+/**
+ * 构造服务实例，邮件通过本地 SMTP 服务桩发送，Redis 使用内存实现，数据库为桩实现
+ *
+ * @param {number} port - SMTP 服务端口
+ * @return {Object} {service, admin, calls}：服务实例、管理员记录、依赖服务的调用记录
+ */
+function createService(port) {
+  const calls = [];
+  const admin = {
+    id: 2,
+    username: 'editor',
+    email: 'Editor@Example.com',
+    isDisable: 0,
+    pwdChangeTime: 1700000000,
+    update: async values => Object.assign(admin, values),
+  };
+  const ctx = {
+    app: {
+      config: {
+        keys: 'test-keys',
+        passwordReset: { expire: 1800, interval: 60, url: 'https://admin.example.com/reset-password' },
+      },
+    },
+    email,
+    logger: { warn() {}, error() {} },
+    model: {
+      SystemAuthAdmin: {
+        findOne: async ({ where }) => ((where.username === admin.username || where.id === admin.id) ? admin : null),
+      },
+    },
+    service: {
+      redis: new FakeRedis(),
+      common: { get: async () => ({ host: '127.0.0.1', port: String(port), secure: '0', from: 'noreply@example.com' }) },
+      passwordPolicy: {
+        validate: async password => {
+          if (password.length < 8) {
+            throw new Error('密码必须在8~64位');
+          }
+        },
+        build: async password => ({ password: `hash:${password}`, pwdChangeTime: 1700000100 }),
+      },
+      authAdmin: { cacheAdminUserByUid: async id => calls.push([ 'cache', id ]) },
+      authSession: { destroyAll: async id => calls.push([ 'destroyAll', id ]) },
+      loginLock: { reset: async username => calls.push([ 'unlock', username ]) },
+    },
+  };
+  ctx.service.smtp = new SmtpService(ctx);
+  return { service: new PasswordResetService(ctx), admin, calls };
+}
+
+/**
+ * 解码邮件内容，正文为 quoted-printable 编码（只需要还原其中的 ASCII 链接）
+ *
+ * @param {Object} message - SMTP 服务桩收到的邮件
+ * @return {string} 解码后的邮件内容
+ */
+function decode(message) {
+  return message.data.replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * 从邮件内容中取出重置凭证
+ *
+ * @param {Object} message - SMTP 服务桩收到的邮件
+ * @return {string} 凭证
+ */
+function tokenOf(message) {
+  return decode(message).match(/token=([0-9a-f]+\.[0-9a-f]+)/)[1];
+}
+
+describe('test/app/service/passwordReset.test.js', () => {
+  let smtp;
+  let port;
+  before(async () => {
+    smtp = new SmtpServer();
+    port = await smtp.listen();
+  });
+  after(async () => {
+    await smtp.close();
+  });
+  beforeEach(() => {
+    smtp.messages = [];
+  });
+
+  it('should send reset mail and reset password once', async () => {
+    const { service, admin, calls } = createService(port);
+    await service.forgot(' editor ', 'editor@example.com');
+    assert.strictEqual(smtp.messages.length, 1);
+    const [ message ] = smtp.messages;
+    assert.strictEqual(message.from, 'noreply@example.com');
+    assert.deepStrictEqual(message.to.map(to => to.toLowerCase()), [ 'editor@example.com' ]);
+    assert(decode(message).includes('https://admin.example.com/reset-password?token='));
+
+    const token = tokenOf(message);
+    await service.reset(token, 'Newpass1');
+    assert.strictEqual(admin.password, 'hash:Newpass1');
+    assert.deepStrictEqual(calls, [[ 'cache', 2 ], [ 'destroyAll', 2 ], [ 'unlock', 'editor' ]]);
+    await assert.rejects(service.reset(token, 'Newpass2'), /重置链接无效或已过期/);
+  });
+
+  it('should not send mail when email does not match', async () => {
+    const { service } = createService(port);
+    await service.forgot('editor', 'other@example.com');
+    await service.forgot('nobody', 'editor@example.com');
+    assert.strictEqual(smtp.messages.length, 0);
+  });
+
+  it('should not resend within interval', async () => {
+    const { service } = createService(port);
+    await service.forgot('editor', 'editor@example.com');
+    await service.forgot('editor', 'editor@example.com');
+    assert.strictEqual(smtp.messages.length, 1);
+  });
+
+  it('should keep token when new password is rejected by policy', async () => {
+    const { service, admin } = createService(port);
+    await service.forgot('editor', 'editor@example.com');
+    const token = tokenOf(smtp.messages[0]);
+    await assert.rejects(service.reset(token, 'short'), /密码必须在8~64位/);
+    await service.reset(token, 'Newpass1');
+    assert.strictEqual(admin.password, 'hash:Newpass1');
+  });
+
+  it('should reject tampered token or token issued before password change', async () => {
+    const { service, admin } = createService(port);
+    await service.forgot('editor', 'editor@example.com');
+    const token = tokenOf(smtp.messages[0]);
+    const [ resetId, signature ] = token.split('.');
+    await assert.rejects(service.reset(`${resetId}.${signature.replace(/.$/, c => (c === '0' ? '1' : '0'))}`, 'Newpass1'), /重置链接无效或已过期/);
+
+    admin.pwdChangeTime += 1;
+    await assert.rejects(service.reset(token, 'Newpass1'), /重置链接无效或已过期/);
+    assert.strictEqual(admin.password, undefined);
+  });
+
+  it('should accept a token only once under concurrent requests', async () => {
+    const { service } = createService(port);
+    await service.forgot('editor', 'editor@example.com');
+    const token = tokenOf(smtp.messages[0]);
+    const results = await Promise.allSettled([ service.reset(token, 'Newpass1'), service.reset(token, 'Newpass2') ]);
+    assert.deepStrictEqual(results.map(res => res.status).sort(), [ 'fulfilled', 'rejected' ]);
+  });
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const SsoService = require('../../../app/service/sso');
+const FakeRedis = require('../../helper/fakeRedis');
+
+let idpSeq = 0;
+
+/**
+ * Base64URL 编码
+ *
+ * @param {Buffer|string} data - 原始数据
+ * @return {string} Base64URL 字符串
+ */
+function base64url(data) {
+  return Buffer.from(data).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * 模拟的 OIDC 身份提供方，通过 ctx.curl 访问
+ * 每个实例使用不同的 issuer，避免服务模块中的端点发现和 JWKS 缓存相互影响
+ */
+class MockIdp {
+  constructor() {
+    this.issuer = `https://idp${++idpSeq}.example.com`;
+    this.clientId = 'admin-console';
+    this.rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.keys = [
+      { ...this.rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa1', use: 'sig', alg: 'RS256' },
+      { ...this.ec.publicKey.export({ format: 'jwk' }), kid: 'ec1', use: 'sig' },
+    ];
+    // 授权码 -> {nonce, challenge}
+    this.codes = new Map();
+    this.jwksFetches = 0;
+    // 覆盖 id_token 中的声明或头部
+    this.claims = {};
+    this.header = {};
+  }
+
+  /**
+   * 用户在身份提供方登录后签发授权码
+   *
+   * @param {string} url - 授权地址
+   * @return {Object} {code, state}
+   */
+  login(url) {
+    const query = new URL(url).searchParams;
+    assert.strictEqual(query.get('client_id'), this.clientId);
+    assert.strictEqual(query.get('code_challenge_method'), 'S256');
+    const code = base64url(crypto.randomBytes(12));
+    this.codes.set(code, { nonce: query.get('nonce'), challenge: query.get('code_challenge') });
+    return { code, state: query.get('state') };
+  }
+
+  /**
+   * 签发 id_token
+   *
+   * @param {Object} claims - 声明
+   * @return {string} id_token
+   */
+  sign(claims) {
+    const header = { alg: 'RS256', kid: 'rsa1', ...this.header };
+    const input = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    const ec = header.alg.startsWith('ES');
+    const signature = crypto.sign('sha256', Buffer.from(input), {
+      key: ec ? this.ec.privateKey : this.rsa.privateKey,
+      dsaEncoding: ec ? 'ieee-p1363' : undefined,
+    });
+    return `${input}.${base64url(signature)}`;
+  }
+
+  async curl(url, options = {}) {
+    if (url === `${this.issuer}/.well-known/openid-configuration`) {
+      return {
+        status: 200,
+        data: {
+          issuer: this.issuer,
+          authorization_endpoint: `${this.issuer}/authorize`,
+          token_endpoint: `${this.issuer}/token`,
+          jwks_uri: `${this.issuer}/jwks`,
+        },
+      };
+    }
+    if (url === `${this.issuer}/jwks`) {
+      this.jwksFetches++;
+      return { status: 200, data: { keys: this.keys } };
+    }
+    if (url === `${this.issuer}/token` && options.method === 'POST') {
+      const { code, code_verifier: verifier, client_id: clientId } = options.data;
+      const grant = this.codes.get(code);
+      this.codes.delete(code);
+      const challenge = base64url(crypto.createHash('sha256').update(String(verifier)).digest());
+      if (!grant || clientId !== this.clientId || challenge !== grant.challenge) {
+        return { status: 400, data: { error: 'invalid_grant' } };
+      }
+      const now = Math.floor(Date.now() / 1000);
+      return {
+        status: 200,
+        data: {
+          id_token: this.sign({
+            iss: this.issuer,
+            aud: this.clientId,
+            sub: 'user-1',
+            nonce: grant.nonce,
+            iat: now,
+            exp: now + 300,
+            ...this.claims,
+          }),
+        },
+      };
+    }
+    return { status: 404, data: null };
+  }
+}
+
+/**
+ * 构造服务实例，身份提供方为 MockIdp，数据库为桩实现
+ *
+ * @param {MockIdp} idp - 模拟的身份提供方
+ * @return {SsoService} 服务实例
+ */
+function createService(idp) {
+  const bound = { id: 2, username: 'editor', ssoSubject: 'user-1' };
+  const ctx = {
+    app: { config: { sso: { stateExpire: 600, timeout: 1000, clockSkew: 60 } } },
+    curl: (url, options) => idp.curl(url, options),
+    logger: { error() {}, warn() {}, info() {} },
+    service: {
+      redis: new FakeRedis(),
+      common: {
+        get: async () => ({
+          enable: '1',
+          issuer: idp.issuer,
+          clientId: idp.clientId,
+          redirectUri: 'https://admin.example.com/sso/callback',
+        }),
+      },
+    },
+    model: {
+      SystemAuthAdmin: {
+        findOne: async ({ where }) => (where.ssoSubject === bound.ssoSubject ? bound : null),
+      },
+    },
+  };
+  return new SsoService(ctx);
+}
+
+/**
+ * 完成一次单点登录
+ *
+ * @param {MockIdp} idp - 模拟的身份提供方
+ * @param {SsoService} service - 服务实例
+ * @return {Promise<Object>} 管理员记录
+ */
+async function login(idp, service) {
+  const { url } = await service.authorize();
+  const { code, state } = idp.login(url);
+  return await service.callback(code, state);
+}
+
+describe('test/app/service/sso.test.js', () => {
+  it('should exchange code and resolve bound admin', async () => {
+    const idp = new MockIdp();
+    const service = createService(idp);
+    const admin = await login(idp, service);
+    assert.strictEqual(admin.id, 2);
+  });
+
+  it('should accept es256 signed id_token', async () => {
+    const idp = new MockIdp();
+    idp.header = { alg: 'ES256', kid: 'ec1' };
+    assert.strictEqual((await login(idp, createService(idp))).id, 2);
+  });
+
+  it('should use state only once', async () => {
+    const idp = new MockIdp();
+    const service = createService(idp);
+    const { url } = await service.authorize();
+    const { code, state } = idp.login(url);
+    await service.callback(code, state);
+    await assert.rejects(service.callback(code, state), /登录请求无效或已过期/);
+  });
+
+  it('should reject invalid code', async () => {
+    const idp = new MockIdp();
+    const service = createService(idp);
+    const { url } = await service.authorize();
+    const { state } = idp.login(url);
+    await assert.rejects(service.callback('wrong', state), /授权码无效或已过期/);
+  });
+
+  it('should validate id_token claims', async () => {
+    const cases = [
+      { claims: { iss: 'https://evil.example.com' }, error: /签发方不正确/ },
+      { claims: { aud: 'other-client' }, error: /接收方不正确/ },
+      { claims: { exp: Math.floor(Date.now() / 1000) - 120 }, error: /已过期/ },
+      { claims: { nonce: 'replayed' }, error: /nonce不正确/ },
+      { claims: { sub: '' }, error: /缺少sub/ },
+    ];
+    for (const { claims, error } of cases) {
+      const idp = new MockIdp();
+      idp.claims = claims;
+      await assert.rejects(login(idp, createService(idp)), error);
+    }
+  });
+
+  it('should reject id_token signed by another key', async () => {
+    const idp = new MockIdp();
+    const service = createService(idp);
+    idp.rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await assert.rejects(login(idp, service), /签名无效/);
+  });
+
+  it('should reject key whose type or alg does not match the header', async () => {
+    // 头部声明 RS256，但 kid 指向 EC 密钥
+    let idp = new MockIdp();
+    idp.header = { alg: 'RS256', kid: 'ec1' };
+    await assert.rejects(login(idp, createService(idp)), /找不到id_token的验签密钥/);
+
+    // 密钥声明只用于 RS256
+    idp = new MockIdp();
+    idp.header = { alg: 'PS256', kid: 'rsa1' };
+    await assert.rejects(login(idp, createService(idp)), /找不到id_token的验签密钥/);
+  });
+
+  it('should limit jwks refetch for unknown kid', async () => {
+    const idp = new MockIdp();
+    const service = createService(idp);
+    await login(idp, service);
+    assert.strictEqual(idp.jwksFetches, 1);
+
+    idp.header = { kid: 'unknown' };
+    await assert.rejects(login(idp, service), /找不到id_token的验签密钥/);
+    await assert.rejects(login(idp, service), /找不到id_token的验签密钥/);
+    assert.strictEqual(idp.jwksFetches, 1);
+
+    // 超过最小间隔后可以重新获取，支持身份提供方轮换密钥
+    const now = Date.now;
+    Date.now = () => now() + 61 * 1000;
+    try {
+      idp.keys = [ ...idp.keys, { ...idp.keys[0], kid: 'unknown' }];
+      assert.strictEqual((await login(idp, service)).id, 2);
+      assert.strictEqual(idp.jwksFetches, 2);
+    } finally {
+      Date.now = now;
+    }
+  });
+});
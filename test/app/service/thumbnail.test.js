@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const { Readable } = require('stream');
+const ThumbnailService = require('../../../app/service/thumbnail');
+const FakeRedis = require('../../helper/fakeRedis');
+
+const thumbnail = {
+  sizes: {
+    thumb: { width: 200, height: 200, fit: 'cover' },
+    medium: { width: 800, height: 800, fit: 'inside' },
+  },
+  quality: 80,
+};
+
+/**
+ * 构造服务实例，服务均为桩实现，Redis 使用内存实现，不依赖 MySQL、Redis
+ *
+ * @param {Object} album - Album 记录
+ * @param {Buffer} content - 存储中的文件内容
+ * @return {Object} {service, updates, tasks}：服务实例、Album.update 调用记录、后台任务
+ */
+function createService(album, content) {
+  const updates = [];
+  const tasks = [];
+  const ctx = {
+    app: { config: { thumbnail } },
+    runInBackground: task => tasks.push(task),
+    logger: { error() {} },
+    model: {
+      Album: {
+        findOne: async () => album,
+        update: async (values, options) => updates.push({ values, where: options.where }),
+      },
+    },
+    service: {
+      redis: new FakeRedis(),
+      storage: {
+        driver: async () => ({
+          getStream: async () => Readable.from([ content ]),
+          put: async () => {},
+        }),
+      },
+    },
+  };
+  return { service: new ThumbnailService(ctx), updates, tasks };
+}
+
+// 存储驱动桩，访问地址为文件键
+const driver = { publicUrl: key => key };
+
+describe('test/app/service/thumbnail.test.js', () => {
+  it('should regenerate missing thumbnails', () => {
+    const album = { id: 1, type: 10, uri: 'a.jpg', variants: '200x200', thumbFail: '' };
+    const { service, tasks } = createService(album);
+    assert.deepStrictEqual(service.urls(album, driver), { thumb: 'a_200x200.jpg', medium: 'a.jpg' });
+    assert.strictEqual(tasks.length, 1);
+  });
+
+  it('should not regenerate when failed with current sizes', () => {
+    const album = { id: 1, type: 10, uri: 'a.bmp', variants: '', thumbFail: '200x200,800x800' };
+    const { service, tasks } = createService(album);
+    assert.deepStrictEqual(service.urls(album, driver), { thumb: 'a.bmp', medium: 'a.bmp' });
+    assert.strictEqual(tasks.length, 0);
+  });
+
+  it('should regenerate again after sizes changed', () => {
+    const album = { id: 1, type: 10, uri: 'a.bmp', variants: '', thumbFail: '100x100,800x800' };
+    const { service, tasks } = createService(album);
+    service.urls(album, driver);
+    assert.strictEqual(tasks.length, 1);
+  });
+
+  it('should record unsupported image', async () => {
+    const album = { id: 1, type: 10, engine: 'local', uri: 'a.txt', variants: '', thumbFail: '' };
+    const { service, updates, tasks } = createService(album, Buffer.from('not an image'));
+    service.regenerate(album.id);
+    await tasks[0]();
+    assert.deepStrictEqual(updates, [{ values: { thumbFail: '200x200,800x800' }, where: { engine: 'local', uri: 'a.txt' } }]);
+  });
+
+  it('should record failed image', async () => {
+    const album = { id: 1, type: 10, engine: 'local', uri: 'a.png', variants: '', thumbFail: '' };
+    // PNG 文件头后为损坏的内容
+    const content = Buffer.concat([ Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]), Buffer.alloc(16) ]);
+    const { service, updates, tasks } = createService(album, content);
+    service.regenerate(album.id);
+    await tasks[0]();
+    assert.deepStrictEqual(updates, [{ values: { thumbFail: '200x200,800x800' }, where: { engine: 'local', uri: 'a.png' } }]);
+  });
+
+  it('should regenerate the same file only once at a time', async () => {
+    const album = { id: 1, type: 10, engine: 'local', uri: 'a.txt', variants: '', thumbFail: '' };
+    const { service, updates, tasks } = createService(album, Buffer.from('not an image'));
+    service.regenerate(album.id);
+    service.regenerate(album.id);
+    await Promise.all(tasks.map(task => task()));
+    assert.strictEqual(updates.length, 1);
+  });
+});
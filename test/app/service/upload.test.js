@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { Readable } = require('stream');
+const parse = require('co-busboy');
+const sharp = require('sharp');
+const UploadService = require('../../../app/service/upload');
+
+// 测试用的较小限制：单次最多 3 个文件，单个文件 4KB，图片 1KB
+const config = {
+  multipart: { files: 3, fileSize: 4096, whitelist: [ '.txt', '.png', '.jpg', '.pdf' ] },
+  upload: {
+    types: {
+      image: { exts: [ '.jpg', '.png' ], maxSize: 1024 },
+      video: { exts: [], maxSize: 4096 },
+      file: { exts: [], maxSize: 4096 },
+    },
+  },
+};
+
+/**
+ * 构造 multipart 请求
+ *
+ * @param {Array<Object>} files - [{name, content}]，name 为空时为空文件字段
+ * @return {Readable} 带请求头的请求流
+ */
+function multipartRequest(files) {
+  const boundary = '----testboundary';
+  const chunks = [];
+  for (const file of files) {
+    chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${file.name}"\r\n` +
+      'Content-Type: application/octet-stream\r\n\r\n'), Buffer.from(file.content), Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  const req = Readable.from([ Buffer.concat(chunks) ]);
+  req.headers = { 'content-type': `multipart/form-data; boundary=${boundary}` };
+  return req;
+}
+
+/**
+ * 构造服务实例，multipart 解析与 egg-multipart 相同（co-busboy，扩展名白名单和文件数、大小限制），存储服务为桩实现
+ *
+ * @param {Array<Object>} files - [{name, content}]
+ * @return {Object} {service, saved, deleted}：服务实例、已保存的文件、已删除的文件键
+ */
+function createService(files) {
+  const saved = [];
+  const deleted = [];
+  const ctx = {
+    app: { config },
+    logger: { error() {} },
+    multipart: options => parse(multipartRequest(files), {
+      ...options,
+      limits: { files: config.multipart.files, fileSize: config.multipart.fileSize },
+      checkFile(fieldname, stream, filename) {
+        if (filename && !config.multipart.whitelist.includes(path.extname(filename).toLowerCase())) {
+          const err = new Error(`Invalid filename: ${filename}`);
+          err.status = 400;
+          return err;
+        }
+      },
+    }),
+    service: {
+      storage: {
+        save: async (content, { dir, filename, mime }) => {
+          const key = `uploads/${dir}/${saved.length}${path.extname(filename)}`;
+          saved.push({ key, content, mime });
+          return { engine: 'local', key, url: `http://127.0.0.1/public/${key}` };
+        },
+        driver: async () => ({ delete: async key => deleted.push(key) }),
+      },
+    },
+  };
+  return { service: new UploadService(ctx), saved, deleted };
+}
+
+describe('test/app/service/upload.test.js', () => {
+  let png;
+
+  before(async () => {
+    png = await sharp({ create: { width: 4, height: 2, channels: 3, background: '#ff0000' } }).png()
+      .toBuffer();
+  });
+
+  it('should upload multiple files and skip empty file fields', async () => {
+    const { service, saved } = createService([
+      { name: 'a.PNG', content: png },
+      { name: '', content: '' },
+      { name: 'b.txt', content: 'hello' },
+    ]);
+    const result = await service.uploadFile();
+    assert.deepStrictEqual(result, [
+      { url: 'http://127.0.0.1/public/uploads/image/0.PNG', name: 'a.PNG', size: saved[0].content.length, mime: 'image/png', ext: 'png' },
+      { url: 'http://127.0.0.1/public/uploads/file/1.txt', name: 'b.txt', size: 5, mime: 'text/plain', ext: 'txt' },
+    ]);
+  });
+
+  it('should accept files up to the count limit', async () => {
+    const { service } = createService([ 1, 2, 3 ].map(i => ({ name: `${i}.txt`, content: `file ${i}` })));
+    assert.strictEqual((await service.uploadFile()).length, 3);
+  });
+
+  it('should reject files over the count limit and remove saved files', async () => {
+    const { service, saved, deleted } = createService([ 1, 2, 3, 4 ].map(i => ({ name: `${i}.txt`, content: `file ${i}` })));
+    await assert.rejects(service.uploadFile(), /Reach files limit/);
+    assert(saved.length > 0);
+    assert.deepStrictEqual(deleted, saved.map(file => file.key));
+  });
+
+  it('should apply per-type size limits', async () => {
+    const big = Buffer.concat([ png, Buffer.alloc(1024) ]);
+    const image = createService([{ name: 'b.txt', content: 'hello' }, { name: 'a.png', content: big }]);
+    await assert.rejects(image.service.uploadFile(), /文件 a.png 超出大小限制/);
+    assert.deepStrictEqual(image.deleted, [ 'uploads/file/0.txt' ]);
+
+    // 普通文件不受图片大小限制，但不能超过 config.multipart.fileSize
+    const text = createService([{ name: 'a.txt', content: 'a'.repeat(2048) }]);
+    assert.strictEqual((await text.service.uploadFile())[0].size, 2048);
+    const truncated = createService([{ name: 'a.txt', content: 'a'.repeat(4097) }]);
+    await assert.rejects(truncated.service.uploadFile(), /文件 a.txt 超出大小限制/);
+    assert.strictEqual(truncated.saved.length, 0);
+  });
+
+  it('should reject extensions outside the whitelist and non-image files for uploadImg', async () => {
+    const exe = createService([{ name: 'a.txt', content: 'a' }, { name: 'a.exe', content: 'MZ' }]);
+    await assert.rejects(exe.service.uploadFile(), /Invalid filename: a.exe/);
+    assert.deepStrictEqual(exe.deleted, [ 'uploads/file/0.txt' ]);
+
+    const img = createService([{ name: 'a.png', content: png }, { name: 'a.txt', content: 'a' }]);
+    await assert.rejects(img.service.uploadImg(), /不支持的文件类型: a.txt/);
+    assert.deepStrictEqual(img.deleted, [ 'uploads/image/0.png' ]);
+  });
+
+  it('should reject content not matching the extension', async () => {
+    const { service, deleted } = createService([{ name: 'a.txt', content: 'a' }, { name: 'a.jpg', content: png }]);
+    await assert.rejects(service.uploadFile(), /与扩展名不符/);
+    assert.deepStrictEqual(deleted, [ 'uploads/file/0.txt' ]);
+  });
+
+  it('should reject request without files', async () => {
+    const { service } = createService([{ name: '', content: '' }]);
+    await assert.rejects(service.uploadFile(), /请选择要上传的文件/);
+  });
+});
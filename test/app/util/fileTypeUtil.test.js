@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const sharp = require('sharp');
+const fileTypeUtil = require('../../../app/util/fileTypeUtil');
+
+// 生成 4x2 的测试图片
+function image() {
+  return sharp({ create: { width: 4, height: 2, channels: 3, background: '#ff0000' } });
+}
+
+describe('test/app/util/fileTypeUtil.test.js', () => {
+  it('should detect type by content', async () => {
+    assert.strictEqual(fileTypeUtil.detect(await image().jpeg().toBuffer()), 'image/jpeg');
+    assert.strictEqual(fileTypeUtil.detect(await image().png().toBuffer()), 'image/png');
+    assert.strictEqual(fileTypeUtil.detect(await image().webp().toBuffer()), 'image/webp');
+    assert.strictEqual(fileTypeUtil.detect(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+    assert.strictEqual(fileTypeUtil.detect(Buffer.from('hello world\n')), 'text/plain');
+    assert.strictEqual(fileTypeUtil.detect(Buffer.from([ 0x00, 0x01, 0x02, 0x03 ])), null);
+  });
+
+  it('should detect markup', () => {
+    assert(fileTypeUtil.isMarkup(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>')));
+    assert(fileTypeUtil.isMarkup(Buffer.from('﻿<!DOCTYPE html><html></html>')));
+    assert(fileTypeUtil.isMarkup(Buffer.from('<HTML>', 'utf16le')));
+    assert(!fileTypeUtil.isMarkup(Buffer.from('a < b')));
+  });
+
+  it('should reject markup and content not matching extension', async () => {
+    const png = await image().png().toBuffer();
+    assert.throws(() => fileTypeUtil.inspect(Buffer.from('<html><script>alert(1)</script></html>'), 'a.txt'), /不允许上传/);
+    assert.throws(() => fileTypeUtil.inspect(png, 'a.jpg'), /与扩展名不符/);
+    assert.throws(() => fileTypeUtil.inspect(png, 'a.exe'), /与扩展名不符/);
+    const { mime, category } = fileTypeUtil.inspect(png, 'A.PNG');
+    assert.strictEqual(mime, 'image/png');
+    assert.strictEqual(category, 'image');
+  });
+
+  it('should strip jpeg exif but keep orientation', async () => {
+    const jpeg = await image().jpeg()
+      .withExif({ IFD0: { Make: 'SecretCamera', Copyright: 'SecretOwner' } })
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+    assert(jpeg.includes('SecretCamera'));
+
+    const { content } = fileTypeUtil.inspect(jpeg, 'photo.jpg');
+    assert(!content.includes('SecretCamera'));
+    assert(!content.includes('SecretOwner'));
+    const metadata = await sharp(content).metadata();
+    assert.strictEqual(metadata.orientation, 6);
+    assert.strictEqual(metadata.width, 4);
+    // 按方向信息旋转后宽高互换
+    const rotated = await sharp(content).rotate().toBuffer({ resolveWithObject: true });
+    assert.strictEqual(rotated.info.width, 2);
+    assert.strictEqual(rotated.info.height, 4);
+  });
+
+  it('should not add orientation to jpeg without exif', async () => {
+    const jpeg = await image().jpeg().toBuffer();
+    const content = fileTypeUtil.stripMetadata(jpeg, 'image/jpeg');
+    assert(!content.includes('Exif'));
+    assert.strictEqual((await sharp(content).metadata()).orientation, undefined);
+  });
+
+  it('should strip png and webp metadata', async () => {
+    const exif = { IFD0: { Make: 'SecretCamera' } };
+    const png = await image().png().withExif(exif)
+      .toBuffer();
+    const webp = await image().webp().withExif(exif)
+      .toBuffer();
+    assert(png.includes('SecretCamera'));
+    assert(webp.includes('SecretCamera'));
+
+    const strippedPng = fileTypeUtil.stripMetadata(png, 'image/png');
+    const strippedWebp = fileTypeUtil.stripMetadata(webp, 'image/webp');
+    assert(!strippedPng.includes('SecretCamera'));
+    assert(!strippedWebp.includes('SecretCamera'));
+    assert.strictEqual((await sharp(strippedPng).metadata()).width, 4);
+    assert.strictEqual((await sharp(strippedWebp).metadata()).width, 4);
+  });
+});
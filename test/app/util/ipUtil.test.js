@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+const ipUtil = require('../../../app/util/ipUtil');
+
+describe('test/app/util/ipUtil.test.js', () => {
+  it('should match ipv4 address and cidr', () => {
+    assert(ipUtil.match('192.168.1.10', '192.168.1.10'));
+    assert(!ipUtil.match('192.168.1.11', '192.168.1.10'));
+    assert(ipUtil.match('192.168.1.10', '192.168.1.0/24'));
+    assert(!ipUtil.match('192.168.2.10', '192.168.1.0/24'));
+    assert(ipUtil.match('10.20.30.40', '10.16.0.0/12'));
+    assert(!ipUtil.match('10.32.0.1', '10.16.0.0/12'));
+    assert(ipUtil.match('8.8.8.8', '0.0.0.0/0'));
+  });
+
+  it('should match ipv6 address and cidr', () => {
+    assert(ipUtil.match('2001:db8::1', '2001:db8::/32'));
+    assert(!ipUtil.match('2001:db9::1', '2001:db8::/32'));
+    assert(ipUtil.match('::1', '::1'));
+    assert(ipUtil.match('2001:db8:0:0:0:0:0:1', '2001:db8::1'));
+  });
+
+  it('should treat ipv4-mapped ipv6 as ipv4', () => {
+    assert(ipUtil.match('::ffff:192.168.1.10', '192.168.1.0/24'));
+    assert(!ipUtil.match('::ffff:192.168.2.10', '192.168.1.0/24'));
+  });
+
+  it('should not match invalid input', () => {
+    assert(!ipUtil.match('192.168.1.10', '192.168.1.0/33'));
+    assert(!ipUtil.match('192.168.1.10', 'abc'));
+    assert(!ipUtil.match('', '192.168.1.0/24'));
+    assert(!ipUtil.match('192.168.1.10', '2001:db8::/32'));
+    assert(!ipUtil.match('192.168.1.10', '192.168.1.0/'));
+    assert(!ipUtil.match('192.168.1.10', '192.168.1.0/24abc'));
+  });
+
+  it('should parse list and check membership', () => {
+    assert.deepStrictEqual(ipUtil.parseList('10.0.0.1, 10.0.1.0/24\n::1'), [ '10.0.0.1', '10.0.1.0/24', '::1' ]);
+    assert.deepStrictEqual(ipUtil.parseList(''), []);
+    assert(ipUtil.inList('10.0.1.5', '10.0.0.1,10.0.1.0/24'));
+    assert(!ipUtil.inList('10.0.2.5', [ '10.0.0.1', '10.0.1.0/24' ]));
+    assert(!ipUtil.inList('10.0.2.5', ''));
+  });
+
+  it('should validate rules', () => {
+    assert(ipUtil.isValidRule('10.0.0.1'));
+    assert(ipUtil.isValidRule('10.0.0.0/8'));
+    assert(ipUtil.isValidRule('2001:db8::/128'));
+    assert(!ipUtil.isValidRule('10.0.0.0/33'));
+    assert(!ipUtil.isValidRule('10.0.0.0/a'));
+    assert(!ipUtil.isValidRule('300.0.0.1'));
+    assert(!ipUtil.isValidRule('10.0.0.0/'));
+    assert(!ipUtil.isValidRule('10.0.0.0/ 8'));
+    assert(!ipUtil.isValidRule('10.0.0.0/8.0'));
+    assert(!ipUtil.isValidRule('10.0.0.0/8/8'));
+  });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert');
+const md5 = require('md5');
+const passwordUtil = require('../../../app/util/passwordUtil');
+
+describe('test/app/util/passwordUtil.test.js', () => {
+  it('should hash and verify password', async () => {
+    const stored = await passwordUtil.hash('Admin@123');
+    assert(/^\$scrypt\$v=1\$n=16384,r=8,p=1\$[^$]+\$[^$]+$/.test(stored));
+    assert(await passwordUtil.verify('Admin@123', stored) === true);
+    assert(await passwordUtil.verify('admin@123', stored) === false);
+    assert(!passwordUtil.needsRehash(stored));
+  });
+
+  it('should use random salt', async () => {
+    const a = await passwordUtil.hash('Admin@123');
+    const b = await passwordUtil.hash('Admin@123');
+    assert(a !== b);
+  });
+
+  it('should verify legacy md5 password and require rehash', async () => {
+    const stored = md5('123456abcde');
+    assert(await passwordUtil.verify('123456', stored, 'abcde') === true);
+    assert(await passwordUtil.verify('123456', stored, 'other') === false);
+    assert(passwordUtil.needsRehash(stored));
+  });
+
+  it('should require rehash when params changed', () => {
+    const salt = Buffer.alloc(16).toString('base64');
+    const hash = Buffer.alloc(64).toString('base64');
+    assert(passwordUtil.needsRehash(`$scrypt$v=1$n=1024,r=8,p=1$${salt}$${hash}`));
+    assert(passwordUtil.needsRehash(`$scrypt$v=0$n=16384,r=8,p=1$${salt}$${hash}`));
+  });
+
+  it('should reject empty or malformed input', async () => {
+    const stored = await passwordUtil.hash('Admin@123');
+    assert(await passwordUtil.verify('', stored) === false);
+    assert(await passwordUtil.verify('Admin@123', '') === false);
+    assert(await passwordUtil.verify('Admin@123', '$scrypt$v=1$broken') === false);
+  });
+
+  it('should reject hash with empty salt or hash segment', async () => {
+    const salt = Buffer.alloc(16).toString('base64');
+    assert(await passwordUtil.verify('Admin@123', `$scrypt$v=1$n=16384,r=8,p=1$${salt}$`) === false);
+    assert(await passwordUtil.verify('Admin@123', '$scrypt$v=1$n=16384,r=8,p=1$$') === false);
+    assert(await passwordUtil.verify('Admin@123', `$scrypt$v=1$n=16384,r=8,p=1$$${Buffer.alloc(64).toString('base64')}`) === false);
+    assert(passwordUtil.needsRehash(`$scrypt$v=1$n=16384,r=8,p=1$${salt}$`));
+  });
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const assert = require('assert');
+const totpUtil = require('../../../app/util/totpUtil');
+
+// RFC 4226 / RFC 6238 测试密钥 "12345678901234567890"
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('test/app/util/totpUtil.test.js', () => {
+  it('should encode and decode base32', () => {
+    assert(totpUtil.base32Encode(Buffer.from('12345678901234567890')) === secret);
+    assert(totpUtil.base32Decode(secret).toString() === '12345678901234567890');
+    assert(totpUtil.base32Decode('gezd gnbv gy3t qojq====').toString() === '1234567890');
+    assert.throws(() => totpUtil.base32Decode('GEZ1'));
+  });
+
+  it('should generate RFC 4226 hotp', () => {
+    assert(totpUtil.hotp(secret, 0) === '755224');
+    assert(totpUtil.hotp(secret, 1) === '287082');
+    assert(totpUtil.hotp(secret, 9) === '520489');
+  });
+
+  it('should generate RFC 6238 totp', () => {
+    assert(totpUtil.totp(secret, 59 * 1000) === '287082');
+    assert(totpUtil.totp(secret, 1111111109 * 1000) === '081804');
+    assert(totpUtil.totp(secret, 1234567890 * 1000) === '005924');
+    assert(totpUtil.totp(secret, 2000000000 * 1000) === '279037');
+  });
+
+  it('should verify current code within window', () => {
+    const now = Date.now();
+    assert(totpUtil.verify(secret, totpUtil.totp(secret, now)) === Math.floor(now / 30000));
+    assert(totpUtil.verify(secret, totpUtil.totp(secret, now - 30000)) !== -1);
+    assert(totpUtil.verify(secret, totpUtil.totp(secret, now - 120000)) === -1);
+  });
+
+  it('should reject malformed code', () => {
+    assert(totpUtil.verify(secret, '') === -1);
+    assert(totpUtil.verify(secret, '12345') === -1);
+    assert(totpUtil.verify(secret, 'abcdef') === -1);
+    assert(totpUtil.verify('', '123456') === -1);
+  });
+
+  it('should generate otpauth uri', () => {
+    const uri = totpUtil.keyUri('Admin', 'admin', secret);
+    assert(uri === `otpauth://totp/Admin%3Aadmin?secret=${secret}&issuer=Admin&algorithm=SHA1&digits=6&period=30`);
+    assert(totpUtil.base32Decode(totpUtil.generateSecret()).length === 20);
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const assert = require('assert');
+const urlUtil = require('../../../app/util/urlUtil');
+
+describe('test/app/util/urlUtil.test.js', () => {
+  describe('toPerms()', () => {
+    it('should convert path to perms', () => {
+      assert(urlUtil.toPerms('/api/system/admin/add') === 'system:admin:add');
+      assert(urlUtil.toPerms('/api/gen/downloadCode') === 'gen:downloadCode');
+    });
+
+    it('should ignore trailing slash', () => {
+      assert(urlUtil.toPerms('/api/system/admin/del/') === 'system:admin:del');
+      assert(urlUtil.toPerms('/api/system/admin/del//') === 'system:admin:del');
+    });
+  });
+
+  describe('matchPerms()', () => {
+    it('should match wildcard patterns', () => {
+      assert(urlUtil.matchPerms('system:admin:del', [ '*:del' ]));
+      assert(urlUtil.matchPerms('setting:storage:change', [ 'setting:storage:*' ]));
+      assert(!urlUtil.matchPerms('system:admin:list', [ '*:del', 'setting:*' ]));
+      assert(!urlUtil.matchPerms('system:admin:del', undefined));
+    });
+
+    it('should escape regexp characters in patterns', () => {
+      assert(!urlUtil.matchPerms('systemXadmin', [ 'system.admin' ]));
+    });
+
+    it('should ignore case', () => {
+      assert(urlUtil.matchPerms('system:Admin:del', [ 'system:admin:del' ]));
+      assert(urlUtil.matchPerms('SYSTEM:ADMIN:DEL', [ '*:del' ]));
+      assert(urlUtil.matchPerms(urlUtil.toPerms('/api/Setting/Storage/change/'), [ 'setting:storage:*' ]));
+    });
+  });
+
+  describe('hasPerms()', () => {
+    it('should find perms in list ignoring case', () => {
+      const list = [ 'system:admin:del', 'system:admin:upInfo' ];
+      assert(urlUtil.hasPerms(list, 'system:admin:del'));
+      assert(urlUtil.hasPerms(list, 'system:Admin:del'));
+      assert(urlUtil.hasPerms(list, 'system:admin:upinfo'));
+      assert(!urlUtil.hasPerms(list, 'system:admin:delete'));
+      assert(!urlUtil.hasPerms(undefined, 'system:admin:del'));
+    });
+  });
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * 内存实现的 RedisService 桩（app/service/redis.js），用于不依赖 Redis 的单元测试
+ * 值的序列化、过期时间和返回值与 RedisService 一致，每个方法内部没有 await，相当于原子执行
+ */
+class FakeRedis {
+  constructor() {
+    // key -> {value, expireAt}，value 为字符串、Set、Map 或数组
+    this.store = new Map();
+    // 当前时间（毫秒），测试中可修改以模拟过期
+    this.now = Date.now();
+  }
+
+  entry(key) {
+    const item = this.store.get(key);
+    if (item && item.expireAt && item.expireAt <= this.now) {
+      this.store.delete(key);
+      return null;
+    }
+    return item || null;
+  }
+
+  put(key, value, seconds) {
+    this.store.set(key, { value, expireAt: seconds ? this.now + seconds * 1000 : 0 });
+  }
+
+  async set(key, value, seconds) {
+    this.put(key, JSON.stringify(value), seconds || 60 * 60 * 24 * 30);
+  }
+
+  async setNx(key, value, seconds) {
+    if (this.entry(key)) {
+      return false;
+    }
+    this.put(key, JSON.stringify(value), seconds);
+    return true;
+  }
+
+  async setXx(key, value, seconds) {
+    if (!this.entry(key)) {
+      return false;
+    }
+    this.put(key, JSON.stringify(value), seconds);
+    return true;
+  }
+
+  async get(key) {
+    const item = this.entry(key);
+    return item ? JSON.parse(item.value) : false;
+  }
+
+  async del(key) {
+    return [].concat(key).filter(k => this.entry(k) && this.store.delete(k)).length;
+  }
+
+  async sSet(key, values) {
+    const item = this.entry(key) || { value: new Set(), expireAt: 0 };
+    [].concat(values).forEach(value => item.value.add(value));
+    this.store.set(key, item);
+  }
+
+  async sRem(key, values) {
+    const item = this.entry(key);
+    if (item) {
+      [].concat(values).forEach(value => item.value.delete(value));
+    }
+  }
+
+  async sGet(key) {
+    const item = this.entry(key);
+    return item ? [ ...item.value ] : [];
+  }
+
+  async hGet(key, field) {
+    const item = this.entry(key);
+    return item && item.value.has(field) ? item.value.get(field) : null;
+  }
+
+  async hSet(key, field, value) {
+    const item = this.entry(key) || { value: new Map(), expireAt: 0 };
+    item.value.set(field, value);
+    this.store.set(key, item);
+  }
+
+  async hDel(key, field) {
+    const item = this.entry(key);
+    return item && item.value.delete(field) ? 1 : 0;
+  }
+
+  async hExists(key, field) {
+    const item = this.entry(key);
+    return item && item.value.has(field) ? 1 : 0;
+  }
+
+  async exists(key) {
+    return this.entry(key) ? 1 : 0;
+  }
+
+  async incr(key, seconds) {
+    const item = this.entry(key);
+    const count = (item ? parseInt(item.value, 10) : 0) + 1;
+    this.store.set(key, { value: String(count), expireAt: item ? item.expireAt : (seconds > 0 ? this.now + seconds * 1000 : 0) });
+    return count;
+  }
+
+  async setIfGreater(key, value, seconds) {
+    const item = this.entry(key);
+    if (item && Number(item.value) >= value) {
+      return false;
+    }
+    this.put(key, String(value), seconds);
+    return true;
+  }
+
+  async slidingWindow(key, windowMs, limit) {
+    const item = this.entry(key) || { value: [], expireAt: 0 };
+    item.value = item.value.filter(time => time > this.now - windowMs);
+    const allowed = item.value.length < limit;
+    if (allowed) {
+      item.value.push(this.now);
+    }
+    item.expireAt = this.now + windowMs;
+    this.store.set(key, item);
+    return { allowed, count: item.value.length, resetMs: item.value[0] + windowMs - this.now };
+  }
+
+  async lPush(key, value, maxLength, seconds) {
+    const item = this.entry(key) || { value: [], expireAt: 0 };
+    item.value = [ JSON.stringify(value), ...item.value ].slice(0, maxLength);
+    item.expireAt = this.now + (seconds || 60 * 60 * 24 * 30) * 1000;
+    this.store.set(key, item);
+  }
+
+  async lRange(key, start, stop) {
+    const item = this.entry(key);
+    const list = item ? item.value : [];
+    return list.slice(start, stop === -1 ? undefined : stop + 1).map(value => JSON.parse(value));
+  }
+
+  async ttl(key) {
+    const item = this.entry(key);
+    if (!item) {
+      return -2;
+    }
+    return item.expireAt ? Math.ceil((item.expireAt - this.now) / 1000) : -1;
+  }
+
+  async expire(key, seconds) {
+    const item = this.entry(key);
+    if (!item) {
+      return 0;
+    }
+    item.expireAt = this.now + seconds * 1000;
+    return 1;
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,136 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * 计算 HMAC-SHA256
+ *
+ * @param {string|Buffer} key - 密钥
+ * @param {string} content - 内容
+ * @return {Buffer} 签名
+ */
+function hmac(key, content) {
+  return crypto.createHmac('sha256', key).update(content)
+    .digest();
+}
+
+/**
+ * 本地 S3 服务桩（类似 MinIO），只实现路径风格的 PutObject、GetObject、HeadObject、DeleteObject
+ * 按 AWS Signature V4 校验每个请求的签名和请求体摘要，对象保存在内存中：objects 为 Map，键为 {bucket}/{key}
+ * requests 记录收到的请求 [{method, path}]，便于断言
+ */
+class S3Server {
+
+  /**
+   * @param {Object} cnf - {bucket, region, accessKey, secretKey}
+   */
+  constructor(cnf) {
+    this.cnf = cnf;
+    this.objects = new Map();
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * 监听随机端口
+   *
+   * @return {Promise<string>} 服务地址，如 http://127.0.0.1:12345
+   */
+  listen() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      this.requests.push({ method: req.method, path: req.url });
+
+      const error = this.verify(req, body);
+      if (error) {
+        return this.reply(res, 403, error);
+      }
+
+      const [ , bucket, ...parts ] = req.url.split('/');
+      if (bucket !== this.cnf.bucket) {
+        return this.reply(res, 404, 'NoSuchBucket');
+      }
+      const name = `${bucket}/${parts.map(decodeURIComponent).join('/')}`;
+      const object = this.objects.get(name);
+
+      switch (req.method) {
+        case 'PUT':
+          this.objects.set(name, { content: body, type: req.headers['content-type'] });
+          res.writeHead(200, { etag: `"${crypto.createHash('md5').update(body)
+            .digest('hex')}"` });
+          return res.end();
+        case 'GET':
+        case 'HEAD':
+          if (!object) {
+            return this.reply(res, 404, 'NoSuchKey');
+          }
+          res.writeHead(200, { 'content-type': object.type, 'content-length': object.content.length });
+          return res.end(req.method === 'GET' ? object.content : undefined);
+        case 'DELETE':
+          // S3 删除不存在的对象同样返回 204
+          this.objects.delete(name);
+          res.writeHead(204);
+          return res.end();
+        default:
+          return this.reply(res, 405, 'MethodNotAllowed');
+      }
+    });
+  }
+
+  /**
+   * 校验 AWS Signature V4 签名
+   *
+   * @param {http.IncomingMessage} req - 请求
+   * @param {Buffer} body - 请求体
+   * @return {string} 错误码，校验通过时为空
+   */
+  verify(req, body) {
+    const { region, accessKey, secretKey } = this.cnf;
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+      .exec(req.headers.authorization || '');
+    if (!match || match[1] !== accessKey || match[3] !== region) {
+      return 'InvalidAccessKeyId';
+    }
+    const [ , , dateStamp, , signedHeaders, signature ] = match;
+    const payloadHash = crypto.createHash('sha256').update(body)
+      .digest('hex');
+    if (req.headers['x-amz-content-sha256'] !== payloadHash) {
+      return 'XAmzContentSHA256Mismatch';
+    }
+
+    const names = signedHeaders.split(';');
+    const canonicalHeaders = names.map(name => `${name}:${String(req.headers[name] || '').trim()}\n`).join('');
+    const canonicalRequest = [ req.method, req.url, '', canonicalHeaders, signedHeaders, payloadHash ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [ 'AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, crypto.createHash('sha256').update(canonicalRequest)
+      .digest('hex') ].join('\n');
+
+    let key = hmac(`AWS4${secretKey}`, dateStamp);
+    key = hmac(key, region);
+    key = hmac(key, 's3');
+    key = hmac(key, 'aws4_request');
+    const expected = crypto.createHmac('sha256', key).update(stringToSign)
+      .digest('hex');
+    return expected === signature ? '' : 'SignatureDoesNotMatch';
+  }
+
+  reply(res, status, code) {
+    res.writeHead(status, { 'content-type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+  }
+}
+
+module.exports = S3Server;
@@ -0,0 +1,87 @@
+'use strict';
+
+const net = require('net');
+
+/**
+ * 本地 SMTP 服务桩，只实现发信需要的命令（EHLO/HELO、MAIL、RCPT、DATA、RSET、QUIT），不支持认证和 TLS
+ * 收到的邮件保存在 messages 中：[{from, to, data}]，data 为原始邮件内容
+ */
+class SmtpServer {
+  constructor() {
+    this.messages = [];
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  /**
+   * 监听随机端口
+   *
+   * @return {Promise<number>} 端口号
+   */
+  listen() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handle(socket) {
+    let buffer = '';
+    let mail = null;
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 localhost ESMTP test');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end < 0) {
+            return;
+          }
+          mail.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          this.messages.push(mail);
+          mail = null;
+          inData = false;
+          reply('250 OK queued');
+          continue;
+        }
+        const end = buffer.indexOf('\r\n');
+        if (end < 0) {
+          return;
+        }
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250-localhost');
+          reply('250 8BITMIME');
+        } else if (command === 'MAIL') {
+          mail = { from: line.replace(/^MAIL FROM:\s*<?([^>\s]*)>?.*$/i, '$1'), to: [], data: '' };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          mail.to.push(line.replace(/^RCPT TO:\s*<?([^>\s]*)>?.*$/i, '$1'));
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET' || command === 'NOOP') {
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+          return;
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  }
+}
+
+module.exports = SmtpServer;